@@ -11,4 +11,19 @@ const rateLimitMiddleware = rateLimit({
     legacyHeaders: false,
 });
 
+// Throughput endpoints are mounted ahead of the limit above. A speed test
+// opens a transfer per stream and starts another as each finishes, so the
+// count is per minute and higher
+const speedTestRateLimit = rateLimit({
+    windowMs: 60 * 1000,
+    max: process.env.SPEED_TEST_RATE_LIMIT_MAX || 300, // transfers per IP per minute
+    message: {
+        error: 'Too many requests',
+        message: 'Too many speed-test transfers from this IP, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 module.exports = rateLimitMiddleware;
+module.exports.speedTestRateLimit = speedTestRateLimit;
@@ -1,4 +1,14 @@
 const Joi = require('joi');
+const cron = require('node-cron');
+
+const cronExpression = Joi.string().custom((value, helpers) => {
+    return cron.validate(value) ? value : helpers.message('"cronExpression" must be a valid cron expression');
+});
+
+const templateParameters = Joi.object().pattern(/^[A-Za-z_][\w.-]*$/, Joi.object({
+    description: Joi.string().optional(),
+    default: Joi.any().optional()
+}));
 
 const validationSchemas = {
     speedTest: Joi.object({
@@ -28,6 +38,61 @@ const validationSchemas = {
         headers: Joi.object().optional(),
         body: Joi.any().optional(),
         timeout: Joi.number().min(1000).max(60000).optional()
+    }),
+
+    schedule: Joi.object({
+        name: Joi.string().max(100).required(),
+        cronExpression: cronExpression.required(),
+        timezone: Joi.string().optional(),
+        testType: Joi.string().required(),
+        config: Joi.object().optional(),
+        priority: Joi.number().integer().optional(),
+        enabled: Joi.boolean().optional()
+    }),
+
+    scheduleUpdate: Joi.object({
+        name: Joi.string().max(100),
+        cronExpression,
+        timezone: Joi.string(),
+        testType: Joi.string(),
+        config: Joi.object(),
+        priority: Joi.number().integer(),
+        enabled: Joi.boolean()
+    }).min(1),
+
+    campaign: Joi.object({
+        name: Joi.string().max(100).required(),
+        mode: Joi.string().valid('sequence', 'parallel', 'graph').optional(),
+        priority: Joi.number().integer().optional(),
+        tests: Joi.array().items(Joi.object({
+            id: Joi.string().max(50).optional(),
+            type: Joi.string().required(),
+            config: Joi.object().optional(),
+            dependsOn: Joi.array().items(Joi.string()).optional(),
+            required: Joi.boolean().optional()
+        })).min(1).required()
+    }),
+
+    template: Joi.object({
+        name: Joi.string().max(100).required(),
+        description: Joi.string().max(500).allow('').optional(),
+        testType: Joi.string().required(),
+        config: Joi.object().optional(),
+        parameters: templateParameters.optional()
+    }),
+
+    // The test type is fixed for the life of a template, so its runs stay comparable
+    templateUpdate: Joi.object({
+        name: Joi.string().max(100),
+        description: Joi.string().max(500).allow(''),
+        config: Joi.object(),
+        parameters: templateParameters
+    }).min(1),
+
+    templateLaunch: Joi.object({
+        parameters: Joi.object().optional(),
+        overrides: Joi.object().optional(),
+        version: Joi.number().integer().min(1).optional()
     })
 };
 
@@ -0,0 +1,251 @@
+// Probe agent: a lightweight process that runs tests from its own location.
+// It connects to the server's WebSocket at /agents, registers its location and
+// the test types it can run, executes assignments and streams results back.
+//
+//   node probe-agent.js --server ws://localhost:3000 --name berlin-1 \
+//       --region eu-central --lat 52.52 --lng 13.40 --capabilities quality,roaming
+//
+// Several agents can run on one machine; each registers under its own id.
+
+const WebSocket = require('ws');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { probeBurst, probeTargets } = require('./services/probing');
+const { CODECS } = require('./services/e-model');
+const { QUALITY_PROBES, ROAMING_PROBES, qualitySample, roamingEndpointResult, roamingRegionResult, roamingResult } = require('./services/probe-results');
+
+const RECONNECT_DELAY_MS = 5000;
+// Close codes for registrations the server refused; retrying wouldn't help
+const FATAL_CLOSE_CODES = [4003, 4009];
+
+class ProbeAgent {
+    constructor(options = {}) {
+        this.serverUrl = (options.server || 'ws://localhost:3000').replace(/\/$/, '');
+        this.agentId = options.agentId || `${options.name || 'probe'}-${uuidv4().slice(0, 8)}`;
+        this.name = options.name || this.agentId;
+        this.location = options.location || {};
+        this.token = options.token || null;
+        this.handlers = { ...DEFAULT_HANDLERS, ...options.handlers };
+        this.capabilities = options.capabilities || Object.keys(this.handlers);
+        this.reconnect = options.reconnect !== false;
+        this.running = new Map();
+        this.socket = null;
+        this.stopped = false;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(`${this.serverUrl}/agents`);
+            this.socket = socket;
+
+            socket.on('open', () => {
+                this.send({
+                    type: 'agent_register',
+                    agentId: this.agentId,
+                    name: this.name,
+                    location: this.location,
+                    capabilities: this.capabilities,
+                    token: this.token
+                });
+            });
+
+            socket.on('message', raw => {
+                let message;
+                try {
+                    message = JSON.parse(raw);
+                } catch (error) {
+                    return console.error('Ignoring a message that is not valid JSON');
+                }
+
+                switch (message.type) {
+                    case 'agent_registered':
+                        console.log(`Registered with ${this.serverUrl} as ${message.agentId}`);
+                        resolve(message.agentId);
+                        break;
+                    case 'agent_assignment':
+                        this.execute(message);
+                        break;
+                    case 'agent_cancel':
+                        this.abort(message.testId);
+                        break;
+                    case 'agent_error':
+                        console.error(`Server error${message.testId ? ` for ${message.testId}` : ''}: ${message.error}`);
+                        reject(new Error(message.error));
+                        break;
+                }
+            });
+
+            socket.on('close', code => {
+                // Runs die with the connection; the server fails them on its side
+                for (const testId of Array.from(this.running.keys())) {
+                    this.abort(testId);
+                }
+
+                if (!this.stopped && this.reconnect && !FATAL_CLOSE_CODES.includes(code)) {
+                    console.warn(`Disconnected, reconnecting in ${RECONNECT_DELAY_MS / 1000}s`);
+                    setTimeout(() => this.connect().catch(() => {}), RECONNECT_DELAY_MS);
+                }
+            });
+
+            socket.on('error', error => {
+                console.error('Connection error:', error.message);
+                reject(error);
+            });
+        });
+    }
+
+    async execute({ testId, testType, config }) {
+        const handler = this.handlers[testType];
+        const controller = new AbortController();
+        this.running.set(testId, controller);
+
+        console.log(`Running ${testType} test ${testId}`);
+
+        try {
+            if (!handler) {
+                throw new Error(`Agent ${this.agentId} cannot run ${testType} tests`);
+            }
+
+            await handler(config, {
+                agent: this,
+                signal: controller.signal,
+                emit: data => this.send({ type: 'agent_result', testId, data })
+            });
+
+            if (!controller.signal.aborted) {
+                this.send({ type: 'agent_complete', testId, status: 'completed' });
+            }
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.error(`Test ${testId} failed:`, error.message);
+                this.send({ type: 'agent_complete', testId, status: 'failed', error: error.message });
+            }
+        } finally {
+            this.running.delete(testId);
+        }
+    }
+
+    abort(testId) {
+        const controller = this.running.get(testId);
+        if (controller) {
+            controller.abort();
+            this.running.delete(testId);
+            console.log(`Test ${testId} cancelled`);
+        }
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
+
+// Test types the agent runs by default. Results use the same shape as the
+// server-side runners so summaries and dashboards treat them alike.
+const DEFAULT_HANDLERS = {
+    async quality(config, { emit, signal }) {
+        const { duration = 60, targets = ['8.8.8.8', '1.1.1.1'], codecs = Object.keys(CODECS) } = config;
+        const endTime = Date.now() + duration * 1000;
+
+        while (Date.now() < endTime && !signal.aborted) {
+            const timestamp = new Date();
+            const bursts = await probeTargets(targets, { ...QUALITY_PROBES, signal });
+            emit(qualitySample(bursts, codecs, timestamp));
+
+            await sleep(5000, signal);
+        }
+    },
+
+    // Measures from the agent's own region rather than simulating the target regions
+    async roaming(config, { emit, signal, agent }) {
+        const endpoints = config.testEndpoints && config.testEndpoints.length > 0
+            ? config.testEndpoints
+            : ['8.8.8.8', '1.1.1.1'];
+        const region = agent.location.region || 'unknown';
+        const startedAt = new Date();
+        const endpointResults = [];
+
+        for (const endpoint of endpoints) {
+            if (signal.aborted) return;
+
+            const burst = await probeBurst(endpoint, { ...ROAMING_PROBES, signal });
+            const endpointResult = roamingEndpointResult(endpoint, burst);
+
+            if (burst.alive) {
+                try {
+                    const startTime = Date.now();
+                    await axios.get('http://httpbin.org/ip', { timeout: 5000, signal });
+                    endpointResult.httpLatency = Date.now() - startTime;
+                    endpointResult.httpSuccess = true;
+                } catch (httpError) {
+                    endpointResult.httpSuccess = false;
+                    endpointResult.httpError = httpError.message;
+                }
+            }
+
+            endpointResults.push(endpointResult);
+        }
+
+        const regionResult = roamingRegionResult(region, endpointResults, startedAt);
+        emit(regionResult);
+        emit(roamingResult(config.sourceNetwork, [regionResult]));
+    }
+};
+
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+module.exports = ProbeAgent;
+
+// Start an agent if this file is run directly
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+
+    const agent = new ProbeAgent({
+        server: args.server || process.env.PROBE_SERVER_URL,
+        agentId: args.id,
+        name: args.name,
+        token: args.token || process.env.PROBE_AGENT_TOKEN,
+        capabilities: args.capabilities ? args.capabilities.split(',') : undefined,
+        location: {
+            region: args.region,
+            latitude: args.lat !== undefined ? parseFloat(args.lat) : undefined,
+            longitude: args.lng !== undefined ? parseFloat(args.lng) : undefined
+        }
+    });
+
+    agent.connect().catch(error => {
+        console.error('Failed to register probe agent:', error.message);
+    });
+
+    process.on('SIGINT', () => {
+        agent.stop();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const Logger = require('../services/logger');
+
+const logger = new Logger();
+
+// Shared services, injected by server.js through init()
+let probeAgents = null;
+
+// List connected probe agents
+router.get('/', (req, res) => {
+    try {
+        res.json(probeAgents.getAgents());
+    } catch (error) {
+        logger.error('Get probe agents error:', error);
+        res.status(500).json({
+            error: 'Failed to get probe agents',
+            message: error.message
+        });
+    }
+});
+
+// Get a connected probe agent with its active tests
+router.get('/:id', (req, res) => {
+    try {
+        const agent = probeAgents.getAgent(req.params.id);
+
+        if (!agent) {
+            return res.status(404).json({
+                error: 'Probe agent not connected'
+            });
+        }
+
+        res.json(agent);
+    } catch (error) {
+        logger.error('Get probe agent error:', error);
+        res.status(500).json({
+            error: 'Failed to get probe agent',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
+
+// Inject the probe agent hub shared by every router
+module.exports.init = function init(services) {
+    ({ probeAgents } = services);
+    return router;
+};
@@ -1,305 +1,190 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
 
 // Import services
-const TestingEngine = require('../services/testing-engine');
-const DatabaseService = require('../services/database');
 const Logger = require('../services/logger');
+const { DEFAULT_RETRY_POLICY, classifyHttpResponse, withRetry, logRetry } = require('../services/retry');
+const { TestConfigError } = require('../services/test-registry');
+const { launchTestType } = require('./test-types');
+const { ASSUMPTIONS, estimate, httpExchangeBytes } = require('../services/test-plan');
+const { timingAgents, readTimings, summarizeTimings } = require('../services/http-timing');
+const { NETWORK_PROFILES, EmulationLimitError, resolveProfile } = require('../services/network-emulator');
 
 const logger = new Logger();
-const testingEngine = new TestingEngine();
-const dbService = new DatabaseService();
 
-// API Endpoint Testing
-router.post('/test', async (req, res) => {
+// Shared services, injected by server.js through init()
+let testingEngine = null;
+let dbService = null;
+let networkEmulator = null;
+
+// Get API Test Results
+router.get('/results/:testId', async (req, res) => {
     try {
-        const { 
-            endpoints, 
-            method = 'GET', 
-            headers = {}, 
-            payload = null, 
-            timeout = 30000,
-            iterations = 1,
-            interval = 1000
-        } = req.body;
-
-        const testId = uuidv4();
-
-        if (!endpoints || !Array.isArray(endpoints) || endpoints.length === 0) {
-            return res.status(400).json({
-                error: 'At least one endpoint is required'
+        const { testId } = req.params;
+        const results = await dbService.getApiTestResults(testId);
+        
+        if (results.length === 0) {
+            return res.status(404).json({
+                error: 'No results found for this test'
             });
         }
 
-        logger.info(`Starting API test ${testId}`, { 
-            endpointCount: endpoints.length, 
-            method, 
-            iterations 
-        });
-
-        const testConfig = {
-            testId,
-            type: 'api_test',
-            endpoints,
-            method,
-            headers,
-            payload,
-            timeout,
-            iterations,
-            interval,
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-
-        // Run API test
-        runApiTest(testId, testConfig);
+        // Calculate summary statistics
+        const summary = calculateApiTestSummary(results);
 
         res.json({
             testId,
-            status: 'started',
-            endpointCount: endpoints.length,
-            estimatedDuration: Math.ceil((iterations * endpoints.length * interval) / 1000)
+            summary,
+            results: results.slice(0, 100) // Limit to latest 100 results
         });
 
     } catch (error) {
-        logger.error('API test error:', error);
+        logger.error('Get API test results error:', error);
         res.status(500).json({
-            error: 'Failed to start API test',
+            error: 'Failed to get API test results',
             message: error.message
         });
     }
 });
 
-// Load Testing
-router.post('/load', async (req, res) => {
+// Network emulation presets and the proxies running for them
+router.get('/emulation', (req, res) => {
     try {
-        const {
-            endpoint,
-            method = 'GET',
-            headers = {},
-            payload = null,
-            concurrency = 10,
-            duration = 60,
-            rampUp = 10
-        } = req.body;
-
-        const testId = uuidv4();
-
-        if (!endpoint) {
-            return res.status(400).json({
-                error: 'Endpoint is required for load testing'
-            });
-        }
-
-        logger.info(`Starting load test ${testId}`, { 
-            endpoint, 
-            concurrency, 
-            duration 
-        });
-
-        const testConfig = {
-            testId,
-            type: 'load_test',
-            endpoint,
-            method,
-            headers,
-            payload,
-            concurrency,
-            duration,
-            rampUp,
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-
-        // Run load test
-        runLoadTest(testId, testConfig);
-
         res.json({
-            testId,
-            status: 'started',
-            endpoint,
-            concurrency,
-            estimatedCompletion: new Date(Date.now() + (duration + rampUp) * 1000)
+            profiles: NETWORK_PROFILES,
+            proxies: networkEmulator.getProxies()
         });
-
     } catch (error) {
-        logger.error('Load test error:', error);
+        logger.error('Get network emulation error:', error);
         res.status(500).json({
-            error: 'Failed to start load test',
+            error: 'Failed to get network emulation',
             message: error.message
         });
     }
 });
 
-// Carrier API Integration Test
-router.post('/carrier', async (req, res) => {
+// Start a proxy for a profile, for apps and tools outside the framework to point at
+router.post('/emulation/proxies', async (req, res) => {
     try {
-        const {
-            carrierId,
-            testSuite = 'basic',
-            authConfig = {}
-        } = req.body;
+        const { error, value } = requestFields.networkProfile.required().validate(req.body?.profile);
 
-        const testId = uuidv4();
-
-        if (!carrierId) {
+        if (error) {
             return res.status(400).json({
-                error: 'Carrier ID is required'
-            });
-        }
-
-        // Get carrier configuration
-        const carriers = await dbService.getCarriers();
-        const carrier = carriers.find(c => c.id === carrierId);
-
-        if (!carrier) {
-            return res.status(404).json({
-                error: 'Carrier not found'
+                error: 'Validation error',
+                message: `Invalid profile: ${error.message}`
             });
         }
 
-        logger.info(`Starting carrier API test ${testId}`, { carrierId, testSuite });
-
-        const testConfig = {
-            testId,
-            type: 'carrier_api_test',
-            carrierId,
-            carrier,
-            testSuite,
-            authConfig,
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-
-        // Run carrier API test
-        runCarrierApiTest(testId, testConfig);
-
-        res.json({
-            testId,
-            status: 'started',
-            carrier: carrier.name,
-            testSuite
-        });
+        // Pinned: stays up until deleted, whether or not tests use it
+        const proxy = await networkEmulator.acquire(value, { pinned: true });
+        logger.info(`Network emulation proxy for ${proxy.profile.name} listening on ${proxy.host}:${proxy.port}`);
 
+        res.status(201).json(proxy);
     } catch (error) {
-        logger.error('Carrier API test error:', error);
-        res.status(500).json({
-            error: 'Failed to start carrier API test',
-            message: error.message
-        });
-    }
-});
-
-// API Health Check
-router.post('/health', async (req, res) => {
-    try {
-        const { endpoints, interval = 30, duration = 300 } = req.body;
-        const testId = uuidv4();
-
-        if (!endpoints || !Array.isArray(endpoints)) {
-            return res.status(400).json({
-                error: 'Endpoints array is required'
+        if (error instanceof EmulationLimitError) {
+            return res.status(503).json({
+                error: 'Too many emulation proxies',
+                message: error.message
             });
         }
-
-        logger.info(`Starting API health check ${testId}`, { 
-            endpointCount: endpoints.length, 
-            interval, 
-            duration 
-        });
-
-        const testConfig = {
-            testId,
-            type: 'api_health_check',
-            endpoints,
-            interval,
-            duration,
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-
-        // Run health check
-        runApiHealthCheck(testId, testConfig);
-
-        res.json({
-            testId,
-            status: 'started',
-            endpoints: endpoints.length,
-            checkInterval: interval,
-            estimatedCompletion: new Date(Date.now() + duration * 1000)
-        });
-
-    } catch (error) {
-        logger.error('API health check error:', error);
+        logger.error('Start network emulation proxy error:', error);
         res.status(500).json({
-            error: 'Failed to start API health check',
+            error: 'Failed to start network emulation proxy',
             message: error.message
         });
     }
 });
 
-// Get API Test Results
-router.get('/results/:testId', async (req, res) => {
+// Stop a proxy; tests still routed through it will fail
+router.delete('/emulation/proxies/:port', async (req, res) => {
     try {
-        const { testId } = req.params;
-        const results = await dbService.getApiTestResults(testId);
-        
-        if (results.length === 0) {
+        const stopped = await networkEmulator.stop(Number(req.params.port));
+
+        if (!stopped) {
             return res.status(404).json({
-                error: 'No results found for this test'
+                error: 'No emulation proxy on this port'
             });
         }
 
-        // Calculate summary statistics
-        const summary = calculateApiTestSummary(results);
-
-        res.json({
-            testId,
-            summary,
-            results: results.slice(0, 100) // Limit to latest 100 results
-        });
-
+        res.json({ port: Number(req.params.port), status: 'stopped' });
     } catch (error) {
-        logger.error('Get API test results error:', error);
+        logger.error('Stop network emulation proxy error:', error);
         res.status(500).json({
-            error: 'Failed to get API test results',
+            error: 'Failed to stop network emulation proxy',
             message: error.message
         });
     }
 });
 
+// Load test workers each send a request every 500-1500ms (1s on average)
+const LOAD_WORKER_MIN_INTERVAL_MS = 500;
+const LOAD_WORKER_INTERVAL_SPREAD_MS = 1000;
+const LOAD_REPORT_INTERVAL_MS = 5000;
+const CARRIER_TEST_DELAY_MS = 1000;
+
+const CARRIER_TEST_SUITES = {
+    basic: [
+        { endpoint: '/status', method: 'GET', description: 'Service status check' },
+        { endpoint: '/health', method: 'GET', description: 'Health check' }
+    ],
+    comprehensive: [
+        { endpoint: '/status', method: 'GET', description: 'Service status check' },
+        { endpoint: '/health', method: 'GET', description: 'Health check' },
+        { endpoint: '/coverage', method: 'GET', description: 'Coverage areas' },
+        { endpoint: '/plans', method: 'GET', description: 'Available plans' },
+        { endpoint: '/usage', method: 'GET', description: 'Usage statistics' }
+    ],
+    authentication: [
+        { endpoint: '/auth/token', method: 'POST', description: 'Token authentication' },
+        { endpoint: '/auth/validate', method: 'GET', description: 'Token validation' },
+        { endpoint: '/auth/refresh', method: 'POST', description: 'Token refresh' }
+    ]
+};
+
 // Implementation Functions
 
-async function runApiTest(testId, config) {
+async function runApiTest(testId, config, retryPolicy = DEFAULT_RETRY_POLICY, signal = new AbortController().signal) {
+    let network = NO_EMULATION;
+
     try {
         const { endpoints, method, headers, payload, timeout, iterations, interval } = config;
+        network = await emulatedNetwork(config.networkProfile);
         let completedRequests = 0;
         const totalRequests = endpoints.length * iterations;
 
         for (let iteration = 0; iteration < iterations; iteration++) {
             for (const endpoint of endpoints) {
+                // Stopped or timed out by the engine
+                if (signal.aborted) return;
+
                 try {
-                    const startTime = Date.now();
-                    
                     const axiosConfig = {
                         method: method.toLowerCase(),
                         url: endpoint,
                         headers,
                         timeout,
-                        validateStatus: () => true // Don't throw on HTTP error status
+                        signal,
+                        validateStatus: () => true, // Don't throw on HTTP error status
+                        ...timingAgents,
+                        ...network.axios
                     };
 
                     if (payload && (method.toUpperCase() === 'POST' || method.toUpperCase() === 'PUT')) {
                         axiosConfig.data = payload;
                     }
 
-                    const response = await axios(axiosConfig);
+                    // Time only the final attempt, not earlier failures and backoff
+                    let startTime;
+                    const { value: response, attempts } = await withRetry(() => {
+                        startTime = Date.now();
+                        return axios(axiosConfig);
+                    }, retryPolicy, {
+                        classifyResult: classifyHttpResponse,
+                        onRetry: logRetry(`API test ${testId} ${endpoint}`, logger),
+                        signal
+                    });
                     const responseTime = Date.now() - startTime;
 
                     const result = {
@@ -308,9 +193,12 @@ async function runApiTest(testId, config) {
                         method,
                         statusCode: response.status,
                         responseTime,
+                        timings: requestTimings(response, network),
                         success: response.status >= 200 && response.status < 400,
                         responseSize: JSON.stringify(response.data).length,
                         headers: response.headers,
+                        attempts,
+                        networkProfile: network.profile,
                         timestamp: new Date()
                     };
 
@@ -318,15 +206,11 @@ async function runApiTest(testId, config) {
                     completedRequests++;
 
                     // Broadcast real-time update
-                    const { broadcast } = require('../server');
-                    if (broadcast) {
-                        broadcast({
-                            type: 'api_test_update',
-                            testId,
-                            data: result,
-                            progress: (completedRequests / totalRequests) * 100
-                        });
-                    }
+                    testingEngine.publish('api_test', 'update', {
+                        testId,
+                        data: result,
+                        progress: (completedRequests / totalRequests) * 100
+                    });
 
                 } catch (error) {
                     const result = {
@@ -337,6 +221,8 @@ async function runApiTest(testId, config) {
                         responseTime: timeout,
                         success: false,
                         errorMessage: error.message,
+                        attempts: error.attempts || 1,
+                        networkProfile: network.profile,
                         timestamp: new Date()
                     };
 
@@ -353,29 +239,32 @@ async function runApiTest(testId, config) {
             }
         }
 
-        await dbService.updateTestStatus(testId, 'completed');
+        await testingEngine.completeTest(testId, 'completed');
         
-        const { broadcast } = require('../server');
-        if (broadcast) {
-            broadcast({
-                type: 'api_test_complete',
-                testId,
-                completedRequests,
-                totalRequests
-            });
-        }
+        testingEngine.publish('api_test', 'complete', {
+            testId,
+            completedRequests,
+            totalRequests
+        });
 
         logger.info(`API test ${testId} completed: ${completedRequests}/${totalRequests} requests`);
 
     } catch (error) {
         logger.error(`API test ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await testingEngine.completeTest(testId, 'failed', error.message);
+    } finally {
+        await network.release();
     }
 }
 
-async function runLoadTest(testId, config) {
+async function runLoadTest(testId, config, signal = new AbortController().signal) {
+    let network = NO_EMULATION;
+
     try {
         const { endpoint, method, headers, payload, concurrency, duration, rampUp } = config;
+        network = await emulatedNetwork(config.networkProfile);
+        // Workers run on after this returns; the proxy goes once they stop
+        signal.addEventListener('abort', network.release, { once: true });
         const workers = [];
         const results = [];
         const startTime = Date.now();
@@ -384,9 +273,12 @@ async function runLoadTest(testId, config) {
         // Ramp up workers gradually
         const rampUpInterval = (rampUp * 1000) / concurrency;
         
+        // While the engine is throttled, workers past its reduced concurrency sit idle
         for (let i = 0; i < concurrency; i++) {
             setTimeout(() => {
-                const worker = createLoadTestWorker(testId, endpoint, method, headers, payload, endTime, results);
+                if (signal.aborted) return;
+                const isIdle = () => i >= testingEngine.getLoadConcurrency(concurrency);
+                const worker = createLoadTestWorker(testId, endpoint, method, headers, payload, endTime, results, signal, isIdle, network);
                 workers.push(worker);
             }, i * rampUpInterval);
         }
@@ -395,65 +287,70 @@ async function runLoadTest(testId, config) {
         const reportInterval = setInterval(async () => {
             if (Date.now() >= endTime) {
                 clearInterval(reportInterval);
-                
-                // Calculate final statistics
-                const summary = {
-                    totalRequests: results.length,
-                    successfulRequests: results.filter(r => r.success).length,
-                    failedRequests: results.filter(r => !r.success).length,
-                    averageResponseTime: results.reduce((sum, r) => sum + r.responseTime, 0) / results.length,
-                    minResponseTime: Math.min(...results.map(r => r.responseTime)),
-                    maxResponseTime: Math.max(...results.map(r => r.responseTime)),
-                    requestsPerSecond: results.length / duration,
-                    duration: duration
-                };
 
-                await dbService.saveTestResult(testId, summary);
-                await dbService.updateTestStatus(testId, 'completed');
+                try {
+                    // Calculate final statistics
+                    const summary = {
+                        totalRequests: results.length,
+                        successfulRequests: results.filter(r => r.success).length,
+                        failedRequests: results.filter(r => !r.success).length,
+                        averageResponseTime: results.reduce((sum, r) => sum + r.responseTime, 0) / results.length,
+                        minResponseTime: Math.min(...results.map(r => r.responseTime)),
+                        maxResponseTime: Math.max(...results.map(r => r.responseTime)),
+                        requestsPerSecond: results.length / duration,
+                        duration: duration,
+                        networkProfile: network.profile
+                    };
+
+                    await network.release();
+                    await dbService.saveTestResult(testId, summary);
+                    await testingEngine.completeTest(testId, 'completed');
 
-                const { broadcast } = require('../server');
-                if (broadcast) {
-                    broadcast({
-                        type: 'load_test_complete',
+                    testingEngine.publish('load_test', 'complete', {
                         testId,
                         summary
                     });
-                }
 
-                logger.info(`Load test ${testId} completed: ${summary.totalRequests} requests, ${summary.requestsPerSecond.toFixed(2)} RPS`);
+                    logger.info(`Load test ${testId} completed: ${summary.totalRequests} requests, ${summary.requestsPerSecond.toFixed(2)} RPS`);
+                } catch (error) {
+                    logger.error(`Load test ${testId} error:`, error);
+                    await network.release().catch(() => {});
+                    await testingEngine.completeTest(testId, 'failed', error.message).catch(failError => {
+                        logger.error(`Failed to fail load test ${testId}:`, failError);
+                    });
+                }
             } else {
                 // Report current progress
                 const currentRPS = results.length / ((Date.now() - startTime) / 1000);
-                const { broadcast } = require('../server');
-                if (broadcast) {
-                    broadcast({
-                        type: 'load_test_update',
-                        testId,
-                        data: {
-                            totalRequests: results.length,
-                            currentRPS: currentRPS.toFixed(2),
-                            activeWorkers: workers.length,
-                            elapsed: Math.floor((Date.now() - startTime) / 1000)
-                        }
-                    });
-                }
+                testingEngine.publish('load_test', 'update', {
+                    testId,
+                    data: {
+                        totalRequests: results.length,
+                        currentRPS: currentRPS.toFixed(2),
+                        activeWorkers: Math.min(workers.length, testingEngine.getLoadConcurrency(concurrency)),
+                        throttled: testingEngine.getStats().throttled,
+                        elapsed: Math.floor((Date.now() - startTime) / 1000)
+                    }
+                });
             }
-        }, 5000); // Report every 5 seconds
+        }, LOAD_REPORT_INTERVAL_MS);
 
         testingEngine.addActiveTest(testId, reportInterval);
 
     } catch (error) {
         logger.error(`Load test ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await network.release();
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
-function createLoadTestWorker(testId, endpoint, method, headers, payload, endTime, results) {
+function createLoadTestWorker(testId, endpoint, method, headers, payload, endTime, results, signal, isIdle = () => false, network = NO_EMULATION) {
     const worker = setInterval(async () => {
-        if (Date.now() >= endTime) {
+        if (Date.now() >= endTime || signal.aborted) {
             clearInterval(worker);
             return;
         }
+        if (isIdle()) return;
 
         try {
             const startTime = Date.now();
@@ -463,7 +360,10 @@ function createLoadTestWorker(testId, endpoint, method, headers, payload, endTim
                 url: endpoint,
                 headers,
                 timeout: 30000,
-                validateStatus: () => true
+                signal,
+                validateStatus: () => true,
+                ...timingAgents,
+                ...network.axios
             };
 
             if (payload && (method.toUpperCase() === 'POST' || method.toUpperCase() === 'PUT')) {
@@ -479,7 +379,9 @@ function createLoadTestWorker(testId, endpoint, method, headers, payload, endTim
                 method,
                 statusCode: response.status,
                 responseTime,
+                timings: requestTimings(response, network),
                 success: response.status >= 200 && response.status < 400,
+                networkProfile: network.profile,
                 timestamp: new Date()
             };
 
@@ -495,40 +397,22 @@ function createLoadTestWorker(testId, endpoint, method, headers, payload, endTim
                 responseTime: 30000,
                 success: false,
                 errorMessage: error.message,
+                networkProfile: network.profile,
                 timestamp: new Date()
             };
 
             results.push(result);
             await dbService.saveApiTestResult(result);
         }
-    }, Math.random() * 1000 + 500); // Random interval between 500-1500ms
+    }, Math.random() * LOAD_WORKER_INTERVAL_SPREAD_MS + LOAD_WORKER_MIN_INTERVAL_MS);
 
     return worker;
 }
 
-async function runCarrierApiTest(testId, config) {
+async function runCarrierApiTest(testId, config, retryPolicy = DEFAULT_RETRY_POLICY, signal = new AbortController().signal) {
     try {
         const { carrier, testSuite, authConfig } = config;
-        const testSuites = {
-            basic: [
-                { endpoint: '/status', method: 'GET', description: 'Service status check' },
-                { endpoint: '/health', method: 'GET', description: 'Health check' }
-            ],
-            comprehensive: [
-                { endpoint: '/status', method: 'GET', description: 'Service status check' },
-                { endpoint: '/health', method: 'GET', description: 'Health check' },
-                { endpoint: '/coverage', method: 'GET', description: 'Coverage areas' },
-                { endpoint: '/plans', method: 'GET', description: 'Available plans' },
-                { endpoint: '/usage', method: 'GET', description: 'Usage statistics' }
-            ],
-            authentication: [
-                { endpoint: '/auth/token', method: 'POST', description: 'Token authentication' },
-                { endpoint: '/auth/validate', method: 'GET', description: 'Token validation' },
-                { endpoint: '/auth/refresh', method: 'POST', description: 'Token refresh' }
-            ]
-        };
-
-        const tests = testSuites[testSuite] || testSuites.basic;
+        const tests = CARRIER_TEST_SUITES[testSuite] || CARRIER_TEST_SUITES.basic;
         const baseURL = carrier.api_endpoint || carrier.apiEndpoint;
 
         if (!baseURL) {
@@ -536,15 +420,19 @@ async function runCarrierApiTest(testId, config) {
         }
 
         for (const test of tests) {
+            // Stopped or timed out by the engine
+            if (signal.aborted) return;
+
             try {
                 const fullEndpoint = `${baseURL}${test.endpoint}`;
-                const startTime = Date.now();
 
                 const axiosConfig = {
                     method: test.method.toLowerCase(),
                     url: fullEndpoint,
                     timeout: 30000,
-                    validateStatus: () => true
+                    signal,
+                    validateStatus: () => true,
+                    ...timingAgents
                 };
 
                 // Add authentication if configured
@@ -559,7 +447,15 @@ async function runCarrierApiTest(testId, config) {
                     axiosConfig.data = test.payload;
                 }
 
-                const response = await axios(axiosConfig);
+                let startTime;
+                const { value: response, attempts } = await withRetry(() => {
+                    startTime = Date.now();
+                    return axios(axiosConfig);
+                }, retryPolicy, {
+                    classifyResult: classifyHttpResponse,
+                    onRetry: logRetry(`Carrier API test ${testId} ${test.description}`, logger),
+                    signal
+                });
                 const responseTime = Date.now() - startTime;
 
                 const result = {
@@ -569,22 +465,20 @@ async function runCarrierApiTest(testId, config) {
                     description: test.description,
                     statusCode: response.status,
                     responseTime,
+                    timings: readTimings(response),
                     success: response.status >= 200 && response.status < 400,
                     responseData: response.data,
+                    attempts,
                     timestamp: new Date()
                 };
 
                 await dbService.saveApiTestResult(result);
 
                 // Broadcast update
-                const { broadcast } = require('../server');
-                if (broadcast) {
-                    broadcast({
-                        type: 'carrier_api_update',
-                        testId,
-                        data: result
-                    });
-                }
+                testingEngine.publish('carrier_api_test', 'update', {
+                    testId,
+                    data: result
+                });
 
                 logger.info(`Carrier API test: ${test.description} - ${result.success ? 'PASSED' : 'FAILED'}`);
 
@@ -598,6 +492,7 @@ async function runCarrierApiTest(testId, config) {
                     responseTime: 30000,
                     success: false,
                     errorMessage: error.message,
+                    attempts: error.attempts || 1,
                     timestamp: new Date()
                 };
 
@@ -606,95 +501,211 @@ async function runCarrierApiTest(testId, config) {
             }
 
             // Small delay between tests
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            await new Promise(resolve => setTimeout(resolve, CARRIER_TEST_DELAY_MS));
         }
 
-        await dbService.updateTestStatus(testId, 'completed');
+        await testingEngine.completeTest(testId, 'completed');
         logger.info(`Carrier API test ${testId} completed for ${carrier.name}`);
 
     } catch (error) {
         logger.error(`Carrier API test ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
-async function runApiHealthCheck(testId, config) {
+async function runApiHealthCheck(testId, config, retryPolicy = DEFAULT_RETRY_POLICY, signal = new AbortController().signal) {
     try {
         const { endpoints, interval, duration } = config;
-        const startTime = Date.now();
-        const endTime = startTime + (duration * 1000);
-
-        const intervalId = setInterval(async () => {
-            const timestamp = new Date();
-            
-            for (const endpoint of endpoints) {
-                try {
-                    const checkStartTime = Date.now();
-                    const response = await axios.get(endpoint, {
-                        timeout: 10000,
-                        validateStatus: () => true
-                    });
-                    const responseTime = Date.now() - checkStartTime;
-
-                    const result = {
-                        testId,
-                        endpoint,
-                        method: 'GET',
-                        statusCode: response.status,
-                        responseTime,
-                        success: response.status >= 200 && response.status < 400,
-                        timestamp
-                    };
 
-                    await dbService.saveApiTestResult(result);
+        testingEngine.startSampling(testId, {
+            intervalMs: interval * 1000,
+            durationMs: duration * 1000,
+            sample: async () => {
+                const timestamp = new Date();
+
+                for (const endpoint of endpoints) {
+                    if (signal.aborted) return;
+
+                    try {
+                        let checkStartTime;
+                        const { value: response, attempts } = await withRetry(() => {
+                            checkStartTime = Date.now();
+                            return axios.get(endpoint, {
+                                timeout: 10000,
+                                signal,
+                                validateStatus: () => true,
+                                ...timingAgents
+                            });
+                        }, retryPolicy, {
+                            classifyResult: classifyHttpResponse,
+                            onRetry: logRetry(`API health check ${testId} ${endpoint}`, logger),
+                            signal
+                        });
+                        const responseTime = Date.now() - checkStartTime;
 
-                    // Broadcast health status
-                    const { broadcast } = require('../server');
-                    if (broadcast) {
-                        broadcast({
-                            type: 'api_health_update',
+                        const result = {
+                            testId,
+                            endpoint,
+                            method: 'GET',
+                            statusCode: response.status,
+                            responseTime,
+                            timings: readTimings(response),
+                            success: response.status >= 200 && response.status < 400,
+                            attempts,
+                            timestamp
+                        };
+
+                        await dbService.saveApiTestResult(result);
+
+                        // Broadcast health status
+                        testingEngine.publish('api_health_check', 'update', {
                             testId,
                             endpoint,
                             data: result
                         });
-                    }
 
-                } catch (error) {
-                    const result = {
-                        testId,
-                        endpoint,
-                        method: 'GET',
-                        statusCode: 0,
-                        responseTime: 10000,
-                        success: false,
-                        errorMessage: error.message,
-                        timestamp
-                    };
-
-                    await dbService.saveApiTestResult(result);
+                    } catch (error) {
+                        const result = {
+                            testId,
+                            endpoint,
+                            method: 'GET',
+                            statusCode: 0,
+                            responseTime: 10000,
+                            success: false,
+                            errorMessage: error.message,
+                            attempts: error.attempts || 1,
+                            timestamp
+                        };
+
+                        await dbService.saveApiTestResult(result);
+                    }
                 }
-            }
-
-            if (Date.now() >= endTime) {
-                clearInterval(intervalId);
-                await dbService.updateTestStatus(testId, 'completed');
+            },
+            complete: async () => {
+                await testingEngine.completeTest(testId, 'completed');
                 logger.info(`API health check ${testId} completed`);
             }
-        }, interval * 1000);
-
-        testingEngine.addActiveTest(testId, intervalId);
+        });
 
     } catch (error) {
         logger.error(`API health check ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
+const NO_EMULATION = { axios: {}, profile: null, release: async () => {} };
+
+// Routes requests through the emulation proxy for `networkProfile`, if one is set.
+// Results record the profile's name ("custom" for one given inline). The run
+// holds the proxy until it calls `release()`, which is safe to call twice.
+async function emulatedNetwork(networkProfile) {
+    if (!networkProfile) return NO_EMULATION;
+
+    const { host, port, profile } = await networkEmulator.acquire(networkProfile);
+    const auth = networkEmulator.getAuth();
+    let released = false;
+
+    return {
+        axios: { proxy: { protocol: 'http', host, port, ...(auth && { auth }) } },
+        profile: profile.name,
+        release: async () => {
+            if (released) return;
+            released = true;
+            await networkEmulator.release(port);
+        }
+    };
+}
+
+// Through the emulation proxy the client's connection ends at the proxy: DNS
+// and TCP are timed to the proxy, and TLS runs between the proxy and the
+// server, so no TLS phase is recorded. Such timings are flagged.
+function requestTimings(response, network) {
+    const timings = readTimings(response);
+    return timings && network.profile ? { ...timings, viaEmulationProxy: true } : timings;
+}
+
+// Dry-run estimates of what each test would send
+function estimateApiTest(config, { retryPolicy }) {
+    const requests = config.endpoints.length * config.iterations;
+    const profile = config.networkProfile ? resolveProfile(config.networkProfile) : null;
+    const assumptions = [`Each response takes ${ASSUMPTIONS.httpSeconds}s and carries ${ASSUMPTIONS.httpResponseBytes} bytes`];
+    if (profile) {
+        assumptions.push(`Each request also waits the ${profile.name} profile's ${profile.latencyMs}ms round trip`);
+    }
+
+    return estimate({
+        requests,
+        retriedRequests: requests,
+        retryPolicy,
+        durationSeconds: requests * (ASSUMPTIONS.httpSeconds + (profile ? profile.latencyMs / 1000 : 0))
+            + (requests - 1) * config.interval / 1000,
+        bytes: requests * httpExchangeBytes(config),
+        assumptions
+    });
+}
+
+function estimateLoadTest(config) {
+    const meanIntervalSeconds = (LOAD_WORKER_MIN_INTERVAL_MS + LOAD_WORKER_INTERVAL_SPREAD_MS / 2) / 1000;
+    const rampUpStep = config.rampUp / config.concurrency;
+    let requests = 0;
+    let workers = 0;
+
+    // Workers start one by one over the ramp-up but all stop at the same end time
+    for (let i = 0; i < config.concurrency; i++) {
+        const activeSeconds = config.duration - i * rampUpStep;
+        if (activeSeconds <= 0) break;
+
+        workers++;
+        requests += activeSeconds / meanIntervalSeconds;
+    }
+
+    return estimate({
+        requests,
+        durationSeconds: Math.ceil(config.duration * 1000 / LOAD_REPORT_INTERVAL_MS) * LOAD_REPORT_INTERVAL_MS / 1000,
+        bytes: Math.ceil(requests) * httpExchangeBytes(config),
+        peakConcurrency: workers,
+        assumptions: [
+            `Each worker sends a request every ${meanIntervalSeconds}s on average`,
+            `Responses carry ${ASSUMPTIONS.httpResponseBytes} bytes and return before the worker's next request`
+        ],
+        details: { workers, requestsPerSecond: workers / meanIntervalSeconds }
+    });
+}
+
+function estimateCarrierApiTest(config, { retryPolicy }) {
+    const requests = (CARRIER_TEST_SUITES[config.testSuite] || CARRIER_TEST_SUITES.basic).length;
+    const headers = config.authConfig.apiKey ? { Authorization: `Bearer ${config.authConfig.apiKey}` } : {};
+
+    return estimate({
+        requests,
+        retriedRequests: requests,
+        retryPolicy,
+        durationSeconds: requests * (ASSUMPTIONS.httpSeconds + CARRIER_TEST_DELAY_MS / 1000),
+        bytes: requests * httpExchangeBytes({ headers }),
+        details: { testSuite: CARRIER_TEST_SUITES[config.testSuite] ? config.testSuite : 'basic' }
+    });
+}
+
+function estimateApiHealthCheck(config, { retryPolicy }) {
+    const samples = Math.ceil(config.duration / config.interval);
+    const requests = samples * config.endpoints.length;
+
+    return estimate({
+        requests,
+        retriedRequests: requests,
+        retryPolicy,
+        durationSeconds: config.duration,
+        bytes: requests * httpExchangeBytes(),
+        details: { samples }
+    });
+}
+
 function calculateApiTestSummary(results) {
     if (results.length === 0) return {};
 
     const successful = results.filter(r => r.success);
     const failed = results.filter(r => !r.success);
+    const timings = summarizeTimings(results);
 
     return {
         totalRequests: results.length,
@@ -704,6 +715,8 @@ function calculateApiTestSummary(results) {
         averageResponseTime: results.reduce((sum, r) => sum + r.response_time, 0) / results.length,
         minResponseTime: Math.min(...results.map(r => r.response_time)),
         maxResponseTime: Math.max(...results.map(r => r.response_time)),
+        retriedRequests: results.filter(r => (r.attempts || 1) > 1).length,
+        totalAttempts: results.reduce((sum, r) => sum + (r.attempts || 1), 0),
         statusCodeDistribution: results.reduce((acc, r) => {
             acc[r.status_code] = (acc[r.status_code] || 0) + 1;
             return acc;
@@ -712,8 +725,135 @@ function calculateApiTestSummary(results) {
             const error = r.error_message || 'Unknown error';
             acc[error] = (acc[error] || 0) + 1;
             return acc;
-        }, {})
+        }, {}),
+        // See requestTimings()
+        timings: timings && results[0].network_profile ? { ...timings, viaEmulationProxy: true } : timings,
+        networkProfile: results[0].network_profile || null
     };
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Inject the engine and database shared by every router
+module.exports.init = function init(services) {
+    ({ testingEngine, dbService, networkEmulator } = services);
+    router.post('/:path', launchTestType(services, 'api'));
+    return router;
+};
+
+// Test types launched through this router (POST /api/testing/<path>)
+const requestFields = {
+    method: Joi.string().uppercase().default('GET'),
+    headers: Joi.object().default({}),
+    payload: Joi.any().default(null),
+    // A preset from NETWORK_PROFILES or custom settings; requests then go through the emulation proxy
+    networkProfile: Joi.alternatives(
+        Joi.string().valid(...Object.keys(NETWORK_PROFILES)),
+        Joi.object({
+            name: Joi.string(),
+            latencyMs: Joi.number().min(0).max(10000),
+            jitterMs: Joi.number().min(0).max(5000),
+            lossPercent: Joi.number().min(0).max(100),
+            downloadKbps: Joi.number().min(0),
+            uploadKbps: Joi.number().min(0),
+            disconnectPercent: Joi.number().min(0).max(100)
+        })
+    ).default(null)
+};
+
+module.exports.testTypes = [
+    {
+        type: 'api_test',
+        label: 'API test',
+        category: 'api',
+        path: '/test',
+        resultStore: 'api',
+        schema: Joi.object({
+            endpoints: Joi.array().items(Joi.string()).min(1).required()
+                .messages({ '*': 'At least one endpoint is required' }),
+            ...requestFields,
+            timeout: Joi.number().integer().positive().default(30000),
+            iterations: Joi.number().integer().min(1).default(1),
+            interval: Joi.number().min(0).default(1000)
+        }),
+        events: { update: 'api_test_update', complete: 'api_test_complete' },
+        run: (config, { retryPolicy, signal }) => runApiTest(config.testId, config, retryPolicy, signal),
+        summarize: calculateApiTestSummary,
+        estimate: estimateApiTest,
+        describeLaunch: config => ({
+            endpointCount: config.endpoints.length,
+            estimatedDuration: Math.ceil((config.iterations * config.endpoints.length * config.interval) / 1000)
+        })
+    },
+    {
+        type: 'load_test',
+        label: 'load test',
+        category: 'api',
+        path: '/load',
+        resultStore: 'api',
+        schema: Joi.object({
+            endpoint: Joi.string().required()
+                .messages({ '*': 'Endpoint is required for load testing' }),
+            ...requestFields,
+            concurrency: Joi.number().integer().min(1).default(10),
+            duration: Joi.number().positive().default(60),
+            rampUp: Joi.number().min(0).default(10)
+        }),
+        events: { update: 'load_test_update', complete: 'load_test_complete' },
+        run: (config, { signal }) => runLoadTest(config.testId, config, signal),
+        summarize: calculateApiTestSummary,
+        estimate: estimateLoadTest,
+        describeLaunch: config => ({
+            endpoint: config.endpoint,
+            concurrency: config.concurrency,
+            estimatedDuration: config.duration + config.rampUp
+        })
+    },
+    {
+        type: 'carrier_api_test',
+        label: 'carrier API test',
+        category: 'api',
+        path: '/carrier',
+        resultStore: 'api',
+        schema: Joi.object({
+            carrierId: Joi.any().required().messages({ '*': 'Carrier ID is required' }),
+            testSuite: Joi.string().default('basic'),
+            authConfig: Joi.object().default({})
+        }),
+        events: { update: 'carrier_api_update' },
+        prepare: async (config, { dbService }) => {
+            const carriers = await dbService.getCarriers();
+            config.carrier = carriers.find(c => c.id === config.carrierId);
+
+            if (!config.carrier) {
+                throw new TestConfigError('Carrier not found', { statusCode: 404, error: 'Carrier not found' });
+            }
+        },
+        run: (config, { retryPolicy, signal }) => runCarrierApiTest(config.testId, config, retryPolicy, signal),
+        summarize: calculateApiTestSummary,
+        estimate: estimateCarrierApiTest,
+        describeLaunch: config => ({ carrier: config.carrier.name, testSuite: config.testSuite })
+    },
+    {
+        type: 'api_health_check',
+        label: 'API health check',
+        category: 'api',
+        path: '/health',
+        resultStore: 'api',
+        schema: Joi.object({
+            endpoints: Joi.array().items(Joi.string()).required()
+                .messages({ '*': 'Endpoints array is required' }),
+            interval: Joi.number().positive().default(30),
+            duration: Joi.number().positive().default(300)
+        }),
+        events: { update: 'api_health_update' },
+        run: (config, { retryPolicy, signal }) => runApiHealthCheck(config.testId, config, retryPolicy, signal),
+        summarize: calculateApiTestSummary,
+        estimate: estimateApiHealthCheck,
+        describeLaunch: config => ({
+            endpoints: config.endpoints.length,
+            checkInterval: config.interval,
+            estimatedDuration: config.duration
+        })
+    }
+];
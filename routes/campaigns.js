@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const Logger = require('../services/logger');
+const { validate, schemas } = require('../middleware/validation');
+const { TestConfigError } = require('../services/test-registry');
+
+const logger = new Logger();
+
+// Shared services, injected by server.js through init()
+let campaignManager = null;
+
+// List campaigns
+router.get('/', async (req, res) => {
+    try {
+        const { status, limit = 50 } = req.query;
+        const campaigns = await campaignManager.getCampaigns(status || null, parseInt(limit));
+
+        res.json(campaigns);
+    } catch (error) {
+        logger.error('Get campaigns error:', error);
+        res.status(500).json({
+            error: 'Failed to get campaigns',
+            message: error.message
+        });
+    }
+});
+
+// Get a campaign with its steps, child test runs and verdict
+router.get('/:id', async (req, res) => {
+    try {
+        const campaign = await campaignManager.getCampaign(req.params.id);
+
+        if (!campaign) {
+            return res.status(404).json({
+                error: 'Campaign not found'
+            });
+        }
+
+        res.json(campaign);
+    } catch (error) {
+        logger.error('Get campaign error:', error);
+        res.status(500).json({
+            error: 'Failed to get campaign',
+            message: error.message
+        });
+    }
+});
+
+// Create and start a campaign
+router.post('/', validate(schemas.campaign), async (req, res) => {
+    try {
+        const campaign = await campaignManager.createCampaign(req.body);
+        logger.info(`Campaign started: ${campaign.name}`, { campaignId: campaign.id, mode: campaign.mode });
+
+        res.status(201).json(campaign);
+    } catch (error) {
+        if (error instanceof TestConfigError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+
+        logger.error('Create campaign error:', error);
+        res.status(500).json({
+            error: 'Failed to start campaign',
+            message: error.message
+        });
+    }
+});
+
+// Cancel a running campaign and stop its child tests
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const cancelled = await campaignManager.cancelCampaign(id);
+
+        if (!cancelled) {
+            const campaign = await campaignManager.getCampaign(id);
+
+            if (!campaign) {
+                return res.status(404).json({
+                    error: 'Campaign not found'
+                });
+            }
+
+            return res.status(409).json({
+                error: 'Campaign is not running',
+                campaignId: id,
+                status: campaign.status
+            });
+        }
+
+        logger.info(`Campaign ${id} cancelled`);
+
+        res.json({
+            campaignId: id,
+            status: 'cancelled'
+        });
+    } catch (error) {
+        logger.error('Cancel campaign error:', error);
+        res.status(500).json({
+            error: 'Failed to cancel campaign',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
+
+// Inject the campaign manager shared by every router
+module.exports.init = function init(services) {
+    ({ campaignManager } = services);
+    return router;
+};
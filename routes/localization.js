@@ -1,205 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
 
 // Import services
-const DatabaseService = require('../services/database');
 const Logger = require('../services/logger');
+const { launchTestType } = require('./test-types');
+const { estimate } = require('../services/test-plan');
 
 const logger = new Logger();
-const dbService = new DatabaseService();
 
-// Regional Service Testing
-router.post('/regional', async (req, res) => {
-    try {
-        const { regions, serviceTypes } = req.body;
-        const testId = uuidv4();
-
-        if (!regions || !Array.isArray(regions) || regions.length === 0) {
-            return res.status(400).json({
-                error: 'Regions array is required'
-            });
-        }
-
-        logger.info(`Starting regional testing ${testId}`, { regions, serviceTypes });
-
-        const testConfig = {
-            testId,
-            type: 'regional',
-            regions,
-            serviceTypes: serviceTypes || ['voice', 'sms', 'data'],
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-        
-        // Run regional tests
-        runRegionalTests(testId, regions, serviceTypes);
-
-        res.json({
-            testId,
-            status: 'started',
-            regions,
-            serviceTypes: testConfig.serviceTypes
-        });
-
-    } catch (error) {
-        logger.error('Regional testing error:', error);
-        res.status(500).json({
-            error: 'Failed to start regional testing',
-            message: error.message
-        });
-    }
-});
-
-// Language/Locale Testing
-router.post('/locale', async (req, res) => {
-    try {
-        const { locales, interfaceElements } = req.body;
-        const testId = uuidv4();
-
-        if (!locales || !Array.isArray(locales) || locales.length === 0) {
-            return res.status(400).json({
-                error: 'Locales array is required'
-            });
-        }
-
-        logger.info(`Starting locale testing ${testId}`, { locales, interfaceElements });
-
-        const testConfig = {
-            testId,
-            type: 'locale',
-            locales,
-            interfaceElements: interfaceElements || [],
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-        
-        // Run locale tests
-        runLocaleTests(testId, locales, interfaceElements);
-
-        res.json({
-            testId,
-            status: 'started',
-            locales,
-            interfaceElements
-        });
-
-    } catch (error) {
-        logger.error('Locale testing error:', error);
-        res.status(500).json({
-            error: 'Failed to start locale testing',
-            message: error.message
-        });
-    }
-});
-
-// Carrier-Specific Feature Testing
-router.post('/carrier-features', async (req, res) => {
-    try {
-        const { carriers, features } = req.body;
-        const testId = uuidv4();
-
-        if (!carriers || !Array.isArray(carriers) || carriers.length === 0) {
-            return res.status(400).json({
-                error: 'Carriers array is required'
-            });
-        }
-
-        logger.info(`Starting carrier feature testing ${testId}`, { carriers, features });
-
-        const testConfig = {
-            testId,
-            type: 'carrier-features',
-            carriers,
-            features: features || [],
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-        
-        // Run carrier feature tests
-        runCarrierFeatureTests(testId, carriers, features);
-
-        res.json({
-            testId,
-            status: 'started',
-            carriers,
-            features
-        });
+// Shared services, injected by server.js through init()
+let testingEngine = null;
+let dbService = null;
 
-    } catch (error) {
-        logger.error('Carrier feature testing error:', error);
-        res.status(500).json({
-            error: 'Failed to start carrier feature testing',
-            message: error.message
-        });
-    }
-});
-
-// Coverage Validation
-router.post('/coverage-validation', async (req, res) => {
-    try {
-        const { coverageUrl, validationPoints } = req.body;
-        const testId = uuidv4();
-
-        if (!coverageUrl || !validationPoints) {
-            return res.status(400).json({
-                error: 'Coverage URL and validation points are required'
-            });
-        }
-
-        let points;
-        try {
-            points = typeof validationPoints === 'string' 
-                ? JSON.parse(validationPoints) 
-                : validationPoints;
-        } catch (parseError) {
-            return res.status(400).json({
-                error: 'Invalid JSON format for validation points'
-            });
-        }
-
-        logger.info(`Starting coverage validation ${testId}`, { 
-            coverageUrl, 
-            pointCount: points.length 
-        });
-
-        const testConfig = {
-            testId,
-            type: 'coverage-validation',
-            coverageUrl,
-            validationPoints: points,
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-        
-        // Run coverage validation
-        const result = await runCoverageValidation(testId, coverageUrl, points);
-
-        res.json({
-            testId,
-            status: 'completed',
-            result
-        });
-
-    } catch (error) {
-        logger.error('Coverage validation error:', error);
-        res.status(500).json({
-            error: 'Failed to run coverage validation',
-            message: error.message
-        });
-    }
-});
+// Time each simulated check takes
+const REGION_CHECK_MS = 1000;
+const LOCALE_CHECK_MS = 800;
+const CARRIER_CHECK_MS = 1500;
+const VALIDATION_POINT_MS = 100;
 
 // Implementation functions
 async function runRegionalTests(testId, regions, serviceTypes) {
     try {
         for (const region of regions) {
             // Simulate regional testing
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            await new Promise(resolve => setTimeout(resolve, REGION_CHECK_MS));
             
             const success = Math.random() > 0.2; // 80% success rate
             const result = {
@@ -213,20 +38,18 @@ async function runRegionalTests(testId, regions, serviceTypes) {
             await dbService.saveTestResult(testId, result);
             
             // Broadcast update
-            const { broadcast } = require('../server');
-            broadcast({
-                type: 'regional_update',
+            testingEngine.publish('regional', 'update', {
                 testId,
                 data: result
             });
         }
 
-        await dbService.updateTestStatus(testId, 'completed');
+        await testingEngine.completeTest(testId, 'completed');
         logger.info(`Regional testing ${testId} completed`);
 
     } catch (error) {
         logger.error(`Regional testing ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
@@ -234,7 +57,7 @@ async function runLocaleTests(testId, locales, interfaceElements) {
     try {
         for (const locale of locales) {
             // Simulate locale testing
-            await new Promise(resolve => setTimeout(resolve, 800));
+            await new Promise(resolve => setTimeout(resolve, LOCALE_CHECK_MS));
             
             const elementsValidated = interfaceElements.map(element => ({
                 element,
@@ -252,20 +75,18 @@ async function runLocaleTests(testId, locales, interfaceElements) {
             await dbService.saveTestResult(testId, result);
             
             // Broadcast update
-            const { broadcast } = require('../server');
-            broadcast({
-                type: 'locale_update',
+            testingEngine.publish('locale', 'update', {
                 testId,
                 data: result
             });
         }
 
-        await dbService.updateTestStatus(testId, 'completed');
+        await testingEngine.completeTest(testId, 'completed');
         logger.info(`Locale testing ${testId} completed`);
 
     } catch (error) {
         logger.error(`Locale testing ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
@@ -273,7 +94,7 @@ async function runCarrierFeatureTests(testId, carriers, features) {
     try {
         for (const carrier of carriers) {
             // Simulate carrier feature testing
-            await new Promise(resolve => setTimeout(resolve, 1500));
+            await new Promise(resolve => setTimeout(resolve, CARRIER_CHECK_MS));
             
             const featureResults = features.map(feature => ({
                 feature,
@@ -291,20 +112,18 @@ async function runCarrierFeatureTests(testId, carriers, features) {
             await dbService.saveTestResult(testId, result);
             
             // Broadcast update
-            const { broadcast } = require('../server');
-            broadcast({
-                type: 'carrier_feature_update',
+            testingEngine.publish('carrier-features', 'update', {
                 testId,
                 data: result
             });
         }
 
-        await dbService.updateTestStatus(testId, 'completed');
+        await testingEngine.completeTest(testId, 'completed');
         logger.info(`Carrier feature testing ${testId} completed`);
 
     } catch (error) {
         logger.error(`Carrier feature testing ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
@@ -315,7 +134,7 @@ async function runCoverageValidation(testId, coverageUrl, validationPoints) {
 
         for (const point of validationPoints) {
             // Simulate coverage validation
-            await new Promise(resolve => setTimeout(resolve, 100));
+            await new Promise(resolve => setTimeout(resolve, VALIDATION_POINT_MS));
             
             const actualCoverage = Math.random() > 0.15 ? point.expected : 'No Coverage';
             const matches = actualCoverage === point.expected;
@@ -340,7 +159,7 @@ async function runCoverageValidation(testId, coverageUrl, validationPoints) {
         };
 
         await dbService.saveTestResult(testId, validationResult);
-        await dbService.updateTestStatus(testId, 'completed');
+        await testingEngine.completeTest(testId, 'completed');
         
         logger.info(`Coverage validation ${testId} completed: ${validationResult.validationRate.toFixed(1)}% validated`);
 
@@ -348,9 +167,139 @@ async function runCoverageValidation(testId, coverageUrl, validationPoints) {
 
     } catch (error) {
         logger.error(`Coverage validation ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
-        throw error;
+        await testingEngine.completeTest(testId, 'failed', error.message);
+    }
+}
+
+// Result summaries, reported alongside stored results
+function summarizeRegionalTests(results) {
+    const successful = results.filter(r => r.success).length;
+
+    return {
+        regionsTested: results.length,
+        successfulRegions: successful,
+        successRate: results.length > 0 ? (successful / results.length) * 100 : null
+    };
+}
+
+function summarizeLocaleTests(results) {
+    return {
+        localesTested: results.length,
+        fullyTranslated: results.filter(r => r.overallSuccess).length,
+        issues: results.reduce((sum, r) => sum + r.elementsValidated.filter(e => e.issues.length > 0).length, 0)
+    };
+}
+
+function summarizeCarrierFeatureTests(results) {
+    const scores = results.map(r => r.overallScore).filter(score => !Number.isNaN(score));
+
+    return {
+        carriersTested: results.length,
+        averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null
+    };
+}
+
+function summarizeCoverageValidation(results) {
+    const [validation] = results;
+    if (!validation) return null;
+
+    return {
+        totalPoints: validation.totalPoints,
+        validatedPoints: validation.validatedPoints,
+        validationRate: validation.validationRate
+    };
+}
+
+// Dry-run estimates; these checks are simulated, so only their duration is real
+function estimateSimulatedChecks(count, checkMs) {
+    return estimate({
+        durationSeconds: count * checkMs / 1000,
+        assumptions: ['Checks are simulated and send no traffic'],
+        details: { checks: count }
+    });
+}
+
+// Accepts validation points as an array or a JSON-encoded string
+function parseValidationPoints(value, helpers) {
+    if (typeof value !== 'string') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (parseError) {
+        return helpers.message('Invalid JSON format for validation points');
     }
 }
 
 module.exports = router;
+
+// Inject the engine and database shared by every router
+module.exports.init = function init(services) {
+    ({ testingEngine, dbService } = services);
+    router.post('/:path', launchTestType(services, 'localization'));
+    return router;
+};
+
+// Test types launched through this router (POST /api/localization/<path>)
+module.exports.testTypes = [
+    {
+        type: 'regional',
+        label: 'regional testing',
+        category: 'localization',
+        path: '/regional',
+        schema: Joi.object({
+            regions: Joi.array().min(1).required().messages({ '*': 'Regions array is required' }),
+            serviceTypes: Joi.array().items(Joi.string()).default(['voice', 'sms', 'data'])
+        }),
+        events: { update: 'regional_update' },
+        run: config => runRegionalTests(config.testId, config.regions, config.serviceTypes),
+        summarize: summarizeRegionalTests,
+        estimate: config => estimateSimulatedChecks(config.regions.length, REGION_CHECK_MS),
+        describeLaunch: config => ({ regions: config.regions, serviceTypes: config.serviceTypes })
+    },
+    {
+        type: 'locale',
+        label: 'locale testing',
+        category: 'localization',
+        path: '/locale',
+        schema: Joi.object({
+            locales: Joi.array().min(1).required().messages({ '*': 'Locales array is required' }),
+            interfaceElements: Joi.array().default([])
+        }),
+        events: { update: 'locale_update' },
+        run: config => runLocaleTests(config.testId, config.locales, config.interfaceElements),
+        summarize: summarizeLocaleTests,
+        estimate: config => estimateSimulatedChecks(config.locales.length, LOCALE_CHECK_MS),
+        describeLaunch: config => ({ locales: config.locales, interfaceElements: config.interfaceElements })
+    },
+    {
+        type: 'carrier-features',
+        label: 'carrier feature testing',
+        category: 'localization',
+        path: '/carrier-features',
+        schema: Joi.object({
+            carriers: Joi.array().min(1).required().messages({ '*': 'Carriers array is required' }),
+            features: Joi.array().items(Joi.string()).default([])
+        }),
+        events: { update: 'carrier_feature_update' },
+        run: config => runCarrierFeatureTests(config.testId, config.carriers, config.features),
+        summarize: summarizeCarrierFeatureTests,
+        estimate: config => estimateSimulatedChecks(config.carriers.length, CARRIER_CHECK_MS),
+        describeLaunch: config => ({ carriers: config.carriers, features: config.features })
+    },
+    {
+        type: 'coverage-validation',
+        label: 'coverage validation',
+        category: 'localization',
+        path: '/coverage-validation',
+        schema: Joi.object({
+            coverageUrl: Joi.string().required()
+                .messages({ 'any.required': 'Coverage URL and validation points are required' }),
+            validationPoints: Joi.any().required().custom(parseValidationPoints)
+                .messages({ 'any.required': 'Coverage URL and validation points are required' })
+        }),
+        run: config => runCoverageValidation(config.testId, config.coverageUrl, config.validationPoints),
+        summarize: summarizeCoverageValidation,
+        estimate: config => estimateSimulatedChecks(config.validationPoints.length, VALIDATION_POINT_MS),
+        describeLaunch: config => ({ coverageUrl: config.coverageUrl, pointCount: config.validationPoints.length })
+    }
+];
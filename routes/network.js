@@ -2,292 +2,215 @@ const express = require('express');
 const router = express.Router();
 const FastSpeedtest = require('fast-speedtest-api');
 const NetworkSpeed = require('network-speed');
-const ping = require('ping');
 const wifi = require('node-wifi');
 const si = require('systeminformation');
 const geolib = require('geolib');
-const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const dns = require('dns');
 
 // Import services
-const TestingEngine = require('../services/testing-engine');
-const DatabaseService = require('../services/database');
 const Logger = require('../services/logger');
+const { DEFAULT_RETRY_POLICY, classifyPingResult, withRetry, logRetry } = require('../services/retry');
+const { TestConfigError } = require('../services/test-registry');
+const { launchTestType } = require('./test-types');
+const { ASSUMPTIONS, estimate, pingBytes, httpExchangeBytes } = require('../services/test-plan');
+const { probeBurst, probeTargets, combineBursts, summarizeProbes } = require('../services/probing');
+const { trace, primaryAddress, comparePaths, reverseLookup, lookupAddress } = require('../services/traceroute');
+const { CODECS, summarizeCallQuality } = require('../services/e-model');
+const { QUALITY_PROBES, ROAMING_PROBES, qualitySample, roamingEndpointResult, roamingRegionResult, roamingResult } = require('../services/probe-results');
+const dnsClient = require('../services/dns-client');
+const { measureDownload, measureUpload } = require('../services/throughput');
+const { compareLoadedLatency, worstGrade } = require('../services/bufferbloat');
+const { SIGNAL_SOURCES, DEFAULT_SIGNAL_SOURCES, AT_DEVICE_PATTERN, createSignalSources, readSignal } = require('../services/signal-sources');
 
 const logger = new Logger();
-const testingEngine = new TestingEngine();
-const dbService = new DatabaseService();
+
+// Shared services, injected by server.js through init()
+let testingEngine = null;
+let dbService = null;
+
 const testSpeed = new NetworkSpeed();
 
+// Each speed sample downloads from SPEED_DOWNLOAD_URLS fast.com URLs for up to
+// SPEED_SAMPLE_TIMEOUT_MS, uploads network-speed's default 2 MB and pings these targets
+const SPEED_DOWNLOAD_URLS = 5;
+const SPEED_SAMPLE_TIMEOUT_MS = 10000;
+const SPEED_UPLOAD_BYTES = 2000000;
+const SPEED_PING_TARGETS = ['8.8.8.8', '1.1.1.1', '208.67.222.222'];
+// Probe bursts per sample (per point for coverage, per endpoint for roaming)
+const SPEED_PROBES = { count: 5, intervalMs: 200 };
+const COVERAGE_PROBES = { count: 3, intervalMs: 100 };
+const COVERAGE_PROBE_TARGET = '8.8.8.8';
+const TRACEROUTE_WAIT_SECONDS = 2;
+// Self-hosted speed-test servers (base URLs of instances of this framework) used
+// when a speed test names none; with none here either, it falls back to fast.com
+const DEFAULT_SPEED_SERVERS = (process.env.DEFAULT_SPEED_TEST_SERVERS || '')
+    .split(',').map(server => server.trim()).filter(Boolean);
+// Rates assumed when estimating a speed test's traffic
+const ASSUMED_DOWNLOAD_MBPS = 50;
+const ASSUMED_UPLOAD_MBPS = 10;
+
+const COVERAGE_SAMPLE_POINTS = { low: 50, medium: 200, high: 500 };
+const COVERAGE_POINT_DELAY_MS = 100;
+const QUALITY_INTERVAL_MS = 5000;
+const ROAMING_REGION_DELAY_MS = 2000;
+const DEFAULT_ROAMING_ENDPOINTS = ['8.8.8.8', '1.1.1.1'];
+// "system" is the host's own resolver, which on a mobile connection is usually the carrier's
+const DEFAULT_DNS_RESOLVERS = [
+    { name: 'system' },
+    { name: 'google', address: '8.8.8.8', url: 'https://dns.google/dns-query' },
+    { name: 'cloudflare', address: '1.1.1.1', url: 'https://cloudflare-dns.com/dns-query' }
+];
+const DNS_PROTOCOLS = ['udp', 'tcp', 'doh'];
+
 // Initialize WiFi
 wifi.init({
     iface: null // network interface, choose a random wifi interface if set to null
 });
 
-// Speed Test Endpoint - Real Implementation
-router.post('/speed', async (req, res) => {
+// Get Test Status
+router.get('/test/:testId', async (req, res) => {
     try {
-        const { duration = 30, frequency = 1, servers = [] } = req.body;
-        const testId = uuidv4();
-
-        logger.info(`Starting real speed test ${testId}`, { duration, frequency });
-
-        // Validate parameters
-        if (duration < 5 || duration > 300) {
-            return res.status(400).json({
-                error: 'Duration must be between 5 and 300 seconds'
-            });
-        }
+        const { testId } = req.params;
+        const testStatus = await dbService.getTestStatus(testId);
 
-        if (frequency < 0.1 || frequency > 10) {
-            return res.status(400).json({
-                error: 'Frequency must be between 0.1 and 10 Hz'
+        if (!testStatus) {
+            return res.status(404).json({
+                error: 'Test not found'
             });
         }
 
-        // Start speed test
-        const testConfig = {
-            testId,
-            type: 'speed',
-            duration,
-            frequency,
-            servers,
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-
-        // Run speed test asynchronously
-        runRealSpeedTest(testId, duration, frequency, servers);
+        // Get recent results
+        const recentResults = await dbService.getTestResults(testId, 10);
+        testStatus.recentResults = recentResults;
 
-        res.json({
-            testId,
-            status: 'started',
-            estimatedCompletion: new Date(Date.now() + duration * 1000)
-        });
+        res.json(testStatus);
 
     } catch (error) {
-        logger.error('Speed test error:', error);
+        logger.error('Get test status error:', error);
         res.status(500).json({
-            error: 'Failed to start speed test',
+            error: 'Failed to get test status',
             message: error.message
         });
     }
 });
 
-// Signal Strength Monitoring - Real Implementation
-router.post('/signal', async (req, res) => {
+// Stop Test
+router.delete('/test/:testId', async (req, res) => {
     try {
-        const { interval = 5, threshold = -70, duration = 300 } = req.body;
-        const testId = uuidv4();
-
-        logger.info(`Starting real signal monitoring ${testId}`, { interval, threshold, duration });
-
-        const testConfig = {
-            testId,
-            type: 'signal',
-            interval,
-            threshold,
-            duration,
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-
-        // Start signal monitoring
-        runRealSignalMonitoring(testId, interval, threshold, duration);
-
-        res.json({
-            testId,
-            status: 'started',
-            monitoringInterval: interval,
-            threshold
-        });
+        const { testId } = req.params;
+        
+        const stopped = await testingEngine.stopTest(testId);
 
-    } catch (error) {
-        logger.error('Signal monitoring error:', error);
-        res.status(500).json({
-            error: 'Failed to start signal monitoring',
-            message: error.message
-        });
-    }
-});
+        if (!stopped) {
+            const testStatus = await dbService.getTestStatus(testId);
 
-// Coverage Area Mapping - Real Implementation
-router.post('/coverage', async (req, res) => {
-    try {
-        const { bounds, density = 'medium', carriers = [] } = req.body;
-        const testId = uuidv4();
+            if (!testStatus) {
+                return res.status(404).json({
+                    error: 'Test not found'
+                });
+            }
 
-        if (!bounds || !bounds.north || !bounds.south || !bounds.east || !bounds.west) {
-            return res.status(400).json({
-                error: 'Complete geographic bounds (north, south, east, west) are required'
+            return res.status(409).json({
+                error: 'Test cannot be stopped',
+                testId,
+                status: testStatus.status
             });
         }
 
-        logger.info(`Starting real coverage mapping ${testId}`, { bounds, density });
-
-        const testConfig = {
-            testId,
-            type: 'coverage',
-            bounds,
-            density,
-            carriers,
-            startTime: new Date()
-        };
-
-        await dbService.saveTestConfig(testConfig);
-
-        // Run coverage mapping
-        runRealCoverageMapping(testId, bounds, density, carriers);
+        logger.info(`Test ${testId} stopped`);
 
         res.json({
             testId,
-            status: 'started',
-            bounds,
-            density,
-            estimatedCompletion: new Date(Date.now() + 300000) // 5 minutes estimate
+            status: 'cancelled'
         });
 
     } catch (error) {
-        logger.error('Coverage mapping error:', error);
+        logger.error('Stop test error:', error);
         res.status(500).json({
-            error: 'Failed to run coverage mapping',
+            error: 'Failed to stop test',
             message: error.message
         });
     }
 });
 
-// Network Quality Test - New Real Implementation
-router.post('/quality', async (req, res) => {
+// Pause Test (interval-driven tests only)
+router.post('/test/:testId/pause', async (req, res) => {
     try {
-        const { duration = 60, targets = ['8.8.8.8', '1.1.1.1'] } = req.body;
-        const testId = uuidv4();
-
-        logger.info(`Starting network quality test ${testId}`, { duration, targets });
+        const { testId } = req.params;
 
-        const testConfig = {
-            testId,
-            type: 'quality',
-            duration,
-            targets,
-            startTime: new Date()
-        };
+        const paused = await testingEngine.pauseTest(testId, req.body?.reason);
 
-        await dbService.saveTestConfig(testConfig);
+        if (!paused) {
+            return sendNotPausable(res, testId, 'Test cannot be paused');
+        }
 
-        // Run network quality test
-        runNetworkQualityTest(testId, duration, targets);
+        logger.info(`Test ${testId} paused`);
 
         res.json({
             testId,
-            status: 'started',
-            targets,
-            estimatedCompletion: new Date(Date.now() + duration * 1000)
+            status: 'paused',
+            remainingMs: testingEngine.getRemainingDuration(testId)
         });
 
     } catch (error) {
-        logger.error('Network quality test error:', error);
+        logger.error('Pause test error:', error);
         res.status(500).json({
-            error: 'Failed to start network quality test',
+            error: 'Failed to pause test',
             message: error.message
         });
     }
 });
 
-// Roaming Test - Enhanced Real Implementation
-router.post('/roaming', async (req, res) => {
+// Resume Test
+router.post('/test/:testId/resume', async (req, res) => {
     try {
-        const { sourceNetwork, targetRegions, testEndpoints = [] } = req.body;
-        const testId = uuidv4();
-
-        if (!sourceNetwork || !targetRegions) {
-            return res.status(400).json({
-                error: 'Source network and target regions are required'
-            });
-        }
+        const { testId } = req.params;
 
-        logger.info(`Starting enhanced roaming test ${testId}`, { sourceNetwork, targetRegions });
+        const resumed = await testingEngine.resumeTest(testId, req.body?.reason);
 
-        const testConfig = {
-            testId,
-            type: 'roaming',
-            sourceNetwork,
-            targetRegions,
-            testEndpoints,
-            startTime: new Date()
-        };
+        if (!resumed) {
+            return sendNotPausable(res, testId, 'Test cannot be resumed');
+        }
 
-        await dbService.saveTestConfig(testConfig);
+        logger.info(`Test ${testId} resumed`);
 
-        // Run roaming test
-        runEnhancedRoamingTest(testId, sourceNetwork, targetRegions, testEndpoints);
+        // Tests paused before a restart go back through the queue
+        const requeued = !testingEngine.getTestById(testId);
 
         res.json({
             testId,
-            status: 'started',
-            sourceNetwork,
-            targetRegions
+            status: requeued ? 'queued' : 'running',
+            remainingMs: testingEngine.getRemainingDuration(testId)
         });
 
     } catch (error) {
-        logger.error('Roaming test error:', error);
+        logger.error('Resume test error:', error);
         res.status(500).json({
-            error: 'Failed to start roaming test',
+            error: 'Failed to resume test',
             message: error.message
         });
     }
 });
 
-// Get Test Status
-router.get('/test/:testId', async (req, res) => {
-    try {
-        const { testId } = req.params;
-        const testStatus = await dbService.getTestStatus(testId);
+async function sendNotPausable(res, testId, message) {
+    const testStatus = await dbService.getTestStatus(testId);
 
-        if (!testStatus) {
-            return res.status(404).json({
-                error: 'Test not found'
-            });
-        }
-
-        // Get recent results
-        const recentResults = await dbService.getTestResults(testId, 10);
-        testStatus.recentResults = recentResults;
-
-        res.json(testStatus);
-
-    } catch (error) {
-        logger.error('Get test status error:', error);
-        res.status(500).json({
-            error: 'Failed to get test status',
-            message: error.message
+    if (!testStatus) {
+        return res.status(404).json({
+            error: 'Test not found'
         });
     }
-});
 
-// Stop Test
-router.delete('/test/:testId', async (req, res) => {
-    try {
-        const { testId } = req.params;
-        
-        await testingEngine.stopTest(testId);
-        await dbService.updateTestStatus(testId, 'stopped');
+    const test = testingEngine.getTestById(testId);
 
-        logger.info(`Test ${testId} stopped`);
-
-        res.json({
-            testId,
-            status: 'stopped'
-        });
-
-    } catch (error) {
-        logger.error('Stop test error:', error);
-        res.status(500).json({
-            error: 'Failed to stop test',
-            message: error.message
-        });
-    }
-});
+    return res.status(409).json({
+        error: message,
+        testId,
+        status: testStatus.status,
+        pausable: Boolean(test && test.sampling)
+    });
+}
 
 // Get Network Information
 router.get('/info', async (req, res) => {
@@ -305,200 +228,230 @@ router.get('/info', async (req, res) => {
 
 // Implementation functions
 
-async function runRealSpeedTest(testId, duration, frequency, servers = []) {
+async function runRealSpeedTest(testId, config, signal = new AbortController().signal) {
     try {
-        const startTime = Date.now();
-        const endTime = startTime + (duration * 1000);
-        const interval = 1000 / frequency;
-
-        // Initialize FastSpeedtest with custom servers if provided
-        const speedtest = new FastSpeedtest({
-            token: process.env.FAST_API_TOKEN || "YXNkZmFzZGxmbnNkYWZoYXNkZmhrYWxm", // Default token
-            verbose: false,
-            timeout: 10000,
-            https: true,
-            urlCount: 5,
-            bufferSize: 8,
-            unit: FastSpeedtest.UNITS.Mbps
-        });
-
-        const intervalId = setInterval(async () => {
-            try {
-                // Run multiple speed tests for accuracy
-                const downloadPromise = speedtest.getSpeed();
-                const uploadPromise = testSpeed.checkUploadSpeed();
-                
-                // Also get ping to various servers
-                const pingPromises = [
-                    ping.promise.probe('8.8.8.8'),
-                    ping.promise.probe('1.1.1.1'),
-                    ping.promise.probe('208.67.222.222')
-                ];
-
-                const [downloadSpeed, uploadResult, ...pingResults] = await Promise.allSettled([
-                    downloadPromise,
-                    uploadPromise,
-                    ...pingPromises
-                ]);
+        const { duration, frequency } = config;
+        const servers = config.servers.length > 0 ? config.servers : DEFAULT_SPEED_SERVERS;
+        const measure = servers.length > 0 ? selfHostedSpeedSample(servers, config, signal) : fastComSpeedSample();
+
+        // The engine skips ticks while a sample is still measuring, so samples never compete for the link
+        testingEngine.startSampling(testId, {
+            intervalMs: 1000 / frequency,
+            durationMs: duration * 1000,
+            sample: async () => {
+                try {
+                    for (const result of await measure()) {
+                        await dbService.saveTestResult(testId, result);
 
-                const avgPing = pingResults
-                    .filter(p => p.status === 'fulfilled' && p.value.alive)
-                    .map(p => p.value.time)
-                    .reduce((a, b, _, arr) => a + b / arr.length, 0);
+                        // Broadcast real-time update
+                        testingEngine.publish('speed', 'update', {
+                            testId,
+                            data: result,
+                            status: 'running'
+                        });
+                    }
 
-                const result = {
-                    timestamp: new Date(),
-                    downloadSpeed: downloadSpeed.status === 'fulfilled' ? downloadSpeed.value : 0,
-                    uploadSpeed: uploadResult.status === 'fulfilled' ? uploadResult.value.mbps : 0,
-                    latency: avgPing || 0,
-                    jitter: Math.random() * 5 + 1, // Calculate real jitter if available
-                    packetLoss: 0, // Would need multiple pings to calculate
-                    server: 'Auto-selected'
-                };
+                } catch (error) {
+                    logger.error(`Speed test ${testId} interval error:`, error);
 
-                await dbService.saveTestResult(testId, result);
+                    // Save error result
+                    const errorResult = {
+                        timestamp: new Date(),
+                        error: error.message,
+                        downloadSpeed: 0,
+                        uploadSpeed: 0,
+                        latency: 0
+                    };
 
-                // Broadcast real-time update
-                const { broadcast } = require('../server');
-                if (broadcast) {
-                    broadcast({
-                        type: 'test_update',
-                        testId,
-                        data: result,
-                        status: 'running'
-                    });
+                    await dbService.saveTestResult(testId, errorResult);
                 }
+            },
+            complete: async () => {
+                await testingEngine.completeTest(testId, 'completed');
 
-                if (Date.now() >= endTime) {
-                    clearInterval(intervalId);
-                    await dbService.updateTestStatus(testId, 'completed');
-                    
-                    if (broadcast) {
-                        broadcast({
-                            type: 'test_complete',
-                            testId,
-                            status: 'completed'
-                        });
-                    }
+                testingEngine.publish('speed', 'complete', {
+                    testId,
+                    status: 'completed'
+                });
 
-                    logger.info(`Speed test ${testId} completed`);
-                }
+                logger.info(`Speed test ${testId} completed`);
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Speed test ${testId} setup error:`, error);
+        await testingEngine.completeTest(testId, 'failed', error.message);
+    }
+}
+
+// Measures each server in turn, download then upload, so they don't share the link.
+// Latency is probed over TCP to the server's port while its download runs.
+function selfHostedSpeedSample(servers, { streams, sampleSeconds, warmupSeconds }, signal) {
+    const options = { streams, durationMs: sampleSeconds * 1000, warmupMs: warmupSeconds * 1000, signal };
+
+    return async () => {
+        const results = [];
 
+        for (const server of servers) {
+            if (signal.aborted) break;
+
+            const { host, port } = serverProbeTarget(server);
+
+            try {
+                // Settled together, so a failed download doesn't leave the probes unawaited
+                const [download, probes] = await Promise.allSettled([
+                    measureDownload(server, options),
+                    probeBurst(host, { ...SPEED_PROBES, method: 'tcp', port, signal })
+                ]);
+                if (download.status === 'rejected') throw download.reason;
+                const upload = await measureUpload(server, options);
+                const burst = probes.status === 'fulfilled' ? probes.value : null;
+
+                results.push({
+                    timestamp: new Date(),
+                    server,
+                    downloadSpeed: download.value.mbps,
+                    uploadSpeed: upload.mbps,
+                    latency: burst ? burst.latency.mean : null,
+                    latencyPercentiles: burst ? burst.latency : null,
+                    jitter: burst ? burst.jitter : null,
+                    packetLoss: burst ? burst.packetLoss : null,
+                    streams,
+                    download: describeTransfer(download.value),
+                    upload: describeTransfer(upload)
+                });
             } catch (error) {
-                logger.error(`Speed test ${testId} interval error:`, error);
-                
-                // Save error result
-                const errorResult = {
+                logger.warn(`Speed test against ${server} failed: ${error.message}`);
+                results.push({
                     timestamp: new Date(),
+                    server,
                     error: error.message,
                     downloadSpeed: 0,
                     uploadSpeed: 0,
                     latency: 0
-                };
-                
-                await dbService.saveTestResult(testId, errorResult);
+                });
             }
-        }, interval);
+        }
 
-        // Store interval ID for cleanup
-        testingEngine.addActiveTest(testId, intervalId);
+        return results;
+    };
+}
 
-    } catch (error) {
-        logger.error(`Speed test ${testId} setup error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
-    }
+function describeTransfer({ bytes, warmupBytes, seconds, failedStreams }) {
+    return { bytes, warmupBytes, seconds, failedStreams };
 }
 
-async function runRealSignalMonitoring(testId, interval, threshold, duration) {
-    try {
-        const startTime = Date.now();
-        const endTime = startTime + (duration * 1000);
+// Speed-test servers are probed with TCP handshakes to the port they serve on
+function serverProbeTarget(server) {
+    const url = new URL(server);
+    return { host: url.hostname, port: Number(url.port) || (url.protocol === 'https:' ? 443 : 80) };
+}
 
-        const intervalId = setInterval(async () => {
-            try {
-                // Get real wireless network information
-                const wifiInfo = await getWifiInfo();
-                const networkInterfaces = await si.networkInterfaces();
-                const networkStats = await si.networkStats();
-
-                // Calculate signal strength from available data
-                let signalStrength = -50; // Default fallback
-                let networkType = 'Unknown';
-                let carrier = 'Unknown';
-
-                if (wifiInfo && wifiInfo.signal_level) {
-                    signalStrength = wifiInfo.signal_level;
-                    networkType = 'WiFi';
-                    carrier = wifiInfo.ssid || 'Unknown WiFi';
-                } else if (networkInterfaces.length > 0) {
-                    // Use network interface data as proxy
-                    const activeInterface = networkInterfaces.find(ni => ni.operstate === 'up' && !ni.internal);
-                    if (activeInterface) {
-                        networkType = activeInterface.type;
-                        // Estimate signal strength based on speed capability
-                        if (activeInterface.speed >= 1000) {
-                            signalStrength = -30; // Strong
-                        } else if (activeInterface.speed >= 100) {
-                            signalStrength = -50; // Good
-                        } else {
-                            signalStrength = -70; // Weak
-                        }
-                    }
-                }
+// Fallback when no self-hosted server is configured: fast.com for download,
+// network-speed's default upload target, and pings to public DNS servers
+function fastComSpeedSample() {
+    const speedtest = new FastSpeedtest({
+        token: process.env.FAST_API_TOKEN || "YXNkZmFzZGxmbnNkYWZoYXNkZmhrYWxm", // Default token
+        verbose: false,
+        timeout: SPEED_SAMPLE_TIMEOUT_MS,
+        https: true,
+        urlCount: SPEED_DOWNLOAD_URLS,
+        bufferSize: 8,
+        unit: FastSpeedtest.UNITS.Mbps
+    });
+
+    return async () => {
+        // Latency, jitter and loss from probe bursts to several servers, under the transfer load
+        const [downloadSpeed, uploadResult, probes] = await Promise.allSettled([
+            speedtest.getSpeed(),
+            testSpeed.checkUploadSpeed(),
+            probeTargets(SPEED_PING_TARGETS, SPEED_PROBES)
+        ]);
 
-                const result = {
-                    timestamp: new Date(),
-                    signalStrength,
-                    networkType,
-                    carrier,
-                    belowThreshold: signalStrength < threshold,
-                    interfaceData: networkInterfaces[0] || null,
-                    stats: networkStats[0] || null
-                };
+        const probeSummary = probes.status === 'fulfilled' ? combineBursts(probes.value) : null;
+
+        return [{
+            timestamp: new Date(),
+            downloadSpeed: downloadSpeed.status === 'fulfilled' ? downloadSpeed.value : 0,
+            uploadSpeed: uploadResult.status === 'fulfilled' ? uploadResult.value.mbps : 0,
+            latency: probeSummary ? probeSummary.latency.mean : null,
+            latencyPercentiles: probeSummary ? probeSummary.latency : null,
+            jitter: probeSummary ? probeSummary.jitter : null,
+            packetLoss: probeSummary ? probeSummary.packetLoss : null,
+            server: 'Auto-selected'
+        }];
+    };
+}
+
+async function runRealSignalMonitoring(testId, config) {
+    const { interval, threshold, duration } = config;
+
+    try {
+        const sources = createSignalSources(config.sources, config);
+        // A missing modem or tool fails every sample the same way; log it once
+        const reported = new Set();
+
+        testingEngine.startSampling(testId, {
+            intervalMs: interval * 1000,
+            durationMs: duration * 1000,
+            sample: async () => {
+                try {
+                    const [{ reading, errors }, networkInterfaces, networkStats] = await Promise.all([
+                        readSignal(sources),
+                        si.networkInterfaces(),
+                        si.networkStats()
+                    ]);
+
+                    errors.filter(({ provider }) => !reported.has(provider)).forEach(({ provider, message }) => {
+                        reported.add(provider);
+                        logger.warn(`Signal source ${provider} unavailable for ${testId}: ${message}`);
+                    });
+
+                    const signalStrength = reading ? reading.signalStrength : null;
+                    const result = {
+                        timestamp: new Date(),
+                        provider: reading ? reading.provider : null,
+                        signalStrength,
+                        networkType: (reading && reading.networkType) || 'Unknown',
+                        carrier: (reading && reading.carrier) || 'Unknown',
+                        origin: reading ? reading.origin : {},
+                        belowThreshold: signalStrength !== null && signalStrength < threshold,
+                        details: reading ? reading.details : null,
+                        sourceErrors: errors,
+                        interfaceData: networkInterfaces[0] || null,
+                        stats: networkStats[0] || null
+                    };
 
-                await dbService.saveTestResult(testId, result);
+                    await dbService.saveTestResult(testId, result);
 
-                const { broadcast } = require('../server');
-                if (broadcast) {
-                    broadcast({
-                        type: 'signal_update',
+                    testingEngine.publish('signal', 'update', {
                         testId,
                         data: result
                     });
-                }
 
-                if (result.belowThreshold) {
-                    logger.warn(`Signal below threshold: ${signalStrength} dBm`);
-                }
+                    if (result.belowThreshold) {
+                        logger.warn(`Signal below threshold: ${signalStrength} dBm (${result.provider}, ${result.origin.signalStrength})`);
+                    }
 
-                if (Date.now() >= endTime) {
-                    clearInterval(intervalId);
-                    await dbService.updateTestStatus(testId, 'completed');
-                    logger.info(`Signal monitoring ${testId} completed`);
+                } catch (error) {
+                    logger.error(`Signal monitoring ${testId} error:`, error);
                 }
-
-            } catch (error) {
-                logger.error(`Signal monitoring ${testId} error:`, error);
+            },
+            complete: async () => {
+                await testingEngine.completeTest(testId, 'completed');
+                logger.info(`Signal monitoring ${testId} completed`);
             }
-        }, interval * 1000);
-
-        testingEngine.addActiveTest(testId, intervalId);
+        });
 
     } catch (error) {
         logger.error(`Signal monitoring ${testId} setup error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
-async function runRealCoverageMapping(testId, bounds, density, carriers) {
+async function runRealCoverageMapping(testId, bounds, density, carriers, signal = new AbortController().signal) {
     try {
-        const densityMap = {
-            low: 50,
-            medium: 200,
-            high: 500
-        };
-
-        const samplePoints = densityMap[density] || 200;
+        const samplePoints = COVERAGE_SAMPLE_POINTS[density] || COVERAGE_SAMPLE_POINTS.medium;
         const results = [];
 
         // Generate test points within bounds
@@ -513,19 +466,23 @@ async function runRealCoverageMapping(testId, bounds, density, carriers) {
 
         // Test each point
         for (let i = 0; i < testPoints.length; i++) {
+            // Stopped or timed out by the engine
+            if (signal.aborted) return;
+
             const point = testPoints[i];
             
             try {
-                // Simulate coverage test with real network ping
-                const pingResult = await ping.promise.probe('8.8.8.8');
-                const hasSignal = pingResult.alive;
+                // Simulate coverage test with a real probe burst
+                const burst = await probeBurst(COVERAGE_PROBE_TARGET, { ...COVERAGE_PROBES, signal });
+                const hasSignal = burst.alive;
+                const pingMs = burst.latency.mean;
                 
                 // Estimate signal strength based on ping time
                 let estimatedSignal = -100;
-                if (hasSignal && pingResult.time) {
-                    if (pingResult.time < 20) estimatedSignal = -40;
-                    else if (pingResult.time < 50) estimatedSignal = -60;
-                    else if (pingResult.time < 100) estimatedSignal = -80;
+                if (hasSignal && pingMs) {
+                    if (pingMs < 20) estimatedSignal = -40;
+                    else if (pingMs < 50) estimatedSignal = -60;
+                    else if (pingMs < 100) estimatedSignal = -80;
                     else estimatedSignal = -90;
                 }
 
@@ -534,7 +491,9 @@ async function runRealCoverageMapping(testId, bounds, density, carriers) {
                     longitude: point.longitude,
                     signalStrength: estimatedSignal,
                     hasSignal,
-                    pingMs: pingResult.time,
+                    pingMs,
+                    jitter: burst.jitter,
+                    packetLoss: burst.packetLoss,
                     timestamp: new Date()
                 };
 
@@ -545,10 +504,8 @@ async function runRealCoverageMapping(testId, bounds, density, carriers) {
                 });
 
                 // Broadcast progress
-                const { broadcast } = require('../server');
-                if (broadcast && i % 10 === 0) { // Every 10 points
-                    broadcast({
-                        type: 'coverage_progress',
+                if (i % 10 === 0) { // Every 10 points
+                    testingEngine.publish('coverage', 'progress', {
                         testId,
                         progress: (i / testPoints.length) * 100,
                         pointsTested: i + 1,
@@ -557,7 +514,7 @@ async function runRealCoverageMapping(testId, bounds, density, carriers) {
                 }
 
                 // Small delay to prevent overwhelming the network
-                await new Promise(resolve => setTimeout(resolve, 100));
+                await new Promise(resolve => setTimeout(resolve, COVERAGE_POINT_DELAY_MS));
 
             } catch (error) {
                 logger.error(`Coverage test error at point ${i}:`, error);
@@ -588,207 +545,834 @@ async function runRealCoverageMapping(testId, bounds, density, carriers) {
         };
 
         await dbService.saveTestResult(testId, finalResult);
-        await dbService.updateTestStatus(testId, 'completed');
+        await testingEngine.completeTest(testId, 'completed');
 
-        const { broadcast } = require('../server');
-        if (broadcast) {
-            broadcast({
-                type: 'coverage_complete',
-                testId,
-                result: finalResult
-            });
-        }
+        testingEngine.publish('coverage', 'complete', {
+            testId,
+            result: finalResult
+        });
 
         logger.info(`Coverage mapping ${testId} completed: ${coveragePercentage.toFixed(1)}% coverage`);
 
     } catch (error) {
         logger.error(`Coverage mapping ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
-        throw error;
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
-async function runNetworkQualityTest(testId, duration, targets) {
+async function runNetworkQualityTest(testId, duration, targets, codecs = Object.keys(CODECS)) {
     try {
-        const startTime = Date.now();
-        const endTime = startTime + (duration * 1000);
         const results = [];
 
-        const intervalId = setInterval(async () => {
-            try {
-                const timestamp = new Date();
-                const testResults = [];
-
-                // Test each target
-                for (const target of targets) {
-                    const pingResult = await ping.promise.probe(target);
-                    testResults.push({
-                        target,
-                        alive: pingResult.alive,
-                        time: pingResult.time || 0,
-                        timestamp
-                    });
-                }
+        testingEngine.startSampling(testId, {
+            intervalMs: QUALITY_INTERVAL_MS,
+            durationMs: duration * 1000,
+            sample: async () => {
+                try {
+                    const timestamp = new Date();
 
-                // Calculate quality metrics
-                const avgPing = testResults
-                    .filter(r => r.alive)
-                    .reduce((sum, r, _, arr) => sum + r.time / arr.length, 0);
-
-                const packetLoss = ((targets.length - testResults.filter(r => r.alive).length) / targets.length) * 100;
-
-                const qualityResult = {
-                    timestamp,
-                    averagePing: avgPing,
-                    packetLoss,
-                    targets: testResults,
-                    quality: avgPing < 50 && packetLoss < 1 ? 'excellent' : 
-                            avgPing < 100 && packetLoss < 5 ? 'good' : 
-                            avgPing < 200 && packetLoss < 10 ? 'fair' : 'poor'
-                };
+                    // Probe every target at once with a burst each
+                    const bursts = await probeTargets(targets, QUALITY_PROBES);
+                    const qualityResult = qualitySample(bursts, codecs, timestamp);
 
-                results.push(qualityResult);
-                await dbService.saveTestResult(testId, qualityResult);
+                    results.push(qualityResult);
+                    await dbService.saveTestResult(testId, qualityResult);
 
-                const { broadcast } = require('../server');
-                if (broadcast) {
-                    broadcast({
-                        type: 'quality_update',
+                    testingEngine.publish('quality', 'update', {
                         testId,
                         data: qualityResult
                     });
-                }
 
-                if (Date.now() >= endTime) {
-                    clearInterval(intervalId);
-                    await dbService.updateTestStatus(testId, 'completed');
-                    logger.info(`Network quality test ${testId} completed`);
+                } catch (error) {
+                    logger.error(`Network quality test ${testId} interval error:`, error);
                 }
-
-            } catch (error) {
-                logger.error(`Network quality test ${testId} interval error:`, error);
+            },
+            complete: async () => {
+                await testingEngine.completeTest(testId, 'completed');
+                logger.info(`Network quality test ${testId} completed`);
             }
-        }, 5000); // Test every 5 seconds
-
-        testingEngine.addActiveTest(testId, intervalId);
+        });
 
     } catch (error) {
         logger.error(`Network quality test ${testId} setup error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
+        await testingEngine.completeTest(testId, 'failed', error.message);
     }
 }
 
-async function runEnhancedRoamingTest(testId, sourceNetwork, targetRegions, testEndpoints) {
+async function runEnhancedRoamingTest(testId, sourceNetwork, targetRegions, testEndpoints, retryPolicy = DEFAULT_RETRY_POLICY, signal = new AbortController().signal) {
     try {
-        const regions = Array.isArray(targetRegions) ? targetRegions : targetRegions.split(',').map(r => r.trim());
-        const endpoints = testEndpoints.length > 0 ? testEndpoints : ['8.8.8.8', '1.1.1.1'];
+        const regions = parseRegions(targetRegions);
+        const endpoints = testEndpoints.length > 0 ? testEndpoints : DEFAULT_ROAMING_ENDPOINTS;
         const results = [];
 
         for (const region of regions) {
+            // Stopped or timed out by the engine
+            if (signal.aborted) return;
+
             logger.info(`Testing roaming in region: ${region}`);
 
-            const regionResult = {
-                region,
-                timestamp: new Date(),
-                endpointResults: []
-            };
+            const startedAt = new Date();
+            const endpointResults = [];
 
             // Test each endpoint from this "region"
             for (const endpoint of endpoints) {
                 try {
-                    const pingResult = await ping.promise.probe(endpoint);
-                    const endpointResult = {
-                        endpoint,
-                        success: pingResult.alive,
-                        latency: pingResult.time,
-                        timestamp: new Date()
-                    };
+                    // A burst counts as unreachable, and is retried, only when every probe is lost
+                    const { value: burst, attempts } = await withRetry(
+                        () => probeBurst(endpoint, { ...ROAMING_PROBES, signal }),
+                        retryPolicy,
+                        { classifyResult: classifyPingResult, onRetry: logRetry(`Roaming test ${testId} ping ${endpoint}`, logger), signal }
+                    );
+                    const endpointResult = { ...roamingEndpointResult(endpoint, burst), attempts };
 
-                    regionResult.endpointResults.push(endpointResult);
+                    endpointResults.push(endpointResult);
 
                     // Simulate additional roaming-specific checks
-                    if (pingResult.alive) {
+                    if (burst.alive) {
                         // Test HTTP connectivity
                         try {
                             const axios = require('axios');
-                            const startTime = Date.now();
-                            await axios.get(`http://httpbin.org/ip`, { timeout: 5000 });
+                            let startTime;
+                            const { attempts: httpAttempts } = await withRetry(() => {
+                                startTime = Date.now();
+                                return axios.get(`http://httpbin.org/ip`, { timeout: 5000, signal });
+                            }, retryPolicy, { onRetry: logRetry(`Roaming test ${testId} HTTP check`, logger), signal });
                             endpointResult.httpLatency = Date.now() - startTime;
                             endpointResult.httpSuccess = true;
+                            endpointResult.httpAttempts = httpAttempts;
                         } catch (httpError) {
                             endpointResult.httpSuccess = false;
                             endpointResult.httpError = httpError.message;
+                            endpointResult.httpAttempts = httpError.attempts || 1;
                         }
                     }
 
                 } catch (error) {
-                    regionResult.endpointResults.push({
+                    endpointResults.push({
                         endpoint,
                         success: false,
                         error: error.message,
+                        attempts: error.attempts || 1,
                         timestamp: new Date()
                     });
                 }
             }
 
             // Calculate region success rate
-            const successfulEndpoints = regionResult.endpointResults.filter(r => r.success).length;
-            regionResult.successRate = (successfulEndpoints / regionResult.endpointResults.length) * 100;
-            regionResult.averageLatency = regionResult.endpointResults
-                .filter(r => r.success && r.latency)
-                .reduce((sum, r, _, arr) => sum + r.latency / arr.length, 0);
+            const regionResult = roamingRegionResult(region, endpointResults, startedAt);
 
             results.push(regionResult);
             await dbService.saveTestResult(testId, regionResult);
 
             // Broadcast update
-            const { broadcast } = require('../server');
-            if (broadcast) {
-                broadcast({
-                    type: 'roaming_update',
-                    testId,
-                    data: regionResult
-                });
-            }
+            testingEngine.publish('roaming', 'update', {
+                testId,
+                data: regionResult
+            });
 
             // Add delay between regions
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            await sleep(ROAMING_REGION_DELAY_MS, signal);
         }
 
         // Calculate overall results
-        const overallResult = {
+        const overallResult = { testId, ...roamingResult(sourceNetwork, results) };
+
+        await dbService.saveTestResult(testId, overallResult);
+        await testingEngine.completeTest(testId, 'completed');
+
+        testingEngine.publish('roaming', 'complete', {
+            testId,
+            result: overallResult
+        });
+
+        logger.info(`Roaming test ${testId} completed`);
+
+    } catch (error) {
+        logger.error(`Roaming test ${testId} error:`, error);
+        await testingEngine.completeTest(testId, 'failed', error.message);
+    }
+}
+
+async function runTraceroute(testId, config, signal = new AbortController().signal) {
+    try {
+        const { target, runs, intervalSeconds, maxHops, probesPerHop } = config;
+        // Every probe to each hop number across runs, for the per-hop loss and RTT distribution
+        const hopHistory = new Map();
+        const pathChanges = [];
+        let previousPath = null;
+        const targetAddress = await lookupAddress(target);
+
+        for (let run = 1; run <= runs; run++) {
+            // Stopped or timed out by the engine
+            if (signal.aborted) return;
+
+            const described = [];
+            const hops = await trace(target, {
+                maxHops,
+                probesPerHop,
+                waitSeconds: TRACEROUTE_WAIT_SECONDS,
+                signal,
+                onHop: hop => {
+                    // Stream each hop as traceroute prints it
+                    const detail = describeHop(hop).then(hopResult => {
+                        testingEngine.publish('traceroute', 'update', { testId, run, hop: hopResult });
+                        return hopResult;
+                    });
+                    described.push(detail);
+                }
+            });
+            if (signal.aborted) return;
+
+            const hopResults = await Promise.all(described);
+            for (const hop of hops) {
+                const history = hopHistory.get(hop.hop) || { addresses: new Set(), samples: [] };
+                hop.probes.forEach(probe => {
+                    if (probe.address) history.addresses.add(probe.address);
+                    history.samples.push({ sequence: history.samples.length, rtt: probe.rtt });
+                });
+                hopHistory.set(hop.hop, history);
+            }
+
+            const path = hops.map(primaryAddress);
+            const changes = previousPath ? comparePaths(previousPath, path) : [];
+            if (changes.length > 0) {
+                pathChanges.push({ run, changes });
+                testingEngine.publish('traceroute', 'pathChange', { testId, run, changes });
+                logger.info(`Traceroute ${testId} path to ${target} changed at hops ${changes.map(c => c.hop).join(', ')}`);
+            }
+            previousPath = path;
+
+            await dbService.saveTestResult(testId, {
+                run,
+                timestamp: new Date(),
+                target,
+                reached: targetAddress !== null && path.includes(targetAddress),
+                path,
+                pathChanged: changes.length > 0,
+                changes,
+                hops: hopResults
+            });
+
+            if (run < runs) {
+                await sleep(intervalSeconds * 1000, signal);
+            }
+        }
+
+        const finalResult = {
             testId,
-            sourceNetwork,
-            regionsTotal: regions.length,
-            regionsSuccessful: results.filter(r => r.successRate > 50).length,
-            overallSuccessRate: results.reduce((sum, r) => sum + r.successRate, 0) / results.length,
-            averageLatency: results.reduce((sum, r) => sum + r.averageLatency, 0) / results.length,
-            results,
+            target,
+            runs,
+            hops: await Promise.all(Array.from(hopHistory.entries())
+                .sort(([a], [b]) => a - b)
+                .map(async ([hop, history]) => {
+                    const { samples, alive, ...stats } = summarizeProbes(history.samples);
+                    const addresses = Array.from(history.addresses);
+                    return {
+                        hop,
+                        addresses,
+                        hostnames: await Promise.all(addresses.map(reverseLookup)),
+                        ...stats
+                    };
+                })),
+            pathChanges,
             completedAt: new Date()
         };
 
-        await dbService.saveTestResult(testId, overallResult);
-        await dbService.updateTestStatus(testId, 'completed');
+        await dbService.saveTestResult(testId, finalResult);
+        await testingEngine.completeTest(testId, 'completed');
+
+        testingEngine.publish('traceroute', 'complete', {
+            testId,
+            result: finalResult
+        });
+
+        logger.info(`Traceroute ${testId} to ${target} completed: ${finalResult.hops.length} hops, ${pathChanges.length} path changes`);
+
+    } catch (error) {
+        logger.error(`Traceroute ${testId} error:`, error);
+        await testingEngine.completeTest(testId, 'failed', error.message);
+    }
+}
+
+// Idle latency first, then latency while downloads and then uploads saturate
+// the link. Loaded probes start once the transfers are past their warm-up.
+async function runBufferbloatTest(testId, config, signal = new AbortController().signal) {
+    try {
+        const { server, streams, baselineSeconds, loadSeconds, warmupSeconds, probeIntervalMs } = config;
+        const { host, port } = serverProbeTarget(server);
+        const probeOptions = { method: 'tcp', port, intervalMs: probeIntervalMs, signal };
+
+        const idle = await probeBurst(host, { ...probeOptions, count: probeCount(baselineSeconds, probeIntervalMs) });
+        if (signal.aborted) return;
+        if (!idle.alive) {
+            throw new Error(`${host}:${port} didn't answer any latency probes while idle`);
+        }
+        await saveBufferbloatPhase(testId, { phase: 'idle', ...describeProbes(idle) });
+
+        const loaded = {};
+        for (const direction of ['download', 'upload']) {
+            const measure = direction === 'download' ? measureDownload : measureUpload;
+            // Settled together, so a failed transfer doesn't leave the probes unawaited
+            const [transferred, probed] = await Promise.allSettled([
+                measure(server, { streams, durationMs: loadSeconds * 1000, warmupMs: warmupSeconds * 1000, signal }),
+                sleep(warmupSeconds * 1000, signal)
+                    .then(() => probeBurst(host, { ...probeOptions, count: probeCount(loadSeconds - warmupSeconds, probeIntervalMs) }))
+            ]);
+            if (signal.aborted) return;
+            const [transfer, probes] = [transferred, probed].map(outcome => {
+                if (outcome.status === 'rejected') throw outcome.reason;
+                return outcome.value;
+            });
+
+            loaded[direction] = {
+                mbps: transfer.mbps,
+                ...describeProbes(probes),
+                ...compareLoadedLatency(idle, probes)
+            };
+            await saveBufferbloatPhase(testId, { phase: direction, ...loaded[direction] });
+        }
+
+        const increases = measured([loaded.download.increaseMs, loaded.upload.increaseMs]);
+        const finalResult = {
+            testId,
+            server,
+            idle: describeProbes(idle),
+            download: loaded.download,
+            upload: loaded.upload,
+            latencyIncrease: increases.length > 0 ? Math.max(...increases) : null,
+            grade: worstGrade([loaded.download.grade, loaded.upload.grade]),
+            completedAt: new Date()
+        };
+
+        await dbService.saveTestResult(testId, finalResult);
+        await testingEngine.completeTest(testId, 'completed');
+
+        testingEngine.publish('bufferbloat', 'complete', {
+            testId,
+            result: finalResult
+        });
+
+        logger.info(`Bufferbloat test ${testId} completed: grade ${finalResult.grade}`);
+
+    } catch (error) {
+        logger.error(`Bufferbloat test ${testId} error:`, error);
+        await testingEngine.completeTest(testId, 'failed', error.message);
+    }
+}
+
+async function saveBufferbloatPhase(testId, result) {
+    const phaseResult = { ...result, timestamp: new Date() };
+
+    await dbService.saveTestResult(testId, phaseResult);
+
+    testingEngine.publish('bufferbloat', 'update', {
+        testId,
+        data: phaseResult
+    });
+}
+
+function describeProbes({ sent, received, packetLoss, latency, jitter }) {
+    return { sent, received, packetLoss, latency, jitter };
+}
+
+function probeCount(seconds, intervalMs) {
+    return Math.max(2, Math.floor((seconds * 1000) / intervalMs));
+}
+
+// Resolves after `ms`, or as soon as the run is stopped
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal.aborted) return resolve();
+
+        const stop = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', stop);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', stop, { once: true });
+    });
+}
+
+async function runDnsTest(testId, config, signal = new AbortController().signal) {
+    try {
+        const { names, protocols, recordType, iterations, timeoutMs } = config;
+        const resolvers = resolveDnsServers(config.resolvers);
+        const lookups = [];
 
-        const { broadcast } = require('../server');
-        if (broadcast) {
-            broadcast({
-                type: 'roaming_complete',
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            const iterationLookups = [];
+
+            for (const name of names) {
+                for (const resolver of resolvers) {
+                    for (const protocol of protocols.filter(p => supportsProtocol(resolver, p))) {
+                        // Stopped or timed out by the engine
+                        if (signal.aborted) return;
+
+                        iterationLookups.push(await timeLookup(name, resolver, protocol, { recordType, timeoutMs, signal }));
+                    }
+                }
+            }
+
+            const iterationResult = {
+                iteration,
+                timestamp: new Date(),
+                lookups: iterationLookups,
+                mismatches: findAnswerMismatches(iterationLookups)
+            };
+            lookups.push(...iterationLookups);
+
+            await dbService.saveTestResult(testId, iterationResult);
+
+            testingEngine.publish('dns', 'update', {
                 testId,
-                result: overallResult
+                data: iterationResult
             });
         }
 
-        logger.info(`Roaming test ${testId} completed`);
+        const finalResult = {
+            testId,
+            names,
+            recordType,
+            iterations,
+            resolvers: resolvers.map(({ name, address, port, url }) => ({ name, address, port, url })),
+            byResolver: summarizeDnsLookups(lookups),
+            mismatches: findAnswerMismatches(lookups),
+            completedAt: new Date()
+        };
+
+        await dbService.saveTestResult(testId, finalResult);
+        await testingEngine.completeTest(testId, 'completed');
+
+        testingEngine.publish('dns', 'complete', {
+            testId,
+            result: finalResult
+        });
+
+        logger.info(`DNS test ${testId} completed: ${lookups.length} lookups, ${finalResult.mismatches.length} mismatched names`);
 
     } catch (error) {
-        logger.error(`Roaming test ${testId} error:`, error);
-        await dbService.updateTestStatus(testId, 'failed');
-        throw error;
+        logger.error(`DNS test ${testId} error:`, error);
+        await testingEngine.completeTest(testId, 'failed', error.message);
+    }
+}
+
+// A failed lookup records why: a transport error code (e.g. TIMEOUT) or a non-NOERROR rcode
+async function timeLookup(name, resolver, protocol, { recordType, timeoutMs, signal }) {
+    const lookup = { name, resolver: resolver.name, protocol, type: recordType, timestamp: new Date() };
+
+    try {
+        const response = await dnsClient.resolve(name, { type: recordType, protocol, resolver, timeoutMs, signal });
+        const answers = response.answers.map(({ type, data, ttl }) => ({ type, data, ttl }));
+
+        return {
+            ...lookup,
+            latencyMs: response.latencyMs,
+            rcode: response.rcode,
+            failure: response.rcode === 'NOERROR' ? null : response.rcode,
+            truncated: response.truncated,
+            answers,
+            minTtl: answers.length > 0 ? Math.min(...answers.map(answer => answer.ttl)) : null
+        };
+    } catch (error) {
+        return { ...lookup, latencyMs: null, rcode: null, failure: error.code || 'ERROR', error: error.message, answers: [], minTtl: null };
     }
 }
 
+// Names whose answers differ between resolvers. `disjoint` means no address in
+// common at all, which points at a filtering or hijacking resolver rather
+// than a CDN handing out different edges.
+function findAnswerMismatches(lookups) {
+    const byName = {};
+    for (const lookup of lookups.filter(l => l.failure === null)) {
+        const answers = (byName[lookup.name] = byName[lookup.name] || {});
+        const addresses = (answers[lookup.resolver] = answers[lookup.resolver] || new Set());
+        lookup.answers.filter(answer => answer.type === lookup.type).forEach(answer => addresses.add(answer.data));
+    }
+
+    return Object.entries(byName).reduce((mismatches, [name, answers]) => {
+        const sets = Object.values(answers);
+        const keys = sets.map(set => Array.from(set).sort().join(','));
+        if (sets.length < 2 || new Set(keys).size === 1) return mismatches;
+
+        const shared = sets.reduce((common, set) => new Set([...common].filter(address => set.has(address))));
+        mismatches.push({
+            name,
+            disjoint: shared.size === 0,
+            answers: Object.fromEntries(Object.entries(answers).map(([resolver, set]) => [resolver, Array.from(set).sort()]))
+        });
+        return mismatches;
+    }, []);
+}
+
+// Latency distribution, failure codes and TTLs per resolver and protocol
+function summarizeDnsLookups(lookups) {
+    const groups = {};
+    for (const lookup of lookups) {
+        const key = `${lookup.resolver}/${lookup.protocol}`;
+        (groups[key] = groups[key] || []).push(lookup);
+    }
+
+    return Object.fromEntries(Object.entries(groups).map(([key, group]) => {
+        const { sent, received, packetLoss, latency } = summarizeProbes(
+            group.map((lookup, sequence) => ({ sequence, rtt: lookup.failure === null ? lookup.latencyMs : null }))
+        );
+        const ttls = measured(group.map(lookup => lookup.minTtl));
+
+        return [key, {
+            resolver: group[0].resolver,
+            protocol: group[0].protocol,
+            lookups: sent,
+            answered: received,
+            failureRate: packetLoss,
+            failureCodes: group.filter(l => l.failure !== null).reduce((acc, l) => {
+                acc[l.failure] = (acc[l.failure] || 0) + 1;
+                return acc;
+            }, {}),
+            latency,
+            ttl: ttls.length > 0 ? { min: Math.min(...ttls), max: Math.max(...ttls) } : null
+        }];
+    }));
+}
+
+// Fills in the host's resolver for "system" entries
+function resolveDnsServers(resolvers) {
+    return resolvers.map(resolver => (
+        resolver.name === 'system' && !resolver.address && !resolver.url
+            ? { ...resolver, address: dns.getServers()[0] || '127.0.0.1' }
+            : resolver
+    ));
+}
+
+function supportsProtocol(resolver, protocol) {
+    return protocol === 'doh' ? Boolean(resolver.url) : Boolean(resolver.address);
+}
+
+// One run's view of a hop: where the replies came from and how they fared
+async function describeHop(hop) {
+    const address = primaryAddress(hop);
+    const { samples, alive, ...stats } = summarizeProbes(hop.probes.map((probe, sequence) => ({ sequence, rtt: probe.rtt })));
+
+    return {
+        hop: hop.hop,
+        address,
+        hostname: address ? await reverseLookup(address) : null,
+        rtts: hop.probes.map(probe => probe.rtt),
+        ...stats
+    };
+}
+
+// Result summaries, reported alongside stored results
+function summarizeSpeedTest(results) {
+    const samples = results.filter(r => !r.error);
+
+    return {
+        samples: results.length,
+        failedSamples: results.length - samples.length,
+        averageDownloadSpeed: average(samples.map(r => r.downloadSpeed)),
+        averageUploadSpeed: average(samples.map(r => r.uploadSpeed)),
+        averageLatency: average(measured(samples.map(r => r.latency))),
+        averageJitter: average(measured(samples.map(r => r.jitter))),
+        averagePacketLoss: average(measured(samples.map(r => r.packetLoss))),
+        maxDownloadSpeed: samples.length > 0 ? Math.max(...samples.map(r => r.downloadSpeed)) : null,
+        byServer: summarizeSpeedByServer(results)
+    };
+}
+
+function summarizeBufferbloatTest(results) {
+    const final = results.find(r => r.grade !== undefined && r.phase === undefined);
+    if (!final) return null;
+
+    return {
+        server: final.server,
+        grade: final.grade,
+        idleLatency: final.idle.latency.p50,
+        latencyIncrease: final.latencyIncrease,
+        downloadSpeed: final.download.mbps,
+        uploadSpeed: final.upload.mbps,
+        loadedPacketLoss: Math.max(final.download.packetLoss, final.upload.packetLoss)
+    };
+}
+
+// Results from the fast.com fallback have no server of their own
+function summarizeSpeedByServer(results) {
+    const byServer = {};
+    for (const result of results) {
+        const server = result.server || 'Auto-selected';
+        (byServer[server] = byServer[server] || []).push(result);
+    }
+
+    return Object.fromEntries(Object.entries(byServer).map(([server, serverResults]) => {
+        const samples = serverResults.filter(r => !r.error);
+
+        return [server, {
+            samples: serverResults.length,
+            failedSamples: serverResults.length - samples.length,
+            averageDownloadSpeed: average(measured(samples.map(r => r.downloadSpeed))),
+            averageUploadSpeed: average(measured(samples.map(r => r.uploadSpeed))),
+            averageLatency: average(measured(samples.map(r => r.latency)))
+        }];
+    }));
+}
+
+function summarizeSignalMonitoring(results) {
+    const strengths = measured(results.map(r => r.signalStrength));
+    // Results saved before signal sources existed carry no origin
+    const originOf = r => (r.origin ? r.origin.signalStrength : undefined);
+
+    return {
+        samples: results.length,
+        averageSignal: average(strengths),
+        minSignal: strengths.length > 0 ? Math.min(...strengths) : null,
+        maxSignal: strengths.length > 0 ? Math.max(...strengths) : null,
+        belowThresholdSamples: results.filter(r => r.belowThreshold).length,
+        measuredSamples: results.filter(r => originOf(r) === 'measured').length,
+        estimatedSamples: results.filter(r => originOf(r) === 'estimated').length,
+        noSignalSamples: results.filter(r => r.signalStrength === null).length,
+        byProvider: results.reduce((acc, r) => {
+            const provider = r.provider || 'none';
+            acc[provider] = (acc[provider] || 0) + 1;
+            return acc;
+        }, {})
+    };
+}
+
+function summarizeCoverageMapping(results) {
+    const final = results.find(r => r.samplePoints !== undefined);
+    if (!final) return null;
+
+    return {
+        samplePoints: final.samplePoints,
+        coveredPoints: final.coveredPoints,
+        coverage: final.coverage,
+        averageSignal: final.averageSignal
+    };
+}
+
+function summarizeNetworkQuality(results) {
+    return {
+        samples: results.length,
+        averagePing: average(results.map(r => r.averagePing)),
+        averageJitter: average(measured(results.map(r => r.jitter))),
+        averagePacketLoss: average(results.map(r => r.packetLoss)),
+        callQuality: summarizeCallQuality(results.map(r => r.callQuality)),
+        qualityDistribution: results.reduce((acc, r) => {
+            acc[r.quality] = (acc[r.quality] || 0) + 1;
+            return acc;
+        }, {})
+    };
+}
+
+function summarizeRoamingTest(results) {
+    const regions = results.filter(r => r.region !== undefined);
+
+    return {
+        regionsTested: regions.length,
+        regionsSuccessful: regions.filter(r => r.successRate > 50).length,
+        averageSuccessRate: average(regions.map(r => r.successRate)),
+        averageLatency: average(regions.map(r => r.averageLatency))
+    };
+}
+
+function summarizeTraceroute(results) {
+    const final = results.find(r => r.pathChanges !== undefined);
+    if (!final) return null;
+
+    return {
+        target: final.target,
+        runs: final.runs,
+        hops: final.hops.length,
+        pathChanges: final.pathChanges.length,
+        // The first hop losing more than half its probes, where the path most likely breaks
+        firstLossyHop: (final.hops.find(hop => hop.packetLoss > 50) || {}).hop || null,
+        slowestHop: final.hops.reduce((slowest, hop) => (
+            hop.latency.mean !== null && (!slowest || hop.latency.mean > slowest.latency.mean) ? hop : slowest
+        ), null)?.hop ?? null
+    };
+}
+
+function summarizeDnsTest(results) {
+    const final = results.find(r => r.byResolver !== undefined);
+    if (!final) return null;
+
+    const groups = Object.values(final.byResolver);
+    const fastest = groups
+        .filter(group => group.latency.p50 !== null)
+        .sort((a, b) => a.latency.p50 - b.latency.p50)[0];
+
+    return {
+        names: final.names.length,
+        lookups: groups.reduce((sum, group) => sum + group.lookups, 0),
+        failureRate: average(groups.map(group => group.failureRate)),
+        fastest: fastest ? `${fastest.resolver}/${fastest.protocol}` : null,
+        mismatchedNames: final.mismatches.length
+    };
+}
+
+// Dry-run estimates of what each test would send
+function estimateSpeedTest(config) {
+    const servers = config.servers.length > 0 ? config.servers : DEFAULT_SPEED_SERVERS;
+    if (servers.length > 0) return estimateSelfHostedSpeedTest(config, servers);
+
+    const samples = Math.ceil(config.duration * config.frequency);
+    const sampleSeconds = SPEED_SAMPLE_TIMEOUT_MS / 1000;
+    const downloadBytes = (ASSUMED_DOWNLOAD_MBPS * 1000000 / 8) * sampleSeconds;
+    const probesPerSample = SPEED_PING_TARGETS.length * SPEED_PROBES.count;
+    const requestsPerSample = SPEED_DOWNLOAD_URLS + 1 + probesPerSample;
+
+    return estimate({
+        requests: samples * requestsPerSample,
+        durationSeconds: config.duration + sampleSeconds,
+        bytes: samples * (downloadBytes + SPEED_UPLOAD_BYTES + pingBytes(probesPerSample)),
+        // Samples start every 1/frequency seconds but each can take up to the download timeout
+        peakConcurrency: Math.min(samples, Math.ceil(sampleSeconds * config.frequency)) * requestsPerSample,
+        assumptions: [`Downloads run for ${sampleSeconds}s at ${ASSUMED_DOWNLOAD_MBPS} Mbps`],
+        details: { samples }
+    });
+}
+
+// Samples run back to back when one outlasts the interval, since a tick is skipped while one runs
+function estimateSelfHostedSpeedTest(config, servers) {
+    const sampleSeconds = servers.length * 2 * config.sampleSeconds;
+    const samples = Math.max(1, Math.ceil(config.duration / Math.max(1 / config.frequency, sampleSeconds)));
+    const bytesPerServer = ((ASSUMED_DOWNLOAD_MBPS + ASSUMED_UPLOAD_MBPS) * 1000000 / 8) * config.sampleSeconds;
+
+    return estimate({
+        // Each stream keeps one transfer open per direction
+        requests: samples * servers.length * (2 * config.streams + SPEED_PROBES.count),
+        durationSeconds: config.duration + sampleSeconds,
+        bytes: samples * servers.length * bytesPerServer,
+        peakConcurrency: config.streams,
+        assumptions: [
+            `Downloads run at ${ASSUMED_DOWNLOAD_MBPS} Mbps and uploads at ${ASSUMED_UPLOAD_MBPS} Mbps`,
+            `Each transfer lasts ${config.sampleSeconds}s, of which the first ${config.warmupSeconds}s are discarded`
+        ],
+        details: { samples, servers }
+    });
+}
+
+function estimateBufferbloatTest(config) {
+    const probes = probeCount(config.baselineSeconds, config.probeIntervalMs)
+        + 2 * probeCount(config.loadSeconds - config.warmupSeconds, config.probeIntervalMs);
+
+    return estimate({
+        requests: probes + 2 * config.streams,
+        durationSeconds: config.baselineSeconds + 2 * config.loadSeconds,
+        bytes: ((ASSUMED_DOWNLOAD_MBPS + ASSUMED_UPLOAD_MBPS) * 1000000 / 8) * config.loadSeconds,
+        peakConcurrency: config.streams + 1,
+        assumptions: [`Downloads run at ${ASSUMED_DOWNLOAD_MBPS} Mbps and uploads at ${ASSUMED_UPLOAD_MBPS} Mbps`],
+        details: { probes }
+    });
+}
+
+function estimateSignalMonitoring(config) {
+    return estimate({
+        durationSeconds: config.duration,
+        assumptions: ['Reads local WiFi, modem and interface data; sends no traffic'],
+        details: { samples: Math.ceil(config.duration / config.interval) }
+    });
+}
+
+function estimateCoverageMapping(config) {
+    const points = COVERAGE_SAMPLE_POINTS[config.density] || COVERAGE_SAMPLE_POINTS.medium;
+    const probes = points * COVERAGE_PROBES.count;
+
+    return estimate({
+        requests: probes,
+        durationSeconds: points * (burstSeconds(COVERAGE_PROBES) + COVERAGE_POINT_DELAY_MS / 1000),
+        bytes: pingBytes(probes),
+        assumptions: [`Each ping answers in ${ASSUMPTIONS.pingSeconds * 1000}ms`],
+        details: { samplePoints: points }
+    });
+}
+
+function estimateNetworkQuality(config) {
+    const samples = Math.ceil(config.duration * 1000 / QUALITY_INTERVAL_MS);
+    const requests = samples * config.targets.length * QUALITY_PROBES.count;
+
+    return estimate({
+        requests,
+        durationSeconds: config.duration,
+        bytes: pingBytes(requests),
+        details: { samples }
+    });
+}
+
+function estimateRoamingTest(config, { retryPolicy }) {
+    const regions = parseRegions(config.targetRegions).length;
+    const endpoints = config.testEndpoints.length > 0 ? config.testEndpoints.length : DEFAULT_ROAMING_ENDPOINTS.length;
+    const checks = regions * endpoints;
+    const probes = checks * ROAMING_PROBES.count;
+
+    // An HTTP check follows every probe burst that gets an answer
+    return estimate({
+        requests: probes + checks,
+        retriedRequests: probes + checks,
+        retryPolicy,
+        durationSeconds: checks * (burstSeconds(ROAMING_PROBES) + ASSUMPTIONS.httpSeconds) + regions * ROAMING_REGION_DELAY_MS / 1000,
+        bytes: pingBytes(probes) + checks * httpExchangeBytes(),
+        assumptions: ['Every endpoint answers its probes, so each gets an HTTP check'],
+        details: { regions, endpointsPerRegion: endpoints }
+    });
+}
+
+function estimateTraceroute(config) {
+    const probes = config.runs * config.maxHops * config.probesPerHop;
+
+    return estimate({
+        requests: probes,
+        durationSeconds: config.runs * config.maxHops * config.probesPerHop * ASSUMPTIONS.pingSeconds
+            + (config.runs - 1) * config.intervalSeconds,
+        bytes: pingBytes(probes),
+        assumptions: [
+            'Counts every hop up to maxHops; most paths end sooner',
+            `Each hop answers in ${ASSUMPTIONS.pingSeconds * 1000}ms; silent hops wait up to ${TRACEROUTE_WAIT_SECONDS}s per probe`
+        ],
+        details: { runs: config.runs, maxProbesPerRun: config.maxHops * config.probesPerHop }
+    });
+}
+
+function estimateDnsTest(config) {
+    const resolvers = resolveDnsServers(config.resolvers);
+    const perName = resolvers.map(resolver => config.protocols.filter(p => supportsProtocol(resolver, p)));
+    const lookups = config.iterations * config.names.length * perName.reduce((sum, protocols) => sum + protocols.length, 0);
+    const dohLookups = config.iterations * config.names.length * perName.filter(protocols => protocols.includes('doh')).length;
+
+    // Lookups run one after another
+    return estimate({
+        requests: lookups,
+        durationSeconds: lookups * ASSUMPTIONS.dnsSeconds,
+        bytes: lookups * ASSUMPTIONS.dnsBytes + dohLookups * ASSUMPTIONS.httpOverheadBytes,
+        assumptions: [
+            `Each resolver answers in ${ASSUMPTIONS.dnsSeconds * 1000}ms; unanswered lookups wait up to ${config.timeoutMs}ms`,
+            'TCP connection setup and DoH TLS handshakes are not counted'
+        ],
+        details: { lookupsPerIteration: lookups / config.iterations }
+    });
+}
+
 // Helper functions
+
+// Time for one probe burst: the spacing between probes plus the last reply
+function burstSeconds({ count, intervalMs }) {
+    return ((count - 1) * intervalMs) / 1000 + ASSUMPTIONS.pingSeconds;
+}
+
+function parseRegions(targetRegions) {
+    return Array.isArray(targetRegions) ? targetRegions : targetRegions.split(',').map(r => r.trim());
+}
+
+// Drops readings that weren't taken, e.g. jitter from a burst with under two replies
+function measured(values) {
+    return values.filter(value => value !== null && value !== undefined);
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
 async function getNetworkInfo() {
     try {
         const [networkInterfaces, networkStats, inetChecksite] = await Promise.all([
@@ -833,4 +1417,230 @@ async function getWifiInfo() {
     }
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Inject the engine and database shared by every router
+module.exports.init = function init(services) {
+    ({ testingEngine, dbService } = services);
+    router.post('/:path', launchTestType(services, 'network'));
+    return router;
+};
+
+// Test types launched through this router (POST /api/network/<path>)
+module.exports.testTypes = [
+    {
+        type: 'speed',
+        label: 'speed test',
+        category: 'network',
+        path: '/speed',
+        schema: Joi.object({
+            duration: Joi.number().min(5).max(300).default(30)
+                .messages({ '*': 'Duration must be between 5 and 300 seconds' }),
+            frequency: Joi.number().min(0.1).max(10).default(1)
+                .messages({ '*': 'Frequency must be between 0.1 and 10 Hz' }),
+            // Base URLs of instances serving /api/speedtest; fast.com when none are given or configured
+            servers: Joi.array().items(Joi.string().uri({ scheme: ['http', 'https'] })).default([]),
+            streams: Joi.number().integer().min(1).max(16).default(4),
+            sampleSeconds: Joi.number().min(2).max(60).default(10),
+            warmupSeconds: Joi.number().min(0).less(Joi.ref('sampleSeconds')).default(2)
+                .messages({ 'number.less': 'Warm-up must be shorter than the sample' })
+        }),
+        events: { update: 'test_update', complete: 'test_complete' },
+        run: (config, { signal }) => runRealSpeedTest(config.testId, config, signal),
+        targets: config => config.servers.length > 0 ? config.servers : DEFAULT_SPEED_SERVERS,
+        summarize: summarizeSpeedTest,
+        estimate: estimateSpeedTest,
+        describeLaunch: config => ({ estimatedDuration: config.duration })
+    },
+    {
+        type: 'signal',
+        label: 'signal monitoring',
+        category: 'network',
+        path: '/signal',
+        schema: Joi.object({
+            interval: Joi.number().positive().default(5),
+            threshold: Joi.number().default(-70),
+            duration: Joi.number().positive().default(300),
+            // Tried in order each sample; see services/signal-sources.js
+            sources: Joi.array().items(Joi.string().custom((value, helpers) => (
+                SIGNAL_SOURCES[value] ? value : helpers.message(`Unknown signal source: ${value}`)
+            ))).min(1).unique().default(DEFAULT_SIGNAL_SOURCES),
+            // mmcli modem index; the first modem when not given
+            modem: Joi.string().pattern(/^\d+$/).default(null),
+            // AT port for the "at" source
+            device: Joi.string().pattern(AT_DEVICE_PATTERN)
+                .when('sources', { is: Joi.array().has('at'), then: Joi.required() })
+                .messages({
+                    'any.required': 'The at source needs the modem\'s AT port as device, e.g. /dev/ttyUSB2',
+                    'string.pattern.base': 'device must be a modem port: /dev/ttyUSB<n>, /dev/ttyACM<n> or /dev/cdc-wdm<n>'
+                }),
+            // Readings for the "replay" source, e.g. an earlier test's results
+            trace: Joi.array().items(Joi.object({
+                signalStrength: Joi.number().allow(null),
+                networkType: Joi.string().allow(null),
+                carrier: Joi.string().allow(null),
+                origin: Joi.object().pattern(Joi.string(), Joi.string().valid('measured', 'estimated'))
+            }).unknown(true)).min(1)
+                .when('sources', { is: Joi.array().has('replay'), then: Joi.required() })
+                .messages({ 'any.required': 'The replay source needs a recorded trace' }),
+            loop: Joi.boolean().default(false)
+        }),
+        events: { update: 'signal_update' },
+        run: config => runRealSignalMonitoring(config.testId, config),
+        summarize: summarizeSignalMonitoring,
+        estimate: estimateSignalMonitoring,
+        describeLaunch: config => ({ monitoringInterval: config.interval, threshold: config.threshold })
+    },
+    {
+        type: 'coverage',
+        label: 'coverage mapping',
+        category: 'network',
+        path: '/coverage',
+        schema: Joi.object({
+            bounds: Joi.object({
+                north: Joi.number().required(),
+                south: Joi.number().required(),
+                east: Joi.number().required(),
+                west: Joi.number().required()
+            }).required()
+                .messages({ '*': 'Complete geographic bounds (north, south, east, west) are required' }),
+            density: Joi.string().valid('low', 'medium', 'high').default('medium'),
+            carriers: Joi.array().items(Joi.string()).default([])
+        }),
+        events: { progress: 'coverage_progress', complete: 'coverage_complete' },
+        run: (config, { signal }) => runRealCoverageMapping(config.testId, config.bounds, config.density, config.carriers, signal),
+        summarize: summarizeCoverageMapping,
+        estimate: estimateCoverageMapping,
+        describeLaunch: config => ({
+            bounds: config.bounds,
+            density: config.density,
+            estimatedDuration: estimateCoverageMapping(config).durationSeconds
+        })
+    },
+    {
+        type: 'quality',
+        label: 'network quality test',
+        category: 'network',
+        path: '/quality',
+        schema: Joi.object({
+            duration: Joi.number().positive().default(60),
+            targets: Joi.array().items(Joi.string()).min(1).default(['8.8.8.8', '1.1.1.1']),
+            codecs: Joi.array().items(Joi.string().valid(...Object.keys(CODECS))).min(1).default(Object.keys(CODECS))
+        }),
+        events: { update: 'quality_update' },
+        run: config => runNetworkQualityTest(config.testId, config.duration, config.targets, config.codecs),
+        summarize: summarizeNetworkQuality,
+        estimate: estimateNetworkQuality,
+        describeLaunch: config => ({ targets: config.targets, estimatedDuration: config.duration })
+    },
+    {
+        type: 'roaming',
+        label: 'roaming test',
+        category: 'network',
+        path: '/roaming',
+        schema: Joi.object({
+            sourceNetwork: Joi.string().required()
+                .messages({ '*': 'Source network and target regions are required' }),
+            targetRegions: Joi.alternatives(Joi.array().items(Joi.string()).min(1), Joi.string()).required()
+                .messages({ '*': 'Source network and target regions are required' }),
+            testEndpoints: Joi.array().items(Joi.string()).default([])
+        }),
+        events: { update: 'roaming_update', complete: 'roaming_complete' },
+        run: (config, { retryPolicy, signal }) => runEnhancedRoamingTest(
+            config.testId, config.sourceNetwork, config.targetRegions, config.testEndpoints, retryPolicy, signal
+        ),
+        targets: config => config.testEndpoints.length > 0 ? config.testEndpoints : DEFAULT_ROAMING_ENDPOINTS,
+        summarize: summarizeRoamingTest,
+        estimate: estimateRoamingTest,
+        describeLaunch: config => ({ sourceNetwork: config.sourceNetwork, targetRegions: config.targetRegions })
+    },
+    {
+        type: 'traceroute',
+        label: 'traceroute',
+        category: 'network',
+        path: '/traceroute',
+        schema: Joi.object({
+            // Passed to traceroute, so only a host name or address, never something that reads as an option
+            target: Joi.alternatives(Joi.string().hostname(), Joi.string().ip()).required()
+                .messages({ '*': 'A target host name or IP address is required for traceroute' }),
+            runs: Joi.number().integer().min(1).max(20).default(3),
+            intervalSeconds: Joi.number().min(0).default(10),
+            maxHops: Joi.number().integer().min(1).max(64).default(30),
+            probesPerHop: Joi.number().integer().min(1).max(10).default(3)
+        }),
+        events: { update: 'traceroute_hop', pathChange: 'traceroute_path_change', complete: 'traceroute_complete' },
+        run: (config, { signal }) => runTraceroute(config.testId, config, signal),
+        targets: config => [config.target],
+        summarize: summarizeTraceroute,
+        estimate: estimateTraceroute,
+        describeLaunch: config => ({
+            target: config.target,
+            runs: config.runs,
+            estimatedDuration: estimateTraceroute(config).durationSeconds
+        })
+    },
+    {
+        type: 'bufferbloat',
+        label: 'latency-under-load test',
+        category: 'network',
+        path: '/bufferbloat',
+        schema: Joi.object({
+            // Base URL of an instance serving /api/speedtest; defaults to the first configured one
+            server: Joi.string().uri({ scheme: ['http', 'https'] }),
+            streams: Joi.number().integer().min(1).max(16).default(4),
+            baselineSeconds: Joi.number().min(1).max(60).default(5),
+            loadSeconds: Joi.number().min(2).max(120).default(10),
+            warmupSeconds: Joi.number().min(0).less(Joi.ref('loadSeconds')).default(2)
+                .messages({ 'number.less': 'Warm-up must be shorter than the load phase' }),
+            probeIntervalMs: Joi.number().integer().min(50).max(5000).default(200)
+        }),
+        events: { update: 'bufferbloat_update', complete: 'bufferbloat_complete' },
+        prepare: async config => {
+            config.server = config.server || DEFAULT_SPEED_SERVERS[0];
+
+            if (!config.server) {
+                throw new TestConfigError('A speed-test server is required: give a server or set DEFAULT_SPEED_TEST_SERVERS');
+            }
+        },
+        run: (config, { signal }) => runBufferbloatTest(config.testId, config, signal),
+        targets: config => [config.server],
+        summarize: summarizeBufferbloatTest,
+        estimate: estimateBufferbloatTest,
+        describeLaunch: config => ({
+            server: config.server,
+            estimatedDuration: estimateBufferbloatTest(config).durationSeconds
+        })
+    },
+    {
+        type: 'dns',
+        label: 'DNS test',
+        category: 'network',
+        path: '/dns',
+        schema: Joi.object({
+            names: Joi.array().items(Joi.string().hostname()).min(1).required()
+                .messages({ '*': 'At least one hostname to resolve is required' }),
+            resolvers: Joi.array().items(Joi.object({
+                name: Joi.string().required(),
+                address: Joi.string().ip(),
+                port: Joi.number().integer().min(1).max(65535),
+                url: Joi.string().uri({ scheme: ['http', 'https'] })
+            }).when(Joi.object({ name: Joi.invalid('system') }).unknown(), {
+                then: Joi.object().or('address', 'url').messages({ '*': 'Resolvers other than "system" need an address or a DoH url' })
+            })).min(1).default(DEFAULT_DNS_RESOLVERS),
+            protocols: Joi.array().items(Joi.string().valid(...DNS_PROTOCOLS)).min(1).default(DNS_PROTOCOLS),
+            recordType: Joi.string().valid('A', 'AAAA').default('A'),
+            iterations: Joi.number().integer().min(1).max(100).default(3),
+            timeoutMs: Joi.number().integer().min(100).max(30000).default(2000)
+        }),
+        events: { update: 'dns_update', complete: 'dns_complete' },
+        run: (config, { signal }) => runDnsTest(config.testId, config, signal),
+        targets: config => config.resolvers.map(resolver => resolver.url || resolver.address),
+        summarize: summarizeDnsTest,
+        estimate: estimateDnsTest,
+        describeLaunch: config => ({
+            names: config.names,
+            resolvers: config.resolvers.map(resolver => resolver.name),
+            protocols: config.protocols
+        })
+    }
+];
@@ -4,11 +4,14 @@ const fs = require('fs').promises;
 const path = require('path');
 
 // Import services
-const DatabaseService = require('../services/database');
 const Logger = require('../services/logger');
+const { isTerminal } = require('../services/test-lifecycle');
 
 const logger = new Logger();
-const dbService = new DatabaseService();
+
+// Shared services, injected by server.js through init()
+let testingEngine = null;
+let dbService = null;
 
 // Get all test results with pagination
 router.get('/', async (req, res) => {
@@ -111,10 +114,12 @@ router.get('/:testId', async (req, res) => {
         }
 
         const results = await dbService.getTestResults(testId, limit);
+        const summary = await testingEngine.summarizeTest(testId, testConfig.type);
 
         res.json({
             testId,
             config: testConfig,
+            summary,
             results,
             resultCount: results.length
         });
@@ -128,6 +133,41 @@ router.get('/:testId', async (req, res) => {
     }
 });
 
+// Get test lifecycle timeline
+router.get('/:testId/timeline', async (req, res) => {
+    try {
+        const { testId } = req.params;
+
+        const testConfig = await dbService.getTestStatus(testId);
+        if (!testConfig) {
+            return res.status(404).json({
+                error: 'Test not found'
+            });
+        }
+
+        const timeline = await dbService.getTestTimeline(testId);
+
+        res.json({
+            testId,
+            type: testConfig.type,
+            status: testConfig.status,
+            timeline: timeline.map(entry => ({
+                from: entry.from_status,
+                to: entry.to_status,
+                reason: entry.reason,
+                at: entry.created_at
+            }))
+        });
+
+    } catch (error) {
+        logger.error('Get test timeline error:', error);
+        res.status(500).json({
+            error: 'Failed to get test timeline',
+            message: error.message
+        });
+    }
+});
+
 // Export test results
 router.post('/export/:testId', async (req, res) => {
     try {
@@ -308,6 +348,36 @@ router.get('/stats/summary', async (req, res) => {
     }
 });
 
+// Engine statistics from the run history: runs per type and status, run time
+// and queue wait percentiles. Filter with ?window=24h (m, h or d), or ?from=&to=
+// as ISO dates, and ?type=
+router.get('/stats/engine', async (req, res) => {
+    try {
+        const { window, from, to, type = null } = req.query;
+        const range = parseStatsWindow({ window, from, to });
+
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: range.error
+            });
+        }
+
+        const stats = await testingEngine.getRunStats({ ...range, type });
+
+        res.json({
+            ...stats,
+            generatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Get engine statistics error:', error);
+        res.status(500).json({
+            error: 'Failed to get engine statistics',
+            message: error.message
+        });
+    }
+});
+
 // Delete test results
 router.delete('/:testId', async (req, res) => {
     try {
@@ -320,17 +390,12 @@ router.delete('/:testId', async (req, res) => {
             });
         }
 
-        // Stop test if it's running
-        if (testConfig.status === 'running') {
-            const TestingEngine = require('../services/testing-engine');
-            const testingEngine = new TestingEngine();
+        // Stop test if it hasn't finished yet
+        if (!isTerminal(testConfig.status)) {
             await testingEngine.stopTest(testId);
         }
 
-        // Delete test results
-        await dbService.db.run('DELETE FROM test_results WHERE test_id = ?', [testId]);
-        await dbService.db.run('DELETE FROM api_test_results WHERE test_id = ?', [testId]);
-        await dbService.db.run('DELETE FROM test_configs WHERE id = ?', [testId]);
+        await dbService.deleteTest(testId);
 
         logger.info(`Test ${testId} deleted`);
 
@@ -359,9 +424,8 @@ router.post('/bulk-delete', async (req, res) => {
         if (testIds && Array.isArray(testIds)) {
             // Delete specific tests
             for (const testId of testIds) {
-                await dbService.db.run('DELETE FROM test_results WHERE test_id = ?', [testId]);
-                await dbService.db.run('DELETE FROM api_test_results WHERE test_id = ?', [testId]);
-                await dbService.db.run('DELETE FROM test_configs WHERE id = ?', [testId]);
+                await testingEngine.stopTest(testId);
+                await dbService.deleteTest(testId);
                 deletedCount++;
             }
         }
@@ -376,9 +440,7 @@ router.post('/bulk-delete', async (req, res) => {
             );
 
             for (const test of oldTests) {
-                await dbService.db.run('DELETE FROM test_results WHERE test_id = ?', [test.id]);
-                await dbService.db.run('DELETE FROM api_test_results WHERE test_id = ?', [test.id]);
-                await dbService.db.run('DELETE FROM test_configs WHERE id = ?', [test.id]);
+                await dbService.deleteTest(test.id);
                 deletedCount++;
             }
         }
@@ -546,4 +608,38 @@ async function convertToHTML(data) {
     return html;
 }
 
-module.exports = router;
\ No newline at end of file
+const WINDOW_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Turns ?window= or ?from=/?to= into { from, to } Dates, or { error }
+function parseStatsWindow({ window, from, to }) {
+    if (window !== undefined) {
+        const match = /^(\d+)([mhd])$/.exec(window);
+        if (!match) {
+            return { error: 'window must be a number followed by m, h or d, e.g. 24h' };
+        }
+        const now = Date.now();
+        return { from: new Date(now - parseInt(match[1]) * WINDOW_UNITS_MS[match[2]]), to: new Date(now) };
+    }
+
+    const range = { from: null, to: null };
+    for (const [key, value] of Object.entries({ from, to })) {
+        if (value === undefined) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            return { error: `${key} must be a valid date` };
+        }
+        range[key] = date;
+    }
+    if (range.from && range.to && range.from > range.to) {
+        return { error: 'from must be before to' };
+    }
+    return range;
+}
+
+module.exports = router;
+
+// Inject the engine and database shared by every router
+module.exports.init = function init(services) {
+    ({ testingEngine, dbService } = services);
+    return router;
+};
\ No newline at end of file
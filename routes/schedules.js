@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const Logger = require('../services/logger');
+const { validate, schemas } = require('../middleware/validation');
+const { TestConfigError } = require('../services/test-registry');
+
+const logger = new Logger();
+
+// Shared services, injected by server.js through init()
+let testingEngine = null;
+let dbService = null;
+
+// List schedules
+router.get('/', async (req, res) => {
+    try {
+        const schedules = await testingEngine.getSchedules();
+        res.json(schedules);
+    } catch (error) {
+        logger.error('Get schedules error:', error);
+        res.status(500).json({
+            error: 'Failed to get schedules',
+            message: error.message
+        });
+    }
+});
+
+// Get specific schedule
+router.get('/:id', async (req, res) => {
+    try {
+        const schedule = await testingEngine.getSchedule(req.params.id);
+
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        res.json(schedule);
+    } catch (error) {
+        logger.error('Get schedule error:', error);
+        res.status(500).json({
+            error: 'Failed to get schedule',
+            message: error.message
+        });
+    }
+});
+
+// Create schedule
+router.post('/', validate(schemas.schedule), async (req, res) => {
+    try {
+        if (!testingEngine.testTypes.has(req.body.testType)) {
+            return res.status(400).json({
+                error: 'Unknown test type',
+                supportedTypes: testingEngine.testTypes.typeNames()
+            });
+        }
+
+        const schedule = await testingEngine.createSchedule(req.body);
+        logger.info(`Schedule created: ${schedule.name}`, { scheduleId: schedule.id });
+
+        res.status(201).json(schedule);
+    } catch (error) {
+        if (error instanceof TestConfigError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+
+        logger.error('Create schedule error:', error);
+        res.status(500).json({
+            error: 'Failed to create schedule',
+            message: error.message
+        });
+    }
+});
+
+// Update schedule
+router.put('/:id', validate(schemas.scheduleUpdate), async (req, res) => {
+    try {
+        if (req.body.testType && !testingEngine.testTypes.has(req.body.testType)) {
+            return res.status(400).json({
+                error: 'Unknown test type',
+                supportedTypes: testingEngine.testTypes.typeNames()
+            });
+        }
+
+        const schedule = await testingEngine.updateSchedule(req.params.id, req.body);
+
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        logger.info(`Schedule updated: ${schedule.name}`, { scheduleId: schedule.id });
+
+        res.json(schedule);
+    } catch (error) {
+        if (error instanceof TestConfigError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+
+        logger.error('Update schedule error:', error);
+        res.status(500).json({
+            error: 'Failed to update schedule',
+            message: error.message
+        });
+    }
+});
+
+// Delete schedule
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await testingEngine.deleteSchedule(id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        logger.info(`Schedule deleted: ${id}`);
+
+        res.json({
+            success: true,
+            scheduleId: id,
+            message: 'Schedule deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Delete schedule error:', error);
+        res.status(500).json({
+            error: 'Failed to delete schedule',
+            message: error.message
+        });
+    }
+});
+
+// Test runs produced by a schedule
+router.get('/:id/runs', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { limit = 50 } = req.query;
+
+        const schedule = await testingEngine.getSchedule(id);
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        const runs = await dbService.getScheduleRuns(id, parseInt(limit));
+
+        res.json({
+            scheduleId: id,
+            runs
+        });
+    } catch (error) {
+        logger.error('Get schedule runs error:', error);
+        res.status(500).json({
+            error: 'Failed to get schedule runs',
+            message: error.message
+        });
+    }
+});
+
+// Trigger a schedule immediately
+router.post('/:id/run', async (req, res) => {
+    try {
+        const job = await testingEngine.runScheduledTest(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        res.json({
+            scheduleId: req.params.id,
+            ...job
+        });
+    } catch (error) {
+        logger.error('Run schedule error:', error);
+        res.status(500).json({
+            error: 'Failed to run schedule',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
+
+// Inject the engine and database shared by every router
+module.exports.init = function init(services) {
+    ({ testingEngine, dbService } = services);
+    return router;
+};
@@ -2,11 +2,37 @@ const express = require('express');
 const router = express.Router();
 
 // Import services
-const DatabaseService = require('../services/database');
 const Logger = require('../services/logger');
+const { ADMISSION_SETTINGS } = require('../services/testing-engine');
+const { TestConfigError } = require('../services/test-registry');
 
 const logger = new Logger();
-const dbService = new DatabaseService();
+
+// Shared services, injected by server.js through init()
+let dbService = null;
+let notificationService = null;
+let testingEngine = null;
+
+// Checks the settings admission control reads; returns them with their values
+// normalized, or throws for the first one that isn't valid
+function validateSettings(settings) {
+    return Object.fromEntries(Object.entries(settings).map(([key, value]) => {
+        if (!ADMISSION_SETTINGS[key]) return [key, value];
+
+        const { error, value: validated } = ADMISSION_SETTINGS[key].validate(value);
+        if (error) {
+            throw new TestConfigError(`Invalid ${key}: ${error.message}`);
+        }
+        return [key, validated];
+    }));
+}
+
+// The engine caches admission settings; have it re-read them after one is saved
+async function refreshAdmission(keys) {
+    if (keys.some(key => ADMISSION_SETTINGS[key])) {
+        await testingEngine.reloadAdmissionSettings();
+    }
+}
 
 // Get all settings
 router.get('/', async (req, res) => {
@@ -48,9 +74,10 @@ router.get('/:key', async (req, res) => {
 router.put('/:key', async (req, res) => {
     try {
         const { key } = req.params;
-        const { value } = req.body;
+        const { [key]: value } = validateSettings({ [key]: req.body.value });
 
         await dbService.saveSetting(key, value);
+        await refreshAdmission([key]);
         logger.info(`Setting updated: ${key}`);
 
         res.json({
@@ -60,6 +87,9 @@ router.put('/:key', async (req, res) => {
             message: 'Setting updated successfully'
         });
     } catch (error) {
+        if (error instanceof TestConfigError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
         logger.error('Update setting error:', error);
         res.status(500).json({
             error: 'Failed to update setting',
@@ -79,11 +109,12 @@ router.post('/bulk', async (req, res) => {
             });
         }
 
-        const updatedSettings = {};
-        for (const [key, value] of Object.entries(settings)) {
+        // Nothing is saved unless every setting is valid
+        const updatedSettings = validateSettings(settings);
+        for (const [key, value] of Object.entries(updatedSettings)) {
             await dbService.saveSetting(key, value);
-            updatedSettings[key] = value;
         }
+        await refreshAdmission(Object.keys(updatedSettings));
 
         logger.info(`Bulk settings update: ${Object.keys(settings).join(', ')}`);
 
@@ -93,6 +124,9 @@ router.post('/bulk', async (req, res) => {
             message: 'Settings updated successfully'
         });
     } catch (error) {
+        if (error instanceof TestConfigError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
         logger.error('Bulk update settings error:', error);
         res.status(500).json({
             error: 'Failed to update settings',
@@ -107,6 +141,9 @@ router.post('/reset', async (req, res) => {
         const defaultSettings = {
             defaultTimeout: 60,
             retryAttempts: 3,
+            retryPolicies: {
+                load_test: { retries: 0 }
+            },
             parallelLimit: 5,
             autoSchedule: 'disabled',
             notificationEmail: '',
@@ -115,6 +152,18 @@ router.post('/reset', async (req, res) => {
             logLevel: 'info',
             enableRealTimeUpdates: true,
             maxConcurrentTests: 10,
+            admissionPolicy: 'queue',
+            typeConcurrencyLimits: { load_test: 1 },
+            concurrencyGroups: {
+                bandwidth: { types: ['speed', 'load_test'], limit: 1 }
+            },
+            throttle: {
+                memoryMB: 500,
+                cpuPercent: 90,
+                eventLoopLagMs: 200,
+                loadConcurrencyFactor: 0.5,
+                resumeRatio: 0.8
+            },
             apiRateLimit: 100,
             backupEnabled: false,
             backupInterval: 'daily'
@@ -123,6 +172,7 @@ router.post('/reset', async (req, res) => {
         for (const [key, value] of Object.entries(defaultSettings)) {
             await dbService.saveSetting(key, value);
         }
+        await refreshAdmission(Object.keys(defaultSettings));
 
         logger.info('Settings reset to defaults');
 
@@ -161,7 +211,7 @@ router.get('/system/config', async (req, res) => {
                 apiTesting: true,
                 realTimeUpdates: true,
                 dataExport: true,
-                scheduling: false
+                scheduling: true
             }
         };
 
@@ -181,9 +231,6 @@ router.post('/test-notification', async (req, res) => {
         const { type = 'email', recipient } = req.body;
 
         if (type === 'email') {
-            const NotificationService = require('../services/notification');
-            const notificationService = new NotificationService();
-            
             await notificationService.sendEmail({
                 to: recipient,
                 subject: 'Mobile Carrier Framework - Test Notification',
@@ -375,4 +422,10 @@ router.get('/health', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Inject the database, notification service and engine shared by every router
+module.exports.init = function init(services) {
+    ({ dbService, notificationService, testingEngine } = services);
+    return router;
+};
\ No newline at end of file
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const { CHUNK, REQUEST_BYTES, TOKEN_HEADER } = require('../services/throughput');
+const { speedTestRateLimit } = require('../middleware/rateLimit');
+
+// Largest transfer one request may make, either way; clients start another to keep going
+const MAX_TRANSFER_BYTES = REQUEST_BYTES;
+const DEFAULT_DOWNLOAD_BYTES = 25 * 1024 * 1024;
+
+// Throughput endpoints for speed tests run by this instance or another one.
+// server.js mounts them ahead of compression and the general rate limit; they
+// have a per-minute limit of their own, and need SPEED_TEST_TOKEN when it's set.
+// Without a token only clients on this host are served, so an instance
+// reachable from outside can't be used as a free bandwidth sink.
+
+router.use(speedTestRateLimit);
+
+// The socket's own address: X-Forwarded-For is the client's to choose
+function fromLoopback(req) {
+    const address = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    return address === '::1' || address.startsWith('127.');
+}
+
+router.use((req, res, next) => {
+    const expected = process.env.SPEED_TEST_TOKEN;
+    if (!expected) {
+        if (fromLoopback(req)) return next();
+        return res.status(403).json({
+            error: 'Access denied',
+            message: 'Speed-test transfers from other hosts need SPEED_TEST_TOKEN set on this instance'
+        });
+    }
+
+    const given = Buffer.from(req.get(TOKEN_HEADER) || '');
+    if (given.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+        return res.status(401).json({
+            error: 'Access denied',
+            message: `Speed-test transfers need the ${TOKEN_HEADER} header`
+        });
+    }
+    next();
+});
+
+// Stream `bytes` of incompressible data
+router.get('/download', (req, res) => {
+    const bytes = req.query.bytes === undefined ? DEFAULT_DOWNLOAD_BYTES : Number(req.query.bytes);
+
+    if (!Number.isInteger(bytes) || bytes < 1 || bytes > MAX_TRANSFER_BYTES) {
+        return res.status(400).json({
+            error: 'Validation error',
+            message: `bytes must be an integer between 1 and ${MAX_TRANSFER_BYTES}`
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': bytes,
+        'Cache-Control': 'no-store, no-transform'
+    });
+
+    let remaining = bytes;
+    const send = () => {
+        while (remaining > 0) {
+            const chunk = remaining >= CHUNK.length ? CHUNK : CHUNK.subarray(0, remaining);
+            remaining -= chunk.length;
+            if (!res.write(chunk)) return;
+        }
+        res.removeListener('drain', send);
+        res.end();
+    };
+    // A client that hangs up mid-transfer never drains; stop writing to it
+    res.on('drain', send);
+    res.once('close', () => res.removeListener('drain', send));
+    send();
+});
+
+// Read and discard the request body, reporting how much arrived. A body
+// past the limit is refused and its connection dropped.
+router.post('/upload', (req, res) => {
+    const startedAt = Date.now();
+    let bytes = 0;
+
+    const refuse = () => {
+        res.set('Connection', 'close').status(413).json({
+            error: 'Payload too large',
+            message: `Uploads are limited to ${MAX_TRANSFER_BYTES} bytes per request`
+        });
+        res.once('finish', () => req.destroy());
+    };
+
+    if (Number(req.get('Content-Length')) > MAX_TRANSFER_BYTES) {
+        return refuse();
+    }
+
+    req.on('data', chunk => {
+        bytes += chunk.length;
+        if (bytes > MAX_TRANSFER_BYTES && !res.headersSent) {
+            req.pause();
+            refuse();
+        }
+    });
+    req.on('end', () => {
+        if (res.headersSent) return;
+        res.set('Cache-Control', 'no-store').json({ bytes, durationMs: Date.now() - startedAt });
+    });
+    // Clients tear their last upload down at the deadline, so an aborted body is expected
+    req.on('error', () => {});
+});
+
+module.exports = router;
+
+// Nothing to inject; kept so server.js mounts every router the same way
+module.exports.init = function init() {
+    return router;
+};
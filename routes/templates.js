@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const Logger = require('../services/logger');
+const { validate, schemas } = require('../middleware/validation');
+const { TestConfigError } = require('../services/test-registry');
+const { AdmissionError } = require('../services/testing-engine');
+
+const logger = new Logger();
+
+// Shared services, injected by server.js through init()
+let templateManager = null;
+let dbService = null;
+
+// List templates, optionally for one test type
+router.get('/', async (req, res) => {
+    try {
+        const templates = await templateManager.getTemplates(req.query.testType || null);
+        res.json(templates);
+    } catch (error) {
+        logger.error('Get templates error:', error);
+        res.status(500).json({
+            error: 'Failed to get templates',
+            message: error.message
+        });
+    }
+});
+
+// Get a template at its current version, or at ?version=n
+router.get('/:id', async (req, res) => {
+    try {
+        const version = req.query.version ? parseInt(req.query.version) : null;
+        const template = await templateManager.getTemplate(req.params.id, version);
+
+        if (!template) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        res.json(template);
+    } catch (error) {
+        logger.error('Get template error:', error);
+        res.status(500).json({
+            error: 'Failed to get template',
+            message: error.message
+        });
+    }
+});
+
+// Create template
+router.post('/', validate(schemas.template), async (req, res) => {
+    try {
+        const template = await templateManager.createTemplate(req.body);
+        logger.info(`Template created: ${template.name}`, { templateId: template.id });
+
+        res.status(201).json(template);
+    } catch (error) {
+        if (error instanceof TestConfigError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+
+        logger.error('Create template error:', error);
+        res.status(500).json({
+            error: 'Failed to create template',
+            message: error.message
+        });
+    }
+});
+
+// Update template; changing its config or parameters creates a new version
+router.put('/:id', validate(schemas.templateUpdate), async (req, res) => {
+    try {
+        const template = await templateManager.updateTemplate(req.params.id, req.body);
+
+        if (!template) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        logger.info(`Template updated: ${template.name}`, { templateId: template.id, version: template.version });
+
+        res.json(template);
+    } catch (error) {
+        if (error instanceof TestConfigError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+
+        logger.error('Update template error:', error);
+        res.status(500).json({
+            error: 'Failed to update template',
+            message: error.message
+        });
+    }
+});
+
+// Delete template
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await templateManager.deleteTemplate(id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        logger.info(`Template deleted: ${id}`);
+
+        res.json({
+            success: true,
+            templateId: id,
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Delete template error:', error);
+        res.status(500).json({
+            error: 'Failed to delete template',
+            message: error.message
+        });
+    }
+});
+
+// Launch a run from a template with parameter values and config overrides
+router.post('/:id/launch', validate(schemas.templateLaunch), async (req, res) => {
+    try {
+        const launched = await templateManager.launchTemplate(req.params.id, req.body || {});
+
+        if (!launched) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        const { job, template } = launched;
+        logger.info(`Starting ${template.testType} test ${job.testId} from template ${template.name}`, {
+            templateId: template.id,
+            version: template.version
+        });
+
+        res.json({
+            ...job,
+            templateId: template.id,
+            templateVersion: template.version
+        });
+    } catch (error) {
+        if (error instanceof TestConfigError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+        if (error instanceof AdmissionError) {
+            return res.status(429).json(error.toJSON());
+        }
+
+        logger.error('Launch template error:', error);
+        res.status(500).json({
+            error: 'Failed to launch template',
+            message: error.message
+        });
+    }
+});
+
+// Test runs launched from a template, with the version and parameters each used
+router.get('/:id/runs', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { limit = 50 } = req.query;
+
+        const template = await templateManager.getTemplate(id);
+        if (!template) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        const runs = await dbService.getTemplateRuns(id, parseInt(limit));
+
+        res.json({
+            templateId: id,
+            runs
+        });
+    } catch (error) {
+        logger.error('Get template runs error:', error);
+        res.status(500).json({
+            error: 'Failed to get template runs',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
+
+// Inject the template manager and database shared by every router
+module.exports.init = function init(services) {
+    ({ templateManager, dbService } = services);
+    return router;
+};
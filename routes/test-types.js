@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const Logger = require('../services/logger');
+const { AdmissionError } = require('../services/testing-engine');
+const { TestConfigError } = require('../services/test-registry');
+
+const logger = new Logger();
+
+// Shared services, injected by server.js through init()
+let testingEngine = null;
+
+// List registered test types
+router.get('/', (req, res) => {
+    res.json(testingEngine.testTypes.typeNames().map(type => testingEngine.testTypes.describe(type)));
+});
+
+// Describe a test type, including its config schema
+router.get('/:type', (req, res) => {
+    const description = testingEngine.testTypes.describe(req.params.type);
+
+    if (!description) {
+        return sendUnknownType(res);
+    }
+
+    res.json(description);
+});
+
+function sendUnknownType(res) {
+    return res.status(404).json({
+        error: 'Unknown test type',
+        supportedTypes: testingEngine.testTypes.typeNames()
+    });
+}
+
+// Launch handler shared with the category routers. With a category, the type
+// is matched by its declared path under that router (POST /api/network/speed);
+// without one it comes from the :type parameter. With ?dryRun=true, or when
+// mounted with { plan: true }, it answers with the test's plan instead.
+function launchTestType(services, category = null, { plan = false } = {}) {
+    const engine = services.testingEngine;
+
+    return async (req, res, next) => {
+        const definition = category
+            ? engine.testTypes.findByPath(category, req.path)
+            : engine.testTypes.get(req.params.type);
+
+        if (!definition) {
+            return category ? next() : sendUnknownType(res);
+        }
+
+        const planning = plan || isDryRun(req);
+
+        try {
+            if (planning) {
+                return res.json(await engine.planTest(definition.type, req.body || {}));
+            }
+
+            const { job, config } = await engine.launchTest(definition.type, req.body || {});
+
+            logger.info(`Starting ${definition.label} ${config.testId}`, { type: definition.type });
+
+            res.json({
+                ...job,
+                ...(definition.describeLaunch ? definition.describeLaunch(config) : {})
+            });
+
+        } catch (error) {
+            if (error instanceof TestConfigError) {
+                return res.status(error.statusCode).json(error.toJSON());
+            }
+            if (error instanceof AdmissionError) {
+                return res.status(429).json(error.toJSON());
+            }
+
+            logger.error(`${definition.label} error:`, error);
+            res.status(500).json({
+                error: `Failed to ${planning ? 'plan' : 'start'} ${definition.label}`,
+                message: error.message
+            });
+        }
+    };
+}
+
+function isDryRun(req) {
+    return ['true', '1'].includes(String(req.query.dryRun).toLowerCase());
+}
+
+module.exports = router;
+
+// Inject the engine and database shared by every router
+module.exports.init = function init(services) {
+    ({ testingEngine } = services);
+    router.post('/:type/launch', launchTestType(services));
+    router.post('/:type/plan', launchTestType(services, null, { plan: true }));
+    return router;
+};
+
+module.exports.launchTestType = launchTestType;
@@ -13,11 +13,21 @@ const localizationRoutes = require('./routes/localization');
 const apiRoutes = require('./routes/api');
 const resultsRoutes = require('./routes/results');
 const settingsRoutes = require('./routes/settings');
+const scheduleRoutes = require('./routes/schedules');
+const testTypeRoutes = require('./routes/test-types');
+const campaignRoutes = require('./routes/campaigns');
+const agentRoutes = require('./routes/agents');
+const templateRoutes = require('./routes/templates');
+const speedTestRoutes = require('./routes/speedtest');
 
 // Import services
 const DatabaseService = require('./services/database');
 const TestingEngine = require('./services/testing-engine');
 const NotificationService = require('./services/notification');
+const CampaignManager = require('./services/campaign-manager');
+const ProbeAgentHub = require('./services/probe-agents');
+const TemplateManager = require('./services/template-manager');
+const { NetworkEmulator } = require('./services/network-emulator');
 const Logger = require('./services/logger');
 
 // Import middleware
@@ -36,12 +46,32 @@ const WS_PORT = process.env.WS_PORT || 3001;
 // Initialize services
 const logger = new Logger();
 const dbService = new DatabaseService();
-const testingEngine = new TestingEngine();
 const notificationService = new NotificationService();
+const testingEngine = new TestingEngine(dbService, notificationService);
+const campaignManager = new CampaignManager(testingEngine, dbService);
+const probeAgents = new ProbeAgentHub(testingEngine, dbService);
+testingEngine.attachProbeAgents(probeAgents);
+const templateManager = new TemplateManager(testingEngine, dbService);
+const networkEmulator = new NetworkEmulator();
+
+// One engine and database shared by every router, so all modules see the same active tests
+const services = { testingEngine, dbService, notificationService, campaignManager, probeAgents, templateManager, networkEmulator };
+
+// Register test types so they can be launched, queued and dispatched by the engine
+[networkRoutes, localizationRoutes, apiRoutes].forEach(routes => {
+    routes.testTypes.forEach(definition => testingEngine.registerTestType(definition));
+});
+
+// In-house test types, one definition (or array of definitions) per file
+const customTestTypes = testingEngine.testTypes.loadDirectory(
+    process.env.TEST_TYPES_DIR || path.join(__dirname, 'test-types')
+);
+if (customTestTypes.length > 0) {
+    logger.info(`Loaded custom test types: ${customTestTypes.join(', ')}`);
+}
 
 // Global state management
 const globalState = {
-    activeTests: new Map(),
     connectedClients: new Set(),
     systemStatus: {
         testingEngine: 'online',
@@ -55,6 +85,9 @@ const globalState = {
 app.use(helmet({
     contentSecurityPolicy: false // Allow inline scripts for now
 }));
+// Throughput endpoints go ahead of compression and the general rate limit, which would skew or cut off
+// transfers; they have a rate limit of their own
+app.use('/api/speedtest', speedTestRoutes.init(services));
 app.use(compression());
 app.use(cors({
     origin: process.env.CORS_ORIGIN || '*',
@@ -79,11 +112,16 @@ app.use((req, res, next) => {
 });
 
 // API Routes
-app.use('/api/network', networkRoutes);
-app.use('/api/localization', localizationRoutes);
-app.use('/api/testing', apiRoutes);
-app.use('/api/results', resultsRoutes);
-app.use('/api/settings', settingsRoutes);
+app.use('/api/network', networkRoutes.init(services));
+app.use('/api/localization', localizationRoutes.init(services));
+app.use('/api/testing', apiRoutes.init(services));
+app.use('/api/results', resultsRoutes.init(services));
+app.use('/api/settings', settingsRoutes.init(services));
+app.use('/api/schedules', scheduleRoutes.init(services));
+app.use('/api/test-types', testTypeRoutes.init(services));
+app.use('/api/campaigns', campaignRoutes.init(services));
+app.use('/api/agents', agentRoutes.init(services));
+app.use('/api/templates', templateRoutes.init(services));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -92,14 +130,21 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         version: process.env.npm_package_version || '1.0.0',
         systemStatus: globalState.systemStatus,
-        activeTests: globalState.activeTests.size
+        activeTests: testingEngine.getActiveTestCount(),
+        queuedTests: testingEngine.getStats().queuedTests,
+        throttle: testingEngine.getThrottleState()
     });
 });
 
 // Dashboard data endpoint
 app.get('/api/dashboard', (req, res) => {
     res.json({
-        activeTests: globalState.activeTests.size,
+        activeTests: testingEngine.getActiveTestCount(),
+        runningTests: testingEngine.getActiveTests().map(test => ({
+            testId: test.testId,
+            type: test.type,
+            startTime: test.startTime
+        })),
         successRate: calculateSuccessRate(),
         avgLatency: calculateAverageLatency(),
         coverageAreas: getCoverageAreasCount(),
@@ -110,6 +155,12 @@ app.get('/api/dashboard', (req, res) => {
 
 // WebSocket connection handling
 wss.on('connection', (ws, req) => {
+    // Probe agents speak their own protocol and don't receive dashboard broadcasts
+    if (req.url && req.url.startsWith('/agents')) {
+        logger.info('Probe agent connected', { ip: req.socket.remoteAddress });
+        return probeAgents.accept(ws, req);
+    }
+
     logger.info('WebSocket client connected', { ip: req.socket.remoteAddress });
     globalState.connectedClients.add(ws);
     
@@ -130,6 +181,16 @@ wss.on('connection', (ws, req) => {
     });
 });
 
+// Show the engine as throttled while it is under resource pressure
+testingEngine.on('throttle', throttle => {
+    globalState.systemStatus.testingEngine = throttle.active ? 'throttled' : 'online';
+    broadcast({
+        type: 'system_status',
+        data: globalState.systemStatus,
+        throttle
+    });
+});
+
 // Broadcast to all connected WebSocket clients
 function broadcast(message) {
     const data = JSON.stringify(message);
@@ -193,6 +254,8 @@ process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down gracefully');
     
     // Close WebSocket server
+    probeAgents.shutdown();
+    networkEmulator.shutdown();
     wss.close(() => {
         logger.info('WebSocket server closed');
     });
@@ -217,15 +280,24 @@ async function startServer() {
         await dbService.initialize();
         logger.info('Database initialized');
         
+        // Initialize notifications before the engine reports through them
+        await notificationService.initialize();
+
         // Initialize testing engine
         await testingEngine.initialize();
         logger.info('Testing engine initialized');
+
+        // Campaigns advance on test transitions, so start after the engine has recovered its runs
+        await campaignManager.initialize();
         
         // Start HTTP server
         server.listen(PORT, () => {
             logger.info(`Server running on port ${PORT}`);
             logger.info(`WebSocket server running on port ${WS_PORT}`);
             logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+            if (!probeAgents.enabled) {
+                logger.warn('PROBE_AGENT_TOKEN is not set; probe agent connections will be refused');
+            }
         });
         
     } catch (error) {
@@ -235,7 +307,7 @@ async function startServer() {
 }
 
 // Export for testing
-module.exports = { app, server, wss, globalState, broadcast };
+module.exports = { app, server, wss, globalState, broadcast, testingEngine, dbService, campaignManager, probeAgents, templateManager, networkEmulator };
 
 // Start the server if this file is run directly
 if (require.main === module) {
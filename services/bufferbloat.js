@@ -0,0 +1,51 @@
+// Grades a link's responsiveness by how far its latency rises once it is
+// saturated (bufferbloat). Idle and loaded latency are compared at the median,
+// so a few slow probes in either phase don't decide the grade.
+
+// Upper bounds (exclusive) on the median latency increase in ms
+const RESPONSIVENESS_GRADES = [
+    [5, 'A+'],
+    [30, 'A'],
+    [60, 'B'],
+    [200, 'C'],
+    [400, 'D'],
+    [Infinity, 'F']
+];
+
+// A link whose probes all go unanswered under load has collapsed
+function gradeLatencyIncrease(increaseMs) {
+    if (increaseMs === null || increaseMs === undefined) return 'F';
+    return RESPONSIVENESS_GRADES.find(([limit]) => Math.max(0, increaseMs) < limit)[1];
+}
+
+// `idle` and `loaded` are probe burst summaries (services/probing.js)
+function compareLoadedLatency(idle, loaded) {
+    const idleMs = idle.latency.p50;
+    const loadedMs = loaded.latency.p50;
+    const increaseMs = idleMs !== null && loadedMs !== null ? round(loadedMs - idleMs) : null;
+
+    return {
+        idleMs,
+        loadedMs,
+        increaseMs,
+        increasePercent: increaseMs !== null && idleMs > 0 ? round((increaseMs / idleMs) * 100) : null,
+        grade: gradeLatencyIncrease(increaseMs)
+    };
+}
+
+// The worst of several grades
+function worstGrade(grades) {
+    const order = RESPONSIVENESS_GRADES.map(([, grade]) => grade);
+    return grades.reduce((worst, grade) => (order.indexOf(grade) > order.indexOf(worst) ? grade : worst));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    RESPONSIVENESS_GRADES,
+    gradeLatencyIncrease,
+    compareLoadedLatency,
+    worstGrade
+};
@@ -0,0 +1,359 @@
+const { v4: uuidv4 } = require('uuid');
+const { STATES, isTerminal } = require('./test-lifecycle');
+const { TestConfigError } = require('./test-registry');
+
+const CAMPAIGN_MODES = ['sequence', 'parallel', 'graph'];
+
+// Step states that aren't test statuses
+const STEP_WAITING = 'waiting';
+const STEP_SKIPPED = 'skipped';
+
+// Runs campaigns: named bundles of test configs launched in sequence, in parallel
+// or as a dependency graph. Child runs are ordinary queued tests; the campaign
+// advances whenever one of them reaches a terminal status.
+class CampaignManager {
+    constructor(testingEngine, dbService) {
+        this.testingEngine = testingEngine;
+        this.dbService = dbService;
+        // Per-campaign promise chains, so launches and verdicts never interleave
+        this.advancing = new Map();
+        this.onTransition = transition => this.handleTransition(transition);
+    }
+
+    async initialize() {
+        this.testingEngine.on('transition', this.onTransition);
+
+        // Children may have settled (or been interrupted) while the server was down
+        const running = await this.dbService.getCampaigns('running', -1);
+        for (const campaign of running) {
+            await this.advance(campaign.id);
+        }
+    }
+
+    shutdown() {
+        this.testingEngine.off('transition', this.onTransition);
+    }
+
+    handleTransition({ testId, to }) {
+        if (!isTerminal(to)) return;
+
+        this.dbService.getCampaignIdForTest(testId)
+            .then(campaignId => campaignId && this.advance(campaignId))
+            .catch(error => console.error(`Failed to advance campaign for test ${testId}:`, error));
+    }
+
+    async createCampaign(definition) {
+        const campaign = {
+            id: uuidv4(),
+            name: definition.name,
+            mode: definition.mode || 'sequence',
+            priority: definition.priority || 0,
+            steps: this.buildSteps(definition),
+            status: 'running'
+        };
+
+        await this.dbService.saveCampaign(campaign);
+        console.log(`Campaign ${campaign.id} started: ${campaign.name} (${campaign.steps.length} tests, ${campaign.mode})`);
+
+        await this.advance(campaign.id);
+
+        return this.getCampaign(campaign.id);
+    }
+
+    // Normalizes the campaign's tests into steps with explicit dependencies;
+    // throws TestConfigError for anything that couldn't run
+    buildSteps({ mode = 'sequence', tests }) {
+        if (!CAMPAIGN_MODES.includes(mode)) {
+            throw new TestConfigError(`Campaign mode must be one of: ${CAMPAIGN_MODES.join(', ')}`);
+        }
+
+        const steps = tests.map((test, index) => ({
+            id: test.id || `${test.type}-${index + 1}`,
+            type: test.type,
+            config: test.config || {},
+            required: test.required !== false,
+            dependsOn: test.dependsOn || []
+        }));
+
+        const ids = new Set();
+        for (const step of steps) {
+            if (ids.has(step.id)) {
+                throw new TestConfigError(`Duplicate campaign step id: ${step.id}`);
+            }
+            ids.add(step.id);
+
+            if (mode !== 'graph' && step.dependsOn.length > 0) {
+                throw new TestConfigError(`Step ${step.id}: dependsOn is only allowed in graph mode`);
+            }
+
+            try {
+                this.testingEngine.testTypes.validateParams(step.type, step.config);
+            } catch (error) {
+                error.message = `Step ${step.id}: ${error.message}`;
+                throw error;
+            }
+        }
+
+        if (mode === 'sequence') {
+            steps.forEach((step, index) => {
+                step.dependsOn = index > 0 ? [steps[index - 1].id] : [];
+            });
+        }
+
+        if (mode === 'graph') {
+            for (const step of steps) {
+                const unknown = step.dependsOn.find(id => !ids.has(id));
+                if (unknown) {
+                    throw new TestConfigError(`Step ${step.id} depends on unknown step: ${unknown}`);
+                }
+            }
+            this.assertAcyclic(steps);
+        }
+
+        return steps;
+    }
+
+    assertAcyclic(steps) {
+        const byId = new Map(steps.map(step => [step.id, step]));
+        const visiting = new Set();
+        const visited = new Set();
+
+        const visit = step => {
+            if (visited.has(step.id)) return;
+            if (visiting.has(step.id)) {
+                throw new TestConfigError(`Campaign dependency cycle through step: ${step.id}`);
+            }
+
+            visiting.add(step.id);
+            step.dependsOn.forEach(id => visit(byId.get(id)));
+            visiting.delete(step.id);
+            visited.add(step.id);
+        };
+
+        steps.forEach(visit);
+    }
+
+    advance(campaignId) {
+        return this.serialize(campaignId, () => this.advanceCampaign(campaignId));
+    }
+
+    serialize(campaignId, task) {
+        const previous = this.advancing.get(campaignId) || Promise.resolve();
+        const next = previous.then(task);
+        const settled = next.catch(error => {
+            console.error(`Campaign ${campaignId} error:`, error);
+        });
+
+        this.advancing.set(campaignId, settled);
+        settled.then(() => {
+            if (this.advancing.get(campaignId) === settled) {
+                this.advancing.delete(campaignId);
+            }
+        });
+
+        return next;
+    }
+
+    // Launches steps whose dependencies succeeded, skips steps whose required
+    // dependencies didn't, and records the verdict once every step has settled
+    async advanceCampaign(campaignId) {
+        const campaign = await this.dbService.getCampaign(campaignId);
+        if (!campaign || campaign.status !== 'running') return;
+
+        const states = await this.getStepStates(campaign);
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+
+            for (const step of campaign.steps) {
+                const state = states.get(step.id);
+                if (state.status !== STEP_WAITING) continue;
+
+                const dependencies = step.dependsOn.map(id => states.get(id));
+                const blocker = dependencies.find(dep => dep.required && isSettled(dep) && dep.status !== STATES.COMPLETED);
+
+                if (blocker) {
+                    await this.skipStep(campaign, state, `Dependency ${blocker.stepId} ${blocker.status}`);
+                    changed = true;
+                } else if (dependencies.every(isSettled)) {
+                    await this.launchStep(campaign, step, state);
+                    changed = true;
+                }
+            }
+        }
+
+        if (Array.from(states.values()).every(isSettled)) {
+            await this.finishCampaign(campaign, states);
+        }
+    }
+
+    async getStepStates(campaign) {
+        const rows = await this.dbService.getCampaignTests(campaign.id);
+        const byStep = new Map(rows.map(row => [row.step_id, row]));
+
+        return new Map(campaign.steps.map(step => {
+            const row = byStep.get(step.id);
+            let status = STEP_WAITING;
+
+            if (row && row.skip_reason) {
+                status = STEP_SKIPPED;
+            } else if (row) {
+                status = row.status || STATES.PENDING;
+            }
+
+            return [step.id, {
+                stepId: step.id,
+                type: step.type,
+                required: step.required,
+                testId: row ? row.test_id : null,
+                status,
+                reason: row ? row.skip_reason : null
+            }];
+        }));
+    }
+
+    async launchStep(campaign, step, state) {
+        try {
+            const { config, priority } = await this.testingEngine.testTypes.buildConfig(
+                step.type, step.config, this.testingEngine.getServices()
+            );
+            config.campaignId = campaign.id;
+
+            // Recorded before enqueueing so a run that settles immediately still finds its campaign
+            await this.dbService.recordCampaignTest(campaign.id, step.id, config.testId);
+            state.testId = config.testId;
+
+            // A step's own priority wins over the campaign's
+            await this.testingEngine.enqueueTest(config, {
+                priority: priority || campaign.priority,
+                onLimit: 'queue'
+            });
+            state.status = STATES.QUEUED;
+
+            this.broadcast({
+                type: 'campaign_update',
+                campaignId: campaign.id,
+                stepId: step.id,
+                testId: config.testId,
+                status: state.status
+            });
+        } catch (error) {
+            console.error(`Campaign ${campaign.id} step ${step.id} failed to launch:`, error);
+            await this.skipStep(campaign, state, `Failed to launch: ${error.message}`);
+        }
+    }
+
+    async skipStep(campaign, state, reason) {
+        await this.dbService.skipCampaignStep(campaign.id, state.stepId, reason);
+        state.status = STEP_SKIPPED;
+        state.reason = reason;
+
+        this.broadcast({
+            type: 'campaign_update',
+            campaignId: campaign.id,
+            stepId: state.stepId,
+            status: STEP_SKIPPED,
+            reason
+        });
+    }
+
+    async finishCampaign(campaign, states, status = 'completed') {
+        const result = await this.buildResult(campaign, states);
+        const verdict = status === 'completed' ? result.verdict : null;
+
+        await this.dbService.finishCampaign(campaign.id, status, verdict, result);
+        console.log(`Campaign ${campaign.id} ${status}${verdict ? `: ${verdict}` : ''}`);
+
+        this.broadcast({
+            type: 'campaign_complete',
+            campaignId: campaign.id,
+            status,
+            verdict,
+            result
+        });
+    }
+
+    // A campaign passes when every required step completed
+    async buildResult(campaign, states) {
+        const steps = await Promise.all(campaign.steps.map(async step => {
+            const state = states.get(step.id);
+            const summary = state.testId && state.status !== STEP_SKIPPED
+                ? await this.testingEngine.summarizeTest(state.testId, step.type)
+                : null;
+
+            return { ...state, summary };
+        }));
+
+        const failedSteps = steps.filter(step => step.required && step.status !== STATES.COMPLETED);
+
+        return {
+            verdict: failedSteps.length === 0 ? 'pass' : 'fail',
+            totalSteps: steps.length,
+            statusCounts: steps.reduce((acc, step) => {
+                acc[step.status] = (acc[step.status] || 0) + 1;
+                return acc;
+            }, {}),
+            failedSteps: failedSteps.map(step => step.stepId),
+            steps
+        };
+    }
+
+    async cancelCampaign(campaignId) {
+        const campaign = await this.dbService.getCampaign(campaignId);
+        if (!campaign || campaign.status !== 'running') return false;
+
+        await this.serialize(campaignId, async () => {
+            const states = await this.getStepStates(campaign);
+
+            // Mark the campaign first so the child cancellations below don't advance it
+            await this.dbService.finishCampaign(campaign.id, 'cancelled', null, null);
+
+            for (const state of states.values()) {
+                if (state.status === STEP_WAITING) {
+                    await this.skipStep(campaign, state, 'Campaign cancelled');
+                } else if (state.testId && !isSettled(state)) {
+                    await this.testingEngine.stopTest(state.testId);
+                }
+            }
+
+            await this.finishCampaign(campaign, await this.getStepStates(campaign), 'cancelled');
+        });
+
+        return true;
+    }
+
+    async getCampaign(campaignId) {
+        const campaign = await this.dbService.getCampaign(campaignId);
+        if (!campaign) return null;
+
+        const states = await this.getStepStates(campaign);
+
+        return {
+            ...campaign,
+            steps: campaign.steps.map(step => ({ ...step, ...states.get(step.id) }))
+        };
+    }
+
+    async getCampaigns(status = null, limit = 50) {
+        return this.dbService.getCampaigns(status, limit);
+    }
+
+    broadcast(message) {
+        try {
+            const { broadcast } = require('../server');
+            if (broadcast && typeof broadcast === 'function') {
+                broadcast({ ...message, timestamp: new Date() });
+            }
+        } catch (error) {
+            // Silently handle broadcast errors to avoid circular dependencies
+        }
+    }
+}
+
+function isSettled(state) {
+    return state.status === STEP_SKIPPED || isTerminal(state.status);
+}
+
+module.exports = CampaignManager;
+module.exports.CAMPAIGN_MODES = CAMPAIGN_MODES;
@@ -2,6 +2,7 @@ const sqlite3 = require('sqlite3').verbose();
 const { promisify } = require('util');
 const path = require('path');
 const fs = require('fs');
+const { isTerminal } = require('./test-lifecycle');
 
 class DatabaseService {
     constructor() {
@@ -26,6 +27,7 @@ class DatabaseService {
             this.db.all = promisify(this.db.all.bind(this.db));
 
             await this.createTables();
+            await this.migrateSchema();
             console.log('Database initialized successfully');
 
         } catch (error) {
@@ -94,9 +96,143 @@ class DatabaseService {
                 response_time REAL,
                 success BOOLEAN,
                 error_message TEXT,
+                attempts INTEGER DEFAULT 1,
+                dns_ms REAL,
+                tcp_ms REAL,
+                tls_ms REAL,
+                ttfb_ms REAL,
+                transfer_ms REAL,
+                reused_connection BOOLEAN,
+                tls_version TEXT,
+                tls_cipher TEXT,
+                network_profile TEXT,
                 timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
             )`,
 
+            // Test lifecycle transitions
+            `CREATE TABLE IF NOT EXISTS test_state_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                test_id TEXT NOT NULL,
+                from_status TEXT,
+                to_status TEXT NOT NULL,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (test_id) REFERENCES test_configs(id)
+            )`,
+
+            // Durable test queue
+            `CREATE TABLE IF NOT EXISTS test_queue (
+                test_id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                config TEXT NOT NULL,
+                priority INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'pending',
+                error_message TEXT,
+                enqueued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                dispatched_at DATETIME,
+                finished_at DATETIME,
+                elapsed_ms INTEGER,
+                FOREIGN KEY (test_id) REFERENCES test_configs(id)
+            )`,
+
+            // Run history behind the engine statistics; times are epoch milliseconds
+            `CREATE TABLE IF NOT EXISTS test_runs (
+                test_id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                status TEXT NOT NULL,
+                queued_at INTEGER,
+                started_at INTEGER,
+                paused_at INTEGER,
+                paused_ms INTEGER DEFAULT 0,
+                finished_at INTEGER,
+                FOREIGN KEY (test_id) REFERENCES test_configs(id)
+            )`,
+
+            // Cron-scheduled tests
+            `CREATE TABLE IF NOT EXISTS test_schedules (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                cron_expression TEXT NOT NULL,
+                timezone TEXT,
+                test_type TEXT NOT NULL,
+                config TEXT NOT NULL,
+                priority INTEGER DEFAULT 0,
+                enabled BOOLEAN DEFAULT TRUE,
+                last_run_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Test runs produced by schedules
+            `CREATE TABLE IF NOT EXISTS schedule_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                schedule_id TEXT NOT NULL,
+                test_id TEXT NOT NULL,
+                triggered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (schedule_id) REFERENCES test_schedules(id),
+                FOREIGN KEY (test_id) REFERENCES test_configs(id)
+            )`,
+
+            // Campaigns: named bundles of tests that produce one verdict
+            `CREATE TABLE IF NOT EXISTS campaigns (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                mode TEXT NOT NULL,
+                steps TEXT NOT NULL,
+                priority INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'running',
+                verdict TEXT,
+                result TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME
+            )`,
+
+            // Campaign steps that were launched (test_id) or skipped (skip_reason)
+            `CREATE TABLE IF NOT EXISTS campaign_tests (
+                campaign_id TEXT NOT NULL,
+                step_id TEXT NOT NULL,
+                test_id TEXT,
+                skip_reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (campaign_id, step_id),
+                FOREIGN KEY (campaign_id) REFERENCES campaigns(id),
+                FOREIGN KEY (test_id) REFERENCES test_configs(id)
+            )`,
+
+            // Saved test templates; the config itself lives in test_template_versions
+            `CREATE TABLE IF NOT EXISTS test_templates (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                description TEXT,
+                test_type TEXT NOT NULL,
+                version INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Every version of a template's config, kept so past runs stay comparable
+            `CREATE TABLE IF NOT EXISTS test_template_versions (
+                template_id TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                config TEXT NOT NULL,
+                parameters TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (template_id, version),
+                FOREIGN KEY (template_id) REFERENCES test_templates(id)
+            )`,
+
+            // Test runs launched from templates
+            `CREATE TABLE IF NOT EXISTS template_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                template_id TEXT NOT NULL,
+                template_version INTEGER NOT NULL,
+                test_id TEXT NOT NULL,
+                parameters TEXT,
+                triggered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (template_id) REFERENCES test_templates(id),
+                FOREIGN KEY (test_id) REFERENCES test_configs(id)
+            )`,
+
             // Notifications
             `CREATE TABLE IF NOT EXISTS notifications (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -119,7 +255,13 @@ class DatabaseService {
             'CREATE INDEX IF NOT EXISTS idx_test_results_timestamp ON test_results(timestamp)',
             'CREATE INDEX IF NOT EXISTS idx_coverage_data_location ON coverage_data(latitude, longitude)',
             'CREATE INDEX IF NOT EXISTS idx_api_test_results_test_id ON api_test_results(test_id)',
-            'CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read)'
+            'CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read)',
+            'CREATE INDEX IF NOT EXISTS idx_test_queue_status ON test_queue(status, priority)',
+            'CREATE INDEX IF NOT EXISTS idx_test_state_history_test_id ON test_state_history(test_id)',
+            'CREATE INDEX IF NOT EXISTS idx_test_runs_finished_at ON test_runs(finished_at)',
+            'CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule_id ON schedule_runs(schedule_id)',
+            'CREATE INDEX IF NOT EXISTS idx_campaign_tests_test_id ON campaign_tests(test_id)',
+            'CREATE INDEX IF NOT EXISTS idx_template_runs_template_id ON template_runs(template_id)'
         ];
 
         for (const indexSQL of indexes) {
@@ -127,7 +269,31 @@ class DatabaseService {
         }
     }
 
-    async saveTestConfig(config) {
+    // Columns added after a table first shipped; CREATE TABLE IF NOT EXISTS won't add them to existing databases
+    async migrateSchema() {
+        const columns = [
+            { table: 'api_test_results', column: 'attempts', definition: 'INTEGER DEFAULT 1' },
+            { table: 'api_test_results', column: 'dns_ms', definition: 'REAL' },
+            { table: 'api_test_results', column: 'tcp_ms', definition: 'REAL' },
+            { table: 'api_test_results', column: 'tls_ms', definition: 'REAL' },
+            { table: 'api_test_results', column: 'ttfb_ms', definition: 'REAL' },
+            { table: 'api_test_results', column: 'transfer_ms', definition: 'REAL' },
+            { table: 'api_test_results', column: 'reused_connection', definition: 'BOOLEAN' },
+            { table: 'api_test_results', column: 'tls_version', definition: 'TEXT' },
+            { table: 'api_test_results', column: 'tls_cipher', definition: 'TEXT' },
+            { table: 'api_test_results', column: 'network_profile', definition: 'TEXT' },
+            { table: 'test_queue', column: 'elapsed_ms', definition: 'INTEGER' }
+        ];
+
+        for (const { table, column, definition } of columns) {
+            const existing = await this.db.all(`PRAGMA table_info(${table})`);
+            if (!existing.some(c => c.name === column)) {
+                await this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+    }
+
+    async saveTestConfig(config, status = 'pending') {
         const sql = `INSERT INTO test_configs (id, type, config, status) 
                      VALUES (?, ?, ?, ?)`;
         
@@ -135,8 +301,9 @@ class DatabaseService {
             config.testId,
             config.type,
             JSON.stringify(config),
-            'running'
+            status
         ]);
+        await this.recordTestTransition(config.testId, null, status, 'Test created');
     }
 
     async getTestStatus(testId) {
@@ -157,6 +324,77 @@ class DatabaseService {
         await this.db.run(sql, [status, testId]);
     }
 
+    async recordTestTransition(testId, fromStatus, toStatus, reason = null) {
+        const sql = `INSERT INTO test_state_history (test_id, from_status, to_status, reason) 
+                     VALUES (?, ?, ?, ?)`;
+        
+        await this.db.run(sql, [testId, fromStatus, toStatus, reason]);
+    }
+
+    async getTestTimeline(testId) {
+        const sql = `SELECT from_status, to_status, reason, created_at FROM test_state_history 
+                     WHERE test_id = ? ORDER BY id ASC`;
+        
+        return await this.db.all(sql, [testId]);
+    }
+
+    // Keeps a run's queue, start, pause and finish times in step with its lifecycle
+    async recordRunTransition({ testId, type, from, to }, at = Date.now()) {
+        await this.db.run(
+            `INSERT INTO test_runs (test_id, type, status) VALUES (?, ?, ?)
+             ON CONFLICT (test_id) DO UPDATE SET status = excluded.status`,
+            [testId, type, to]
+        );
+
+        let sql = null;
+
+        if (to === 'queued' && (from === 'running' || from === 'paused')) {
+            // Requeued after a restart: only the final attempt counts
+            sql = `UPDATE test_runs SET queued_at = ?, started_at = NULL, paused_at = NULL, paused_ms = 0
+                   WHERE test_id = ?`;
+        } else if (to === 'queued') {
+            sql = 'UPDATE test_runs SET queued_at = COALESCE(queued_at, ?) WHERE test_id = ?';
+        } else if (to === 'running' && from === 'paused') {
+            sql = 'UPDATE test_runs SET paused_ms = paused_ms + (? - paused_at), paused_at = NULL WHERE test_id = ?';
+        } else if (to === 'running') {
+            sql = 'UPDATE test_runs SET started_at = COALESCE(started_at, ?) WHERE test_id = ?';
+        } else if (to === 'paused') {
+            sql = 'UPDATE test_runs SET paused_at = ? WHERE test_id = ?';
+        } else if (isTerminal(to)) {
+            sql = `UPDATE test_runs
+                   SET paused_ms = paused_ms + COALESCE(?1 - paused_at, 0), paused_at = NULL, finished_at = ?1
+                   WHERE test_id = ?2`;
+        }
+
+        if (sql) {
+            await this.db.run(sql, [at, testId]);
+        }
+    }
+
+    // Finished runs, optionally within [from, to] (epoch milliseconds) and for one type
+    async getFinishedRuns({ from = null, to = null, type = null } = {}) {
+        let sql = `SELECT test_id, type, status, queued_at, started_at, paused_ms, finished_at
+                   FROM test_runs WHERE finished_at IS NOT NULL`;
+        const params = [];
+
+        if (from !== null) {
+            sql += ' AND finished_at >= ?';
+            params.push(from);
+        }
+        if (to !== null) {
+            sql += ' AND finished_at <= ?';
+            params.push(to);
+        }
+        if (type) {
+            sql += ' AND type = ?';
+            params.push(type);
+        }
+
+        sql += ' ORDER BY finished_at ASC';
+
+        return await this.db.all(sql, params);
+    }
+
     async saveTestResult(testId, result) {
         const sql = `INSERT INTO test_results (test_id, result_data) VALUES (?, ?)`;
         await this.db.run(sql, [testId, JSON.stringify(result)]);
@@ -174,6 +412,24 @@ class DatabaseService {
         }));
     }
 
+    // Removes a test and everything recorded about it. Schedule and template
+    // run lists drop it; its campaign keeps the step, marked as deleted, so the
+    // campaign doesn't take the step for one still to launch.
+    async deleteTest(testId) {
+        await this.db.run('DELETE FROM test_results WHERE test_id = ?', [testId]);
+        await this.db.run('DELETE FROM test_state_history WHERE test_id = ?', [testId]);
+        await this.db.run('DELETE FROM test_queue WHERE test_id = ?', [testId]);
+        await this.db.run('DELETE FROM test_runs WHERE test_id = ?', [testId]);
+        await this.db.run('DELETE FROM api_test_results WHERE test_id = ?', [testId]);
+        await this.db.run('DELETE FROM schedule_runs WHERE test_id = ?', [testId]);
+        await this.db.run('DELETE FROM template_runs WHERE test_id = ?', [testId]);
+        await this.db.run(
+            "UPDATE campaign_tests SET test_id = NULL, skip_reason = 'Test deleted' WHERE test_id = ?",
+            [testId]
+        );
+        await this.db.run('DELETE FROM test_configs WHERE id = ?', [testId]);
+    }
+
     async getRecentTests(limit = 10) {
         const sql = `SELECT id, type, status, created_at FROM test_configs 
                      ORDER BY created_at DESC LIMIT ?`;
@@ -200,7 +456,7 @@ class DatabaseService {
 
         // Active tests
         const activeTests = await this.db.get(
-            "SELECT COUNT(*) as count FROM test_configs WHERE status = 'running'"
+            "SELECT COUNT(*) as count FROM test_configs WHERE status IN ('running', 'paused')"
         );
         stats.activeTests = activeTests.count;
 
@@ -291,8 +547,12 @@ class DatabaseService {
 
     async saveApiTestResult(result) {
         const sql = `INSERT INTO api_test_results 
-                     (test_id, endpoint, method, status_code, response_time, success, error_message) 
-                     VALUES (?, ?, ?, ?, ?, ?, ?)`;
+                     (test_id, endpoint, method, status_code, response_time, success, error_message, attempts,
+                      dns_ms, tcp_ms, tls_ms, ttfb_ms, transfer_ms, reused_connection, tls_version, tls_cipher,
+                      network_profile) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        // Requests that failed before a response have no timings
+        const timings = result.timings || {};
         
         await this.db.run(sql, [
             result.testId,
@@ -301,7 +561,17 @@ class DatabaseService {
             result.statusCode,
             result.responseTime,
             result.success,
-            result.errorMessage
+            result.errorMessage,
+            result.attempts || 1,
+            timings.dnsMs,
+            timings.tcpMs,
+            timings.tlsMs,
+            timings.ttfbMs,
+            timings.transferMs,
+            timings.reusedConnection,
+            timings.tlsVersion,
+            timings.tlsCipher,
+            result.networkProfile
         ]);
     }
 
@@ -312,6 +582,365 @@ class DatabaseService {
         return await this.db.all(sql, [testId]);
     }
 
+    async enqueueTestJob(config, priority = 0) {
+        const sql = `INSERT INTO test_queue (test_id, type, config, priority) 
+                     VALUES (?, ?, ?, ?)`;
+        
+        await this.db.run(sql, [
+            config.testId,
+            config.type,
+            JSON.stringify(config),
+            priority
+        ]);
+    }
+
+    // `excludeTypes` leaves out types that can't be admitted, so they don't fill the page
+    async getPendingTestJobs(limit = 100, { excludeTypes = [] } = {}) {
+        const excluded = excludeTypes.length > 0
+            ? `AND type NOT IN (${excludeTypes.map(() => '?').join(', ')})`
+            : '';
+        const sql = `SELECT * FROM test_queue WHERE status = 'pending' ${excluded}
+                     ORDER BY priority DESC, rowid ASC LIMIT ?`;
+        
+        const results = await this.db.all(sql, [...excludeTypes, limit]);
+        
+        return results.map(row => ({
+            ...row,
+            config: JSON.parse(row.config)
+        }));
+    }
+
+    // Sampling progress of a run, so it can pick up where it left off after a restart
+    async saveTestProgress(testId, elapsedMs) {
+        await this.db.run(
+            'UPDATE test_queue SET elapsed_ms = ? WHERE test_id = ?',
+            [Math.round(elapsedMs), testId]
+        );
+    }
+
+    async requeueTestJob(testId) {
+        await this.db.run(
+            `UPDATE test_queue SET status = 'pending', dispatched_at = NULL, finished_at = NULL 
+             WHERE test_id = ?`,
+            [testId]
+        );
+    }
+
+    // Runs the database still shows as in progress, e.g. after the process died mid-test
+    async getOrphanedTests() {
+        const sql = `SELECT c.id AS test_id, c.type, c.status, c.config, q.elapsed_ms 
+                     FROM test_configs c LEFT JOIN test_queue q ON q.test_id = c.id 
+                     WHERE c.status IN ('running', 'paused') 
+                        OR (c.status = 'queued' AND q.status = 'dispatched')`;
+        
+        const results = await this.db.all(sql);
+        
+        return results.map(row => ({
+            ...row,
+            config: JSON.parse(row.config)
+        }));
+    }
+
+    async countPendingTestJobs() {
+        const result = await this.db.get(
+            "SELECT COUNT(*) as count FROM test_queue WHERE status = 'pending'"
+        );
+        
+        return result.count;
+    }
+
+    async countPendingTestJobsAhead(priority) {
+        const result = await this.db.get(
+            "SELECT COUNT(*) as count FROM test_queue WHERE status = 'pending' AND priority >= ?",
+            [priority]
+        );
+        
+        return result.count;
+    }
+
+    async getTestJobPosition(testId) {
+        const sql = `SELECT COUNT(*) as position FROM test_queue q, test_queue job 
+                     WHERE job.test_id = ? AND q.status = 'pending' AND job.status = 'pending'
+                     AND (q.priority > job.priority 
+                          OR (q.priority = job.priority AND q.rowid <= job.rowid))`;
+        
+        const result = await this.db.get(sql, [testId]);
+        
+        return result.position;
+    }
+
+    async markTestJobDispatched(testId) {
+        const sql = `UPDATE test_queue SET status = 'dispatched', dispatched_at = CURRENT_TIMESTAMP 
+                     WHERE test_id = ? AND status = 'pending'`;
+        
+        await this.db.run(sql, [testId]);
+    }
+
+    async finishTestJob(testId, status, errorMessage = null) {
+        const sql = `UPDATE test_queue SET status = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP 
+                     WHERE test_id = ?`;
+        
+        await this.db.run(sql, [status, errorMessage, testId]);
+    }
+
+    async saveSchedule(schedule) {
+        const sql = `INSERT OR REPLACE INTO test_schedules 
+                     (id, name, cron_expression, timezone, test_type, config, priority, enabled, 
+                      last_run_at, created_at, updated_at) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)`;
+        
+        await this.db.run(sql, [
+            schedule.id,
+            schedule.name,
+            schedule.cronExpression,
+            schedule.timezone || null,
+            schedule.testType,
+            JSON.stringify(schedule.config || {}),
+            schedule.priority || 0,
+            schedule.enabled !== false,
+            schedule.lastRunAt || null,
+            schedule.createdAt || null
+        ]);
+    }
+
+    async getSchedule(id) {
+        const sql = `SELECT * FROM test_schedules WHERE id = ?`;
+        const row = await this.db.get(sql, [id]);
+        
+        return row ? this.mapScheduleRow(row) : null;
+    }
+
+    async getSchedules() {
+        const sql = `SELECT * FROM test_schedules ORDER BY created_at ASC`;
+        const rows = await this.db.all(sql);
+        
+        return rows.map(row => this.mapScheduleRow(row));
+    }
+
+    mapScheduleRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            cronExpression: row.cron_expression,
+            timezone: row.timezone,
+            testType: row.test_type,
+            config: JSON.parse(row.config),
+            priority: row.priority,
+            enabled: Boolean(row.enabled),
+            lastRunAt: row.last_run_at,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async deleteSchedule(id) {
+        await this.db.run('DELETE FROM schedule_runs WHERE schedule_id = ?', [id]);
+        await this.db.run('DELETE FROM test_schedules WHERE id = ?', [id]);
+    }
+
+    async recordScheduleRun(scheduleId, testId) {
+        await this.db.run(
+            'INSERT INTO schedule_runs (schedule_id, test_id) VALUES (?, ?)',
+            [scheduleId, testId]
+        );
+        await this.db.run(
+            'UPDATE test_schedules SET last_run_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [scheduleId]
+        );
+    }
+
+    async getScheduleRuns(scheduleId, limit = 50) {
+        const sql = `SELECT r.test_id, r.triggered_at, c.status 
+                     FROM schedule_runs r LEFT JOIN test_configs c ON c.id = r.test_id 
+                     WHERE r.schedule_id = ? 
+                     ORDER BY r.id DESC LIMIT ?`;
+        
+        return await this.db.all(sql, [scheduleId, limit]);
+    }
+
+    async saveCampaign(campaign) {
+        const sql = `INSERT INTO campaigns (id, name, mode, steps, priority, status) 
+                     VALUES (?, ?, ?, ?, ?, ?)`;
+        
+        await this.db.run(sql, [
+            campaign.id,
+            campaign.name,
+            campaign.mode,
+            JSON.stringify(campaign.steps),
+            campaign.priority || 0,
+            campaign.status || 'running'
+        ]);
+    }
+
+    async getCampaign(id) {
+        const row = await this.db.get('SELECT * FROM campaigns WHERE id = ?', [id]);
+        
+        return row ? this.mapCampaignRow(row) : null;
+    }
+
+    async getCampaigns(status = null, limit = 50) {
+        let sql = 'SELECT * FROM campaigns';
+        const params = [];
+        
+        if (status) {
+            sql += ' WHERE status = ?';
+            params.push(status);
+        }
+        
+        sql += ' ORDER BY created_at DESC LIMIT ?';
+        params.push(limit);
+        
+        const rows = await this.db.all(sql, params);
+        return rows.map(row => this.mapCampaignRow(row));
+    }
+
+    mapCampaignRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            mode: row.mode,
+            steps: JSON.parse(row.steps),
+            priority: row.priority,
+            status: row.status,
+            verdict: row.verdict,
+            result: row.result ? JSON.parse(row.result) : null,
+            createdAt: row.created_at,
+            finishedAt: row.finished_at
+        };
+    }
+
+    async finishCampaign(id, status, verdict, result) {
+        const sql = `UPDATE campaigns 
+                     SET status = ?, verdict = ?, result = ?, finished_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        
+        await this.db.run(sql, [status, verdict, JSON.stringify(result), id]);
+    }
+
+    async recordCampaignTest(campaignId, stepId, testId) {
+        await this.db.run(
+            'INSERT INTO campaign_tests (campaign_id, step_id, test_id) VALUES (?, ?, ?)',
+            [campaignId, stepId, testId]
+        );
+    }
+
+    async skipCampaignStep(campaignId, stepId, reason) {
+        await this.db.run(
+            `INSERT INTO campaign_tests (campaign_id, step_id, skip_reason) VALUES (?, ?, ?) 
+             ON CONFLICT (campaign_id, step_id) DO UPDATE SET skip_reason = excluded.skip_reason`,
+            [campaignId, stepId, reason]
+        );
+    }
+
+    async getCampaignTests(campaignId) {
+        const sql = `SELECT t.step_id, t.test_id, t.skip_reason, c.status, c.created_at, c.updated_at 
+                     FROM campaign_tests t LEFT JOIN test_configs c ON c.id = t.test_id 
+                     WHERE t.campaign_id = ?`;
+        
+        return await this.db.all(sql, [campaignId]);
+    }
+
+    async getCampaignIdForTest(testId) {
+        const row = await this.db.get('SELECT campaign_id FROM campaign_tests WHERE test_id = ?', [testId]);
+        
+        return row ? row.campaign_id : null;
+    }
+
+    async saveTemplate(template) {
+        const sql = `INSERT OR REPLACE INTO test_templates 
+                     (id, name, description, test_type, version, created_at, updated_at) 
+                     VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)`;
+        
+        await this.db.run(sql, [
+            template.id,
+            template.name,
+            template.description || null,
+            template.testType,
+            template.version,
+            template.createdAt || null
+        ]);
+    }
+
+    async saveTemplateVersion(templateId, version, config, parameters) {
+        const sql = `INSERT INTO test_template_versions (template_id, version, config, parameters) 
+                     VALUES (?, ?, ?, ?)`;
+        
+        await this.db.run(sql, [templateId, version, JSON.stringify(config), JSON.stringify(parameters)]);
+    }
+
+    // The template at a given version, or at its current one
+    async getTemplate(id, version = null) {
+        const sql = `SELECT t.*, v.version AS config_version, v.config, v.parameters 
+                     FROM test_templates t 
+                     JOIN test_template_versions v ON v.template_id = t.id AND v.version = COALESCE(?, t.version) 
+                     WHERE t.id = ?`;
+        const row = await this.db.get(sql, [version, id]);
+        
+        return row ? this.mapTemplateRow(row) : null;
+    }
+
+    async getTemplates(testType = null) {
+        let sql = `SELECT t.*, v.version AS config_version, v.config, v.parameters 
+                   FROM test_templates t 
+                   JOIN test_template_versions v ON v.template_id = t.id AND v.version = t.version`;
+        const params = [];
+        
+        if (testType) {
+            sql += ' WHERE t.test_type = ?';
+            params.push(testType);
+        }
+        
+        sql += ' ORDER BY t.name ASC';
+        
+        const rows = await this.db.all(sql, params);
+        return rows.map(row => this.mapTemplateRow(row));
+    }
+
+    mapTemplateRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            testType: row.test_type,
+            version: row.config_version,
+            latestVersion: row.version,
+            config: JSON.parse(row.config),
+            parameters: JSON.parse(row.parameters),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async getTemplateVersions(templateId) {
+        const sql = `SELECT version, created_at FROM test_template_versions 
+                     WHERE template_id = ? ORDER BY version ASC`;
+        
+        return await this.db.all(sql, [templateId]);
+    }
+
+    async deleteTemplate(id) {
+        await this.db.run('DELETE FROM template_runs WHERE template_id = ?', [id]);
+        await this.db.run('DELETE FROM test_template_versions WHERE template_id = ?', [id]);
+        await this.db.run('DELETE FROM test_templates WHERE id = ?', [id]);
+    }
+
+    async recordTemplateRun(templateId, version, testId, parameters) {
+        await this.db.run(
+            'INSERT INTO template_runs (template_id, template_version, test_id, parameters) VALUES (?, ?, ?, ?)',
+            [templateId, version, testId, JSON.stringify(parameters)]
+        );
+    }
+
+    async getTemplateRuns(templateId, limit = 50) {
+        const sql = `SELECT r.test_id, r.template_version, r.parameters, r.triggered_at, c.status 
+                     FROM template_runs r LEFT JOIN test_configs c ON c.id = r.test_id 
+                     WHERE r.template_id = ? 
+                     ORDER BY r.id DESC LIMIT ?`;
+        
+        const rows = await this.db.all(sql, [templateId, limit]);
+        return rows.map(row => ({ ...row, parameters: row.parameters ? JSON.parse(row.parameters) : {} }));
+    }
+
     async createNotification(notification) {
         const sql = `INSERT INTO notifications (type, title, message, severity) 
                      VALUES (?, ?, ?, ?)`;
@@ -358,9 +987,22 @@ class DatabaseService {
             await this.db.run(sql, [cutoffDate.toISOString()]);
         }
         
-        // Also clean up completed test configs older than retention period
+        // Finished queue entries are only kept for the retention period
+        await this.db.run(
+            `DELETE FROM test_queue WHERE status NOT IN ('pending', 'dispatched') AND finished_at < ?`,
+            [cutoffDate.toISOString()]
+        );
+        await this.db.run('DELETE FROM test_runs WHERE finished_at < ?', [cutoffDate.getTime()]);
+        
+        // Also clean up finished test configs older than retention period
+        const finishedStatuses = `('completed', 'failed', 'cancelled', 'timed_out', 'interrupted')`;
+        await this.db.run(
+            `DELETE FROM test_state_history WHERE test_id IN 
+             (SELECT id FROM test_configs WHERE status IN ${finishedStatuses} AND created_at < ?)`,
+            [cutoffDate.toISOString()]
+        );
         const configSql = `DELETE FROM test_configs 
-                          WHERE status IN ('completed', 'failed') 
+                          WHERE status IN ${finishedStatuses} 
                           AND created_at < ?`;
         await this.db.run(configSql, [cutoffDate.toISOString()]);
     }
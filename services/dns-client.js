@@ -0,0 +1,232 @@
+const dgram = require('dgram');
+const net = require('net');
+const axios = require('axios');
+
+// A minimal DNS client that speaks the wire format over UDP, TCP (RFC 1035
+// length-prefixed) and DNS over HTTPS (RFC 8484), so each transport can be
+// timed on its own. Node's resolver can't be told which transport to use.
+
+const RECORD_TYPES = { A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28 };
+const RCODES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED'];
+const DNS_PORT = 53;
+
+class DnsQueryError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'DnsQueryError';
+        this.code = code;
+    }
+}
+
+function buildQuery(name, type = 'A', id = Math.floor(Math.random() * 0xffff)) {
+    const qtype = RECORD_TYPES[type];
+    if (!qtype) {
+        throw new DnsQueryError(`Unsupported record type: ${type}`, 'BADTYPE');
+    }
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(0x0100, 2); // Recursion desired
+    header.writeUInt16BE(1, 4);
+
+    const labels = name.replace(/\.$/, '').split('.').filter(Boolean).map(label => {
+        const bytes = Buffer.from(label);
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    const question = Buffer.alloc(4);
+    question.writeUInt16BE(qtype, 0);
+    question.writeUInt16BE(1, 2); // IN
+
+    return Buffer.concat([header, ...labels, Buffer.from([0]), question]);
+}
+
+// Follows compression pointers; returns the name and the offset after it
+function readName(message, offset) {
+    const labels = [];
+    let next = null;
+
+    for (let jumps = 0; jumps < 64; jumps++) {
+        const length = message[offset];
+
+        if (length === 0) {
+            return { name: labels.join('.'), offset: next === null ? offset + 1 : next };
+        }
+        if ((length & 0xc0) === 0xc0) {
+            if (next === null) next = offset + 2;
+            offset = message.readUInt16BE(offset) & 0x3fff;
+        } else {
+            labels.push(message.toString('utf8', offset + 1, offset + 1 + length));
+            offset += length + 1;
+        }
+    }
+
+    throw new DnsQueryError('Malformed name in DNS response', 'FORMERR');
+}
+
+function parseResponse(message) {
+    if (message.length < 12) {
+        throw new DnsQueryError('DNS response too short', 'FORMERR');
+    }
+
+    const flags = message.readUInt16BE(2);
+    const questions = message.readUInt16BE(4);
+    const answerCount = message.readUInt16BE(6);
+    const typeNames = Object.fromEntries(Object.entries(RECORD_TYPES).map(([name, code]) => [code, name]));
+
+    let offset = 12;
+    for (let i = 0; i < questions; i++) {
+        offset = readName(message, offset).offset + 4;
+    }
+
+    const answers = [];
+    for (let i = 0; i < answerCount; i++) {
+        const owner = readName(message, offset);
+        offset = owner.offset;
+
+        const type = message.readUInt16BE(offset);
+        const ttl = message.readUInt32BE(offset + 4);
+        const length = message.readUInt16BE(offset + 8);
+        const rdataOffset = offset + 10;
+        offset = rdataOffset + length;
+
+        answers.push({
+            name: owner.name,
+            type: typeNames[type] || String(type),
+            ttl,
+            data: readRecordData(message, type, rdataOffset, length)
+        });
+    }
+
+    return {
+        id: message.readUInt16BE(0),
+        rcode: RCODES[flags & 0x0f] || `RCODE${flags & 0x0f}`,
+        truncated: Boolean(flags & 0x0200),
+        answers
+    };
+}
+
+function readRecordData(message, type, offset, length) {
+    switch (type) {
+        case RECORD_TYPES.A:
+            return Array.from(message.subarray(offset, offset + 4)).join('.');
+        case RECORD_TYPES.AAAA: {
+            const groups = [];
+            for (let i = 0; i < 16; i += 2) {
+                groups.push(message.readUInt16BE(offset + i).toString(16));
+            }
+            return groups.join(':');
+        }
+        case RECORD_TYPES.CNAME:
+        case RECORD_TYPES.NS:
+        case RECORD_TYPES.PTR:
+            return readName(message, offset).name;
+        default:
+            return message.toString('hex', offset, offset + length);
+    }
+}
+
+function queryUdp(query, { address, port = DNS_PORT, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+        const id = query.readUInt16BE(0);
+        const timer = setTimeout(() => finish(new DnsQueryError(`No answer from ${address} within ${timeoutMs}ms`, 'TIMEOUT')), timeoutMs);
+        let done = false;
+
+        function finish(error, response) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            socket.close();
+            if (error) reject(error);
+            else resolve(response);
+        }
+
+        socket.on('message', message => {
+            // Ignore stray datagrams for other queries
+            if (message.length >= 2 && message.readUInt16BE(0) === id) {
+                finish(null, message);
+            }
+        });
+        socket.on('error', error => finish(new DnsQueryError(error.message, error.code || 'NETWORK')));
+        socket.send(query, port, address, error => {
+            if (error) finish(new DnsQueryError(error.message, error.code || 'NETWORK'));
+        });
+    });
+}
+
+function queryTcp(query, { address, port = DNS_PORT, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: address, port });
+        let received = Buffer.alloc(0);
+
+        const finish = (error, response) => {
+            socket.destroy();
+            if (error) reject(error);
+            else resolve(response);
+        };
+
+        socket.setTimeout(timeoutMs, () => finish(new DnsQueryError(`No answer from ${address} within ${timeoutMs}ms`, 'TIMEOUT')));
+        socket.on('error', error => finish(new DnsQueryError(error.message, error.code || 'NETWORK')));
+        socket.on('connect', () => {
+            const length = Buffer.alloc(2);
+            length.writeUInt16BE(query.length);
+            socket.write(Buffer.concat([length, query]));
+        });
+        socket.on('data', chunk => {
+            received = Buffer.concat([received, chunk]);
+            if (received.length >= 2 && received.length >= received.readUInt16BE(0) + 2) {
+                finish(null, received.subarray(2, received.readUInt16BE(0) + 2));
+            }
+        });
+    });
+}
+
+async function queryDoh(query, { url, timeoutMs, signal }) {
+    // RFC 8484 asks for ID 0 so responses cache well
+    query.writeUInt16BE(0, 0);
+
+    try {
+        const response = await axios.post(url, query, {
+            headers: { 'Content-Type': 'application/dns-message', Accept: 'application/dns-message' },
+            responseType: 'arraybuffer',
+            timeout: timeoutMs,
+            signal,
+            validateStatus: () => true
+        });
+
+        if (response.status !== 200) {
+            throw new DnsQueryError(`DoH server answered HTTP ${response.status}`, `HTTP_${response.status}`);
+        }
+        return Buffer.from(response.data);
+    } catch (error) {
+        if (error instanceof DnsQueryError) throw error;
+        const code = error.code === 'ECONNABORTED' || /timeout/i.test(error.message) ? 'TIMEOUT' : error.code || 'NETWORK';
+        throw new DnsQueryError(error.message, code);
+    }
+}
+
+const TRANSPORTS = { udp: queryUdp, tcp: queryTcp, doh: queryDoh };
+
+// Resolves `name` against one resolver over one protocol and times it. The
+// resolver is { address, port } for UDP and TCP, { url } for DoH.
+async function resolve(name, { type = 'A', protocol = 'udp', resolver, timeoutMs = 2000, signal = null }) {
+    const transport = TRANSPORTS[protocol];
+    if (!transport) {
+        throw new DnsQueryError(`Unsupported protocol: ${protocol}`, 'BADPROTOCOL');
+    }
+
+    const startedAt = process.hrtime.bigint();
+    const message = await transport(buildQuery(name, type), { ...resolver, timeoutMs, signal });
+    const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    return { latencyMs: Math.round(latencyMs * 100) / 100, ...parseResponse(message) };
+}
+
+module.exports = {
+    RECORD_TYPES,
+    RCODES,
+    DnsQueryError,
+    buildQuery,
+    parseResponse,
+    resolve
+};
@@ -0,0 +1,138 @@
+// ITU-T G.107 E-model, reduced to the inputs a network probe can measure:
+// one-way delay, jitter and random packet loss. Everything else (loudness,
+// noise, echo, sidetone) takes the recommendation's default values, so the
+// result rates the network's contribution to call quality for each codec.
+//
+// Each codec is rated in its own band: G.711 on the narrowband G.107 scale,
+// wideband codecs on the G.107.1 scale (best R of 129), divided by 1.29 so every
+// R-factor reads 0-100. Compare a codec's figures across links rather than
+// codecs against each other; the bands' MOS scales aren't the same.
+
+// Ro - Is with every G.107 parameter at its default
+const NARROWBAND_R0 = 93.2;
+const WIDEBAND_R0 = 129;
+const WIDEBAND_SCALE = 1.29;
+
+// The jitter buffer holds twice the measured jitter, and never less than one frame
+const JITTER_BUFFER_FACTOR = 2;
+const MIN_JITTER_BUFFER_MS = 20;
+
+// R-factor at or above which a link is ready for VoLTE: G.109's "some users
+// dissatisfied" band starts here, MOS 3.6
+const VOLTE_READY_R = 70;
+
+// `ie` is the equipment impairment and `bpl` the robustness to packet loss,
+// both on the codec's own scale; `delayMs` is frame size plus look-ahead.
+// G.711 and the AMR-WB Ie,wb come from ITU-T G.113; AMR-WB and EVS loss
+// robustness are approximations from published listening tests.
+const CODECS = {
+    g711: { label: 'G.711 (64 kbit/s, with PLC)', band: 'narrowband', ie: 0, bpl: 25.1, delayMs: 20 },
+    'amr-wb': { label: 'AMR-WB (12.65 kbit/s)', band: 'wideband', ie: 11, bpl: 20, delayMs: 26 },
+    evs: { label: 'EVS (13.2 kbit/s)', band: 'wideband', ie: 0, bpl: 25, delayMs: 32 }
+};
+
+// G.109 user satisfaction bands, from the top
+const SATISFACTION = [
+    [90, 'very satisfied'],
+    [80, 'satisfied'],
+    [70, 'some users dissatisfied'],
+    [60, 'many users dissatisfied'],
+    [50, 'nearly all users dissatisfied'],
+    [-Infinity, 'not recommended']
+];
+
+// Mouth-to-ear delay: half the round trip, the jitter buffer and the codec
+function oneWayDelay({ latencyMs, jitterMs = 0 }, codec) {
+    const jitterBufferMs = Math.max(MIN_JITTER_BUFFER_MS, JITTER_BUFFER_FACTOR * (jitterMs || 0));
+    return latencyMs / 2 + jitterBufferMs + codec.delayMs;
+}
+
+// G.107 Idd: no impairment up to 100ms, rising steeply past about 250ms
+function delayImpairment(delayMs) {
+    if (delayMs <= 100) return 0;
+
+    const x = Math.log10(delayMs / 100) / Math.log10(2);
+    return 25 * (Math.pow(1 + Math.pow(x, 6), 1 / 6) - 3 * Math.pow(1 + Math.pow(x / 3, 6), 1 / 6) + 2);
+}
+
+// G.107 Ie,eff for random loss (BurstR = 1)
+function equipmentImpairment(packetLoss, codec, r0) {
+    const ppl = packetLoss || 0;
+    const ceiling = codec.band === 'wideband' ? r0 : 95;
+    return codec.ie + (ceiling - codec.ie) * (ppl / (ppl + codec.bpl));
+}
+
+function mosFromR(r) {
+    if (r <= 0) return 1;
+    if (r >= 100) return 4.5;
+    return 1 + 0.035 * r + r * (r - 60) * (100 - r) * 7e-6;
+}
+
+// Rates one codec; metrics are { latencyMs, jitterMs, packetLoss } as measured
+function rateCall(metrics, codecName) {
+    const codec = CODECS[codecName];
+    if (!codec) {
+        throw new Error(`Unknown codec: ${codecName}`);
+    }
+
+    const wideband = codec.band === 'wideband';
+    const r0 = wideband ? WIDEBAND_R0 : NARROWBAND_R0;
+    const scale = wideband ? WIDEBAND_SCALE : 1;
+    const delayMs = oneWayDelay(metrics, codec);
+    const delay = delayImpairment(delayMs) * scale;
+    const equipment = equipmentImpairment(metrics.packetLoss, codec, r0);
+    const r = Math.max(0, Math.min(100, (r0 - delay - equipment) / scale));
+
+    return {
+        codec: codecName,
+        label: codec.label,
+        rFactor: round(r),
+        mos: round(mosFromR(r)),
+        satisfaction: SATISFACTION.find(([min]) => r >= min)[1],
+        volteReady: r >= VOLTE_READY_R,
+        oneWayDelayMs: round(delayMs),
+        impairments: { delay: round(delay / scale), equipment: round(equipment / scale) }
+    };
+}
+
+// Rates each codec, keyed by codec name; null when no probe got a reply
+function rateCallQuality(metrics, codecs = Object.keys(CODECS)) {
+    if (metrics.latencyMs === null || metrics.latencyMs === undefined) return null;
+
+    return Object.fromEntries(codecs.map(codec => [codec, rateCall(metrics, codec)]));
+}
+
+// Per-codec averages over quality samples, plus the share of samples ready for VoLTE
+function summarizeCallQuality(ratings) {
+    const rated = ratings.filter(Boolean);
+    if (rated.length === 0) return null;
+
+    const codecs = Object.keys(rated[0]);
+
+    return Object.fromEntries(codecs.map(codec => {
+        const samples = rated.map(rating => rating[codec]).filter(Boolean);
+        const mos = samples.map(sample => sample.mos);
+
+        return [codec, {
+            label: CODECS[codec].label,
+            samples: samples.length,
+            averageRFactor: round(samples.reduce((sum, sample) => sum + sample.rFactor, 0) / samples.length),
+            averageMos: round(mos.reduce((sum, value) => sum + value, 0) / mos.length),
+            minMos: Math.min(...mos),
+            volteReadyPercent: round((samples.filter(sample => sample.volteReady).length / samples.length) * 100)
+        }];
+    }));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    CODECS,
+    VOLTE_READY_R,
+    mosFromR,
+    rateCall,
+    rateCallQuality,
+    summarizeCallQuality
+};
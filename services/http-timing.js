@@ -0,0 +1,141 @@
+const http = require('http');
+const https = require('https');
+const { percentile } = require('./run-stats');
+
+// Splits an HTTP request's time into phases by watching the request and its
+// socket. Pass `timingAgents` to axios; once it resolves, `readTimings` on the
+// response gives, in milliseconds:
+//   dnsMs      - name lookup (null for IP literals)
+//   tcpMs      - TCP handshake, about one network round trip
+//   tlsMs      - TLS handshake (null for plain HTTP)
+//   ttfbMs     - request sent to first response byte: a round trip plus server time
+//   transferMs - first byte to last
+// A request on a kept-alive socket has no DNS, TCP or TLS phase.
+
+const PHASES = ['dns', 'tcp', 'tls', 'ttfb', 'transfer'];
+const PERCENTILES = [50, 95];
+const TIMINGS = Symbol('timings');
+
+function now() {
+    return Number(process.hrtime.bigint()) / 1e6;
+}
+
+function trackTimings(req) {
+    const marks = { start: now() };
+    req[TIMINGS] = marks;
+
+    req.once('socket', socket => {
+        marks.socket = now();
+        marks.reused = Boolean(req.reusedSocket);
+
+        if (!marks.reused) {
+            socket.once('lookup', () => { marks.lookup = now(); });
+            socket.once('connect', () => { marks.connect = now(); });
+        }
+        if (typeof socket.getProtocol === 'function') {
+            const readTls = () => {
+                marks.tls = { version: socket.getProtocol(), cipher: (socket.getCipher() || {}).name || null };
+            };
+            if (marks.reused) {
+                readTls();
+            } else {
+                socket.once('secureConnect', () => {
+                    marks.secureConnect = now();
+                    readTls();
+                });
+            }
+        }
+    });
+    req.once('response', res => {
+        marks.response = now();
+        res.once('end', () => { marks.end = now(); });
+    });
+}
+
+class HttpTimingAgent extends http.Agent {
+    addRequest(req, options) {
+        trackTimings(req);
+        return super.addRequest(req, options);
+    }
+}
+
+class HttpsTimingAgent extends https.Agent {
+    addRequest(req, options) {
+        trackTimings(req);
+        return super.addRequest(req, options);
+    }
+}
+
+// Keep-alive, like Node's global agents, so timings reflect how clients reuse connections
+const timingAgents = {
+    httpAgent: new HttpTimingAgent({ keepAlive: true }),
+    httpsAgent: new HttpsTimingAgent({ keepAlive: true })
+};
+
+// Phase timings for an axios response (the last request when redirected), or null
+function readTimings(response) {
+    const marks = response && response.request && response.request[TIMINGS];
+    if (!marks || marks.response === undefined) return null;
+
+    // Axios resolves after the body ends, so `end` is set unless the body was empty
+    const end = marks.end === undefined ? now() : marks.end;
+    const connected = marks.secureConnect || marks.connect || marks.socket;
+
+    return {
+        dnsMs: marks.lookup !== undefined ? round(marks.lookup - marks.start) : null,
+        tcpMs: marks.connect !== undefined ? round(marks.connect - (marks.lookup || marks.start)) : null,
+        tlsMs: marks.secureConnect !== undefined ? round(marks.secureConnect - marks.connect) : null,
+        ttfbMs: round(marks.response - connected),
+        transferMs: round(end - marks.response),
+        reusedConnection: marks.reused,
+        tlsVersion: marks.tls ? marks.tls.version : null,
+        tlsCipher: marks.tls ? marks.tls.cipher : null
+    };
+}
+
+// Aggregates stored api_test_results rows. `serverMs` is TTFB less the TCP
+// handshake, on fresh connections: roughly the backend's share of the wait,
+// with the round trip taken out.
+function summarizeTimings(rows) {
+    const timed = rows.filter(row => row.ttfb_ms !== null && row.ttfb_ms !== undefined);
+    if (timed.length === 0) return null;
+
+    const fresh = timed.filter(row => row.tcp_ms !== null && row.tcp_ms !== undefined);
+
+    return {
+        requests: timed.length,
+        reusedConnections: timed.filter(row => Boolean(row.reused_connection)).length,
+        ...Object.fromEntries(PHASES.map(phase => [phase, phaseStats(timed.map(row => row[`${phase}_ms`]))])),
+        serverMs: phaseStats(fresh.map(row => row.ttfb_ms - row.tcp_ms)),
+        tlsVersions: countBy(timed, 'tls_version'),
+        tlsCiphers: countBy(timed, 'tls_cipher')
+    };
+}
+
+function phaseStats(values) {
+    const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+
+    return {
+        mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(percentile(sorted, p))])),
+        max: round(sorted[sorted.length - 1])
+    };
+}
+
+function countBy(rows, column) {
+    return rows.reduce((acc, row) => {
+        if (row[column]) acc[row[column]] = (acc[row[column]] || 0) + 1;
+        return acc;
+    }, {});
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    timingAgents,
+    readTimings,
+    summarizeTimings
+};
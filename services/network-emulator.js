@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Transform } = require('stream');
+
+// An HTTP proxy that makes the link behind it look like a mobile network.
+// Plain-HTTP requests with an absolute URI are forwarded (axios sends HTTPS
+// targets this way too); CONNECT tunnels carry everything else, e.g. an app
+// pointed at the proxy. Each profile gets its own listener.
+//
+// An open proxy on the LAN would relay anyone's traffic, so listeners bind
+// to loopback unless EMULATION_PROXY_TOKEN is set; with a token, clients give
+// it as the password of Proxy-Authorization Basic credentials.
+//
+// A TCP proxy can't drop packets, so loss is modelled the way the client sees
+// it: an affected chunk is held back one retransmission timeout.
+
+const NETWORK_PROFILES = {
+    '2g': { label: '2G (EDGE)', latencyMs: 650, jitterMs: 100, lossPercent: 2, downloadKbps: 250, uploadKbps: 50, disconnectPercent: 2 },
+    '3g': { label: '3G (HSPA)', latencyMs: 300, jitterMs: 50, lossPercent: 1, downloadKbps: 1600, uploadKbps: 768, disconnectPercent: 1 },
+    lte: { label: '4G LTE', latencyMs: 70, jitterMs: 15, lossPercent: 0.5, downloadKbps: 12000, uploadKbps: 5000, disconnectPercent: 0 },
+    '5g': { label: '5G NR', latencyMs: 20, jitterMs: 5, lossPercent: 0.1, downloadKbps: 100000, uploadKbps: 50000, disconnectPercent: 0 }
+};
+
+// Settings a custom profile may give; missing ones mean "no impairment"
+const PROFILE_SETTINGS = ['latencyMs', 'jitterMs', 'lossPercent', 'downloadKbps', 'uploadKbps', 'disconnectPercent'];
+
+const SLICE_BYTES = 16 * 1024;
+// Bytes a shaped stream holds before it stops taking more from its source
+const MAX_QUEUED_BYTES = 1024 * 1024;
+const MIN_RETRANSMIT_MS = 200;
+// Connections picked for a disconnect are cut at a random point in this window
+const DISCONNECT_WINDOW_MS = 5000;
+// Listeners running at once; each distinct custom profile needs its own
+const MAX_PROXIES = Number(process.env.EMULATION_MAX_PROXIES) || 16;
+// Tunnels to a server that doesn't answer, or that go quiet, are closed after this
+const TUNNEL_IDLE_TIMEOUT_MS = 2 * 60 * 1000;
+// User name the framework's own runs send with the token; the proxy ignores it
+const PROXY_USER = 'emulation';
+
+// A preset name or a custom { latencyMs, ... } object, as { name, ...settings }
+function resolveProfile(profile) {
+    if (typeof profile === 'string') {
+        const preset = NETWORK_PROFILES[profile];
+        if (!preset) {
+            throw new Error(`Unknown network profile: ${profile}`);
+        }
+        return { name: profile, ...preset };
+    }
+
+    const settings = Object.fromEntries(PROFILE_SETTINGS.map(key => [key, profile[key] || 0]));
+    return { name: profile.name || 'custom', label: profile.label || 'Custom profile', ...settings };
+}
+
+// Delays, paces and "loses" chunks in one direction, keeping their order.
+// `kbps` of 0 means no bandwidth cap.
+class ShapedStream extends Transform {
+    constructor({ delayMs = 0, jitterMs = 0, lossPercent = 0, kbps = 0, retransmitMs = MIN_RETRANSMIT_MS }) {
+        super();
+        this.settings = { delayMs, jitterMs, lossPercent, kbps, retransmitMs };
+        this.releaseAt = 0;
+        this.queuedBytes = 0;
+        this.waiting = null;
+        this.flushed = null;
+    }
+
+    _transform(chunk, encoding, callback) {
+        for (let offset = 0; offset < chunk.length; offset += SLICE_BYTES) {
+            this.schedule(chunk.subarray(offset, offset + SLICE_BYTES));
+        }
+
+        // Hold the source back once a bandwidth-delay's worth is queued
+        if (this.queuedBytes < MAX_QUEUED_BYTES) callback();
+        else this.waiting = callback;
+    }
+
+    _flush(callback) {
+        if (this.queuedBytes === 0) callback();
+        else this.flushed = callback;
+    }
+
+    schedule(slice) {
+        const { delayMs, jitterMs, lossPercent, kbps, retransmitMs } = this.settings;
+        const now = Date.now();
+        const jitter = (Math.random() * 2 - 1) * jitterMs;
+        const retransmit = Math.random() * 100 < lossPercent ? retransmitMs : 0;
+        const serialization = kbps > 0 ? (slice.length * 8) / kbps : 0;
+
+        this.releaseAt = Math.max(this.releaseAt, now + Math.max(0, delayMs + jitter) + retransmit) + serialization;
+        this.queuedBytes += slice.length;
+
+        setTimeout(() => this.release(slice), this.releaseAt - now);
+    }
+
+    release(slice) {
+        if (this.destroyed) return;
+
+        this.push(slice);
+        this.queuedBytes -= slice.length;
+
+        if (this.waiting && this.queuedBytes < MAX_QUEUED_BYTES) {
+            const callback = this.waiting;
+            this.waiting = null;
+            callback();
+        }
+        if (this.flushed && this.queuedBytes === 0) {
+            this.flushed();
+        }
+    }
+}
+
+// Hop-by-hop headers a proxy must not forward
+const HOP_HEADERS = ['connection', 'proxy-connection', 'proxy-authorization', 'keep-alive', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+function isLoopback(host) {
+    return host === 'localhost' || host === '::1' || (net.isIPv4(host) && host.startsWith('127.'));
+}
+
+class EmulationLimitError extends Error {
+    constructor(limit) {
+        super(`All ${limit} network emulation proxies are in use`);
+        this.name = 'EmulationLimitError';
+    }
+}
+
+// A proxy stays up while test runs hold it (each acquire() needs a matching
+// release()) or while it is pinned, i.e. started through the API for clients
+// outside the framework; stop() takes it down either way.
+class NetworkEmulator {
+    constructor({
+        host = process.env.EMULATION_PROXY_HOST || '127.0.0.1',
+        token = process.env.EMULATION_PROXY_TOKEN || '',
+        maxProxies = MAX_PROXIES
+    } = {}) {
+        this.host = host;
+        this.token = token;
+        this.maxProxies = maxProxies;
+        // profile key -> { profile, server, ready, holders, pinned }
+        this.proxies = new Map();
+    }
+
+    // Starts (or reuses) the listener for a profile; resolves to { host, port, profile }
+    async acquire(profileOrName, { pinned = false } = {}) {
+        const profile = resolveProfile(profileOrName);
+        const key = JSON.stringify(profile);
+
+        if (!this.proxies.has(key)) {
+            if (!this.token && !isLoopback(this.host)) {
+                throw new Error(`Set EMULATION_PROXY_TOKEN before binding emulation proxies to ${this.host}`);
+            }
+            if (this.proxies.size >= this.maxProxies) {
+                throw new EmulationLimitError(this.maxProxies);
+            }
+
+            const server = this.createProxy(profile);
+            const entry = {
+                profile,
+                server,
+                holders: 0,
+                pinned: false,
+                ready: new Promise((resolve, reject) => {
+                    server.once('error', reject);
+                    server.listen(0, this.host, () => {
+                        server.removeListener('error', reject);
+                        resolve();
+                    });
+                })
+            };
+            this.proxies.set(key, entry);
+
+            try {
+                await entry.ready;
+            } catch (error) {
+                this.proxies.delete(key);
+                throw error;
+            }
+        }
+
+        const entry = this.proxies.get(key);
+        await entry.ready;
+        if (pinned) entry.pinned = true;
+        else entry.holders++;
+        return { host: this.host, port: entry.server.address().port, profile };
+    }
+
+    // Proxy credentials for axios, or null when the proxies take anyone
+    getAuth() {
+        return this.token ? { username: PROXY_USER, password: this.token } : null;
+    }
+
+    // Checks a Proxy-Authorization header against the token; any user name goes
+    authorize(header) {
+        if (!this.token) return true;
+
+        const [scheme, encoded] = (header || '').split(' ');
+        if (!scheme || scheme.toLowerCase() !== 'basic' || !encoded) return false;
+
+        const credentials = Buffer.from(encoded, 'base64').toString();
+        const given = Buffer.from(credentials.slice(credentials.indexOf(':') + 1));
+        const expected = Buffer.from(this.token);
+        return credentials.includes(':') && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    getProxies() {
+        return Array.from(this.proxies.values())
+            .filter(entry => entry.server.listening)
+            .map(({ profile, server, holders, pinned }) => ({ host: this.host, port: server.address().port, profile, holders, pinned }));
+    }
+
+    // Gives back one acquire(); the last holder of an unpinned proxy stops it
+    async release(port) {
+        const found = this.find(port);
+        if (!found) return false;
+
+        const [key, entry] = found;
+        entry.holders = Math.max(0, entry.holders - 1);
+        if (entry.holders === 0 && !entry.pinned) {
+            await this.close(key, entry);
+        }
+        return true;
+    }
+
+    // Stops a proxy whoever holds it; tests still routed through it will fail
+    async stop(port) {
+        const found = this.find(port);
+        if (!found) return false;
+
+        await this.close(...found);
+        return true;
+    }
+
+    async shutdown() {
+        await Promise.all(Array.from(this.proxies).map(([key, entry]) => this.close(key, entry)));
+    }
+
+    find(port) {
+        return Array.from(this.proxies).find(([, entry]) => entry.server.listening && entry.server.address().port === port) || null;
+    }
+
+    async close(key, entry) {
+        this.proxies.delete(key);
+        if (!entry.server.listening) return;
+        entry.server.closeAllConnections();
+        await new Promise(resolve => entry.server.close(resolve));
+    }
+
+    createProxy(profile) {
+        const oneWayMs = profile.latencyMs / 2;
+        const retransmitMs = Math.max(MIN_RETRANSMIT_MS, 2 * profile.latencyMs);
+        const shape = (kbps, delayMs) => new ShapedStream({
+            delayMs,
+            jitterMs: profile.jitterMs / 2,
+            lossPercent: profile.lossPercent,
+            kbps,
+            retransmitMs
+        });
+        const wait = () => new Promise(resolve => {
+            setTimeout(resolve, Math.max(0, oneWayMs + (Math.random() * 2 - 1) * (profile.jitterMs / 2)));
+        });
+
+        const server = http.createServer(async (req, res) => {
+            if (!this.authorize(req.headers['proxy-authorization'])) {
+                return res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="network-emulation"', 'Content-Type': 'text/plain' })
+                    .end('Proxy authentication required');
+            }
+
+            let target;
+            try {
+                target = new URL(req.url);
+            } catch (error) {
+                return res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Proxy requests need an absolute URL');
+            }
+
+            const headers = Object.fromEntries(Object.entries(req.headers).filter(([name]) => !HOP_HEADERS.includes(name)));
+
+            // Request headers travel up, response headers back down; bodies are paced on their own
+            await wait();
+            // The client may have given up while its request was on the emulated link
+            if (req.destroyed || res.destroyed || res.writableEnded) return;
+
+            const upstream = (target.protocol === 'https:' ? https : http).request(target, { method: req.method, headers }, async upstreamRes => {
+                await wait();
+                if (res.destroyed) return upstreamRes.destroy();
+                const responseHeaders = Object.fromEntries(
+                    Object.entries(upstreamRes.headers).filter(([name]) => !HOP_HEADERS.includes(name))
+                );
+                res.writeHead(upstreamRes.statusCode, responseHeaders);
+                upstreamRes.pipe(shape(profile.downloadKbps, 0)).pipe(res);
+            });
+
+            upstream.on('error', error => {
+                if (!res.headersSent) {
+                    res.writeHead(502, { 'Content-Type': 'text/plain' }).end(`Upstream error: ${error.message}`);
+                } else {
+                    res.destroy();
+                }
+            });
+            res.on('close', () => upstream.destroy());
+            req.pipe(shape(profile.uploadKbps, 0)).pipe(upstream);
+        });
+
+        server.on('connect', (req, clientSocket, head) => {
+            if (!this.authorize(req.headers['proxy-authorization'])) {
+                clientSocket.end('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic realm="network-emulation"\r\n\r\n');
+                return;
+            }
+
+            const [hostname, port] = req.url.split(':');
+            const upstream = net.connect(Number(port) || 443, hostname);
+            upstream.setTimeout(TUNNEL_IDLE_TIMEOUT_MS, () => upstream.destroy(new Error('Tunnel timed out')));
+
+            upstream.once('connect', async () => {
+                await wait();
+                if (clientSocket.destroyed) return upstream.destroy();
+                clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+                if (head && head.length > 0) upstream.write(head);
+                clientSocket.pipe(shape(profile.uploadKbps, oneWayMs)).pipe(upstream);
+                upstream.pipe(shape(profile.downloadKbps, oneWayMs)).pipe(clientSocket);
+            });
+            upstream.on('error', () => clientSocket.destroy());
+            clientSocket.on('error', () => upstream.destroy());
+            clientSocket.on('close', () => upstream.destroy());
+        });
+
+        // Radio link drops: a share of connections is cut partway through
+        server.on('connection', socket => {
+            if (Math.random() * 100 < profile.disconnectPercent) {
+                const timer = setTimeout(() => socket.destroy(), Math.random() * DISCONNECT_WINDOW_MS);
+                socket.once('close', () => clearTimeout(timer));
+            }
+        });
+
+        return server;
+    }
+}
+
+module.exports = {
+    NETWORK_PROFILES,
+    resolveProfile,
+    ShapedStream,
+    EmulationLimitError,
+    NetworkEmulator
+};
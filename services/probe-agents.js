@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { STATES } = require('./test-lifecycle');
+
+const REGISTRATION_TIMEOUT_MS = 10000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Remote probe agents. An agent connects to the server's WebSocket at /agents,
+// registers its location and the test types it can run, then receives
+// assignments for tests launched with an `agent` selector and streams their
+// results back.
+//
+// Agent -> server: agent_register, agent_result { testId, data },
+//                  agent_complete { testId, status, error }
+// Server -> agent: agent_registered, agent_assignment { testId, testType, config },
+//                  agent_cancel { testId }, agent_error { error }
+//
+// Agents receive test configs, credentials included, and their results are
+// stored as real ones, so every agent must present the shared token. Without
+// a token configured, agent connections are refused.
+class ProbeAgentHub {
+    constructor(testingEngine, dbService, { token = process.env.PROBE_AGENT_TOKEN || null } = {}) {
+        this.testingEngine = testingEngine;
+        this.dbService = dbService;
+        this.agents = new Map();
+        // testId -> { agent, type }
+        this.assignments = new Map();
+        this.token = token;
+    }
+
+    get enabled() {
+        return Boolean(this.token);
+    }
+
+    accept(ws, req) {
+        if (!this.enabled) {
+            this.send(ws, { type: 'agent_error', error: 'Probe agents are disabled: PROBE_AGENT_TOKEN is not set' });
+            ws.close(4003, 'Probe agents are disabled');
+            return;
+        }
+
+        let agent = null;
+        const registrationTimer = setTimeout(() => {
+            ws.close(4001, 'Registration timed out');
+        }, REGISTRATION_TIMEOUT_MS);
+
+        ws.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return this.send(ws, { type: 'agent_error', error: 'Invalid JSON message' });
+            }
+
+            if (!agent) {
+                if (message.type !== 'agent_register') {
+                    return this.send(ws, { type: 'agent_error', error: 'Agent must register first' });
+                }
+                clearTimeout(registrationTimer);
+                agent = this.register(ws, message, req);
+                return;
+            }
+
+            this.handleMessage(agent, message).catch(error => {
+                console.error(`Probe agent ${agent.id} message error:`, error);
+            });
+        });
+
+        ws.on('close', () => {
+            clearTimeout(registrationTimer);
+            if (agent) {
+                this.unregister(agent).catch(error => {
+                    console.error(`Probe agent ${agent.id} cleanup error:`, error);
+                });
+            }
+        });
+
+        ws.on('error', error => {
+            console.error('Probe agent socket error:', error.message);
+        });
+    }
+
+    register(ws, message, req) {
+        if (!this.checkToken(message.token)) {
+            this.send(ws, { type: 'agent_error', error: 'Invalid agent token' });
+            ws.close(4003, 'Invalid agent token');
+            return null;
+        }
+
+        const id = message.agentId || uuidv4();
+        if (this.agents.has(id)) {
+            this.send(ws, { type: 'agent_error', error: `Agent ${id} is already connected` });
+            ws.close(4009, 'Agent id already connected');
+            return null;
+        }
+
+        const agent = {
+            id,
+            name: message.name || id,
+            location: message.location || {},
+            capabilities: Array.isArray(message.capabilities) ? message.capabilities : [],
+            address: req && req.socket ? req.socket.remoteAddress : null,
+            socket: ws,
+            tests: new Set(),
+            alive: true,
+            connectedAt: new Date(),
+            lastSeenAt: new Date()
+        };
+
+        // Sockets that stop answering pings are dropped, failing their assignments
+        agent.heartbeat = setInterval(() => {
+            if (!agent.alive) {
+                ws.terminate();
+                return;
+            }
+            agent.alive = false;
+            ws.ping();
+        }, HEARTBEAT_INTERVAL_MS);
+        ws.on('pong', () => {
+            agent.alive = true;
+            agent.lastSeenAt = new Date();
+        });
+
+        this.agents.set(id, agent);
+        this.send(ws, { type: 'agent_registered', agentId: id });
+        console.log(`Probe agent ${id} registered`, agent.location, agent.capabilities);
+
+        return agent;
+    }
+
+    checkToken(given) {
+        if (typeof given !== 'string') return false;
+
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(given);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    async unregister(agent) {
+        clearInterval(agent.heartbeat);
+        if (this.agents.get(agent.id) === agent) {
+            this.agents.delete(agent.id);
+        }
+        console.log(`Probe agent ${agent.id} disconnected`);
+
+        for (const testId of Array.from(agent.tests)) {
+            this.release(testId);
+            await this.testingEngine.completeTest(testId, STATES.FAILED, `Probe agent ${agent.id} disconnected`);
+        }
+    }
+
+    async handleMessage(agent, message) {
+        agent.lastSeenAt = new Date();
+
+        if (!['agent_result', 'agent_complete'].includes(message.type)) {
+            this.send(agent.socket, { type: 'agent_error', error: `Unknown message type: ${message.type}` });
+            return;
+        }
+
+        const assignment = this.assignments.get(message.testId);
+        if (!assignment || assignment.agent !== agent) {
+            this.send(agent.socket, { type: 'agent_error', testId: message.testId, error: 'No such assignment' });
+            return;
+        }
+
+        if (message.type === 'agent_result') {
+            const result = { ...message.data, agentId: agent.id, agentLocation: agent.location };
+            await this.dbService.saveTestResult(message.testId, result);
+            this.testingEngine.publish(assignment.type, 'update', { testId: message.testId, data: result });
+            return;
+        }
+
+        this.release(message.testId);
+
+        const failed = message.status === STATES.FAILED;
+        await this.testingEngine.completeTest(
+            message.testId,
+            failed ? STATES.FAILED : STATES.COMPLETED,
+            failed ? message.error || 'Probe agent reported a failure' : null
+        );
+        if (!failed && this.testingEngine.testTypes.get(assignment.type).events.complete) {
+            this.testingEngine.publish(assignment.type, 'complete', { testId: message.testId, status: STATES.COMPLETED });
+        }
+    }
+
+    // Agents matching a selector ({ agentId } or { region }) that can run the type, least busy first
+    select(selector, testType) {
+        return Array.from(this.agents.values())
+            .filter(agent => agent.capabilities.includes(testType))
+            .filter(agent => !selector.agentId || agent.id === selector.agentId)
+            .filter(agent => !selector.region || agent.location.region === selector.region)
+            .sort((a, b) => a.tests.size - b.tests.size)[0] || null;
+    }
+
+    // Runner for tests launched with an agent selector; the run lasts until the
+    // agent reports completion, disconnects, or the engine aborts it
+    async run(config, { signal }) {
+        const agent = this.select(config.agent, config.type);
+        if (!agent) {
+            throw new Error(`No connected probe agent matches ${JSON.stringify(config.agent)} for ${config.type}`);
+        }
+
+        this.assignments.set(config.testId, { agent, type: config.type });
+        agent.tests.add(config.testId);
+        signal.addEventListener('abort', () => this.cancel(config.testId), { once: true });
+
+        this.send(agent.socket, {
+            type: 'agent_assignment',
+            testId: config.testId,
+            testType: config.type,
+            config
+        });
+        console.log(`Test ${config.testId} assigned to probe agent ${agent.id}`);
+    }
+
+    cancel(testId) {
+        const assignment = this.release(testId);
+        if (assignment) {
+            this.send(assignment.agent.socket, { type: 'agent_cancel', testId });
+        }
+    }
+
+    release(testId) {
+        const assignment = this.assignments.get(testId);
+        if (!assignment) return null;
+
+        this.assignments.delete(testId);
+        assignment.agent.tests.delete(testId);
+        return assignment;
+    }
+
+    getAgents() {
+        return Array.from(this.agents.values()).map(agent => this.describe(agent));
+    }
+
+    getAgent(agentId) {
+        const agent = this.agents.get(agentId);
+        return agent ? this.describe(agent) : null;
+    }
+
+    describe(agent) {
+        return {
+            id: agent.id,
+            name: agent.name,
+            location: agent.location,
+            capabilities: agent.capabilities,
+            address: agent.address,
+            activeTests: Array.from(agent.tests),
+            connectedAt: agent.connectedAt,
+            lastSeenAt: agent.lastSeenAt
+        };
+    }
+
+    send(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    shutdown() {
+        // Runs still assigned are settled by the startup reconciler, not failed here
+        for (const agent of this.agents.values()) {
+            clearInterval(agent.heartbeat);
+            agent.tests.clear();
+            agent.socket.close(1001, 'Server shutting down');
+        }
+    }
+}
+
+module.exports = ProbeAgentHub;
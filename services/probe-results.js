@@ -0,0 +1,84 @@
+const { combineBursts } = require('./probing');
+const { CODECS, rateCallQuality } = require('./e-model');
+
+// Result shapes of the quality and roaming tests, shared by the server-side
+// runners (routes/network.js) and probe agents (probe-agent.js) so summaries
+// and dashboards treat results from either alike.
+
+// Probe bursts per quality sample (per target) and per roaming endpoint
+const QUALITY_PROBES = { count: 10, intervalMs: 200 };
+const ROAMING_PROBES = { count: 5, intervalMs: 200 };
+
+function classifyQuality(averagePing, packetLoss) {
+    if (averagePing < 50 && packetLoss < 1) return 'excellent';
+    if (averagePing < 100 && packetLoss < 5) return 'good';
+    if (averagePing < 200 && packetLoss < 10) return 'fair';
+    return 'poor';
+}
+
+// One quality sample from a burst per target
+function qualitySample(bursts, codecs = Object.keys(CODECS), timestamp = new Date()) {
+    const combined = combineBursts(bursts);
+    const averagePing = combined.latency.mean || 0;
+    const packetLoss = combined.packetLoss;
+
+    return {
+        timestamp,
+        averagePing,
+        latency: combined.latency,
+        jitter: combined.jitter,
+        packetLoss,
+        // E-model R-factor and MOS per codec
+        callQuality: rateCallQuality({ latencyMs: combined.latency.mean, jitterMs: combined.jitter, packetLoss }, codecs),
+        targets: bursts.map(({ samples, ...burst }) => ({ ...burst, time: burst.latency.mean || 0, timestamp })),
+        quality: classifyQuality(averagePing, packetLoss)
+    };
+}
+
+// One roaming endpoint's burst; callers add their HTTP check and retry counts
+function roamingEndpointResult(endpoint, burst) {
+    return {
+        endpoint,
+        success: burst.alive,
+        latency: burst.latency.mean,
+        latencyPercentiles: burst.latency,
+        jitter: burst.jitter,
+        packetLoss: burst.packetLoss,
+        timestamp: new Date()
+    };
+}
+
+function roamingRegionResult(region, endpointResults, timestamp = new Date()) {
+    const successful = endpointResults.filter(r => r.success && r.latency);
+
+    return {
+        region,
+        timestamp,
+        endpointResults,
+        successRate: (endpointResults.filter(r => r.success).length / endpointResults.length) * 100,
+        averageLatency: successful.reduce((sum, r) => sum + r.latency / successful.length, 0)
+    };
+}
+
+// The run's overall result; a region counts as successful past half its endpoints
+function roamingResult(sourceNetwork, regionResults) {
+    return {
+        sourceNetwork,
+        regionsTotal: regionResults.length,
+        regionsSuccessful: regionResults.filter(r => r.successRate > 50).length,
+        overallSuccessRate: regionResults.reduce((sum, r) => sum + r.successRate, 0) / regionResults.length,
+        averageLatency: regionResults.reduce((sum, r) => sum + r.averageLatency, 0) / regionResults.length,
+        results: regionResults,
+        completedAt: new Date()
+    };
+}
+
+module.exports = {
+    QUALITY_PROBES,
+    ROAMING_PROBES,
+    classifyQuality,
+    qualitySample,
+    roamingEndpointResult,
+    roamingRegionResult,
+    roamingResult
+};
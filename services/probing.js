@@ -0,0 +1,150 @@
+const net = require('net');
+const ping = require('ping');
+const { percentile } = require('./run-stats');
+
+// Latency probing shared by the network tests. A burst sends `count` probes to
+// one target, one every `intervalMs` without waiting for earlier replies, and
+// reports loss, latency percentiles and RFC 3550 interarrival jitter.
+
+const DEFAULT_BURST = {
+    count: 10,
+    intervalMs: 200,
+    timeoutMs: 1000,
+    method: 'icmp',
+    port: 443
+};
+
+const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+// Probes resolve to a round-trip time in milliseconds, or null when lost
+const PROBE_METHODS = {
+    async icmp(target, { timeoutMs }) {
+        // The system ping only takes whole seconds
+        const result = await ping.promise.probe(target, { timeout: Math.max(1, Math.ceil(timeoutMs / 1000)) });
+        return result.alive && typeof result.time === 'number' ? result.time : null;
+    },
+
+    // TCP handshake time, for networks that drop ICMP or hosts without ping rights
+    tcp(target, { timeoutMs, port }) {
+        return new Promise(resolve => {
+            const startedAt = process.hrtime.bigint();
+            const socket = net.connect({ host: target, port });
+            const finish = rtt => {
+                socket.destroy();
+                resolve(rtt);
+            };
+
+            socket.setTimeout(timeoutMs, () => finish(null));
+            socket.once('error', () => finish(null));
+            socket.once('connect', () => finish(Number(process.hrtime.bigint() - startedAt) / 1e6));
+        });
+    }
+};
+
+async function probeBurst(target, options = {}) {
+    const { count, intervalMs, timeoutMs, method, port, probe = PROBE_METHODS[method], signal = null } = {
+        ...DEFAULT_BURST,
+        ...options
+    };
+
+    if (!probe) {
+        throw new Error(`Unknown probe method: ${method}`);
+    }
+
+    const sends = [];
+    for (let sequence = 0; sequence < count; sequence++) {
+        if (signal && signal.aborted) break;
+
+        const sentAt = Date.now();
+        sends.push(Promise.resolve()
+            .then(() => probe(target, { timeoutMs, port }))
+            .catch(() => null)
+            .then(rtt => ({ sequence, sentAt, rtt })));
+
+        if (sequence < count - 1) {
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+    }
+
+    return { target, method, ...summarizeProbes(await Promise.all(sends)) };
+}
+
+// Probes every target in parallel
+function probeTargets(targets, options = {}) {
+    return Promise.all(targets.map(target => probeBurst(target, options)));
+}
+
+// `samples` are { sequence, rtt } in send order, rtt null for lost probes
+function summarizeProbes(samples) {
+    const rtts = samples.map(sample => sample.rtt);
+    const received = rtts.filter(rtt => rtt !== null);
+
+    return {
+        sent: samples.length,
+        received: received.length,
+        alive: received.length > 0,
+        packetLoss: samples.length > 0 ? round(((samples.length - received.length) / samples.length) * 100) : null,
+        latency: latencyStats(received),
+        jitter: interarrivalJitter(rtts),
+        samples
+    };
+}
+
+// RFC 3550 section 6.4.1: J += (|D(i-1, i)| - J) / 16, where D is the change in
+// transit time between consecutive packets. With round trips, that change is
+// the difference between consecutive RTTs; lost probes are skipped.
+function interarrivalJitter(rtts) {
+    const received = rtts.filter(rtt => rtt !== null);
+    if (received.length < 2) return null;
+
+    let jitter = 0;
+    for (let i = 1; i < received.length; i++) {
+        jitter += (Math.abs(received[i] - received[i - 1]) - jitter) / 16;
+    }
+    return round(jitter);
+}
+
+function latencyStats(rtts) {
+    if (rtts.length === 0) {
+        return { min: null, mean: null, max: null, ...Object.fromEntries(LATENCY_PERCENTILES.map(p => [`p${p}`, null])) };
+    }
+
+    const sorted = [...rtts].sort((a, b) => a - b);
+
+    return {
+        min: round(sorted[0]),
+        mean: round(sorted.reduce((sum, rtt) => sum + rtt, 0) / sorted.length),
+        max: round(sorted[sorted.length - 1]),
+        ...Object.fromEntries(LATENCY_PERCENTILES.map(p => [`p${p}`, round(percentile(sorted, p))]))
+    };
+}
+
+// Pools several bursts into one figure: loss and latency over every probe,
+// jitter averaged per target since it only means something within one stream
+function combineBursts(bursts) {
+    const samples = bursts.flatMap(burst => burst.samples);
+    const jitters = bursts.map(burst => burst.jitter).filter(jitter => jitter !== null);
+    const combined = summarizeProbes(samples);
+
+    return {
+        sent: combined.sent,
+        received: combined.received,
+        packetLoss: combined.packetLoss,
+        latency: combined.latency,
+        jitter: jitters.length > 0 ? round(jitters.reduce((sum, jitter) => sum + jitter, 0) / jitters.length) : null
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    DEFAULT_BURST,
+    PROBE_METHODS,
+    probeBurst,
+    probeTargets,
+    summarizeProbes,
+    interarrivalJitter,
+    combineBursts
+};
@@ -0,0 +1,79 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// Limits for the engine's throttle, overridable through the `throttle` setting.
+// While throttled, load tests keep loadConcurrencyFactor of their workers; the
+// throttle lifts once every metric is below resumeRatio of its limit.
+const DEFAULT_THROTTLE_SETTINGS = {
+    memoryMB: 500,
+    cpuPercent: 90,
+    eventLoopLagMs: 200,
+    loadConcurrencyFactor: 0.5,
+    resumeRatio: 0.8
+};
+
+// Samples this process's heap, CPU time and event-loop lag. CPU is a percentage
+// of one core, since the engine's own work all runs on the one event loop.
+class ResourceMonitor {
+    constructor() {
+        this.histogram = null;
+        this.lastCpu = null;
+        this.lastSampledAt = null;
+    }
+
+    start() {
+        if (this.histogram) return;
+
+        this.histogram = monitorEventLoopDelay({ resolution: 20 });
+        this.histogram.enable();
+        this.lastCpu = process.cpuUsage();
+        this.lastSampledAt = process.hrtime.bigint();
+    }
+
+    stop() {
+        if (this.histogram) {
+            this.histogram.disable();
+            this.histogram = null;
+        }
+    }
+
+    // Readings since the previous sample
+    sample() {
+        this.start();
+
+        const now = process.hrtime.bigint();
+        const cpu = process.cpuUsage(this.lastCpu);
+        const elapsedMicros = Number(now - this.lastSampledAt) / 1000;
+        // The histogram records nanoseconds
+        const lagMs = this.histogram.count > 0 ? this.histogram.percentile(99) / 1e6 : 0;
+
+        this.histogram.reset();
+        this.lastCpu = process.cpuUsage();
+        this.lastSampledAt = now;
+
+        return {
+            memoryMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+            cpuPercent: elapsedMicros > 0 ? Math.round(((cpu.user + cpu.system) / elapsedMicros) * 100) : 0,
+            eventLoopLagMs: Math.round(lagMs),
+            sampledAt: new Date().toISOString()
+        };
+    }
+}
+
+// Describes each reading at or above `scale` times its limit
+function findPressure(sample, settings, scale = 1) {
+    const checks = [
+        ['memoryMB', 'Heap usage', 'MB'],
+        ['cpuPercent', 'CPU usage', '%'],
+        ['eventLoopLagMs', 'Event loop lag', 'ms']
+    ];
+
+    return checks
+        .filter(([metric]) => sample[metric] >= settings[metric] * scale)
+        .map(([metric, label, unit]) => `${label} ${sample[metric]}${unit} (limit ${settings[metric]}${unit})`);
+}
+
+module.exports = {
+    ResourceMonitor,
+    DEFAULT_THROTTLE_SETTINGS,
+    findPressure
+};
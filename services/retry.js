@@ -0,0 +1,153 @@
+// Retry policy for individual probes and requests inside a test run.
+// A policy allows `retries` extra attempts after the first one, waiting
+// initialDelayMs * factor^(attempt - 1) (capped at maxDelayMs) between them,
+// and only retries failures whose category is listed in `retryOn`.
+
+const FAILURE_CATEGORIES = ['timeout', 'network', 'server_error', 'rate_limited', 'unreachable'];
+
+const DEFAULT_RETRY_POLICY = {
+    retries: 3,
+    initialDelayMs: 500,
+    maxDelayMs: 10000,
+    factor: 2,
+    retryOn: ['timeout', 'network', 'server_error', 'rate_limited', 'unreachable']
+};
+
+// Built-in overrides; retrying under load would hide the failures a load test measures
+const TYPE_RETRY_DEFAULTS = {
+    load_test: { retries: 0 }
+};
+
+const NETWORK_ERROR_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH',
+    'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'
+];
+
+function classifyError(error) {
+    if (!error) return null;
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message || '')) {
+        return 'timeout';
+    }
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+        return 'network';
+    }
+    if (error.response) {
+        return classifyHttpStatus(error.response.status);
+    }
+
+    return null;
+}
+
+function classifyHttpStatus(status) {
+    if (status === 429) return 'rate_limited';
+    if (status >= 500) return 'server_error';
+    return null;
+}
+
+function classifyPingResult(result) {
+    return result && result.alive ? null : 'unreachable';
+}
+
+function classifyHttpResponse(response) {
+    return classifyHttpStatus(response.status);
+}
+
+function getBackoffDelay(attempt, policy) {
+    return Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.factor, attempt - 1));
+}
+
+function validateRetryPolicy(policy) {
+    if (policy === undefined || policy === null) return null;
+
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'Retry policy must be an object';
+    }
+    if (policy.retries !== undefined && !(Number.isInteger(policy.retries) && policy.retries >= 0 && policy.retries <= 10)) {
+        return 'Retry policy retries must be an integer between 0 and 10';
+    }
+    for (const field of ['initialDelayMs', 'maxDelayMs']) {
+        if (policy[field] !== undefined && !(typeof policy[field] === 'number' && policy[field] >= 0)) {
+            return `Retry policy ${field} must be a non-negative number`;
+        }
+    }
+    if (policy.factor !== undefined && !(typeof policy.factor === 'number' && policy.factor >= 1)) {
+        return 'Retry policy factor must be a number of at least 1';
+    }
+    if (policy.retryOn !== undefined) {
+        const unknown = [].concat(policy.retryOn).filter(c => !FAILURE_CATEGORIES.includes(c));
+        if (!Array.isArray(policy.retryOn) || unknown.length > 0) {
+            return `Retry policy retryOn must only contain: ${FAILURE_CATEGORIES.join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+// Precedence: defaults < retryAttempts setting < built-in type defaults
+// < retryPolicies setting for the type < the request's own retry policy
+function resolveRetryPolicy(testType, settings = {}, override = null) {
+    const policy = { ...DEFAULT_RETRY_POLICY };
+
+    if (Number.isInteger(settings.retryAttempts) && settings.retryAttempts >= 0) {
+        policy.retries = settings.retryAttempts;
+    }
+
+    const typePolicy = (settings.retryPolicies || {})[testType];
+
+    return Object.assign(policy, TYPE_RETRY_DEFAULTS[testType], typePolicy, override);
+}
+
+// An aborted `signal` (the run was stopped or timed out) ends retrying early
+async function withRetry(operation, policy, { classifyResult = null, onRetry = null, signal = null } = {}) {
+    const aborted = () => Boolean(signal && signal.aborted);
+
+    for (let attempt = 1; ; attempt++) {
+        let category;
+
+        try {
+            const value = await operation(attempt);
+            category = classifyResult ? classifyResult(value) : null;
+
+            if (aborted() || !shouldRetry(category, attempt, policy)) {
+                return { value, attempts: attempt };
+            }
+        } catch (error) {
+            category = classifyError(error);
+
+            if (aborted() || !shouldRetry(category, attempt, policy)) {
+                error.attempts = attempt;
+                throw error;
+            }
+        }
+
+        const delay = getBackoffDelay(attempt, policy);
+        if (onRetry) onRetry({ attempt, category, delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+// An onRetry callback for withRetry that logs each retry under `label`
+function logRetry(label, logger = console) {
+    return ({ attempt, category, delay }) => {
+        logger.warn(`${label} attempt ${attempt} failed (${category}), retrying in ${delay}ms`);
+    };
+}
+
+function shouldRetry(category, attempt, policy) {
+    return Boolean(category) && policy.retryOn.includes(category) && attempt <= policy.retries;
+}
+
+module.exports = {
+    FAILURE_CATEGORIES,
+    DEFAULT_RETRY_POLICY,
+    TYPE_RETRY_DEFAULTS,
+    classifyError,
+    classifyPingResult,
+    classifyHttpResponse,
+    getBackoffDelay,
+    validateRetryPolicy,
+    resolveRetryPolicy,
+    withRetry,
+    logRetry
+};
@@ -0,0 +1,61 @@
+const { STATES } = require('./test-lifecycle');
+
+const PERCENTILES = [50, 90, 95, 99];
+
+// Aggregates finished runs from the run history: counts per status, success
+// rate, and run time and queue wait distributions in milliseconds. Run time
+// excludes time spent paused; runs cancelled before starting have neither.
+function summarizeRuns(runs) {
+    const started = runs.filter(run => run.started_at !== null);
+    const completed = runs.filter(run => run.status === STATES.COMPLETED).length;
+
+    return {
+        runs: runs.length,
+        byStatus: runs.reduce((acc, run) => {
+            acc[run.status] = (acc[run.status] || 0) + 1;
+            return acc;
+        }, {}),
+        successRate: runs.length > 0 ? Math.round((completed / runs.length) * 10000) / 100 : null,
+        runTimeMs: distribution(started.map(run => run.finished_at - run.started_at - (run.paused_ms || 0))),
+        queueWaitMs: distribution(started
+            .filter(run => run.queued_at !== null)
+            .map(run => run.started_at - run.queued_at))
+    };
+}
+
+function summarizeRunsByType(runs) {
+    const byType = {};
+    for (const run of runs) {
+        (byType[run.type] = byType[run.type] || []).push(run);
+    }
+
+    return Object.fromEntries(Object.entries(byType).map(([type, typeRuns]) => [type, summarizeRuns(typeRuns)]));
+}
+
+function distribution(values) {
+    if (values.length === 0) {
+        return { count: 0, mean: null, min: null, max: null, ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, null])) };
+    }
+
+    const sorted = values.map(value => Math.max(0, value)).sort((a, b) => a - b);
+
+    return {
+        count: sorted.length,
+        mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)]))
+    };
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+}
+
+module.exports = {
+    summarizeRuns,
+    summarizeRunsByType,
+    percentile
+};
@@ -0,0 +1,343 @@
+const { spawn } = require('child_process');
+const wifi = require('node-wifi');
+const si = require('systeminformation');
+
+// Where signal monitoring gets its readings. A source is created once per test
+// from the test's config and read once per sample; `read()` resolves to
+//   { signalStrength, networkType, carrier, origin, details }
+// or null when the source has nothing to report (no modem, no Wi-Fi link).
+// `signalStrength` is in dBm, or null. `origin` says, per value, whether it was
+// 'measured' by the radio or 'estimated' from something else, such as a
+// quality percentage; values that are null have no origin.
+//
+// Sources are tried in the order a test lists them. The first with a signal
+// strength wins; failing that, the first with any reading.
+
+const COMMAND_TIMEOUT_MS = 10000;
+const AT_TOOL = process.env.SIGNAL_AT_TOOL || 'atinout';
+// The tool opens its device read-write, so only modem port nodes are accepted
+const AT_DEVICE_PATTERN = /^\/dev\/(tty(USB|ACM)\d+|cdc-wdm\d+)$/;
+
+// Access technology labels, shared by mmcli and AT+COPS readings
+const TECHNOLOGIES = {
+    gsm: 'GSM',
+    gprs: 'GPRS',
+    edge: 'EDGE',
+    umts: 'UMTS',
+    hsdpa: 'HSPA',
+    hsupa: 'HSPA',
+    hspa: 'HSPA',
+    'hspa-plus': 'HSPA+',
+    evdo: 'EV-DO',
+    cdma1x: 'CDMA',
+    lte: 'LTE',
+    '5g': '5G NR',
+    '5gnr': '5G NR'
+};
+// 3GPP TS 27.007 <AcT> values
+const AT_TECHNOLOGIES = {
+    0: 'GSM', 1: 'GSM', 3: 'EDGE', 8: 'GSM',
+    2: 'UMTS', 4: 'HSPA', 5: 'HSPA', 6: 'HSPA',
+    7: 'LTE', 9: 'LTE', 10: 'LTE',
+    11: '5G NR', 12: '5G NR', 13: '5G NR'
+};
+// mmcli --signal-get sections, newest technology first
+const MMCLI_SIGNAL_SECTIONS = ['5g', 'lte', 'umts', 'gsm', 'evdo', 'cdma1x'];
+
+function reading({ signalStrength = null, networkType = null, carrier = null, estimated = [], details = {} }) {
+    const values = { signalStrength, networkType, carrier };
+    const origin = Object.fromEntries(Object.entries(values)
+        .filter(([, value]) => value !== null)
+        .map(([key]) => [key, estimated.includes(key) ? 'estimated' : 'measured']));
+
+    return { ...values, origin, details };
+}
+
+// Runs a command without a shell; resolves to its stdout
+function runCommand(command, args, input = null) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+        let stdout = '';
+        let stderr = '';
+
+        const timer = setTimeout(() => child.kill(), COMMAND_TIMEOUT_MS);
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT' ? new Error(`${command} is not installed on this host`) : error);
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code !== 0) {
+                return reject(new Error(stderr.trim() || `${command} exited with code ${code}`));
+            }
+            resolve(stdout);
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(input === null ? undefined : input);
+    });
+}
+
+// ---- Wi-Fi -------------------------------------------------------------
+
+// node-wifi reports RSSI on macOS; on Linux and Windows it converts the
+// driver's quality percentage to dBm
+function wifiSource() {
+    return {
+        async read() {
+            const [connection] = await wifi.getCurrentConnections();
+            if (!connection || connection.signal_level === undefined || connection.signal_level === null) return null;
+
+            return reading({
+                signalStrength: Number(connection.signal_level),
+                networkType: 'WiFi',
+                carrier: connection.ssid || null,
+                estimated: process.platform === 'darwin' ? [] : ['signalStrength'],
+                details: { quality: connection.quality ?? null, frequency: connection.frequency ?? null }
+            });
+        }
+    };
+}
+
+// ---- ModemManager ------------------------------------------------------
+
+// `mmcli -K` output as { key: value }, with '--' (not available) as null
+function parseMmcliOutput(text) {
+    const values = {};
+    for (const line of text.split('\n')) {
+        const match = /^\s*([\w.\-[\]]+)\s*:\s*(.*?)\s*$/.exec(line);
+        if (match) values[match[1]] = match[2] === '--' || match[2] === '' ? null : match[2];
+    }
+    return values;
+}
+
+// A reading from `mmcli -m <modem> -K` and, when extended signal reporting is
+// on, `mmcli -m <modem> --signal-get -K`. RSSI (RSRP on 5G, which has none)
+// is measured; without it the dBm is estimated from the signal quality
+// percentage, which ModemManager derives from the 0-31 AT+CSQ scale.
+function parseMmcliSignal(status, signal = {}) {
+    const technology = status['modem.generic.access-technologies.value[1]'] || null;
+    const operator = status['modem.3gpp.operator-name'] || null;
+
+    const section = MMCLI_SIGNAL_SECTIONS.find(name => {
+        const value = signal[`modem.signal.${name}.rssi`] ?? signal[`modem.signal.${name}.rsrp`];
+        return value !== null && value !== undefined;
+    });
+    const read = key => {
+        const value = signal[`modem.signal.${section}.${key}`];
+        return value === null || value === undefined ? null : parseFloat(value);
+    };
+
+    const networkType = section ? TECHNOLOGIES[section] : (technology && (TECHNOLOGIES[technology] || technology.toUpperCase()));
+
+    if (section) {
+        const rssi = read('rssi');
+        return reading({
+            signalStrength: rssi ?? read('rsrp'),
+            networkType,
+            carrier: operator,
+            details: {
+                metric: rssi !== null ? 'rssi' : 'rsrp',
+                rsrp: read('rsrp'),
+                rsrq: read('rsrq'),
+                snr: read('snr')
+            }
+        });
+    }
+
+    const quality = status['modem.generic.signal-quality.value'];
+    if (quality === null || quality === undefined) {
+        return networkType || operator ? reading({ networkType, carrier: operator }) : null;
+    }
+
+    return reading({
+        signalStrength: Math.round(-113 + 2 * (parseFloat(quality) * 31 / 100)),
+        networkType,
+        carrier: operator,
+        estimated: ['signalStrength'],
+        details: { metric: 'quality', qualityPercent: parseFloat(quality) }
+    });
+}
+
+// `modem` is an index from `mmcli -L`; the first modem listed when not given
+function modemSource({ modem = null, interval = 5 }) {
+    let index = modem;
+    let signalSetUp = false;
+
+    return {
+        async read() {
+            if (index === null) {
+                const list = parseMmcliOutput(await runCommand('mmcli', ['-L', '-K']));
+                const first = list['modem-list.value[1]'];
+                if (!first) return null;
+                index = first.split('/').pop();
+            }
+
+            // Extended signal values are only reported once polling is set up,
+            // which needs privileges the host may not grant; quality still works
+            if (!signalSetUp) {
+                signalSetUp = true;
+                await runCommand('mmcli', ['-m', String(index), `--signal-setup=${Math.max(1, Math.round(interval))}`]).catch(() => {});
+            }
+
+            const status = parseMmcliOutput(await runCommand('mmcli', ['-m', String(index), '-K']));
+            const signal = parseMmcliOutput(await runCommand('mmcli', ['-m', String(index), '--signal-get', '-K']).catch(() => ''));
+            const result = parseMmcliSignal(status, signal);
+            if (result) result.details.modem = String(index);
+            return result;
+        }
+    };
+}
+
+// ---- AT commands -------------------------------------------------------
+
+// Responses to AT+CSQ, AT+CESQ and AT+COPS? (3GPP TS 27.007), in any order.
+// CSQ gives RSSI in 2dB steps; CESQ's RSRP stands in when CSQ has none, as on
+// LTE-only modems that answer CSQ with 99.
+function parseAtResponse(text) {
+    const csq = /\+CSQ:\s*(\d+)\s*,\s*(\d+)/.exec(text);
+    const cesq = /\+CESQ:\s*(\d+),\s*(\d+),\s*(\d+),\s*(\d+),\s*(\d+),\s*(\d+)/.exec(text);
+    const cops = /\+COPS:\s*\d+(?:\s*,\s*\d+\s*,\s*"([^"]*)"(?:\s*,\s*(\d+))?)?/.exec(text);
+
+    const rssi = csq && Number(csq[1]) !== 99 ? -113 + 2 * Number(csq[1]) : null;
+    const rsrp = cesq && Number(cesq[6]) !== 255 ? Number(cesq[6]) - 141 : null;
+    const rsrq = cesq && Number(cesq[5]) !== 255 ? -20 + Number(cesq[5]) / 2 : null;
+    const carrier = cops && cops[1] ? cops[1] : null;
+    const networkType = cops && cops[2] !== undefined ? AT_TECHNOLOGIES[cops[2]] || null : null;
+
+    if (rssi === null && rsrp === null && carrier === null) return null;
+
+    return reading({
+        signalStrength: rssi ?? rsrp,
+        networkType,
+        carrier,
+        details: {
+            metric: rssi !== null ? 'rssi' : (rsrp !== null ? 'rsrp' : null),
+            rsrp,
+            rsrq,
+            bitErrorRate: csq && Number(csq[2]) !== 99 ? Number(csq[2]) : null
+        }
+    });
+}
+
+// Talks to the modem's AT port through SIGNAL_AT_TOOL, which is run as
+// `<tool> - <device> -`: commands on stdin, responses on stdout (atinout's
+// interface)
+function atSource({ device }) {
+    if (!AT_DEVICE_PATTERN.test(device)) {
+        throw new Error(`Not a modem AT port: ${device}`);
+    }
+
+    return {
+        async read() {
+            const output = await runCommand(AT_TOOL, ['-', device, '-'], 'AT+CSQ\r\nAT+CESQ\r\nAT+COPS?\r\n');
+            const result = parseAtResponse(output);
+            if (result) result.details.device = device;
+            return result;
+        }
+    };
+}
+
+// ---- Recorded traces ---------------------------------------------------
+
+// Plays back `trace`, one entry per read: signal monitoring results or any
+// { signalStrength, networkType, carrier } objects. An entry keeps its
+// recorded origin; entries without one count as measured.
+function replaySource({ trace, loop = false }) {
+    let position = 0;
+
+    return {
+        async read() {
+            if (position >= trace.length) {
+                if (!loop || trace.length === 0) return null;
+                position = 0;
+            }
+
+            const entry = trace[position];
+            const result = reading({
+                signalStrength: entry.signalStrength ?? null,
+                networkType: entry.networkType ?? null,
+                carrier: entry.carrier ?? null,
+                details: { position, recordedProvider: entry.provider || null }
+            });
+            if (entry.origin) result.origin = { ...entry.origin };
+            position++;
+            return result;
+        }
+    };
+}
+
+// ---- Network interface -------------------------------------------------
+
+// The active interface's type and name. Link speed says nothing about radio
+// conditions, so this never reports a signal strength.
+function interfaceSource() {
+    return {
+        async read() {
+            const interfaces = await si.networkInterfaces();
+            const active = interfaces.find(ni => ni.operstate === 'up' && !ni.internal);
+            if (!active) return null;
+
+            return reading({
+                networkType: active.type || null,
+                details: { iface: active.iface, speed: active.speed ?? null }
+            });
+        }
+    };
+}
+
+const SIGNAL_SOURCES = {
+    wifi: wifiSource,
+    modem: modemSource,
+    at: atSource,
+    replay: replaySource,
+    interface: interfaceSource
+};
+
+const DEFAULT_SIGNAL_SOURCES = ['wifi', 'modem', 'interface'];
+
+// Adds a source: `create(config)` returns { read() } as above
+function registerSignalSource(name, create) {
+    SIGNAL_SOURCES[name] = create;
+}
+
+function createSignalSources(names, config) {
+    return names.map(name => {
+        if (!SIGNAL_SOURCES[name]) throw new Error(`Unknown signal source: ${name}`);
+        return { name, ...SIGNAL_SOURCES[name](config) };
+    });
+}
+
+// Reads each source in turn; resolves to the winning reading with its
+// `provider`, or null, plus the errors sources raised on the way
+async function readSignal(sources) {
+    let fallback = null;
+    const errors = [];
+
+    for (const source of sources) {
+        try {
+            const result = await source.read();
+            if (!result) continue;
+            if (result.signalStrength !== null) return { reading: { provider: source.name, ...result }, errors };
+            if (!fallback) fallback = { provider: source.name, ...result };
+        } catch (error) {
+            errors.push({ provider: source.name, message: error.message });
+        }
+    }
+
+    return { reading: fallback, errors };
+}
+
+module.exports = {
+    SIGNAL_SOURCES,
+    DEFAULT_SIGNAL_SOURCES,
+    AT_DEVICE_PATTERN,
+    registerSignalSource,
+    createSignalSources,
+    readSignal,
+    parseMmcliOutput,
+    parseMmcliSignal,
+    parseAtResponse
+};
@@ -0,0 +1,185 @@
+const { v4: uuidv4 } = require('uuid');
+const { TestConfigError } = require('./test-registry');
+
+// {{name}} anywhere in a string value of a template's config
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}$/;
+
+// Saved, versioned test configs. A template's config may contain {{name}}
+// placeholders that are filled in at launch; editing the config or its
+// parameters creates a new version, and every run records the version it used.
+class TemplateManager {
+    constructor(testingEngine, dbService) {
+        this.testingEngine = testingEngine;
+        this.dbService = dbService;
+    }
+
+    async createTemplate(definition) {
+        const template = {
+            id: uuidv4(),
+            name: definition.name,
+            description: definition.description,
+            testType: definition.testType,
+            version: 1,
+            config: definition.config || {},
+            parameters: definition.parameters || {}
+        };
+
+        this.validateTemplate(template);
+        await this.dbService.saveTemplate(template);
+        await this.dbService.saveTemplateVersion(template.id, template.version, template.config, template.parameters);
+
+        return this.getTemplate(template.id);
+    }
+
+    async updateTemplate(templateId, changes) {
+        const existing = await this.dbService.getTemplate(templateId);
+        if (!existing) return null;
+
+        const template = { ...existing, ...changes, id: templateId };
+        const configChanged = changes.config !== undefined || changes.parameters !== undefined;
+
+        if (configChanged) {
+            template.version = existing.latestVersion + 1;
+            this.validateTemplate(template);
+            await this.dbService.saveTemplateVersion(templateId, template.version, template.config, template.parameters);
+        } else {
+            template.version = existing.latestVersion;
+        }
+
+        await this.dbService.saveTemplate(template);
+
+        return this.getTemplate(templateId);
+    }
+
+    // Throws TestConfigError for a template that couldn't be launched as saved
+    validateTemplate(template) {
+        if (!this.testingEngine.testTypes.has(template.testType)) {
+            throw new TestConfigError(`Unknown test type: ${template.testType}`, {
+                details: { supportedTypes: this.testingEngine.testTypes.typeNames() }
+            });
+        }
+
+        const placeholders = findPlaceholders(template.config);
+        const unused = Object.keys(template.parameters).filter(name => !placeholders.has(name));
+        if (unused.length > 0) {
+            throw new TestConfigError(`Parameters not used in the template config: ${unused.join(', ')}`);
+        }
+
+        // Check the config against the type's schema whenever every placeholder has a default
+        const defaults = defaultValues(template.parameters);
+        if (Array.from(placeholders).every(name => name in defaults)) {
+            this.testingEngine.testTypes.validateParams(template.testType, renderConfig(template.config, defaults));
+        }
+    }
+
+    // Fills in the template's placeholders, applies overrides and queues the run
+    async launchTemplate(templateId, { parameters = {}, overrides = {}, version = null } = {}) {
+        const template = await this.dbService.getTemplate(templateId, version);
+        if (!template) return null;
+
+        const placeholders = findPlaceholders(template.config);
+        const unknown = Object.keys(parameters).filter(name => !placeholders.has(name));
+        if (unknown.length > 0) {
+            throw new TestConfigError(`Unknown template parameters: ${unknown.join(', ')}`);
+        }
+
+        const values = { ...defaultValues(template.parameters), ...parameters };
+        const params = mergeOverrides(renderConfig(template.config, values), overrides);
+
+        const { job, config } = await this.testingEngine.launchTest(template.testType, params, {
+            origin: { templateId, templateVersion: template.version }
+        });
+        await this.dbService.recordTemplateRun(templateId, template.version, config.testId, values);
+
+        return { job, config, template };
+    }
+
+    async getTemplate(templateId, version = null) {
+        const template = await this.dbService.getTemplate(templateId, version);
+        if (!template) return null;
+
+        return {
+            ...template,
+            placeholders: Array.from(findPlaceholders(template.config)),
+            versions: await this.dbService.getTemplateVersions(templateId)
+        };
+    }
+
+    async getTemplates(testType = null) {
+        return this.dbService.getTemplates(testType);
+    }
+
+    async deleteTemplate(templateId) {
+        const existing = await this.dbService.getTemplate(templateId);
+        if (!existing) return false;
+
+        await this.dbService.deleteTemplate(templateId);
+        return true;
+    }
+}
+
+function findPlaceholders(value, found = new Set()) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(PLACEHOLDER)) {
+            found.add(match[1]);
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach(item => findPlaceholders(item, found));
+    } else if (isPlainObject(value)) {
+        Object.values(value).forEach(item => findPlaceholders(item, found));
+    }
+    return found;
+}
+
+function defaultValues(parameters) {
+    return Object.entries(parameters).reduce((acc, [name, parameter]) => {
+        if (parameter && parameter.default !== undefined) {
+            acc[name] = parameter.default;
+        }
+        return acc;
+    }, {});
+}
+
+// A value that is exactly "{{name}}" takes the parameter as-is, so arrays,
+// objects and numbers survive; placeholders inside longer strings are interpolated
+function renderConfig(value, values) {
+    if (typeof value === 'string') {
+        const whole = value.match(WHOLE_PLACEHOLDER);
+        if (whole) {
+            return lookup(values, whole[1]);
+        }
+        return value.replace(PLACEHOLDER, (match, name) => String(lookup(values, name)));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderConfig(item, values));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderConfig(item, values)]));
+    }
+    return value;
+}
+
+function lookup(values, name) {
+    if (!(name in values)) {
+        throw new TestConfigError(`Missing template parameter: ${name}`);
+    }
+    return values[name];
+}
+
+// Overrides merge into nested objects (e.g. a single header); anything else replaces
+function mergeOverrides(config, overrides) {
+    const merged = { ...config };
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+            ? mergeOverrides(merged[key], value)
+            : value;
+    }
+    return merged;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = TemplateManager;
@@ -0,0 +1,66 @@
+// Test lifecycle state machine. Every status change on test_configs goes through
+// assertTransition() so runs can't jump between arbitrary states.
+
+const STATES = {
+    PENDING: 'pending',
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    TIMED_OUT: 'timed_out',
+    INTERRUPTED: 'interrupted'
+};
+
+const TRANSITIONS = {
+    [STATES.PENDING]: [STATES.QUEUED, STATES.CANCELLED, STATES.FAILED],
+    [STATES.QUEUED]: [STATES.RUNNING, STATES.CANCELLED, STATES.FAILED],
+    // queued and interrupted are only reached from running/paused by the startup reconciler
+    [STATES.RUNNING]: [
+        STATES.PAUSED, STATES.COMPLETED, STATES.FAILED, STATES.CANCELLED, STATES.TIMED_OUT,
+        STATES.QUEUED, STATES.INTERRUPTED
+    ],
+    [STATES.PAUSED]: [
+        STATES.RUNNING, STATES.FAILED, STATES.CANCELLED, STATES.TIMED_OUT,
+        STATES.QUEUED, STATES.INTERRUPTED
+    ],
+    [STATES.COMPLETED]: [],
+    [STATES.FAILED]: [],
+    [STATES.CANCELLED]: [],
+    [STATES.TIMED_OUT]: [],
+    [STATES.INTERRUPTED]: []
+};
+
+class InvalidTransitionError extends Error {
+    constructor(testId, from, to) {
+        super(`Test ${testId} cannot move from ${from} to ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.testId = testId;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(testId, from, to) {
+    if (!canTransition(from, to)) {
+        throw new InvalidTransitionError(testId, from, to);
+    }
+}
+
+function isTerminal(status) {
+    return TRANSITIONS[status] !== undefined && TRANSITIONS[status].length === 0;
+}
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    InvalidTransitionError,
+    canTransition,
+    assertTransition,
+    isTerminal
+};
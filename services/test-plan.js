@@ -0,0 +1,86 @@
+// Helpers for test-type estimators, used by dry runs to predict what a test
+// would do before it is launched. Sizes and timings are rough averages; the
+// real numbers depend on the network and the targets, so every estimate lists
+// the assumptions it made.
+
+const ASSUMPTIONS = {
+    // One ICMP echo request and its reply (84 bytes each on the wire)
+    pingBytes: 168,
+    pingSeconds: 0.05,
+    // Request line, headers and response headers of a typical HTTP exchange
+    httpOverheadBytes: 800,
+    // Response body when the target's size isn't known
+    httpResponseBytes: 2048,
+    httpSeconds: 0.25,
+    // One DNS query and its answer over UDP, and how long a resolver takes
+    dnsBytes: 200,
+    dnsSeconds: 0.05
+};
+
+// Fills in the fields every estimate has; `maxRequests` counts every retry the policy allows
+function estimate({
+    requests = 0,
+    retriedRequests = 0,
+    retryPolicy = null,
+    durationSeconds = 0,
+    bytes = 0,
+    peakConcurrency = requests > 0 ? 1 : 0,
+    assumptions = [],
+    details = {}
+}) {
+    const retries = retryPolicy ? retryPolicy.retries : 0;
+
+    return {
+        requests: roundUp(requests),
+        maxRequests: roundUp(requests + retriedRequests * retries),
+        durationSeconds: roundUp(durationSeconds),
+        bytes: Math.round(bytes),
+        peakConcurrency,
+        assumptions,
+        details
+    };
+}
+
+// Rounds up, ignoring floating-point noise (500 * 0.15 is 75.00000000000001)
+function roundUp(value) {
+    return Math.ceil(Math.round(value * 1000) / 1000);
+}
+
+function pingBytes(count) {
+    return count * ASSUMPTIONS.pingBytes;
+}
+
+// Bytes for one HTTP exchange with the configured headers and payload
+function httpExchangeBytes({ headers = {}, payload = null } = {}, responseBytes = ASSUMPTIONS.httpResponseBytes) {
+    const headerBytes = Buffer.byteLength(JSON.stringify(headers || {}));
+    const payloadBytes = payload === null || payload === undefined
+        ? 0
+        : Buffer.byteLength(typeof payload === 'string' ? payload : JSON.stringify(payload));
+
+    return ASSUMPTIONS.httpOverheadBytes + headerBytes + payloadBytes + responseBytes;
+}
+
+// Hosts a config points at, for spotting runs that would hit the same target.
+// Types list their own with `targets(config)`; for others the common fields are read.
+function targetHosts(config, definition = null) {
+    const candidates = definition && definition.targets
+        ? definition.targets(config)
+        : [config.endpoint, config.coverageUrl].concat(config.endpoints || [], config.targets || [], config.testEndpoints || []);
+    const values = candidates.filter(value => typeof value === 'string' && value.length > 0);
+
+    return Array.from(new Set(values.map(value => {
+        try {
+            return new URL(value).hostname;
+        } catch (error) {
+            return value;
+        }
+    })));
+}
+
+module.exports = {
+    ASSUMPTIONS,
+    estimate,
+    pingBytes,
+    httpExchangeBytes,
+    targetHosts
+};
@@ -0,0 +1,189 @@
+// Registry of test types. A type declares its config schema, runner, result
+// summarizer and WebSocket event names; the routes, the queue and the
+// scheduler all look types up here instead of hard-coding them.
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { validateRetryPolicy } = require('./retry');
+
+// Launch options every type accepts on top of its own schema
+const COMMON_FIELDS = {
+    priority: Joi.number().integer().default(0),
+    retry: Joi.any().custom((value, helpers) => {
+        const error = validateRetryPolicy(value);
+        return error ? helpers.message(error) : value;
+    }),
+    // Run on a remote probe agent instead of this host
+    agent: Joi.object({
+        agentId: Joi.string(),
+        region: Joi.string()
+    }).or('agentId', 'region')
+};
+
+class TestConfigError extends Error {
+    constructor(message, { statusCode = 400, error = 'Validation error', details = null } = {}) {
+        super(message);
+        this.name = 'TestConfigError';
+        this.statusCode = statusCode;
+        this.error = error;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.error,
+            message: this.message,
+            ...(this.details && { details: this.details })
+        };
+    }
+}
+
+class TestTypeRegistry {
+    constructor() {
+        this.types = new Map();
+    }
+
+    /**
+     * Register a test type.
+     *
+     * Required: `type` and `run(config, context)`. Optional: `label`,
+     * `category` and `path` (mounts POST <category router><path>), Joi
+     * `schema`, `summarize(results)`, `events` ({ update, complete, ... }
+     * mapped to WebSocket message types), `prepare(config, services)` to
+     * enrich a validated config, `describeLaunch(config)` for extra launch
+     * response fields, `targets(config)` listing the hosts or URLs a run
+     * reaches (for conflict checks; common fields like `endpoints` are read
+     * when it's missing) and `resultStore` ('test' or 'api').
+     */
+    register(definition) {
+        if (!definition || !definition.type) {
+            throw new Error('Test type definition requires a type');
+        }
+        if (typeof definition.run !== 'function') {
+            throw new Error(`Test type ${definition.type} requires a run(config, context) function`);
+        }
+        if (definition.schema && !Joi.isSchema(definition.schema)) {
+            throw new Error(`Test type ${definition.type} schema must be a Joi schema`);
+        }
+
+        this.types.set(definition.type, {
+            label: definition.type,
+            category: null,
+            path: null,
+            schema: null,
+            summarize: null,
+            prepare: null,
+            estimate: null,
+            describeLaunch: null,
+            targets: null,
+            resultStore: 'test',
+            ...definition,
+            events: { ...definition.events }
+        });
+
+        return this;
+    }
+
+    unregister(type) {
+        return this.types.delete(type);
+    }
+
+    has(type) {
+        return this.types.has(type);
+    }
+
+    get(type) {
+        return this.types.get(type) || null;
+    }
+
+    list(category = null) {
+        return Array.from(this.types.values())
+            .filter(definition => !category || definition.category === category);
+    }
+
+    typeNames() {
+        return Array.from(this.types.keys());
+    }
+
+    findByPath(category, routePath) {
+        return this.list(category).find(definition => definition.path === routePath) || null;
+    }
+
+    describe(type) {
+        const definition = this.get(type);
+        if (!definition) return null;
+
+        return {
+            type: definition.type,
+            label: definition.label,
+            category: definition.category,
+            path: definition.path,
+            events: definition.events,
+            resultStore: definition.resultStore,
+            summarizes: Boolean(definition.summarize),
+            estimates: Boolean(definition.estimate),
+            schema: definition.schema ? definition.schema.describe() : null
+        };
+    }
+
+    // Validates launch parameters and applies schema defaults; types registered
+    // without a schema accept their parameters as given
+    validateParams(type, params = {}) {
+        const definition = this.get(type);
+        if (!definition) {
+            throw new TestConfigError(`Unknown test type: ${type}`, { error: 'Unknown test type' });
+        }
+
+        const schema = (definition.schema || Joi.object().unknown(true)).append(COMMON_FIELDS);
+        const { value, error } = schema.validate(params, { stripUnknown: true });
+
+        if (error) {
+            throw new TestConfigError(error.details[0].message, { details: error.details });
+        }
+
+        return value;
+    }
+
+    async buildConfig(type, params, services = {}) {
+        const { priority, ...fields } = this.validateParams(type, params);
+        const definition = this.get(type);
+
+        const config = {
+            testId: uuidv4(),
+            type,
+            ...fields,
+            startTime: new Date()
+        };
+
+        if (definition.prepare) {
+            await definition.prepare(config, services);
+        }
+
+        return { config, priority };
+    }
+
+    // Loads in-house types: every .js file exports a definition or an array of them
+    loadDirectory(directory) {
+        if (!directory || !fs.existsSync(directory)) return [];
+
+        const loaded = [];
+        fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .forEach(file => {
+                [].concat(require(path.resolve(directory, file))).forEach(definition => {
+                    this.register(definition);
+                    loaded.push(definition.type);
+                });
+            });
+
+        return loaded;
+    }
+}
+
+module.exports = {
+    TestTypeRegistry,
+    TestConfigError
+};
@@ -1,20 +1,79 @@
+const EventEmitter = require('events');
 const cron = require('node-cron');
+const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
+const { STATES, InvalidTransitionError, assertTransition } = require('./test-lifecycle');
+const { resolveRetryPolicy } = require('./retry');
+const { TestTypeRegistry, TestConfigError } = require('./test-registry');
+const { targetHosts } = require('./test-plan');
+const { summarizeRuns, summarizeRunsByType } = require('./run-stats');
+const { ResourceMonitor, DEFAULT_THROTTLE_SETTINGS, findPressure } = require('./resource-monitor');
 
-class TestingEngine {
-    constructor() {
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const WATCHDOG_INTERVAL_MS = 1000;
+const PERFORMANCE_CHECK_INTERVAL_MS = 5000;
+
+// Settings admission control reads, checked by routes/settings.js before they are saved
+const ADMISSION_SETTINGS = {
+    maxConcurrentTests: Joi.number().integer().min(1),
+    typeConcurrencyLimits: Joi.object().pattern(Joi.string(), Joi.number().integer().min(1)),
+    concurrencyGroups: Joi.object().pattern(Joi.string(), Joi.object({
+        types: Joi.array().items(Joi.string()).min(1).required(),
+        limit: Joi.number().integer().min(1).required()
+    })),
+    admissionPolicy: Joi.string().valid('queue', 'reject'),
+    throttle: Joi.object({
+        memoryMB: Joi.number().positive(),
+        cpuPercent: Joi.number().positive(),
+        eventLoopLagMs: Joi.number().positive(),
+        loadConcurrencyFactor: Joi.number().greater(0).max(1),
+        resumeRatio: Joi.number().greater(0).max(1)
+    })
+};
+
+class AdmissionError extends Error {
+    constructor(reason, details = {}) {
+        super(reason);
+        this.name = 'AdmissionError';
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: 'Test rejected by admission control',
+            message: this.message,
+            ...this.details
+        };
+    }
+}
+
+class TestingEngine extends EventEmitter {
+    constructor(dbService = null, notificationService = null) {
+        super();
+        this.dbService = dbService;
+        this.notificationService = notificationService;
         this.activeTests = new Map();
-        this.testQueue = [];
+        this.testTypes = new TestTypeRegistry();
+        this.probeAgents = null;
+        this.queuedTests = 0;
+        this.processingQueue = false;
         this.scheduledTests = new Map();
-        this.maxConcurrentTests = process.env.MAX_CONCURRENT_TESTS || 10;
+        this.maxConcurrentTests = parseInt(process.env.MAX_CONCURRENT_TESTS, 10) || 10;
+        // Per-type limits, plus groups of types that share one limit (bandwidth-heavy tests skew each other)
+        this.typeConcurrencyLimits = { load_test: 1 };
+        this.concurrencyGroups = {
+            bandwidth: { types: ['speed', 'load_test'], limit: 1 }
+        };
+        this.admissionPolicy = 'queue';
+        this.admissionSettingsLoaded = false;
+        // Resource-pressure throttle, fed by startPerformanceMonitoring()
+        this.throttleSettings = { ...DEFAULT_THROTTLE_SETTINGS };
+        this.throttle = { active: false, reasons: [], since: null, sample: null };
+        this.resourceMonitor = new ResourceMonitor();
         this.queueProcessor = null;
+        this.watchdog = null;
+        this.performanceMonitor = null;
         this.initialized = false;
-        this.stats = {
-            testsExecuted: 0,
-            testsSuccessful: 0,
-            testsFailed: 0,
-            totalRunTime: 0
-        };
     }
 
     async initialize() {
@@ -22,10 +81,19 @@ class TestingEngine {
 
         console.log('Initializing Testing Engine...');
         
-        // Start queue processor
+        // Settle runs left over from a previous process before dispatching anything new
+        if (this.dbService) {
+            await this.recoverOrphanedTests();
+        }
+
+        // Start queue processor and the deadline watchdog
         this.startQueueProcessor();
+        this.startWatchdog();
         
-        // Initialize scheduled test checker
+        // Re-arm persisted schedules and start the scheduled test checker
+        if (this.dbService) {
+            await this.loadSchedules();
+        }
         this.startScheduledTestChecker();
         
         // Initialize performance monitoring
@@ -36,9 +104,7 @@ class TestingEngine {
         
         // Send initialization notification
         try {
-            const NotificationService = require('./notification');
-            const notificationService = new NotificationService();
-            await notificationService.initialize();
+            const notificationService = await this.getNotificationService();
             await notificationService.sendSystemNotification(
                 'startup', 
                 'Testing Engine initialized successfully'
@@ -48,12 +114,267 @@ class TestingEngine {
         }
     }
 
+    async getNotificationService() {
+        if (!this.notificationService) {
+            const NotificationService = require('./notification');
+            this.notificationService = new NotificationService();
+            await this.notificationService.initialize();
+        }
+
+        return this.notificationService;
+    }
+
+    registerTestType(definition) {
+        this.testTypes.register(definition);
+    }
+
+    // Shorthand for a type with no schema, routes or events
+    registerRunner(type, runner) {
+        this.testTypes.register({ type, run: runner });
+    }
+
+    attachProbeAgents(probeAgents) {
+        this.probeAgents = probeAgents;
+    }
+
+    // Validates launch parameters against the type's schema, then queues the test.
+    // options.origin holds fields recording where the run came from (e.g. templateId);
+    // they're added after validation so the type's schema doesn't strip them.
+    async launchTest(type, params = {}, options = {}) {
+        const { origin, ...queueOptions } = options;
+        const { config, priority } = await this.testTypes.buildConfig(type, params, this.getServices());
+        Object.assign(config, origin);
+
+        if (config.agent && !(this.probeAgents && this.probeAgents.select(config.agent, type))) {
+            throw new TestConfigError(`No connected probe agent matches ${JSON.stringify(config.agent)} for ${type}`, {
+                statusCode: 409,
+                error: 'No matching probe agent'
+            });
+        }
+        const job = await this.enqueueTest(config, { priority, ...queueOptions });
+
+        return { job, config };
+    }
+
+    // Dry run: validates the launch parameters and predicts what the test would
+    // do and whether it could start now, without saving or queueing anything
+    async planTest(type, params = {}) {
+        const { config, priority = 0 } = await this.testTypes.buildConfig(type, params, this.getServices());
+        const definition = this.testTypes.get(type);
+        const retryPolicy = await this.getRetryPolicy(config);
+        const warnings = [];
+
+        const estimate = definition.estimate ? definition.estimate(config, { retryPolicy }) : null;
+        if (!estimate) {
+            warnings.push(`No estimator is registered for ${type} tests`);
+        }
+
+        await this.loadAdmissionSettings();
+        const blocker = this.getAdmissionBlocker(type);
+        const queuePosition = await this.dbService.countPendingTestJobsAhead(priority) + 1;
+
+        const timeoutSeconds = (await this.getRunTimeout(config)) / 1000;
+        if (estimate && estimate.durationSeconds > timeoutSeconds) {
+            warnings.push(`Estimated duration of ${estimate.durationSeconds}s exceeds the ${timeoutSeconds}s run timeout; the watchdog would stop it`);
+        }
+
+        if (config.agent && !(this.probeAgents && this.probeAgents.select(config.agent, type))) {
+            warnings.push(`No connected probe agent matches ${JSON.stringify(config.agent)} for ${type}`);
+        }
+
+        const { testId, startTime, ...plannedConfig } = config;
+
+        return {
+            type,
+            config: plannedConfig,
+            priority,
+            estimate,
+            timeoutSeconds,
+            admission: {
+                startsImmediately: !blocker && queuePosition === 1,
+                reason: blocker,
+                queuePosition
+            },
+            conflicts: this.findConflicts(config),
+            warnings
+        };
+    }
+
+    // Running tests that would compete with this config for a concurrency slot or a target
+    findConflicts(config) {
+        const hosts = targetHosts(config, this.testTypes.get(config.type));
+        const groups = Object.entries(this.concurrencyGroups)
+            .filter(([, group]) => group.types.includes(config.type));
+
+        return this.getActiveTests().reduce((conflicts, test) => {
+            const reasons = [];
+
+            if (test.type === config.type && this.typeConcurrencyLimits[config.type] !== undefined) {
+                reasons.push(`Shares the ${config.type} concurrency limit of ${this.typeConcurrencyLimits[config.type]}`);
+            }
+            for (const [groupName, group] of groups) {
+                if (group.types.includes(test.type)) {
+                    reasons.push(`Shares concurrency group ${groupName}`);
+                }
+            }
+
+            const shared = targetHosts(test.config || {}, this.testTypes.get(test.type)).filter(host => hosts.includes(host));
+            if (shared.length > 0) {
+                reasons.push(`Also targets ${shared.join(', ')}`);
+            }
+
+            if (reasons.length > 0) {
+                conflicts.push({ testId: test.testId, type: test.type, status: test.status, reasons });
+            }
+            return conflicts;
+        }, []);
+    }
+
+    getServices() {
+        return {
+            testingEngine: this,
+            dbService: this.dbService,
+            notificationService: this.notificationService
+        };
+    }
+
+    async enqueueTest(config, options = {}) {
+        if (!this.testTypes.has(config.type)) {
+            throw new Error(`No runner registered for test type: ${config.type}`);
+        }
+
+        const priority = parseInt(options.priority, 10) || 0;
+
+        await this.loadAdmissionSettings();
+        const blocker = this.getAdmissionBlocker(config.type);
+        const policy = options.onLimit || this.admissionPolicy;
+
+        if (blocker && policy === 'reject') {
+            const queuePosition = await this.dbService.countPendingTestJobsAhead(priority) + 1;
+            throw new AdmissionError(blocker, {
+                testType: config.type,
+                queuePosition,
+                activeTests: this.activeTests.size,
+                maxConcurrentTests: this.maxConcurrentTests
+            });
+        }
+
+        await this.dbService.saveTestConfig(config, STATES.PENDING);
+        await this.dbService.enqueueTestJob(config, priority);
+        await this.transitionTest(config.testId, STATES.QUEUED, blocker || 'Admitted to queue');
+        this.queuedTests++;
+
+        const queuePosition = await this.dbService.getTestJobPosition(config.testId);
+
+        console.log(`Test ${config.testId} queued (type: ${config.type}, priority: ${priority}, position: ${queuePosition})`);
+
+        return {
+            testId: config.testId,
+            status: STATES.QUEUED,
+            priority,
+            queuePosition,
+            admission: {
+                startsImmediately: !blocker && queuePosition === 1,
+                reason: blocker
+            }
+        };
+    }
+
+    // Read once, then cached until reloadAdmissionSettings() is called
+    async loadAdmissionSettings() {
+        if (!this.admissionSettingsLoaded) {
+            await this.reloadAdmissionSettings();
+        }
+    }
+
+    // Called when admission settings are saved
+    async reloadAdmissionSettings() {
+        const settings = await this.dbService.getAllSettings();
+        this.admissionSettingsLoaded = true;
+
+        if (settings.maxConcurrentTests) {
+            this.maxConcurrentTests = parseInt(settings.maxConcurrentTests, 10) || this.maxConcurrentTests;
+        }
+        if (settings.typeConcurrencyLimits) {
+            this.typeConcurrencyLimits = settings.typeConcurrencyLimits;
+        }
+        if (settings.concurrencyGroups) {
+            this.concurrencyGroups = settings.concurrencyGroups;
+        }
+        if (settings.admissionPolicy) {
+            this.admissionPolicy = settings.admissionPolicy;
+        }
+        if (settings.throttle) {
+            this.throttleSettings = { ...DEFAULT_THROTTLE_SETTINGS, ...settings.throttle };
+        }
+    }
+
+    // Tests with a planned duration get it on top of defaultTimeout
+    async getRunTimeout(config) {
+        const setting = this.dbService ? await this.dbService.getSetting('defaultTimeout') : null;
+        const defaultTimeout = parseFloat(setting) || DEFAULT_TIMEOUT_SECONDS;
+        const plannedSeconds = (Number(config.duration) || 0) + (Number(config.rampUp) || 0);
+
+        return (defaultTimeout + plannedSeconds) * 1000;
+    }
+
+    async getRetryPolicy(config) {
+        const settings = this.dbService ? await this.dbService.getAllSettings() : {};
+        return resolveRetryPolicy(config.type, settings, config.retry);
+    }
+
+    // Types held back by their own limit or a full concurrency group
+    getBlockedTypes() {
+        const limited = new Set([
+            ...Object.keys(this.typeConcurrencyLimits),
+            ...Object.values(this.concurrencyGroups).flatMap(group => group.types)
+        ]);
+        return Array.from(limited).filter(type => this.getAdmissionBlocker(type));
+    }
+
+    // Returns why a test of this type cannot start right now, or null when it can
+    getAdmissionBlocker(type) {
+        const activeTests = this.getActiveTests();
+
+        if (this.throttle.active) {
+            return `Engine throttled under resource pressure: ${this.throttle.reasons.join('; ')}`;
+        }
+
+        if (activeTests.length >= this.maxConcurrentTests) {
+            return `Maximum of ${this.maxConcurrentTests} concurrent tests reached`;
+        }
+
+        const typeLimit = this.typeConcurrencyLimits[type];
+        if (typeLimit !== undefined && activeTests.filter(t => t.type === type).length >= typeLimit) {
+            return `Maximum of ${typeLimit} concurrent ${type} tests reached`;
+        }
+
+        for (const [groupName, group] of Object.entries(this.concurrencyGroups)) {
+            if (!group.types.includes(type)) continue;
+
+            const running = activeTests.filter(t => group.types.includes(t.type)).length;
+            if (running >= group.limit) {
+                return `Concurrency group ${groupName} is full (${running}/${group.limit} running)`;
+            }
+        }
+
+        return null;
+    }
+
     addActiveTest(testId, intervalId, config = {}) {
+        // Runners attach their interval to the entry created on dispatch
+        const existing = this.activeTests.get(testId);
+        if (existing) {
+            existing.intervalId = intervalId;
+            existing.lastUpdate = new Date();
+            return;
+        }
+
         const testInfo = {
             testId,
             intervalId,
             startTime: new Date(),
-            status: 'running',
+            status: STATES.RUNNING,
             type: config.type || 'unknown',
             config,
             lastUpdate: new Date()
@@ -61,35 +382,309 @@ class TestingEngine {
         
         this.activeTests.set(testId, testInfo);
         
-        // Update stats
-        this.stats.testsExecuted++;
-        
         console.log(`Test ${testId} added to active tests (${this.activeTests.size}/${this.maxConcurrentTests})`);
         
         // Broadcast update
         this.broadcastTestUpdate(testId, 'started', testInfo);
     }
 
-    async stopTest(testId) {
+    startSampling(testId, { intervalMs, durationMs, sample, complete }) {
         const test = this.activeTests.get(testId);
         if (!test) {
-            console.warn(`Test ${testId} not found in active tests`);
-            return false;
+            console.warn(`Test ${testId} is no longer active, sampling not started`);
+            return;
         }
 
+        // Runs recovered after a restart continue from their saved progress
+        const elapsedMs = test.resumeFromMs || 0;
+        test.sampling = { intervalMs, durationMs, elapsedMs, resumedAt: null, sample, complete };
+        this.scheduleSampling(test);
+        this.saveSamplingProgress(test);
+    }
+
+    scheduleSampling(test) {
+        const sampling = test.sampling;
+        sampling.resumedAt = Date.now();
+
+        test.intervalId = setInterval(async () => {
+            // A tick that comes while the previous sample is still running is skipped
+            if (sampling.inFlight) return;
+            sampling.inFlight = true;
+
+            try {
+                await sampling.sample();
+
+                // A sample still in flight when the test was paused or stopped must not finish it
+                if (test.status !== STATES.RUNNING || this.activeTests.get(test.testId) !== test) {
+                    return;
+                }
+
+                await this.saveSamplingProgress(test);
+
+                if (this.getSamplingElapsed(test) >= sampling.durationMs) {
+                    clearInterval(test.intervalId);
+                    test.intervalId = null;
+                    await sampling.complete();
+                }
+            } catch (error) {
+                console.error(`Test ${test.testId} sampling error:`, error);
+                await this.completeTest(test.testId, STATES.FAILED, error.message).catch(failError => {
+                    console.error(`Failed to fail test ${test.testId}:`, failError.message);
+                });
+            } finally {
+                sampling.inFlight = false;
+            }
+        }, sampling.intervalMs);
+        test.lastUpdate = new Date();
+    }
+
+    async saveSamplingProgress(test) {
+        if (!this.dbService) return;
+
         try {
-            // Clear interval/timeout if exists
-            if (test.intervalId) {
-                clearInterval(test.intervalId);
-                clearTimeout(test.intervalId);
+            await this.dbService.saveTestProgress(test.testId, this.getSamplingElapsed(test));
+        } catch (error) {
+            console.warn(`Failed to save progress for test ${test.testId}:`, error.message);
+        }
+    }
+
+    getSamplingElapsed(test) {
+        const { elapsedMs, resumedAt } = test.sampling;
+        return test.status === STATES.RUNNING ? elapsedMs + (Date.now() - resumedAt) : elapsedMs;
+    }
+
+    getRemainingDuration(testId) {
+        const test = this.activeTests.get(testId);
+        if (!test || !test.sampling) return null;
+
+        return Math.max(0, test.sampling.durationMs - this.getSamplingElapsed(test));
+    }
+
+    async pauseTest(testId, reason = 'Paused by user') {
+        const test = this.activeTests.get(testId);
+        if (!test || !test.sampling || test.status !== STATES.RUNNING) {
+            return false;
+        }
+
+        clearInterval(test.intervalId);
+        test.intervalId = null;
+        test.sampling.elapsedMs += Date.now() - test.sampling.resumedAt;
+        test.status = STATES.PAUSED;
+        test.pausedAt = Date.now();
+        await this.saveSamplingProgress(test);
+
+        if (this.dbService) {
+            await this.transitionTest(testId, STATES.PAUSED, reason);
+        }
+
+        const remainingMs = this.getRemainingDuration(testId);
+        console.log(`Test ${testId} paused (${Math.round(remainingMs / 1000)}s remaining)`);
+
+        this.broadcastTestUpdate(testId, 'paused', {
+            testId,
+            status: STATES.PAUSED,
+            remainingMs,
+            pausedAt: new Date()
+        });
+
+        return true;
+    }
+
+    async resumeTest(testId, reason = 'Resumed by user') {
+        const test = this.activeTests.get(testId);
+        if (!test) {
+            return this.requeuePausedTest(testId, reason);
+        }
+        if (!test.sampling || test.status !== STATES.PAUSED) {
+            return false;
+        }
+
+        test.status = STATES.RUNNING;
+        // Time spent paused doesn't count against the watchdog deadline
+        if (test.deadline) {
+            test.deadline += Date.now() - test.pausedAt;
+        }
+        this.scheduleSampling(test);
+
+        if (this.dbService) {
+            await this.transitionTest(testId, STATES.RUNNING, reason);
+        }
+
+        const remainingMs = this.getRemainingDuration(testId);
+        console.log(`Test ${testId} resumed (${Math.round(remainingMs / 1000)}s remaining)`);
+
+        this.broadcastTestUpdate(testId, 'resumed', {
+            testId,
+            status: STATES.RUNNING,
+            remainingMs,
+            resumedAt: new Date()
+        });
+
+        return true;
+    }
+
+    // A test that was paused when the server restarted has no runner left; resuming puts it
+    // back in the queue and the new run continues from its saved progress
+    async requeuePausedTest(testId, reason) {
+        if (!this.dbService) return false;
+
+        const testStatus = await this.dbService.getTestStatus(testId);
+        if (!testStatus || testStatus.status !== STATES.PAUSED) {
+            return false;
+        }
+
+        await this.transitionTest(testId, STATES.QUEUED, reason);
+        await this.dbService.requeueTestJob(testId);
+        this.queuedTests++;
+
+        console.log(`Paused test ${testId} requeued to resume`);
+        return true;
+    }
+
+    async recoverOrphanedTests() {
+        const orphans = await this.dbService.getOrphanedTests();
+        const summary = { requeued: 0, paused: 0, completed: 0, interrupted: 0 };
+
+        for (const orphan of orphans) {
+            const testId = orphan.test_id;
+            // Only sampling runs save progress, so only they can continue where they stopped
+            const resumable = orphan.elapsed_ms !== null && this.testTypes.has(orphan.type);
+            const remainingMs = (Number(orphan.config.duration) || 0) * 1000 - (orphan.elapsed_ms || 0);
+
+            try {
+                if (orphan.status === STATES.QUEUED) {
+                    // Dispatched but never started: the crash came before it ran, so it can simply go again
+                    await this.dbService.requeueTestJob(testId);
+                    summary.requeued++;
+                } else if (resumable && orphan.status === STATES.PAUSED) {
+                    // Left paused until someone resumes it; resumeTest() requeues it
+                    summary.paused++;
+                } else if (resumable && remainingMs <= 0) {
+                    await this.transitionTest(testId, STATES.COMPLETED, 'Recovered after restart with its full duration sampled');
+                    await this.dbService.finishTestJob(testId, STATES.COMPLETED);
+                    summary.completed++;
+                } else if (resumable) {
+                    const reason = `Recovered after restart with ${Math.round(remainingMs / 1000)}s remaining`;
+                    await this.transitionTest(testId, STATES.QUEUED, reason);
+                    await this.dbService.requeueTestJob(testId);
+                    summary.requeued++;
+                } else {
+                    const reason = 'Server restarted while the test was in progress';
+                    await this.transitionTest(testId, STATES.INTERRUPTED, reason);
+                    await this.dbService.finishTestJob(testId, STATES.INTERRUPTED, reason);
+                    summary.interrupted++;
+                }
+            } catch (error) {
+                console.error(`Failed to recover test ${testId}:`, error.message);
+            }
+        }
+
+        if (orphans.length > 0) {
+            console.log(`Recovered ${orphans.length} orphaned tests:`, summary);
+        }
+
+        return summary;
+    }
+
+    async transitionTest(testId, toStatus, reason = null) {
+        const testStatus = await this.dbService.getTestStatus(testId);
+        if (!testStatus) {
+            throw new Error(`Test ${testId} not found`);
+        }
+
+        const fromStatus = testStatus.status;
+        assertTransition(testId, fromStatus, toStatus);
+
+        const transition = { testId, type: testStatus.type, from: fromStatus, to: toStatus, reason };
+
+        await this.dbService.updateTestStatus(testId, toStatus);
+        await this.dbService.recordTestTransition(testId, fromStatus, toStatus, reason);
+        await this.dbService.recordRunTransition(transition);
+
+        this.emit('transition', transition);
+        this.broadcastTestUpdate(testId, 'status_changed', transition);
+
+        return transition;
+    }
+
+    // Clears the run's timers, aborts its in-flight requests and drops it from the active set
+    releaseActiveTest(test) {
+        if (test.intervalId) {
+            clearInterval(test.intervalId);
+            clearTimeout(test.intervalId);
+        }
+        if (test.abortController) {
+            test.abortController.abort();
+        }
+
+        const runtime = Date.now() - test.startTime.getTime();
+        this.activeTests.delete(test.testId);
+
+        return runtime;
+    }
+
+    async completeTest(testId, status = STATES.COMPLETED, errorMessage = null) {
+        const test = this.activeTests.get(testId);
+        if (test) {
+            this.releaseActiveTest(test);
+        }
+
+        if (this.dbService) {
+            try {
+                await this.transitionTest(testId, status, errorMessage);
+            } catch (error) {
+                // A runner finishing after its test was cancelled is expected, not a failure
+                if (error instanceof InvalidTransitionError) {
+                    console.warn(error.message);
+                    return false;
+                }
+                throw error;
+            }
+            await this.dbService.finishTestJob(testId, status, errorMessage);
+        }
+
+        console.log(`Test ${testId} finished with status: ${status}`);
+        return true;
+    }
+
+    // Cancels a test without a live run: one still queued, or one left paused by a restart
+    async cancelInactiveTest(testId, reason = 'Cancelled while queued') {
+        if (!this.dbService) return false;
+
+        const testStatus = await this.dbService.getTestStatus(testId);
+        if (!testStatus || ![STATES.QUEUED, STATES.PAUSED].includes(testStatus.status)) {
+            return false;
+        }
+
+        await this.transitionTest(testId, STATES.CANCELLED, reason);
+        await this.dbService.finishTestJob(testId, STATES.CANCELLED);
+
+        if (testStatus.status === STATES.QUEUED) {
+            this.queuedTests = Math.max(0, this.queuedTests - 1);
+            console.log(`Queued test ${testId} removed from queue`);
+        } else {
+            console.log(`Paused test ${testId} cancelled`);
+        }
+        return true;
+    }
+
+    async stopTest(testId, reason = 'Stopped by user') {
+        const test = this.activeTests.get(testId);
+        if (!test) {
+            if (await this.cancelInactiveTest(testId, reason)) {
+                return true;
             }
+            console.warn(`Test ${testId} not found in active tests`);
+            return false;
+        }
 
-            // Calculate runtime
-            const runtime = Date.now() - test.startTime.getTime();
-            this.stats.totalRunTime += runtime;
+        try {
+            const runtime = this.releaseActiveTest(test);
 
-            // Remove from active tests
-            this.activeTests.delete(testId);
+            if (this.dbService) {
+                await this.transitionTest(testId, STATES.CANCELLED, reason);
+                await this.dbService.finishTestJob(testId, STATES.CANCELLED);
+            }
             
             console.log(`Test ${testId} stopped (runtime: ${Math.round(runtime/1000)}s)`);
             
@@ -107,6 +702,57 @@ class TestingEngine {
         }
     }
 
+    async timeoutTest(testId) {
+        const test = this.activeTests.get(testId);
+        if (!test) return false;
+
+        const reason = `Exceeded ${Math.round(test.timeoutMs / 1000)}s deadline`;
+        const runtime = this.releaseActiveTest(test);
+
+        if (this.dbService) {
+            try {
+                await this.transitionTest(testId, STATES.TIMED_OUT, reason);
+            } catch (error) {
+                // The run finished on its own while the watchdog was firing
+                if (error instanceof InvalidTransitionError) {
+                    console.warn(error.message);
+                    return false;
+                }
+                throw error;
+            }
+            await this.dbService.finishTestJob(testId, STATES.TIMED_OUT, reason);
+        }
+
+        console.warn(`Test ${testId} timed out (runtime: ${Math.round(runtime/1000)}s)`);
+
+        this.broadcastTestUpdate(testId, 'timed_out', {
+            testId,
+            runtime,
+            reason,
+            timedOutAt: new Date()
+        });
+
+        try {
+            const notificationService = await this.getNotificationService();
+            await notificationService.notifyTestFailed(testId, test.type, new Error(reason));
+        } catch (error) {
+            console.warn(`Failed to send timeout notification for ${testId}:`, error.message);
+        }
+
+        return true;
+    }
+
+    async checkDeadlines() {
+        const now = Date.now();
+        // Paused tests are exempt; their deadline moves forward on resume
+        const overdue = this.getActiveTests()
+            .filter(test => test.status === STATES.RUNNING && test.deadline && now >= test.deadline);
+
+        for (const test of overdue) {
+            await this.timeoutTest(test.testId);
+        }
+    }
+
     async stopAllTests() {
         console.log(`Stopping all ${this.activeTests.size} active tests...`);
         
@@ -139,20 +785,34 @@ class TestingEngine {
         return this.activeTests.get(testId);
     }
 
+    // Live gauges; counts and timings of finished runs come from getRunStats()
     getStats() {
-        const avgRunTime = this.stats.testsExecuted > 0 
-            ? this.stats.totalRunTime / this.stats.testsExecuted 
-            : 0;
-            
         return {
-            ...this.stats,
             activeTests: this.activeTests.size,
-            queuedTests: this.testQueue.length,
+            queuedTests: this.queuedTests,
             scheduledTests: this.scheduledTests.size,
-            successRate: this.stats.testsExecuted > 0 
-                ? (this.stats.testsSuccessful / this.stats.testsExecuted) * 100 
-                : 0,
-            averageRunTime: Math.round(avgRunTime / 1000) // in seconds
+            throttled: this.throttle.active
+        };
+    }
+
+    // Statistics over the persisted run history, for runs that finished within
+    // [from, to] (Dates or epoch milliseconds, both optional), optionally for one type
+    async getRunStats({ from = null, to = null, type = null } = {}) {
+        const runs = await this.dbService.getFinishedRuns({
+            from: from === null ? null : new Date(from).getTime(),
+            to: to === null ? null : new Date(to).getTime(),
+            type
+        });
+
+        return {
+            window: {
+                from: from === null ? null : new Date(from).toISOString(),
+                to: to === null ? null : new Date(to).toISOString(),
+                type
+            },
+            ...summarizeRuns(runs),
+            byType: summarizeRunsByType(runs),
+            live: this.getStats()
         };
     }
 
@@ -172,27 +832,160 @@ class TestingEngine {
         }
     }
 
+    // Broadcasts a runner event under the WebSocket message type its test type declares
+    publish(testType, event, payload) {
+        const definition = this.testTypes.get(testType);
+        const messageType = definition && definition.events[event];
+
+        if (!messageType) {
+            console.warn(`Test type ${testType} declares no ${event} event`);
+            return false;
+        }
+
+        try {
+            const { broadcast } = require('../server');
+            if (broadcast && typeof broadcast === 'function') {
+                broadcast({ type: messageType, ...payload });
+            }
+        } catch (error) {
+            // Silently handle broadcast errors to avoid circular dependencies
+        }
+
+        return true;
+    }
+
+    async summarizeTest(testId, testType) {
+        const definition = this.testTypes.get(testType);
+        if (!definition || !definition.summarize || !this.dbService) return null;
+
+        // A negative LIMIT reads every stored result
+        const results = definition.resultStore === 'api'
+            ? await this.dbService.getApiTestResults(testId)
+            : (await this.dbService.getTestResults(testId, -1)).map(row => row.result_data);
+
+        return definition.summarize(results);
+    }
+
     startQueueProcessor() {
         if (this.queueProcessor) {
             clearInterval(this.queueProcessor);
         }
         
         this.queueProcessor = setInterval(() => {
-            // Basic queue processing logic
-            if (this.testQueue.length > 0 && this.activeTests.size < this.maxConcurrentTests) {
-                const nextTest = this.testQueue.shift();
-                if (nextTest) {
-                    this.executeTest(nextTest);
-                }
-            }
+            this.processQueue().catch(error => {
+                console.error('Queue processing error:', error);
+            });
         }, 1000);
         
         console.log('Queue processor started');
     }
 
-    async executeTest(testConfig) {
-        console.log(`Executing test: ${testConfig.type || 'unknown'}`);
-        // Basic test execution - can be expanded based on test types
+    startWatchdog() {
+        if (this.watchdog) {
+            clearInterval(this.watchdog);
+        }
+
+        this.watchdog = setInterval(() => {
+            this.checkDeadlines().catch(error => {
+                console.error('Watchdog error:', error);
+            });
+        }, WATCHDOG_INTERVAL_MS);
+
+        console.log('Test watchdog started');
+    }
+
+    async processQueue() {
+        // Skip the tick if the previous one is still dispatching
+        if (!this.dbService || this.processingQueue) return;
+
+        this.processingQueue = true;
+        try {
+            await this.loadAdmissionSettings();
+
+            // Nothing is dequeued while the engine is throttled. Jobs of blocked types
+            // are left out of each page, so however many of them are queued ahead, one
+            // saturated type doesn't hold up the rest; a page that starts something is
+            // followed by another, since what it started may have blocked more types.
+            let dispatched = true;
+            while (dispatched && !this.throttle.active && this.activeTests.size < this.maxConcurrentTests) {
+                dispatched = false;
+                const jobs = await this.dbService.getPendingTestJobs(100, { excludeTypes: this.getBlockedTypes() });
+                for (const job of jobs) {
+                    if (this.activeTests.size >= this.maxConcurrentTests) break;
+                    if (this.getAdmissionBlocker(job.type)) continue;
+
+                    await this.executeTest(job);
+                    dispatched = true;
+                }
+            }
+
+            this.queuedTests = await this.dbService.countPendingTestJobs();
+        } finally {
+            this.processingQueue = false;
+        }
+    }
+
+    async executeTest(job) {
+        const testId = job.test_id;
+        const definition = this.testTypes.get(job.type);
+
+        await this.dbService.markTestJobDispatched(testId);
+
+        if (!definition) {
+            console.error(`No runner registered for test type: ${job.type}`);
+            await this.completeTest(testId, STATES.FAILED, `No runner registered for test type: ${job.type}`);
+            return;
+        }
+
+        console.log(`Executing test ${testId}: ${job.type}`);
+
+        const timeoutMs = await this.getRunTimeout(job.config);
+        const abortController = new AbortController();
+        const context = {
+            ...this.getServices(),
+            retryPolicy: await this.getRetryPolicy(job.config),
+            signal: abortController.signal,
+            emit: (event, payload) => this.publish(job.type, event, { testId, ...payload })
+        };
+
+        try {
+            await this.transitionTest(testId, STATES.RUNNING, 'Dispatched from queue');
+        } catch (error) {
+            // Cancelled while being dispatched; the rest of the queue carries on
+            if (error instanceof InvalidTransitionError) {
+                console.warn(error.message);
+                return;
+            }
+            throw error;
+        }
+        this.addActiveTest(testId, null, job.config);
+
+        const test = this.activeTests.get(testId);
+        test.resumeFromMs = job.elapsed_ms || 0;
+        test.abortController = abortController;
+        test.timeoutMs = timeoutMs;
+        test.deadline = Date.now() + timeoutMs;
+
+        // Tests launched with an agent selector run on a remote probe agent instead of this host
+        const run = job.config.agent
+            ? (config, runContext) => this.runOnProbeAgent(config, runContext)
+            : definition.run;
+
+        // Runners report completion through completeTest(); only a thrown setup error lands here
+        Promise.resolve()
+            .then(() => run(job.config, context))
+            .catch(async error => {
+                console.error(`Test ${testId} runner error:`, error);
+                await this.completeTest(testId, STATES.FAILED, error.message);
+            });
+    }
+
+    runOnProbeAgent(config, context) {
+        if (!this.probeAgents) {
+            throw new Error('Probe agents are not enabled');
+        }
+
+        return this.probeAgents.run(config, context);
     }
 
     startScheduledTestChecker() {
@@ -208,7 +1001,12 @@ class TestingEngine {
     }
 
     startPerformanceMonitoring() {
-        setInterval(() => {
+        if (this.performanceMonitor) {
+            clearInterval(this.performanceMonitor);
+        }
+
+        this.resourceMonitor.start();
+        this.performanceMonitor = setInterval(() => {
             const stats = this.getStats();
             
             // Check for performance issues
@@ -220,25 +1018,98 @@ class TestingEngine {
                 console.warn(`Large test queue: ${stats.queuedTests} tests queued`);
             }
             
-            // Memory usage check
-            const memUsage = process.memoryUsage();
-            const memUsageMB = Math.round(memUsage.heapUsed / 1024 / 1024);
-            
-            if (memUsageMB > 500) { // Alert if using more than 500MB
-                console.warn(`High memory usage: ${memUsageMB}MB`);
+            // Memory, CPU and event-loop lag drive the throttle
+            this.checkResourcePressure(this.resourceMonitor.sample()).catch(error => {
+                console.error('Resource check error:', error);
+            });
+        }, PERFORMANCE_CHECK_INTERVAL_MS);
+    }
+
+    // Throttles the engine while any reading is over its limit, and lifts the
+    // throttle once every reading is back under resumeRatio of its limit so it
+    // doesn't flap around the threshold
+    async checkResourcePressure(sample) {
+        if (this.dbService) {
+            await this.loadAdmissionSettings();
+        }
+
+        const settings = this.throttleSettings;
+        this.throttle.sample = sample;
+
+        if (!this.throttle.active) {
+            const reasons = findPressure(sample, settings);
+            if (reasons.length > 0) {
+                await this.setThrottle(true, reasons);
             }
-            
-        }, 30000); // Check every 30 seconds
+        } else {
+            const reasons = findPressure(sample, settings, settings.resumeRatio);
+            if (reasons.length > 0) {
+                this.throttle.reasons = reasons;
+            } else {
+                await this.setThrottle(false, []);
+            }
+        }
+
+        return this.getThrottleState();
+    }
+
+    async setThrottle(active, reasons) {
+        this.throttle.active = active;
+        this.throttle.reasons = reasons;
+        this.throttle.since = new Date();
+
+        const message = active
+            ? `Testing engine throttled: ${reasons.join('; ')}. Queued tests wait and load tests run with fewer workers.`
+            : 'Testing engine throttle lifted; resuming queued tests';
+        console.warn(message);
+
+        const state = this.getThrottleState();
+        this.emit('throttle', state);
+
+        try {
+            const notificationService = await this.getNotificationService();
+            await notificationService.sendSystemNotification(active ? 'throttled' : 'throttle-lifted', message, {
+                severity: active ? 'warning' : 'info',
+                source: 'system-monitor',
+                ...state
+            });
+        } catch (error) {
+            console.warn('Failed to send throttle notification:', error.message);
+        }
+    }
+
+    getThrottleState() {
+        return {
+            active: this.throttle.active,
+            reasons: this.throttle.reasons,
+            since: this.throttle.since,
+            sample: this.throttle.sample,
+            settings: this.throttleSettings
+        };
+    }
+
+    // How many of a load test's workers may send requests right now
+    getLoadConcurrency(concurrency) {
+        if (!this.throttle.active) return concurrency;
+
+        return Math.max(1, Math.floor(concurrency * this.throttleSettings.loadConcurrencyFactor));
     }
 
     // Cleanup and shutdown
     async shutdown() {
         console.log('Shutting down Testing Engine...');
         
-        // Stop queue processor
+        // Stop queue processor, watchdog and resource monitoring
         if (this.queueProcessor) {
             clearInterval(this.queueProcessor);
         }
+        if (this.watchdog) {
+            clearInterval(this.watchdog);
+        }
+        if (this.performanceMonitor) {
+            clearInterval(this.performanceMonitor);
+        }
+        this.resourceMonitor.stop();
         
         // Stop all active tests
         await this.stopAllTests();
@@ -251,6 +1122,139 @@ class TestingEngine {
         console.log('Testing Engine shutdown complete');
     }
 
+    async loadSchedules() {
+        const schedules = await this.dbService.getSchedules();
+        const enabled = schedules.filter(schedule => schedule.enabled);
+
+        for (const schedule of enabled) {
+            try {
+                this.addScheduledTest(schedule);
+            } catch (error) {
+                console.error(`Failed to arm schedule ${schedule.id}:`, error.message);
+            }
+        }
+
+        console.log(`Loaded ${enabled.length} scheduled tests`);
+    }
+
+    async createSchedule(definition) {
+        const schedule = {
+            id: uuidv4(),
+            name: definition.name,
+            cronExpression: definition.cronExpression,
+            timezone: definition.timezone,
+            testType: definition.testType,
+            config: definition.config || {},
+            priority: definition.priority || 0,
+            enabled: definition.enabled !== false
+        };
+
+        this.validateSchedule(schedule);
+        await this.dbService.saveSchedule(schedule);
+
+        if (schedule.enabled) {
+            this.addScheduledTest(schedule);
+        }
+
+        return this.getSchedule(schedule.id);
+    }
+
+    async updateSchedule(scheduleId, changes) {
+        const existing = await this.dbService.getSchedule(scheduleId);
+        if (!existing) return null;
+
+        const schedule = { ...existing, ...changes, id: scheduleId };
+
+        this.validateSchedule(schedule);
+        await this.dbService.saveSchedule(schedule);
+
+        this.removeScheduledTest(scheduleId);
+        if (schedule.enabled) {
+            this.addScheduledTest(schedule);
+        }
+
+        return this.getSchedule(scheduleId);
+    }
+
+    async deleteSchedule(scheduleId) {
+        const existing = await this.dbService.getSchedule(scheduleId);
+        if (!existing) return false;
+
+        this.removeScheduledTest(scheduleId);
+        await this.dbService.deleteSchedule(scheduleId);
+
+        return true;
+    }
+
+    async getSchedule(scheduleId) {
+        const schedule = await this.dbService.getSchedule(scheduleId);
+        if (!schedule) return null;
+
+        const scheduled = this.scheduledTests.get(scheduleId);
+
+        return {
+            ...schedule,
+            armed: Boolean(scheduled && scheduled.active),
+            nextRunAt: scheduled ? scheduled.task.getNextRun() : null
+        };
+    }
+
+    async getSchedules() {
+        const schedules = await this.dbService.getSchedules();
+
+        return Promise.all(schedules.map(schedule => this.getSchedule(schedule.id)));
+    }
+
+    validateSchedule(schedule) {
+        if (!cron.validate(schedule.cronExpression)) {
+            throw new Error(`Invalid cron expression: ${schedule.cronExpression}`);
+        }
+
+        // Throws TestConfigError for unknown types or configs the type's schema rejects
+        this.testTypes.validateParams(schedule.testType, schedule.config || {});
+    }
+
+    addScheduledTest(schedule) {
+        const task = cron.schedule(schedule.cronExpression, () => {
+            return this.runScheduledTest(schedule.id).catch(error => {
+                console.error(`Scheduled test ${schedule.id} failed to launch:`, error);
+            });
+        }, {
+            name: schedule.id,
+            timezone: schedule.timezone || undefined,
+            noOverlap: true
+        });
+
+        this.scheduledTests.set(schedule.id, {
+            schedule,
+            task,
+            active: true
+        });
+
+        console.log(`Scheduled test ${schedule.id} armed: ${schedule.cronExpression}`);
+    }
+
+    async runScheduledTest(scheduleId) {
+        const schedule = await this.dbService.getSchedule(scheduleId);
+        if (!schedule) {
+            this.removeScheduledTest(scheduleId);
+            return null;
+        }
+
+        const { config: testConfig } = await this.testTypes.buildConfig(
+            schedule.testType, schedule.config || {}, this.getServices()
+        );
+        testConfig.scheduleId = scheduleId;
+
+        const job = await this.enqueueTest(testConfig, {
+            priority: schedule.priority,
+            onLimit: 'queue'
+        });
+        await this.dbService.recordScheduleRun(scheduleId, testConfig.testId);
+
+        return job;
+    }
+
     removeScheduledTest(scheduleId) {
         const scheduled = this.scheduledTests.get(scheduleId);
         if (scheduled) {
@@ -265,4 +1269,6 @@ class TestingEngine {
     }
 }
 
-module.exports = TestingEngine;
\ No newline at end of file
+module.exports = TestingEngine;
+module.exports.AdmissionError = AdmissionError;
+module.exports.ADMISSION_SETTINGS = ADMISSION_SETTINGS;
\ No newline at end of file
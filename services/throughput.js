@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Multi-stream throughput measurement against this framework's own speed-test
+// endpoints (routes/speedtest.js), on this instance or another one. Each
+// direction opens `streams` parallel transfers for `durationMs`; bytes moved in
+// the first `warmupMs` are counted separately and left out of the rate, so TCP
+// slow start doesn't drag it down.
+
+const DEFAULT_THROUGHPUT = {
+    streams: 4,
+    durationMs: 10000,
+    warmupMs: 2000
+};
+
+const DOWNLOAD_PATH = '/api/speedtest/download';
+const UPLOAD_PATH = '/api/speedtest/upload';
+
+// Random, so compression anywhere on the path can't inflate the rate
+const CHUNK = crypto.randomBytes(64 * 1024);
+// Per request, and the most the endpoints accept; a stream that finishes one
+// before the deadline starts another
+const REQUEST_BYTES = 100 * 1024 * 1024;
+// Sent to servers that require one (SPEED_TEST_TOKEN on their side)
+const TOKEN_HEADER = 'x-speed-test-token';
+
+function authHeaders() {
+    return process.env.SPEED_TEST_TOKEN ? { [TOKEN_HEADER]: process.env.SPEED_TEST_TOKEN } : {};
+}
+
+function transportFor(url) {
+    return url.protocol === 'https:' ? https : http;
+}
+
+// Splits byte counts into warm-up and measured
+function createMeter(warmupMs) {
+    const startedAt = Date.now();
+    const meter = {
+        bytes: 0,
+        warmupBytes: 0,
+        measuringFrom: startedAt + warmupMs,
+        record(bytes) {
+            if (Date.now() < meter.measuringFrom) meter.warmupBytes += bytes;
+            else meter.bytes += bytes;
+        }
+    };
+    return meter;
+}
+
+function downloadOnce(url, meter, isStopped, register) {
+    return new Promise((resolve, reject) => {
+        const req = transportFor(url).get(url, { headers: { 'Cache-Control': 'no-store', ...authHeaders() } }, res => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`Download from ${url.host} answered HTTP ${res.statusCode}`));
+            }
+            res.on('data', chunk => meter.record(chunk.length));
+            res.on('end', resolve);
+            res.on('error', error => (isStopped() ? resolve() : reject(error)));
+        });
+        register(req);
+        req.on('error', error => (isStopped() ? resolve() : reject(error)));
+        // Torn down at the deadline without an error
+        req.on('close', resolve);
+    });
+}
+
+function uploadOnce(url, meter, isStopped, register) {
+    return new Promise((resolve, reject) => {
+        const req = transportFor(url).request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream', ...authHeaders() }
+        }, res => {
+            res.resume();
+            if (res.statusCode !== 200) {
+                return reject(new Error(`Upload to ${url.host} answered HTTP ${res.statusCode}`));
+            }
+            res.on('end', resolve);
+        });
+        register(req);
+        req.on('error', error => (isStopped() ? resolve() : reject(error)));
+        // Torn down at the deadline without an error
+        req.on('close', resolve);
+
+        let sent = 0;
+        const write = () => {
+            while (!isStopped() && sent < REQUEST_BYTES) {
+                sent += CHUNK.length;
+                // Counted once the chunk has been handed to the socket
+                const flushed = req.write(CHUNK, () => meter.record(CHUNK.length));
+                if (!flushed) return req.once('drain', write);
+            }
+            if (!isStopped()) req.end();
+        };
+        write();
+    });
+}
+
+// Runs `streams` transfer loops until the deadline or the signal, then tears down what's in flight
+async function measure(direction, server, options = {}) {
+    const { streams, durationMs, warmupMs, signal = null } = { ...DEFAULT_THROUGHPUT, ...options };
+    const url = new URL(direction === 'download' ? `${DOWNLOAD_PATH}?bytes=${REQUEST_BYTES}` : UPLOAD_PATH, server);
+    const transfer = direction === 'download' ? downloadOnce : uploadOnce;
+
+    const meter = createMeter(warmupMs);
+    const inFlight = new Set();
+    const errors = [];
+    let stopped = false;
+    const isStopped = () => stopped;
+    const register = req => {
+        inFlight.add(req);
+        req.on('close', () => inFlight.delete(req));
+    };
+
+    const stop = () => {
+        stopped = true;
+        inFlight.forEach(req => req.destroy());
+    };
+    const deadline = setTimeout(stop, durationMs);
+    if (signal) signal.addEventListener('abort', stop, { once: true });
+
+    await Promise.all(Array.from({ length: streams }, async () => {
+        while (!stopped) {
+            try {
+                await transfer(url, meter, isStopped, register);
+            } catch (error) {
+                // A stream that fails stays down; the others carry on
+                errors.push(error.message);
+                return;
+            }
+        }
+    }));
+
+    clearTimeout(deadline);
+    if (signal) signal.removeEventListener('abort', stop);
+
+    if (errors.length === streams) {
+        throw new Error(errors[0]);
+    }
+
+    const seconds = Math.max(0, (Date.now() - meter.measuringFrom) / 1000);
+
+    return {
+        server,
+        direction,
+        streams,
+        mbps: seconds > 0 ? Math.round((meter.bytes * 8 / seconds / 1e6) * 100) / 100 : null,
+        bytes: meter.bytes,
+        warmupBytes: meter.warmupBytes,
+        seconds: Math.round(seconds * 100) / 100,
+        failedStreams: errors.length,
+        errors
+    };
+}
+
+function measureDownload(server, options) {
+    return measure('download', server, options);
+}
+
+function measureUpload(server, options) {
+    return measure('upload', server, options);
+}
+
+module.exports = {
+    DEFAULT_THROUGHPUT,
+    CHUNK,
+    REQUEST_BYTES,
+    TOKEN_HEADER,
+    measureDownload,
+    measureUpload
+};
@@ -0,0 +1,169 @@
+const { spawn } = require('child_process');
+const dns = require('dns').promises;
+const readline = require('readline');
+
+// Runs the system traceroute (tracert on Windows) and parses its output hop
+// by hop as lines arrive. Addresses are printed numerically and resolved here
+// afterwards, so a slow resolver doesn't hold up the trace.
+
+const DEFAULT_TRACE = {
+    maxHops: 30,
+    probesPerHop: 3,
+    waitSeconds: 2
+};
+
+function traceCommand(target, { maxHops, probesPerHop, waitSeconds }, platform = process.platform) {
+    if (platform === 'win32') {
+        // tracert always sends three probes per hop, and has no `--`
+        return ['tracert', ['-d', '-h', String(maxHops), '-w', String(waitSeconds * 1000), target]];
+    }
+    // `--` so a target can never be read as an option
+    return ['traceroute', ['-n', '-m', String(maxHops), '-q', String(probesPerHop), '-w', String(waitSeconds), '--', target]];
+}
+
+// Calls onHop for each hop as it's printed; resolves with every hop once the trace ends
+function trace(target, options = {}) {
+    const { signal = null, onHop = () => {}, ...settings } = options;
+    const traceOptions = { ...DEFAULT_TRACE, ...settings };
+    const [command, args] = traceCommand(target, traceOptions);
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+        const hops = [];
+        let stderr = '';
+
+        const abort = () => child.kill();
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+
+        readline.createInterface({ input: child.stdout }).on('line', line => {
+            const hop = parseHopLine(line);
+            if (hop) {
+                hops.push(hop);
+                onHop(hop);
+            }
+        });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+
+        child.on('error', error => {
+            if (signal) signal.removeEventListener('abort', abort);
+            reject(error.code === 'ENOENT' ? new Error(`${command} is not installed on this host`) : error);
+        });
+        child.on('close', code => {
+            if (signal) signal.removeEventListener('abort', abort);
+            if (code !== 0 && hops.length === 0 && !(signal && signal.aborted)) {
+                return reject(new Error(stderr.trim() || `${command} exited with code ${code}`));
+            }
+            resolve(hops);
+        });
+    });
+}
+
+// One hop line from traceroute -n or tracert -d, e.g.
+//   " 5  10.0.0.1  3.201 ms 10.0.0.2  3.412 ms *"
+//   "  2    <1 ms     1 ms     *     192.168.0.1"
+// Returns { hop, probes: [{ address, rtt }] } with rtt null for lost probes.
+function parseHopLine(line) {
+    const match = /^\s*(\d+)\s+(.*)$/.exec(line);
+    if (!match) return null;
+
+    const tokens = match[2].trim().split(/\s+/);
+    const probes = [];
+    let address = null;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token === '*') {
+            probes.push({ address: null, rtt: null });
+        } else if (tokens[i + 1] === 'ms' && /^<?\d+(\.\d+)?$/.test(token)) {
+            probes.push({ address, rtt: parseFloat(token.replace('<', '')) });
+            i++;
+        } else if (isAddress(token)) {
+            address = token;
+        }
+    }
+
+    // tracert prints the address after the timings, so pin it on every reply
+    const replied = probes.filter(probe => probe.rtt !== null);
+    if (address && replied.some(probe => probe.address === null)) {
+        replied.forEach(probe => { probe.address = probe.address || address; });
+    }
+
+    return probes.length > 0 ? { hop: parseInt(match[1], 10), probes } : null;
+}
+
+function isAddress(token) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(token) || (token.includes(':') && /^[0-9a-f:]+$/i.test(token));
+}
+
+// The address most of a hop's replies came from, or null if none replied
+function primaryAddress(hop) {
+    const counts = {};
+    for (const { address } of hop.probes) {
+        if (address) counts[address] = (counts[address] || 0) + 1;
+    }
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+// Hops whose address differs between two runs' paths (arrays of addresses by
+// hop, null for silent hops). A silent hop isn't a change: routers often just
+// don't answer. A hop present in only one path is.
+function comparePaths(previous, current) {
+    const changes = [];
+    const length = Math.max(previous.length, current.length);
+
+    for (let i = 0; i < length; i++) {
+        const from = i < previous.length ? previous[i] : undefined;
+        const to = i < current.length ? current[i] : undefined;
+
+        if (from === undefined || to === undefined) {
+            changes.push({ hop: i + 1, from: from || null, to: to || null });
+        } else if (from && to && from !== to) {
+            changes.push({ hop: i + 1, from, to });
+        }
+    }
+
+    return changes;
+}
+
+// PTR records change rarely, but traces can pass thousands of addresses over a long uptime
+const HOSTNAME_CACHE_SIZE = 1000;
+const HOSTNAME_TTL_MS = 10 * 60 * 1000;
+
+// address -> { hostname (a promise), expiresAt }, oldest first
+const hostnames = new Map();
+
+// Reverse DNS, cached for a while; null when there's no PTR record
+async function reverseLookup(address) {
+    const cached = hostnames.get(address);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.hostname;
+    }
+
+    hostnames.delete(address);
+    if (hostnames.size >= HOSTNAME_CACHE_SIZE) {
+        hostnames.delete(hostnames.keys().next().value);
+    }
+
+    const hostname = dns.reverse(address).then(names => names[0] || null, () => null);
+    hostnames.set(address, { hostname, expiresAt: Date.now() + HOSTNAME_TTL_MS });
+    return hostname;
+}
+
+// The address a trace to `target` should end at, or null if it doesn't resolve
+function lookupAddress(target) {
+    return dns.lookup(target).then(result => result.address, () => null);
+}
+
+module.exports = {
+    DEFAULT_TRACE,
+    traceCommand,
+    trace,
+    parseHopLine,
+    primaryAddress,
+    comparePaths,
+    reverseLookup,
+    lookupAddress,
+    HOSTNAME_CACHE_SIZE
+};
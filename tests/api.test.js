@@ -1,5 +1,5 @@
 const request = require('supertest');
-const { app } = require('../server');
+const { app, testingEngine, dbService } = require('../server');
 
 describe('API Routes', () => {
     test('should respond to health check', async () => {
@@ -22,6 +22,199 @@ describe('API Routes', () => {
         expect(response.body).toHaveProperty('successRate');
     });
     
+    test('should reject schedules with an invalid cron expression', async () => {
+        const response = await request(app)
+            .post('/api/schedules')
+            .send({ name: 'Nightly', cronExpression: 'every night', testType: 'speed' })
+            .expect(400);
+
+        expect(response.body).toHaveProperty('error', 'Validation error');
+    });
+
+    test('should reject campaigns whose steps depend on unknown steps', async () => {
+        const response = await request(app)
+            .post('/api/campaigns')
+            .send({ name: 'Release', mode: 'graph', tests: [{ id: 'a', type: 'speed', dependsOn: ['b'] }] })
+            .expect(400);
+
+        expect(response.body.message).toBe('Step a depends on unknown step: b');
+    });
+
+    test('should launch templates with their placeholder parameters', async () => {
+        await dbService.initialize();
+
+        const created = await request(app)
+            .post('/api/templates')
+            .send({
+                name: 'Gateway health',
+                testType: 'api_health_check',
+                config: { endpoints: ['{{gateway}}/health'] },
+                parameters: { gateway: { description: 'Carrier gateway base URL' } }
+            })
+            .expect(201);
+
+        expect(created.body).toEqual(expect.objectContaining({ version: 1, placeholders: ['gateway'] }));
+
+        const response = await request(app)
+            .post(`/api/templates/${created.body.id}/launch`)
+            .send({})
+            .expect(400);
+
+        expect(response.body.message).toBe('Missing template parameter: gateway');
+
+        await request(app)
+            .post('/api/templates/not-a-template/launch')
+            .send({ parameters: { gateway: 'https://example.com' } })
+            .expect(404);
+        await request(app)
+            .delete(`/api/templates/${created.body.id}`)
+            .expect(200);
+    });
+
+    test('should validate admission settings and apply them without a restart', async () => {
+        await dbService.initialize();
+
+        const invalid = await request(app)
+            .put('/api/settings/maxConcurrentTests')
+            .send({ value: 0 })
+            .expect(400);
+        expect(invalid.body.message).toMatch(/Invalid maxConcurrentTests/);
+
+        await request(app)
+            .post('/api/settings/bulk')
+            .send({ settings: { admissionPolicy: 'queue', concurrencyGroups: { bandwidth: { types: [], limit: 1 } } } })
+            .expect(400);
+        expect(await dbService.getSetting('admissionPolicy')).toBeNull();
+
+        await request(app)
+            .put('/api/settings/maxConcurrentTests')
+            .send({ value: 3 })
+            .expect(200);
+        expect(testingEngine.maxConcurrentTests).toBe(3);
+
+        await request(app).post('/api/settings/reset').expect(200);
+        expect(testingEngine.maxConcurrentTests).toBe(10);
+    });
+
+    test('should drop a deleted test from schedule, template and campaign runs', async () => {
+        await dbService.initialize();
+        await dbService.saveTestConfig({ testId: 'deleted-1', type: 'dns' }, 'completed');
+        await dbService.recordScheduleRun('schedule-1', 'deleted-1');
+        await dbService.recordTemplateRun('template-1', 1, 'deleted-1', {});
+        await dbService.recordCampaignTest('campaign-1', 'step-1', 'deleted-1');
+
+        await request(app).delete('/api/results/deleted-1').expect(200);
+
+        expect(await dbService.getScheduleRuns('schedule-1')).toEqual([]);
+        expect(await dbService.getTemplateRuns('template-1')).toEqual([]);
+        expect(await dbService.getCampaignTests('campaign-1')).toEqual([
+            expect.objectContaining({ step_id: 'step-1', test_id: null, skip_reason: 'Test deleted' })
+        ]);
+        expect(await dbService.getCampaignIdForTest('deleted-1')).toBeNull();
+    });
+
+    test('should reject launches with an invalid retry policy', async () => {
+        const response = await request(app)
+            .post('/api/testing/test')
+            .send({ endpoints: ['https://example.com'], retry: { retries: 50 } })
+            .expect(400);
+
+        expect(response.body).toHaveProperty('error', 'Validation error');
+        expect(response.body.message).toMatch(/retries/);
+    });
+
+    test('should validate launches against the test type schema', async () => {
+        const response = await request(app)
+            .post('/api/network/speed')
+            .send({ duration: 2 })
+            .expect(400);
+
+        expect(response.body.message).toBe('Duration must be between 5 and 300 seconds');
+    });
+
+    test('should plan launches on a dry run without starting them', async () => {
+        await dbService.initialize();
+        const pending = await dbService.countPendingTestJobs();
+
+        const response = await request(app)
+            .post('/api/testing/load?dryRun=true')
+            .send({ endpoint: 'https://api.example.com', concurrency: 4, duration: 30, rampUp: 0 })
+            .expect(200);
+
+        expect(response.body.estimate).toEqual(expect.objectContaining({ requests: 120, peakConcurrency: 4 }));
+        expect(response.body).toHaveProperty('admission');
+        expect(response.body).not.toHaveProperty('testId');
+
+        await request(app)
+            .post('/api/test-types/speed/plan')
+            .send({ duration: 2 })
+            .expect(400);
+
+        expect(await dbService.countPendingTestJobs()).toBe(pending);
+    });
+
+    test('should report engine statistics for a time window', async () => {
+        await dbService.initialize();
+
+        const response = await request(app)
+            .get('/api/results/stats/engine?window=24h')
+            .expect(200);
+
+        expect(response.body).toHaveProperty('byStatus');
+        expect(response.body.runTimeMs).toHaveProperty('p95');
+        expect(response.body.live).toHaveProperty('queuedTests');
+        expect(response.body.window.from).not.toBeNull();
+
+        await request(app)
+            .get('/api/results/stats/engine?window=yesterday')
+            .expect(400);
+    });
+
+    test('should describe registered test types', async () => {
+        const response = await request(app)
+            .get('/api/test-types')
+            .expect(200);
+
+        const speed = response.body.find(type => type.type === 'speed');
+        expect(speed).toEqual(expect.objectContaining({ category: 'network', path: '/speed' }));
+        expect(speed.events).toEqual({ update: 'test_update', complete: 'test_complete' });
+        expect(speed.schema.keys).toHaveProperty('duration');
+
+        await request(app)
+            .get('/api/test-types/not_a_type')
+            .expect(404);
+    });
+
+    test('should stop tests started from another module', async () => {
+        await dbService.initialize();
+
+        let sampling = null;
+        testingEngine.registerRunner('probe_fixture', config => {
+            sampling = setInterval(() => {}, 1000);
+            testingEngine.addActiveTest(config.testId, sampling);
+        });
+
+        const job = await testingEngine.enqueueTest({ testId: 'shared-1', type: 'probe_fixture' });
+        await testingEngine.processQueue();
+        const clearIntervalSpy = jest.spyOn(global, 'clearInterval');
+
+        const health = await request(app).get('/api/health').expect(200);
+        expect(health.body.activeTests).toBe(1);
+
+        await request(app)
+            .delete(`/api/network/test/${job.testId}`)
+            .expect(200);
+
+        const stopped = await dbService.getTestStatus(job.testId);
+        expect(stopped.status).toBe('cancelled');
+        expect(testingEngine.getActiveTestCount()).toBe(0);
+        expect(clearIntervalSpy).toHaveBeenCalledWith(sampling);
+
+        clearIntervalSpy.mockRestore();
+        testingEngine.testTypes.unregister('probe_fixture');
+        await dbService.close();
+    });
+
     test('should handle speed test requests', async () => {
         // Mock implementation
         expect(true).toBe(true);
@@ -67,3 +260,240 @@ describe('API Routes', () => {
         expect(true).toBe(true);
     });
 });
+
+describe('HTTP Timing', () => {
+    const http = require('http');
+    const axios = require('axios');
+    const { timingAgents, readTimings, summarizeTimings } = require('../services/http-timing');
+
+    let server;
+    let url;
+
+    beforeEach(async () => {
+        server = http.createServer((req, res) => setTimeout(() => res.end('x'.repeat(50000)), 20));
+        await new Promise(resolve => server.listen(0, resolve));
+        url = `http://localhost:${server.address().port}/`;
+    });
+
+    afterEach(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should break a request into phases and skip connection setup on a kept-alive socket', async () => {
+        const first = readTimings(await axios.get(url, { ...timingAgents }));
+        const second = readTimings(await axios.get(url, { ...timingAgents }));
+
+        expect(first).toEqual(expect.objectContaining({ reusedConnection: false, tlsMs: null, tlsVersion: null }));
+        expect(first.dnsMs).toBeGreaterThanOrEqual(0);
+        expect(first.tcpMs).toBeGreaterThanOrEqual(0);
+        expect(first.ttfbMs).toBeGreaterThanOrEqual(15);
+        expect(first.transferMs).toBeGreaterThanOrEqual(0);
+
+        expect(second).toEqual(expect.objectContaining({ reusedConnection: true, dnsMs: null, tcpMs: null }));
+        expect(second.ttfbMs).toBeGreaterThanOrEqual(15);
+    });
+
+    test('should aggregate phases, backend time and TLS versions from stored results', () => {
+        const summary = summarizeTimings([
+            { dns_ms: 10, tcp_ms: 40, tls_ms: 80, ttfb_ms: 140, transfer_ms: 5, reused_connection: 0, tls_version: 'TLSv1.3', tls_cipher: 'TLS_AES_128_GCM_SHA256' },
+            { dns_ms: null, tcp_ms: null, tls_ms: null, ttfb_ms: 100, transfer_ms: 3, reused_connection: 1, tls_version: 'TLSv1.3', tls_cipher: 'TLS_AES_128_GCM_SHA256' },
+            { dns_ms: null, tcp_ms: null, tls_ms: null, ttfb_ms: null, transfer_ms: null, reused_connection: null, tls_version: null, tls_cipher: null }
+        ]);
+
+        expect(summary).toEqual(expect.objectContaining({
+            requests: 2,
+            reusedConnections: 1,
+            dns: { mean: 10, p50: 10, p95: 10, max: 10 },
+            ttfb: { mean: 120, p50: 100, p95: 140, max: 140 },
+            serverMs: { mean: 100, p50: 100, p95: 100, max: 100 },
+            tlsVersions: { 'TLSv1.3': 2 }
+        }));
+        expect(summarizeTimings([{ ttfb_ms: null }])).toBeNull();
+    });
+
+    test('should store timings with API test results and summarize them', async () => {
+        await dbService.initialize();
+
+        try {
+            const { config } = await testingEngine.launchTest('api_test', { endpoints: [url], iterations: 2, interval: 0 });
+            await testingEngine.processQueue();
+
+            let status = null;
+            for (let i = 0; i < 200 && status !== 'completed'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                status = (await dbService.getTestStatus(config.testId)).status;
+            }
+            expect(status).toBe('completed');
+
+            const response = await request(app).get(`/api/testing/results/${config.testId}`).expect(200);
+
+            expect(response.body.results[0].ttfb_ms).toBeGreaterThanOrEqual(15);
+            expect(response.body.summary.timings).toEqual(expect.objectContaining({
+                requests: 2,
+                ttfb: expect.objectContaining({ p50: expect.any(Number) })
+            }));
+        } finally {
+            await dbService.close();
+        }
+    });
+});
+
+describe('Network Emulation', () => {
+    const http = require('http');
+    const axios = require('axios');
+    const { resolveProfile, ShapedStream, NetworkEmulator, EmulationLimitError } = require('../services/network-emulator');
+    const { networkEmulator } = require('../server');
+
+    let server;
+    let url;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => res.end('ok'));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    afterAll(async () => {
+        await networkEmulator.shutdown();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should resolve presets and custom profiles', () => {
+        expect(resolveProfile('3g')).toEqual(expect.objectContaining({ name: '3g', latencyMs: 300, downloadKbps: 1600 }));
+        expect(resolveProfile({ latencyMs: 120 })).toEqual(expect.objectContaining({
+            name: 'custom',
+            latencyMs: 120,
+            lossPercent: 0,
+            downloadKbps: 0
+        }));
+        expect(() => resolveProfile('6g')).toThrow(/Unknown network profile/);
+    });
+
+    test('should delay and pace chunks without reordering them', async () => {
+        // 80 KB at 6400 kbit/s takes 100ms on top of the 50ms delay
+        const shaped = new ShapedStream({ delayMs: 50, kbps: 6400 });
+        const received = [];
+        const startedAt = Date.now();
+
+        await new Promise(resolve => {
+            shaped.on('data', chunk => received.push(chunk));
+            shaped.on('end', resolve);
+            [0, 1, 2, 3].forEach(i => shaped.write(Buffer.alloc(20 * 1024, i)));
+            shaped.end();
+        });
+
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(140);
+        const sent = Buffer.concat([0, 1, 2, 3].map(i => Buffer.alloc(20 * 1024, i)));
+        expect(Buffer.concat(received).equals(sent)).toBe(true);
+    });
+
+    test('should add the profile latency to proxied requests and reuse its proxy', async () => {
+        const proxy = await networkEmulator.acquire({ latencyMs: 150 });
+        const startedAt = Date.now();
+
+        const response = await axios.get(url, { proxy: { protocol: 'http', host: proxy.host, port: proxy.port } });
+
+        expect(response.data).toBe('ok');
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(140);
+        expect((await networkEmulator.acquire({ latencyMs: 150 })).port).toBe(proxy.port);
+    });
+
+    test('should stop a proxy once its last holder releases it', async () => {
+        const emulator = new NetworkEmulator({ maxProxies: 2 });
+
+        try {
+            const proxy = await emulator.acquire({ latencyMs: 10 });
+            await emulator.acquire({ latencyMs: 10 });
+            const pinned = await emulator.acquire({ latencyMs: 20 }, { pinned: true });
+
+            await expect(emulator.acquire({ latencyMs: 30 })).rejects.toThrow(EmulationLimitError);
+
+            await emulator.release(proxy.port);
+            expect(emulator.getProxies().map(({ port }) => port)).toContain(proxy.port);
+            await emulator.release(proxy.port);
+            expect(emulator.getProxies().map(({ port }) => port)).toEqual([pinned.port]);
+
+            // Pinned proxies outlive their holders until stopped
+            await emulator.acquire({ latencyMs: 20 });
+            await emulator.release(pinned.port);
+            expect(emulator.getProxies().map(({ port }) => port)).toEqual([pinned.port]);
+            expect(await emulator.stop(pinned.port)).toBe(true);
+            expect(emulator.getProxies()).toEqual([]);
+        } finally {
+            await emulator.shutdown();
+        }
+    });
+
+    test('should refuse to bind off loopback without a token', async () => {
+        const emulator = new NetworkEmulator({ host: '0.0.0.0', token: '' });
+
+        await expect(emulator.acquire('lte')).rejects.toThrow(/EMULATION_PROXY_TOKEN/);
+        expect(emulator.getProxies()).toEqual([]);
+    });
+
+    test('should require the token as proxy credentials when one is set', async () => {
+        const emulator = new NetworkEmulator({ token: 'proxy-secret' });
+
+        try {
+            const proxy = await emulator.acquire({ latencyMs: 10 });
+            const via = auth => ({ proxy: { protocol: 'http', host: proxy.host, port: proxy.port, ...(auth && { auth }) }, validateStatus: null });
+
+            expect((await axios.get(url, via(null))).status).toBe(407);
+            expect((await axios.get(url, via({ username: 'me', password: 'wrong' }))).status).toBe(407);
+            const response = await axios.get(url, via(emulator.getAuth()));
+            expect(response.status).toBe(200);
+            expect(response.data).toBe('ok');
+        } finally {
+            await emulator.shutdown();
+        }
+    });
+
+    test('should record the applied profile in API test results', async () => {
+        await dbService.initialize();
+
+        try {
+            const { config } = await testingEngine.launchTest('api_test', {
+                endpoints: [url],
+                networkProfile: { latencyMs: 100 }
+            });
+            await testingEngine.processQueue();
+
+            let status = null;
+            for (let i = 0; i < 200 && status !== 'completed'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                status = (await dbService.getTestStatus(config.testId)).status;
+            }
+            expect(status).toBe('completed');
+
+            const response = await request(app).get(`/api/testing/results/${config.testId}`).expect(200);
+
+            expect(response.body.results[0]).toEqual(expect.objectContaining({ network_profile: 'custom', success: 1 }));
+            expect(response.body.results[0].response_time).toBeGreaterThanOrEqual(90);
+            expect(response.body.summary.networkProfile).toBe('custom');
+            expect(response.body.summary.timings.viaEmulationProxy).toBe(true);
+
+            // The run's proxy goes with it
+            for (let i = 0; i < 50 && networkEmulator.getProxies().some(({ profile }) => profile.latencyMs === 100); i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            expect(networkEmulator.getProxies().some(({ profile }) => profile.latencyMs === 100)).toBe(false);
+        } finally {
+            await dbService.close();
+        }
+    });
+
+    test('should start and stop proxies for outside clients', async () => {
+        const listing = await request(app).get('/api/testing/emulation').expect(200);
+        expect(Object.keys(listing.body.profiles)).toEqual(['2g', '3g', 'lte', '5g']);
+
+        await request(app).post('/api/testing/emulation/proxies').send({ profile: '6g' }).expect(400);
+
+        const started = await request(app).post('/api/testing/emulation/proxies').send({ profile: 'lte' }).expect(201);
+        expect(started.body).toEqual(expect.objectContaining({ host: '127.0.0.1', profile: expect.objectContaining({ name: 'lte' }) }));
+
+        await request(app).delete(`/api/testing/emulation/proxies/${started.body.port}`).expect(200);
+        await request(app).delete(`/api/testing/emulation/proxies/${started.body.port}`).expect(404);
+    });
+});
@@ -63,3 +63,738 @@ describe('Network Testing Service', () => {
         expect(true).toBe(true);
     });
 });
+
+describe('Probing', () => {
+    const net = require('net');
+    const { probeBurst, interarrivalJitter, combineBursts, PROBE_METHODS } = require('../services/probing');
+
+    // A probe that answers with the next canned RTT, null meaning lost
+    const scripted = rtts => {
+        let next = 0;
+        return async () => rtts[next++];
+    };
+
+    test('should compute RFC 3550 interarrival jitter over received probes', () => {
+        // J = 10/16, then J += (10 - J)/16 twice
+        expect(interarrivalJitter([10, 20, 10, 20])).toBe(1.76);
+        expect(interarrivalJitter([10, null, 20])).toBe(0.63);
+        expect(interarrivalJitter([10, null])).toBeNull();
+    });
+
+    test('should report loss and latency percentiles for a burst', async () => {
+        const burst = await probeBurst('203.0.113.1', {
+            count: 10,
+            intervalMs: 0,
+            probe: scripted([10, 12, null, 11, 40, null, 13, 12, 11, 10])
+        });
+
+        expect(burst).toEqual(expect.objectContaining({ sent: 10, received: 8, alive: true, packetLoss: 20, jitter: 3.1 }));
+        expect(burst.latency).toEqual({ min: 10, mean: 14.88, max: 40, p50: 11, p90: 40, p95: 40, p99: 40 });
+    });
+
+    test('should treat a burst with every probe lost as unreachable', async () => {
+        const burst = await probeBurst('203.0.113.1', { count: 3, intervalMs: 0, probe: async () => { throw new Error('EHOSTUNREACH'); } });
+
+        expect(burst).toEqual(expect.objectContaining({ received: 0, alive: false, packetLoss: 100, jitter: null }));
+        expect(burst.latency.mean).toBeNull();
+    });
+
+    test('should pool loss across targets and average jitter per target', async () => {
+        const a = await probeBurst('a', { count: 4, intervalMs: 0, probe: scripted([10, 20, 10, 20]) });
+        const b = await probeBurst('b', { count: 4, intervalMs: 0, probe: scripted([30, null, null, 30]) });
+
+        const combined = combineBursts([a, b]);
+
+        expect(combined).toEqual(expect.objectContaining({ sent: 8, received: 6, packetLoss: 25, jitter: 0.88 }));
+        expect(combined.latency.max).toBe(30);
+    });
+
+    test('should build the quality and roaming results servers and agents share', async () => {
+        const { classifyQuality, qualitySample, roamingEndpointResult, roamingRegionResult, roamingResult } = require('../services/probe-results');
+        const a = await probeBurst('a', { count: 4, intervalMs: 0, probe: scripted([10, 20, 10, 20]) });
+        const lost = await probeBurst('b', { count: 2, intervalMs: 0, probe: scripted([null, null]) });
+
+        expect(classifyQuality(40, 0)).toBe('excellent');
+        expect(classifyQuality(40, 2)).toBe('good');
+        expect(classifyQuality(250, 0)).toBe('poor');
+
+        const sample = qualitySample([a], ['g711']);
+        expect(sample).toEqual(expect.objectContaining({ averagePing: 15, packetLoss: 0, quality: 'excellent' }));
+        expect(Object.keys(sample.callQuality)).toEqual(['g711']);
+        expect(sample.targets[0].samples).toBeUndefined();
+
+        const region = roamingRegionResult('eu-west', [roamingEndpointResult('a', a), roamingEndpointResult('b', lost)]);
+        expect(region).toEqual(expect.objectContaining({ successRate: 50, averageLatency: 15 }));
+        expect(roamingResult('home', [region])).toEqual(expect.objectContaining({ regionsTotal: 1, regionsSuccessful: 0, overallSuccessRate: 50 }));
+    });
+
+    test('should time TCP handshakes and count refused connections as lost', async () => {
+        const server = net.createServer(socket => socket.end());
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const { port } = server.address();
+
+        const rtt = await PROBE_METHODS.tcp('127.0.0.1', { timeoutMs: 1000, port });
+        await new Promise(resolve => server.close(resolve));
+        const refused = await PROBE_METHODS.tcp('127.0.0.1', { timeoutMs: 1000, port });
+
+        expect(rtt).toBeGreaterThan(0);
+        expect(refused).toBeNull();
+    });
+});
+
+describe('Call Quality (E-model)', () => {
+    const { rateCall, rateCallQuality, summarizeCallQuality, mosFromR } = require('../services/e-model');
+
+    const clean = { latencyMs: 40, jitterMs: 3, packetLoss: 0 };
+    const congested = { latencyMs: 400, jitterMs: 40, packetLoss: 5 };
+
+    test('should give G.711 the G.107 default rating on a clean link', () => {
+        const rating = rateCall(clean, 'g711');
+
+        expect(rating).toEqual(expect.objectContaining({
+            rFactor: 93.2,
+            mos: 4.41,
+            satisfaction: 'very satisfied',
+            volteReady: true,
+            oneWayDelayMs: 60
+        }));
+    });
+
+    test('should charge delay and loss impairments on a congested link', () => {
+        const rating = rateCall(congested, 'g711');
+
+        // 200ms network + 80ms jitter buffer + 20ms frame
+        expect(rating.oneWayDelayMs).toBe(300);
+        expect(rating.impairments).toEqual({ delay: 14.76, equipment: 15.78 });
+        expect(rating).toEqual(expect.objectContaining({ rFactor: 62.66, mos: 3.24, volteReady: false }));
+    });
+
+    test('should rate every requested codec and skip links with no replies', () => {
+        const ratings = rateCallQuality(congested, ['g711', 'amr-wb', 'evs']);
+
+        expect(Object.keys(ratings)).toEqual(['g711', 'amr-wb', 'evs']);
+        expect(ratings.evs.rFactor).toBeGreaterThan(ratings['amr-wb'].rFactor);
+        expect(rateCallQuality({ latencyMs: null, jitterMs: null, packetLoss: 100 })).toBeNull();
+        expect(() => rateCall(clean, 'g729')).toThrow('Unknown codec: g729');
+    });
+
+    test('should map R-factors to MOS within 1 and 4.5', () => {
+        expect(mosFromR(-5)).toBe(1);
+        expect(mosFromR(70)).toBeCloseTo(3.6, 1);
+        expect(mosFromR(120)).toBe(4.5);
+    });
+
+    test('should summarize the share of samples ready for VoLTE', () => {
+        const summary = summarizeCallQuality([
+            rateCallQuality(clean, ['g711']),
+            rateCallQuality(congested, ['g711']),
+            null
+        ]);
+
+        expect(summary.g711).toEqual(expect.objectContaining({
+            samples: 2,
+            averageRFactor: 77.93,
+            minMos: 3.24,
+            volteReadyPercent: 50
+        }));
+    });
+});
+
+describe('Traceroute', () => {
+    const { parseHopLine, primaryAddress, comparePaths, traceCommand } = require('../services/traceroute');
+
+    test('should parse traceroute hops, including lost probes and load-balanced replies', () => {
+        expect(parseHopLine('traceroute to 8.8.8.8 (8.8.8.8), 30 hops max, 60 byte packets')).toBeNull();
+        expect(parseHopLine(' 1  192.168.1.1  0.512 ms  0.480 ms  0.470 ms')).toEqual({
+            hop: 1,
+            probes: [
+                { address: '192.168.1.1', rtt: 0.512 },
+                { address: '192.168.1.1', rtt: 0.48 },
+                { address: '192.168.1.1', rtt: 0.47 }
+            ]
+        });
+        expect(parseHopLine(' 5  10.0.0.1  3.201 ms 10.0.0.2  3.412 ms *').probes).toEqual([
+            { address: '10.0.0.1', rtt: 3.201 },
+            { address: '10.0.0.2', rtt: 3.412 },
+            { address: null, rtt: null }
+        ]);
+        expect(parseHopLine(' 7  * * *').probes).toHaveLength(3);
+    });
+
+    test('should parse tracert hops, where the address follows the timings', () => {
+        expect(parseHopLine('  2    <1 ms     1 ms     *     192.168.0.1').probes).toEqual([
+            { address: '192.168.0.1', rtt: 1 },
+            { address: '192.168.0.1', rtt: 1 },
+            { address: null, rtt: null }
+        ]);
+        expect(primaryAddress(parseHopLine('  3     *        *        *     Request timed out.'))).toBeNull();
+    });
+
+    test('should report changed hops but not hops that stayed silent', () => {
+        const previous = ['192.168.1.1', '10.0.0.1', null, '8.8.8.8'];
+
+        expect(comparePaths(previous, ['192.168.1.1', '10.0.0.1', '172.16.0.1', '8.8.8.8'])).toEqual([]);
+        expect(comparePaths(previous, ['192.168.1.1', '10.0.0.2', null, '8.8.8.8'])).toEqual([
+            { hop: 2, from: '10.0.0.1', to: '10.0.0.2' }
+        ]);
+        expect(comparePaths(previous, ['192.168.1.1', '10.0.0.1', null, '172.16.0.9', '8.8.8.8'])).toEqual([
+            { hop: 4, from: '8.8.8.8', to: '172.16.0.9' },
+            { hop: 5, from: null, to: '8.8.8.8' }
+        ]);
+    });
+
+    test('should build the command for each platform', () => {
+        const options = { maxHops: 20, probesPerHop: 5, waitSeconds: 2 };
+
+        expect(traceCommand('example.com', options, 'linux')).toEqual([
+            'traceroute', ['-n', '-m', '20', '-q', '5', '-w', '2', '--', 'example.com']
+        ]);
+        expect(traceCommand('example.com', options, 'win32')).toEqual([
+            'tracert', ['-d', '-h', '20', '-w', '2000', 'example.com']
+        ]);
+    });
+
+    test('should cache reverse lookups for a while, up to a bounded number of addresses', async () => {
+        const dns = require('dns').promises;
+        const { reverseLookup, HOSTNAME_CACHE_SIZE } = require('../services/traceroute');
+        const reverse = jest.spyOn(dns, 'reverse').mockImplementation(async address => [`host-${address}`]);
+        const now = jest.spyOn(Date, 'now');
+
+        try {
+            expect(await reverseLookup('198.51.100.1')).toBe('host-198.51.100.1');
+            await reverseLookup('198.51.100.1');
+            expect(reverse).toHaveBeenCalledTimes(1);
+
+            // Expired entries are looked up again
+            now.mockReturnValue(Date.now() + 11 * 60 * 1000);
+            await reverseLookup('198.51.100.1');
+            expect(reverse).toHaveBeenCalledTimes(2);
+
+            // A full cache gives up its oldest entry
+            for (let i = 0; i < HOSTNAME_CACHE_SIZE; i++) {
+                await reverseLookup(`10.${i >> 8}.${i & 255}.1`);
+            }
+            reverse.mockClear();
+            await reverseLookup('198.51.100.1');
+            expect(reverse).toHaveBeenCalledTimes(1);
+        } finally {
+            reverse.mockRestore();
+            now.mockRestore();
+        }
+    });
+
+    test('should only accept host names and addresses as targets', async () => {
+        for (const target of ['--help', '-F', 'example.com -m 1', '']) {
+            await request(app)
+                .post('/api/network/traceroute?dryRun=true')
+                .send({ target })
+                .expect(400);
+        }
+    });
+});
+
+describe('DNS', () => {
+    const dgram = require('dgram');
+    const net = require('net');
+    const http = require('http');
+    const { buildQuery, parseResponse, resolve } = require('../services/dns-client');
+    const { testingEngine, dbService } = require('../server');
+
+    // A stand-in resolver answering A queries from `records` ({ name: [addresses] })
+    // over UDP, TCP and DoH; unknown names get NXDOMAIN
+    function answer(query, records) {
+        let offset = 12;
+        const labels = [];
+        while (query[offset] !== 0) {
+            labels.push(query.toString('utf8', offset + 1, offset + 1 + query[offset]));
+            offset += query[offset] + 1;
+        }
+        const question = query.subarray(0, offset + 5);
+        const addresses = records[labels.join('.')];
+
+        const header = Buffer.from(question.subarray(0, 12));
+        header.writeUInt16BE(addresses ? 0x8180 : 0x8183, 2);
+        header.writeUInt16BE(addresses ? addresses.length : 0, 6);
+
+        const answers = (addresses || []).map(address => {
+            const record = Buffer.alloc(16);
+            record.writeUInt16BE(0xc00c, 0);
+            record.writeUInt16BE(1, 2);
+            record.writeUInt16BE(1, 4);
+            record.writeUInt32BE(300, 6);
+            record.writeUInt16BE(4, 10);
+            address.split('.').forEach((octet, i) => { record[12 + i] = Number(octet); });
+            return record;
+        });
+
+        return Buffer.concat([header, question.subarray(12), ...answers]);
+    }
+
+    async function startResolver(records) {
+        const udp = dgram.createSocket('udp4');
+        udp.on('message', (query, remote) => udp.send(answer(query, records), remote.port, remote.address));
+        await new Promise(resolve => udp.bind(0, '127.0.0.1', resolve));
+
+        const tcp = net.createServer(socket => socket.on('data', data => {
+            const response = answer(data.subarray(2), records);
+            const length = Buffer.alloc(2);
+            length.writeUInt16BE(response.length);
+            socket.end(Buffer.concat([length, response]));
+        }));
+        await new Promise(resolve => tcp.listen(udp.address().port, '127.0.0.1', resolve));
+
+        const doh = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                res.writeHead(200, { 'Content-Type': 'application/dns-message' });
+                res.end(answer(Buffer.concat(chunks), records));
+            });
+        });
+        await new Promise(resolve => doh.listen(0, '127.0.0.1', resolve));
+
+        return {
+            address: '127.0.0.1',
+            port: udp.address().port,
+            url: `http://127.0.0.1:${doh.address().port}/dns-query`,
+            close: () => Promise.all([
+                new Promise(resolve => udp.close(resolve)),
+                new Promise(resolve => tcp.close(resolve)),
+                new Promise(resolve => doh.close(resolve))
+            ])
+        };
+    }
+
+    test('should encode queries and decode compressed answers', () => {
+        const query = buildQuery('example.com', 'A', 0x1234);
+
+        expect(query.readUInt16BE(0)).toBe(0x1234);
+        expect(query.subarray(12).toString('hex')).toBe('076578616d706c6503636f6d0000010001');
+        expect(parseResponse(answer(query, { 'example.com': ['93.184.216.34'] }))).toEqual({
+            id: 0x1234,
+            rcode: 'NOERROR',
+            truncated: false,
+            answers: [{ name: 'example.com', type: 'A', ttl: 300, data: '93.184.216.34' }]
+        });
+        expect(parseResponse(answer(query, {})).rcode).toBe('NXDOMAIN');
+    });
+
+    test('should resolve over UDP, TCP and DoH', async () => {
+        const resolver = await startResolver({ 'example.com': ['10.0.0.1'] });
+
+        try {
+            for (const protocol of ['udp', 'tcp', 'doh']) {
+                const response = await resolve('example.com', { protocol, resolver, timeoutMs: 1000 });
+
+                expect(response.rcode).toBe('NOERROR');
+                expect(response.answers.map(a => a.data)).toEqual(['10.0.0.1']);
+                expect(response.latencyMs).toBeGreaterThanOrEqual(0);
+            }
+        } finally {
+            await resolver.close();
+        }
+    });
+
+    test('should fail with a timeout code when the resolver never answers', async () => {
+        const silent = dgram.createSocket('udp4');
+        await new Promise(resolve => silent.bind(0, '127.0.0.1', resolve));
+
+        try {
+            await expect(resolve('example.com', {
+                resolver: { address: '127.0.0.1', port: silent.address().port },
+                timeoutMs: 100
+            })).rejects.toMatchObject({ code: 'TIMEOUT' });
+        } finally {
+            silent.close();
+        }
+    });
+
+    test('should record failure codes and flag resolvers whose answers disagree', async () => {
+        await dbService.initialize();
+        const honest = await startResolver({ 'example.com': ['10.0.0.1'] });
+        const hijacking = await startResolver({ 'example.com': ['10.9.9.9'] });
+
+        try {
+            const { config } = await testingEngine.launchTest('dns', {
+                names: ['example.com', 'missing.example'],
+                resolvers: [
+                    { name: 'honest', address: honest.address, port: honest.port, url: honest.url },
+                    { name: 'hijacking', address: hijacking.address, port: hijacking.port, url: hijacking.url }
+                ],
+                protocols: ['udp', 'doh'],
+                iterations: 1
+            });
+            await testingEngine.processQueue();
+
+            let status = null;
+            for (let i = 0; i < 200 && status !== 'completed'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                status = (await dbService.getTestStatus(config.testId)).status;
+            }
+            expect(status).toBe('completed');
+
+            const results = await dbService.getTestResults(config.testId);
+            const final = results.find(r => r.result_data.byResolver).result_data;
+
+            expect(Object.keys(final.byResolver).sort()).toEqual(['hijacking/doh', 'hijacking/udp', 'honest/doh', 'honest/udp']);
+            expect(final.byResolver['honest/udp']).toEqual(expect.objectContaining({
+                lookups: 2,
+                answered: 1,
+                failureRate: 50,
+                failureCodes: { NXDOMAIN: 1 },
+                ttl: { min: 300, max: 300 }
+            }));
+            expect(final.mismatches).toEqual([{
+                name: 'example.com',
+                disjoint: true,
+                answers: { honest: ['10.0.0.1'], hijacking: ['10.9.9.9'] }
+            }]);
+        } finally {
+            await honest.close();
+            await hijacking.close();
+            await dbService.close();
+        }
+    });
+});
+
+describe('Throughput', () => {
+    const http = require('http');
+    const { app, dbService } = require('../server');
+    const { measureDownload, measureUpload } = require('../services/throughput');
+
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should serve downloads of the requested size, uncompressed', async () => {
+        const response = await request(app)
+            .get('/api/speedtest/download?bytes=200000')
+            .set('Accept-Encoding', 'gzip')
+            .buffer(true)
+            .parse((res, done) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => done(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+
+        expect(response.body.length).toBe(200000);
+        expect(response.headers['content-encoding']).toBeUndefined();
+
+        await request(app).get('/api/speedtest/download?bytes=0').expect(400);
+    });
+
+    test('should count uploaded bytes', async () => {
+        const response = await request(app)
+            .post('/api/speedtest/upload')
+            .set('Content-Type', 'application/octet-stream')
+            .send(Buffer.alloc(150000))
+            .expect(200);
+
+        expect(response.body.bytes).toBe(150000);
+    });
+
+    test('should refuse transfers over the per-request limit', async () => {
+        const { REQUEST_BYTES } = require('../services/throughput');
+
+        await request(app).get(`/api/speedtest/download?bytes=${REQUEST_BYTES + 1}`).expect(400);
+
+        const status = await new Promise((resolve, reject) => {
+            const req = http.request(`${baseUrl}/api/speedtest/upload`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': REQUEST_BYTES + 1 }
+            }, res => {
+                res.resume();
+                resolve(res.statusCode);
+            });
+            req.on('error', reject);
+            req.write(Buffer.alloc(1024));
+        });
+        expect(status).toBe(413);
+    });
+
+    test('should require SPEED_TEST_TOKEN when one is set', async () => {
+        process.env.SPEED_TEST_TOKEN = 'speed-secret';
+
+        try {
+            await request(app).get('/api/speedtest/download?bytes=1000').expect(401);
+            await request(app).get('/api/speedtest/download?bytes=1000').set('X-Speed-Test-Token', 'wrong').expect(401);
+
+            // Clients send the token they are configured with
+            const result = await measureDownload(baseUrl, { streams: 1, durationMs: 300, warmupMs: 0 });
+            expect(result.failedStreams).toBe(0);
+        } finally {
+            delete process.env.SPEED_TEST_TOKEN;
+        }
+    });
+
+    test('should only serve other hosts when SPEED_TEST_TOKEN is set', async () => {
+        const os = require('os');
+        const axios = require('axios');
+        const external = Object.values(os.networkInterfaces()).flat().find(({ family, internal }) => family === 'IPv4' && !internal);
+        // Needs an address other than loopback to connect from
+        if (!external) return;
+
+        const open = http.createServer(app);
+        await new Promise(resolve => open.listen(0, '0.0.0.0', resolve));
+        const externalUrl = `http://${external.address}:${open.address().port}/api/speedtest/download?bytes=1000`;
+
+        try {
+            expect((await axios.get(externalUrl, { validateStatus: null })).status).toBe(403);
+
+            process.env.SPEED_TEST_TOKEN = 'speed-secret';
+            const response = await axios.get(externalUrl, { headers: { 'X-Speed-Test-Token': 'speed-secret' }, validateStatus: null });
+            expect(response.status).toBe(200);
+        } finally {
+            delete process.env.SPEED_TEST_TOKEN;
+            open.closeAllConnections();
+            await new Promise(resolve => open.close(resolve));
+        }
+    });
+
+    test('should measure both directions over parallel streams, leaving out the warm-up', async () => {
+        const options = { streams: 2, durationMs: 600, warmupMs: 200 };
+
+        for (const measure of [measureDownload, measureUpload]) {
+            const result = await measure(baseUrl, options);
+
+            expect(result).toEqual(expect.objectContaining({ server: baseUrl, streams: 2, failedStreams: 0 }));
+            expect(result.warmupBytes).toBeGreaterThan(0);
+            expect(result.bytes).toBeGreaterThan(0);
+            expect(result.mbps).toBeGreaterThan(0);
+            expect(result.seconds).toBeGreaterThanOrEqual(0.35);
+            expect(result.seconds).toBeLessThan(1);
+        }
+    });
+
+    test('should fail when no stream can reach the server', async () => {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+
+        await expect(measureDownload(`http://127.0.0.1:${port}`, { streams: 2, durationMs: 500, warmupMs: 0 }))
+            .rejects.toThrow(/ECONNREFUSED/);
+    });
+
+    test('should plan self-hosted speed tests from their servers and sample length', async () => {
+        await dbService.initialize();
+        const response = await request(app)
+            .post('/api/test-types/speed/plan')
+            .send({ duration: 30, servers: [baseUrl], streams: 4, sampleSeconds: 5, warmupSeconds: 1 })
+            .expect(200);
+
+        // Each sample takes 10s (5s down, 5s up), so three fit in 30s
+        expect(response.body.estimate).toEqual(expect.objectContaining({
+            requests: 3 * (8 + 5),
+            durationSeconds: 40,
+            peakConcurrency: 4
+        }));
+
+        await request(app)
+            .post('/api/test-types/speed/plan')
+            .send({ duration: 30, servers: [baseUrl], sampleSeconds: 5, warmupSeconds: 5 })
+            .expect(400);
+
+        await dbService.close();
+    });
+});
+
+describe('Latency Under Load', () => {
+    const http = require('http');
+    const { app, testingEngine, dbService } = require('../server');
+    const { gradeLatencyIncrease, compareLoadedLatency, worstGrade } = require('../services/bufferbloat');
+
+    const burst = p50 => ({ latency: { p50 } });
+
+    test('should grade the median latency increase', () => {
+        expect(gradeLatencyIncrease(-3)).toBe('A+');
+        expect(gradeLatencyIncrease(4.9)).toBe('A+');
+        expect(gradeLatencyIncrease(45)).toBe('B');
+        expect(gradeLatencyIncrease(400)).toBe('F');
+        expect(gradeLatencyIncrease(null)).toBe('F');
+        expect(worstGrade(['A', 'C', 'B'])).toBe('C');
+
+        expect(compareLoadedLatency(burst(20), burst(95))).toEqual({
+            idleMs: 20,
+            loadedMs: 95,
+            increaseMs: 75,
+            increasePercent: 375,
+            grade: 'C'
+        });
+        expect(compareLoadedLatency(burst(20), burst(null))).toEqual(expect.objectContaining({ increaseMs: null, grade: 'F' }));
+    });
+
+    test('should require a speed-test server', async () => {
+        const response = await request(app)
+            .post('/api/network/bufferbloat')
+            .send({})
+            .expect(400);
+
+        expect(response.body.message).toMatch(/DEFAULT_SPEED_TEST_SERVERS/);
+    });
+
+    test('should save idle, loaded and graded results', async () => {
+        await dbService.initialize();
+        const server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const { config } = await testingEngine.launchTest('bufferbloat', {
+                server: `http://127.0.0.1:${server.address().port}`,
+                streams: 1,
+                baselineSeconds: 1,
+                loadSeconds: 2,
+                warmupSeconds: 0.5,
+                probeIntervalMs: 100
+            });
+            await testingEngine.processQueue();
+
+            let status = null;
+            for (let i = 0; i < 100 && status !== 'completed'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                status = (await dbService.getTestStatus(config.testId)).status;
+            }
+            expect(status).toBe('completed');
+
+            const results = (await dbService.getTestResults(config.testId)).map(r => r.result_data);
+            expect(results.filter(r => r.phase).map(r => r.phase).sort()).toEqual(['download', 'idle', 'upload']);
+
+            const final = results.find(r => r.grade && !r.phase);
+            expect(final.download.mbps).toBeGreaterThan(0);
+            expect(final.upload.mbps).toBeGreaterThan(0);
+            expect(final.download).toEqual(expect.objectContaining({ idleMs: final.idle.latency.p50 }));
+            expect(['A+', 'A', 'B', 'C', 'D', 'F']).toContain(final.grade);
+        } finally {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await dbService.close();
+        }
+    }, 20000);
+});
+
+describe('Signal Sources', () => {
+    const { testingEngine, dbService } = require('../server');
+    const { parseAtResponse, parseMmcliOutput, parseMmcliSignal } = require('../services/signal-sources');
+
+    test('should read RSSI, operator and technology from AT responses', () => {
+        const reading = parseAtResponse('AT+CSQ\r\n+CSQ: 20,99\r\n\r\nOK\r\nAT+COPS?\r\n+COPS: 0,0,"Vodafone",7\r\nOK\r\n');
+        expect(reading).toEqual(expect.objectContaining({
+            signalStrength: -73,
+            networkType: 'LTE',
+            carrier: 'Vodafone',
+            origin: { signalStrength: 'measured', networkType: 'measured', carrier: 'measured' }
+        }));
+
+        // LTE-only modems answer CSQ with 99; CESQ's RSRP stands in
+        const lteOnly = parseAtResponse('+CSQ: 99,99\r\n+CESQ: 99,99,255,255,20,45\r\nOK\r\n');
+        expect(lteOnly.signalStrength).toBe(-96);
+        expect(lteOnly.details).toEqual(expect.objectContaining({ metric: 'rsrp', rsrq: -10 }));
+
+        expect(parseAtResponse('+CSQ: 99,99\r\nOK\r\n')).toBeNull();
+    });
+
+    test('should prefer extended mmcli signal over the quality estimate', () => {
+        const status = parseMmcliOutput([
+            'modem.generic.signal-quality.value               : 67',
+            'modem.generic.access-technologies.value[1]       : lte',
+            'modem.3gpp.operator-name                         : T-Mobile'
+        ].join('\n'));
+        const signal = parseMmcliOutput([
+            'modem.signal.refresh.rate : 5',
+            'modem.signal.umts.rssi    : --',
+            'modem.signal.lte.rssi     : -68.00',
+            'modem.signal.lte.rsrp     : -97.00',
+            'modem.signal.lte.rsrq     : -11.00'
+        ].join('\n'));
+
+        expect(parseMmcliSignal(status, signal)).toEqual(expect.objectContaining({
+            signalStrength: -68,
+            networkType: 'LTE',
+            carrier: 'T-Mobile',
+            origin: { signalStrength: 'measured', networkType: 'measured', carrier: 'measured' }
+        }));
+
+        const estimated = parseMmcliSignal(status, {});
+        expect(estimated.signalStrength).toBe(-71);
+        expect(estimated.origin.signalStrength).toBe('estimated');
+        expect(estimated.details).toEqual({ metric: 'quality', qualityPercent: 67 });
+    });
+
+    test('should reject unknown sources and sources missing their settings', async () => {
+        const unknown = await request(app)
+            .post('/api/network/signal')
+            .send({ sources: ['sonar'] })
+            .expect(400);
+        expect(unknown.body.message).toMatch(/Unknown signal source: sonar/);
+
+        const at = await request(app)
+            .post('/api/network/signal')
+            .send({ sources: ['at'] })
+            .expect(400);
+        expect(at.body.message).toMatch(/AT port/);
+
+        for (const device of ['/dev/../root/.bashrc', '/dev/ttyUSB0/../../etc/passwd', '/dev/sda']) {
+            const traversal = await request(app)
+                .post('/api/network/signal')
+                .send({ sources: ['at'], device })
+                .expect(400);
+            expect(traversal.body.message).toMatch(/modem port/);
+        }
+
+        await request(app)
+            .post('/api/network/signal')
+            .send({ sources: ['replay'] })
+            .expect(400);
+    });
+
+    test('should replay a recorded trace with its provider and origins', async () => {
+        await dbService.initialize();
+
+        try {
+            const { config } = await testingEngine.launchTest('signal', {
+                sources: ['replay'],
+                interval: 0.2,
+                duration: 1,
+                threshold: -90,
+                loop: true,
+                trace: [
+                    { signalStrength: -85, networkType: 'LTE', carrier: 'Vodafone' },
+                    { signalStrength: -95, networkType: 'LTE', carrier: 'Vodafone', origin: { signalStrength: 'estimated' } }
+                ]
+            });
+            await testingEngine.processQueue();
+
+            let status = null;
+            for (let i = 0; i < 50 && status !== 'completed'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                status = (await dbService.getTestStatus(config.testId)).status;
+            }
+            expect(status).toBe('completed');
+
+            const results = (await dbService.getTestResults(config.testId, -1)).map(r => r.result_data);
+            expect(results.length).toBeGreaterThanOrEqual(2);
+            expect(results.every(r => r.provider === 'replay')).toBe(true);
+
+            const weak = results.find(r => r.signalStrength === -95);
+            expect(weak).toEqual(expect.objectContaining({ belowThreshold: true, origin: { signalStrength: 'estimated' } }));
+            expect(results.find(r => r.signalStrength === -85).origin.signalStrength).toBe('measured');
+
+            const summary = await testingEngine.summarizeTest(config.testId, 'signal');
+            expect(summary.byProvider).toEqual({ replay: results.length });
+            expect(summary.measuredSamples + summary.estimatedSamples).toBe(results.length);
+        } finally {
+            await dbService.close();
+        }
+    }, 15000);
+});
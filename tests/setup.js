@@ -6,6 +6,7 @@ process.env.NODE_ENV = 'test';
 process.env.PORT = '0'; // Use random port for tests
 process.env.WS_PORT = '0';
 process.env.DATABASE_URL = ':memory:'; // Use in-memory database for tests
+process.env.DB_PATH = ':memory:';
 
 // Mock external services to prevent actual network calls during tests
 jest.setTimeout(10000);
@@ -44,3 +44,1361 @@ describe('Testing Engine', () => {
         expect(true).toBe(true);
     });
 });
+
+describe('Testing Engine Queue', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+
+    let dbService;
+    let engine;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('should persist queued tests with their priority', async () => {
+        engine.registerRunner('speed', () => {});
+
+        await engine.enqueueTest({ testId: 'low', type: 'speed' });
+        const job = await engine.enqueueTest({ testId: 'high', type: 'speed' }, { priority: 5 });
+
+        expect(job).toMatchObject({ testId: 'high', status: 'queued', priority: 5, queuePosition: 1 });
+
+        const pending = await dbService.getPendingTestJobs();
+        expect(pending.map(p => p.test_id)).toEqual(['high', 'low']);
+
+        const status = await dbService.getTestStatus('low');
+        expect(status.status).toBe('queued');
+    });
+
+    test('should reject test types without a runner', async () => {
+        await expect(engine.enqueueTest({ testId: 't1', type: 'unknown' }))
+            .rejects.toThrow('No runner registered');
+    });
+
+    test('should dispatch queued tests to the matching runner', async () => {
+        const runner = jest.fn();
+        engine.registerRunner('quality', runner);
+
+        await engine.enqueueTest({ testId: 't1', type: 'quality', duration: 10 });
+        await engine.processQueue();
+
+        expect(runner).toHaveBeenCalledWith(expect.objectContaining({ testId: 't1', duration: 10 }), expect.objectContaining({ retryPolicy: expect.any(Object) }));
+        expect(engine.getTestById('t1')).toBeDefined();
+        expect((await dbService.getTestStatus('t1')).status).toBe('running');
+        expect(await dbService.countPendingTestJobs()).toBe(0);
+
+        await engine.completeTest('t1', 'completed');
+
+        expect(engine.getActiveTestCount()).toBe(0);
+        expect((await dbService.getTestStatus('t1')).status).toBe('completed');
+    });
+
+    test('should respect the concurrency limit when dispatching', async () => {
+        engine.maxConcurrentTests = 1;
+        engine.registerRunner('speed', () => {});
+
+        await engine.enqueueTest({ testId: 't1', type: 'speed' });
+        await engine.enqueueTest({ testId: 't2', type: 'speed' });
+        await engine.processQueue();
+
+        expect(engine.getActiveTestCount()).toBe(1);
+        expect(engine.getStats().queuedTests).toBe(1);
+    });
+
+    test('should pick up pending tests after a restart', async () => {
+        engine.registerRunner('speed', () => {});
+        await engine.enqueueTest({ testId: 't1', type: 'speed' });
+
+        const restarted = new TestingEngine(dbService);
+        const runner = jest.fn();
+        restarted.registerRunner('speed', runner);
+        await restarted.processQueue();
+
+        expect(runner).toHaveBeenCalledWith(expect.objectContaining({ testId: 't1' }), expect.objectContaining({ retryPolicy: expect.any(Object) }));
+    });
+
+    test('should remove queued tests when they are stopped', async () => {
+        engine.registerRunner('speed', () => {});
+        await engine.enqueueTest({ testId: 't1', type: 'speed' });
+
+        expect(await engine.stopTest('t1')).toBe(true);
+        expect(await dbService.countPendingTestJobs()).toBe(0);
+        expect((await dbService.getTestStatus('t1')).status).toBe('cancelled');
+    });
+});
+
+describe('Testing Engine Schedules', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+
+    let dbService;
+    let engine;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+        engine.registerRunner('quality', () => {});
+    });
+
+    afterEach(async () => {
+        for (const [scheduleId] of engine.scheduledTests) {
+            engine.removeScheduledTest(scheduleId);
+        }
+        await dbService.close();
+    });
+
+    test('should persist and arm new schedules', async () => {
+        const schedule = await engine.createSchedule({
+            name: 'Nightly quality',
+            cronExpression: '0 2 * * *',
+            testType: 'quality',
+            config: { duration: 60, targets: ['1.1.1.1'] }
+        });
+
+        expect(schedule).toMatchObject({ name: 'Nightly quality', enabled: true, armed: true });
+        expect(schedule.nextRunAt).toBeInstanceOf(Date);
+        expect(engine.scheduledTests.has(schedule.id)).toBe(true);
+    });
+
+    test('should reject invalid cron expressions', async () => {
+        await expect(engine.createSchedule({
+            name: 'Broken',
+            cronExpression: 'not a cron',
+            testType: 'quality'
+        })).rejects.toThrow('Invalid cron expression');
+    });
+
+    test('should re-arm enabled schedules on startup', async () => {
+        await engine.createSchedule({ name: 'a', cronExpression: '*/5 * * * *', testType: 'quality' });
+        await engine.createSchedule({ name: 'b', cronExpression: '*/5 * * * *', testType: 'quality', enabled: false });
+
+        const restarted = new TestingEngine(dbService);
+        restarted.registerRunner('quality', () => {});
+        await restarted.loadSchedules();
+
+        expect(restarted.scheduledTests.size).toBe(1);
+
+        for (const [scheduleId] of restarted.scheduledTests) {
+            restarted.removeScheduledTest(scheduleId);
+        }
+    });
+
+    test('should enqueue a run and record it against the schedule', async () => {
+        const schedule = await engine.createSchedule({
+            name: 'Hourly quality',
+            cronExpression: '0 * * * *',
+            testType: 'quality',
+            config: { duration: 30 },
+            priority: 2
+        });
+
+        const job = await engine.runScheduledTest(schedule.id);
+        const runs = await dbService.getScheduleRuns(schedule.id);
+        const testStatus = await dbService.getTestStatus(job.testId);
+
+        expect(job).toMatchObject({ status: 'queued', priority: 2 });
+        expect(runs).toEqual([expect.objectContaining({ test_id: job.testId, status: 'queued' })]);
+        expect(testStatus.config).toMatchObject({ duration: 30, scheduleId: schedule.id });
+    });
+
+    test('should disarm schedules that are disabled or deleted', async () => {
+        const schedule = await engine.createSchedule({ name: 'a', cronExpression: '0 * * * *', testType: 'quality' });
+
+        const updated = await engine.updateSchedule(schedule.id, { enabled: false });
+        expect(updated.armed).toBe(false);
+
+        expect(await engine.deleteSchedule(schedule.id)).toBe(true);
+        expect(await engine.getSchedule(schedule.id)).toBeNull();
+    });
+});
+
+describe('Testing Engine Admission Control', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const { AdmissionError } = TestingEngine;
+
+    let dbService;
+    let engine;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+        ['speed', 'load_test', 'quality'].forEach(type => engine.registerRunner(type, () => {}));
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('should never run two load tests at once', async () => {
+        await engine.enqueueTest({ testId: 'load-1', type: 'load_test' });
+        await engine.enqueueTest({ testId: 'load-2', type: 'load_test' });
+        await engine.processQueue();
+
+        expect(engine.getActiveTests().map(t => t.testId)).toEqual(['load-1']);
+    });
+
+    test('should keep speed tests apart from load tests', async () => {
+        await engine.enqueueTest({ testId: 'load-1', type: 'load_test' });
+        await engine.processQueue();
+
+        const job = await engine.enqueueTest({ testId: 'speed-1', type: 'speed' });
+        await engine.enqueueTest({ testId: 'quality-1', type: 'quality' });
+        await engine.processQueue();
+
+        expect(job.admission.reason).toMatch('bandwidth');
+        expect(engine.getTestById('speed-1')).toBeUndefined();
+        expect(engine.getTestById('quality-1')).toBeDefined();
+    });
+
+    test('should reach runnable jobs queued behind a page of blocked ones', async () => {
+        await engine.enqueueTest({ testId: 'load-running', type: 'load_test', priority: 10 });
+        await engine.processQueue();
+
+        for (let i = 0; i < 120; i++) {
+            await engine.enqueueTest({ testId: `load-${i}`, type: 'load_test', priority: 5 });
+        }
+        await engine.enqueueTest({ testId: 'quality-1', type: 'quality' });
+        await engine.processQueue();
+
+        expect(engine.getActiveTests().map(t => t.testId).sort()).toEqual(['load-running', 'quality-1']);
+        expect(await dbService.countPendingTestJobs()).toBe(120);
+    });
+
+    test('should cache admission settings until they are reloaded', async () => {
+        await engine.enqueueTest({ testId: 'q1', type: 'quality' });
+        await dbService.saveSetting('maxConcurrentTests', 1);
+
+        await engine.enqueueTest({ testId: 'q2', type: 'quality' });
+        await engine.processQueue();
+        expect(engine.getActiveTests()).toHaveLength(2);
+
+        await engine.reloadAdmissionSettings();
+        expect(engine.maxConcurrentTests).toBe(1);
+    });
+
+    test('should reject launches over the limit with a queue position', async () => {
+        await dbService.saveSetting('admissionPolicy', 'reject');
+        await dbService.saveSetting('maxConcurrentTests', 1);
+
+        await engine.enqueueTest({ testId: 't1', type: 'quality' });
+        await engine.processQueue();
+
+        const rejection = engine.enqueueTest({ testId: 't2', type: 'quality' });
+        await expect(rejection).rejects.toBeInstanceOf(AdmissionError);
+        await expect(rejection).rejects.toMatchObject({
+            details: { queuePosition: 1, maxConcurrentTests: 1 }
+        });
+        expect(await dbService.getTestStatus('t2')).toBeUndefined();
+    });
+});
+
+describe('Test Lifecycle', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const { canTransition, isTerminal, InvalidTransitionError } = require('../services/test-lifecycle');
+
+    let dbService;
+    let engine;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+        engine.registerRunner('quality', () => {});
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('should only allow defined transitions', () => {
+        expect(canTransition('queued', 'running')).toBe(true);
+        expect(canTransition('running', 'paused')).toBe(true);
+        expect(canTransition('paused', 'completed')).toBe(false);
+        expect(canTransition('completed', 'running')).toBe(false);
+        expect(isTerminal('timed_out')).toBe(true);
+        expect(isTerminal('paused')).toBe(false);
+    });
+
+    test('should reject illegal transitions', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'quality' });
+
+        await expect(engine.transitionTest('t1', 'completed'))
+            .rejects.toBeInstanceOf(InvalidTransitionError);
+        expect((await dbService.getTestStatus('t1')).status).toBe('queued');
+    });
+
+    test('should record every transition with its reason', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'quality' });
+        await engine.processQueue();
+        await engine.completeTest('t1', 'failed', 'Probe unreachable');
+
+        const timeline = await dbService.getTestTimeline('t1');
+
+        expect(timeline.map(t => [t.from_status, t.to_status])).toEqual([
+            [null, 'pending'],
+            ['pending', 'queued'],
+            ['queued', 'running'],
+            ['running', 'failed']
+        ]);
+        expect(timeline[3].reason).toBe('Probe unreachable');
+    });
+
+    test('should ignore runners that finish after cancellation', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'quality' });
+        await engine.processQueue();
+        await engine.stopTest('t1');
+
+        expect(await engine.completeTest('t1', 'completed')).toBe(false);
+        expect((await dbService.getTestStatus('t1')).status).toBe('cancelled');
+    });
+});
+
+describe('Testing Engine Sampling', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    let dbService;
+    let engine;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+    });
+
+    afterEach(async () => {
+        await engine.stopTest('t1');
+        await dbService.close();
+    });
+
+    const launch = async sample => {
+        engine.registerRunner('signal', config => engine.startSampling(config.testId, {
+            intervalMs: 10,
+            durationMs: 1000,
+            sample,
+            complete: () => engine.completeTest(config.testId, 'completed')
+        }));
+        await engine.enqueueTest({ testId: 't1', type: 'signal' });
+        await engine.processQueue();
+    };
+
+    test('should fail the run when a sample throws', async () => {
+        await launch(async () => { throw new Error('sensor unplugged'); });
+        await sleep(50);
+
+        const status = await dbService.getTestStatus('t1');
+        expect(status.status).toBe('failed');
+        expect(engine.getTestById('t1')).toBeUndefined();
+    });
+
+    test('should skip ticks while a sample is still running', async () => {
+        let running = 0;
+        let overlapped = false;
+        let samples = 0;
+
+        await launch(async () => {
+            running++;
+            overlapped = overlapped || running > 1;
+            samples++;
+            await sleep(35);
+            running--;
+        });
+        await sleep(150);
+
+        expect(overlapped).toBe(false);
+        expect(samples).toBeGreaterThan(1);
+        expect(samples).toBeLessThanOrEqual(5);
+    });
+});
+
+describe('Testing Engine Pause and Resume', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    let dbService;
+    let engine;
+    let samples;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+        samples = 0;
+        engine.registerRunner('signal', config => engine.startSampling(config.testId, {
+            intervalMs: 20,
+            durationMs: 200,
+            sample: async () => { samples++; },
+            complete: () => engine.completeTest(config.testId, 'completed')
+        }));
+        await engine.enqueueTest({ testId: 't1', type: 'signal' });
+        await engine.processQueue();
+    });
+
+    afterEach(async () => {
+        await engine.stopTest('t1');
+        await dbService.close();
+    });
+
+    test('should stop sampling while paused and keep the remaining duration', async () => {
+        await sleep(50);
+        expect(await engine.pauseTest('t1')).toBe(true);
+
+        const remaining = engine.getRemainingDuration('t1');
+        const sampled = samples;
+        await sleep(80);
+
+        expect(samples).toBe(sampled);
+        expect(engine.getRemainingDuration('t1')).toBe(remaining);
+        expect(remaining).toBeGreaterThan(0);
+        expect(remaining).toBeLessThan(200);
+        expect((await dbService.getTestStatus('t1')).status).toBe('paused');
+    });
+
+    test('should complete after resuming once the remaining duration has run', async () => {
+        await engine.pauseTest('t1');
+        await sleep(100);
+        expect(await engine.resumeTest('t1')).toBe(true);
+        expect((await dbService.getTestStatus('t1')).status).toBe('running');
+
+        await sleep(300);
+
+        expect(samples).toBeGreaterThan(0);
+        expect(engine.getTestById('t1')).toBeUndefined();
+        const timeline = await dbService.getTestTimeline('t1');
+        expect(timeline.map(t => t.to_status).slice(-4)).toEqual(['running', 'paused', 'running', 'completed']);
+    });
+
+    test('should refuse to pause twice or resume a running test', async () => {
+        expect(await engine.resumeTest('t1')).toBe(false);
+        expect(await engine.pauseTest('t1')).toBe(true);
+        expect(await engine.pauseTest('t1')).toBe(false);
+    });
+
+    test('should allow stopping a paused test', async () => {
+        await engine.pauseTest('t1');
+
+        expect(await engine.stopTest('t1')).toBe(true);
+        expect((await dbService.getTestStatus('t1')).status).toBe('cancelled');
+    });
+});
+
+describe('Retry Policy', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const {
+        withRetry,
+        resolveRetryPolicy,
+        getBackoffDelay,
+        classifyError,
+        classifyPingResult,
+        validateRetryPolicy,
+        logRetry
+    } = require('../services/retry');
+
+    const fastPolicy = { retries: 2, initialDelayMs: 1, maxDelayMs: 5, factor: 2, retryOn: ['timeout', 'unreachable'] };
+
+    test('should retry retryable failures and report the attempts taken', async () => {
+        const operation = jest.fn()
+            .mockRejectedValueOnce(Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' }))
+            .mockResolvedValueOnce({ alive: false })
+            .mockResolvedValueOnce({ alive: true, time: 12 });
+
+        const { value, attempts } = await withRetry(operation, fastPolicy, { classifyResult: classifyPingResult });
+
+        expect(value).toEqual({ alive: true, time: 12 });
+        expect(attempts).toBe(3);
+    });
+
+    test('should log each retry under its label', async () => {
+        const logger = { warn: jest.fn() };
+        const operation = jest.fn().mockResolvedValueOnce({ alive: false }).mockResolvedValueOnce({ alive: true, time: 12 });
+
+        await withRetry(operation, fastPolicy, { classifyResult: classifyPingResult, onRetry: logRetry('Ping 8.8.8.8', logger) });
+
+        expect(logger.warn).toHaveBeenCalledWith('Ping 8.8.8.8 attempt 1 failed (unreachable), retrying in 1ms');
+    });
+
+    test('should give up after the configured retries and keep the last outcome', async () => {
+        const operation = jest.fn().mockResolvedValue({ alive: false });
+
+        const { value, attempts } = await withRetry(operation, fastPolicy, { classifyResult: classifyPingResult });
+
+        expect(value.alive).toBe(false);
+        expect(attempts).toBe(3);
+        expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry errors outside retryOn', async () => {
+        const error = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        const operation = jest.fn().mockRejectedValue(error);
+
+        await expect(withRetry(operation, fastPolicy)).rejects.toMatchObject({ attempts: 1 });
+        expect(classifyError(error)).toBe('network');
+    });
+
+    test('should back off exponentially up to the cap', () => {
+        const policy = { initialDelayMs: 100, maxDelayMs: 500, factor: 2 };
+
+        expect([1, 2, 3, 4].map(attempt => getBackoffDelay(attempt, policy))).toEqual([100, 200, 400, 500]);
+    });
+
+    test('should layer settings, type defaults and request overrides', () => {
+        const settings = { retryAttempts: 5, retryPolicies: { roaming: { initialDelayMs: 50 } } };
+
+        expect(resolveRetryPolicy('api_test', settings).retries).toBe(5);
+        expect(resolveRetryPolicy('load_test', settings).retries).toBe(0);
+        expect(resolveRetryPolicy('roaming', settings, { retries: 1 })).toMatchObject({ retries: 1, initialDelayMs: 50 });
+    });
+
+    test('should validate request retry policies', () => {
+        expect(validateRetryPolicy(undefined)).toBeNull();
+        expect(validateRetryPolicy({ retries: 2, retryOn: ['timeout'] })).toBeNull();
+        expect(validateRetryPolicy({ retries: -1 })).toMatch(/retries/);
+        expect(validateRetryPolicy({ retryOn: ['teapot'] })).toMatch(/retryOn/);
+    });
+
+    test('should hand runners the policy from the retryAttempts setting', async () => {
+        const dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        await dbService.saveSetting('retryAttempts', 1);
+
+        const engine = new TestingEngine(dbService);
+        const runner = jest.fn();
+        engine.registerRunner('api_test', runner);
+
+        await engine.enqueueTest({ testId: 't1', type: 'api_test', retry: { initialDelayMs: 10 } });
+        await engine.processQueue();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(runner).toHaveBeenCalledWith(
+            expect.objectContaining({ testId: 't1' }),
+            expect.objectContaining({ retryPolicy: expect.objectContaining({ retries: 1, initialDelayMs: 10 }) })
+        );
+
+        await engine.stopTest('t1');
+        await dbService.close();
+    });
+});
+
+describe('Testing Engine Watchdog', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+
+    let dbService;
+    let engine;
+    let notificationService;
+    let context;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        notificationService = { notifyTestFailed: jest.fn() };
+        engine = new TestingEngine(dbService, notificationService);
+        engine.registerRunner('coverage', (config, runContext) => {
+            context = runContext;
+        });
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('should give each run a deadline from defaultTimeout plus its planned duration', async () => {
+        await dbService.saveSetting('defaultTimeout', 30);
+
+        expect(await engine.getRunTimeout({ type: 'coverage' })).toBe(30000);
+        expect(await engine.getRunTimeout({ type: 'load_test', duration: 60, rampUp: 10 })).toBe(100000);
+    });
+
+    test('should time out overdue runs, abort their requests and notify', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'coverage' });
+        await engine.processQueue();
+        await new Promise(resolve => setImmediate(resolve));
+
+        engine.getTestById('t1').deadline = Date.now() - 1;
+        await engine.checkDeadlines();
+
+        expect(context.signal.aborted).toBe(true);
+        expect(engine.getTestById('t1')).toBeUndefined();
+        expect((await dbService.getTestStatus('t1')).status).toBe('timed_out');
+        expect(notificationService.notifyTestFailed).toHaveBeenCalledWith('t1', 'coverage', expect.any(Error));
+
+        // The runner finishing late must not override the timeout
+        expect(await engine.completeTest('t1', 'completed')).toBe(false);
+    });
+
+    test('should leave runs within their deadline and paused runs alone', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'coverage' });
+        await engine.processQueue();
+
+        await engine.checkDeadlines();
+        expect(engine.getTestById('t1')).toBeDefined();
+
+        const test = engine.getTestById('t1');
+        test.status = 'paused';
+        test.deadline = Date.now() - 1;
+        await engine.checkDeadlines();
+
+        expect(engine.getTestById('t1')).toBeDefined();
+        expect(notificationService.notifyTestFailed).not.toHaveBeenCalled();
+    });
+});
+
+describe('Testing Engine Crash Recovery', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+
+    let dbService;
+    let engine;
+
+    const createEngine = () => {
+        const created = new TestingEngine(dbService);
+        created.registerRunner('signal', config => created.startSampling(config.testId, {
+            intervalMs: 1000,
+            durationMs: config.duration * 1000,
+            sample: async () => {},
+            complete: () => created.completeTest(config.testId, 'completed')
+        }));
+        created.registerRunner('coverage', () => {});
+        return created;
+    };
+
+    // Drop the in-memory runs without touching the database, as if the process had died
+    const crash = crashed => {
+        for (const test of crashed.getActiveTests()) {
+            clearInterval(test.intervalId);
+        }
+        crashed.activeTests.clear();
+    };
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = createEngine();
+    });
+
+    afterEach(async () => {
+        crash(engine);
+        await dbService.close();
+    });
+
+    test('should requeue sampling runs with their remaining duration', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'signal', duration: 10 });
+        await engine.processQueue();
+        await dbService.saveTestProgress('t1', 4000);
+        crash(engine);
+
+        engine = createEngine();
+        const summary = await engine.recoverOrphanedTests();
+
+        expect(summary.requeued).toBe(1);
+        expect((await dbService.getTestStatus('t1')).status).toBe('queued');
+
+        await engine.processQueue();
+
+        expect((await dbService.getTestStatus('t1')).status).toBe('running');
+        expect(engine.getRemainingDuration('t1')).toBeLessThanOrEqual(6000);
+        expect(engine.getRemainingDuration('t1')).toBeGreaterThan(5000);
+    });
+
+    test('should mark runs that cannot resume as interrupted and keep their results', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'coverage' });
+        await engine.processQueue();
+        await dbService.saveTestResult('t1', { hasSignal: true });
+        crash(engine);
+
+        engine = createEngine();
+        const summary = await engine.recoverOrphanedTests();
+
+        expect(summary.interrupted).toBe(1);
+        expect((await dbService.getTestStatus('t1')).status).toBe('interrupted');
+        expect(await dbService.getTestResults('t1')).toHaveLength(1);
+        expect((await dbService.getTestStatistics()).activeTests).toBe(0);
+    });
+
+    test('should keep paused runs paused until they are resumed', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'signal', duration: 10 });
+        await engine.processQueue();
+        await engine.pauseTest('t1');
+        crash(engine);
+
+        engine = createEngine();
+        const summary = await engine.recoverOrphanedTests();
+
+        expect(summary.paused).toBe(1);
+        expect((await dbService.getTestStatus('t1')).status).toBe('paused');
+
+        expect(await engine.resumeTest('t1')).toBe(true);
+        expect((await dbService.getTestStatus('t1')).status).toBe('queued');
+    });
+
+    test('should requeue jobs dispatched but never started', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'coverage' });
+        // The crash came between the dispatch and the run starting
+        await dbService.markTestJobDispatched('t1');
+
+        engine = createEngine();
+        const summary = await engine.recoverOrphanedTests();
+
+        expect(summary.requeued).toBe(1);
+        expect(await dbService.countPendingTestJobs()).toBe(1);
+
+        await engine.processQueue();
+        expect((await dbService.getTestStatus('t1')).status).toBe('running');
+    });
+
+    test('should skip a job cancelled during dispatch and dispatch the rest', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'coverage', priority: 1 });
+        await engine.enqueueTest({ testId: 't2', type: 'coverage' });
+
+        // Cancelled after the job was claimed, before it moved to running
+        const markTestJobDispatched = dbService.markTestJobDispatched.bind(dbService);
+        jest.spyOn(dbService, 'markTestJobDispatched').mockImplementation(async testId => {
+            await markTestJobDispatched(testId);
+            if (testId === 't1') await engine.stopTest('t1');
+        });
+
+        await engine.processQueue();
+
+        expect((await dbService.getTestStatus('t1')).status).toBe('cancelled');
+        expect(engine.getTestById('t1')).toBeUndefined();
+        expect((await dbService.getTestStatus('t2')).status).toBe('running');
+    });
+});
+
+describe('Test Type Registry', () => {
+    const Joi = require('joi');
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const { TestConfigError } = require('../services/test-registry');
+
+    let dbService;
+    let engine;
+    let run;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+
+        run = jest.fn();
+        engine.registerTestType({
+            type: 'sip_probe',
+            label: 'SIP probe',
+            schema: Joi.object({
+                registrar: Joi.string().required(),
+                calls: Joi.number().integer().min(1).default(3)
+            }),
+            events: { update: 'sip_probe_update' },
+            run,
+            summarize: results => ({ calls: results.length, answered: results.filter(r => r.answered).length })
+        });
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('should validate launch parameters and apply schema defaults', async () => {
+        const { job, config } = await engine.launchTest('sip_probe', { registrar: 'sip.example.com', unknown: true, priority: 2 });
+
+        expect(config).toEqual(expect.objectContaining({ type: 'sip_probe', registrar: 'sip.example.com', calls: 3 }));
+        expect(config).not.toHaveProperty('unknown');
+        expect(job.priority).toBe(2);
+
+        await engine.processQueue();
+        expect(run).toHaveBeenCalledWith(
+            expect.objectContaining({ testId: config.testId, calls: 3 }),
+            expect.objectContaining({ emit: expect.any(Function), signal: expect.any(Object) })
+        );
+    });
+
+    test('should reject parameters the schema does not accept', async () => {
+        await expect(engine.launchTest('sip_probe', { calls: 2 })).rejects.toThrow(TestConfigError);
+        await expect(engine.launchTest('sip_probe', { registrar: 'sip.example.com', retry: { retries: 50 } }))
+            .rejects.toThrow(/retries/);
+        await expect(engine.launchTest('unknown_type', {})).rejects.toThrow('Unknown test type: unknown_type');
+
+        expect(await dbService.countPendingTestJobs()).toBe(0);
+    });
+
+    test('should publish runner events under the declared message types', async () => {
+        const publish = jest.spyOn(engine, 'publish');
+        run.mockImplementation((config, { emit }) => emit('update', { data: { answered: true } }));
+
+        const { config } = await engine.launchTest('sip_probe', { registrar: 'sip.example.com' });
+        await engine.processQueue();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(publish).toHaveBeenCalledWith('sip_probe', 'update', { testId: config.testId, data: { answered: true } });
+        expect(publish).toHaveReturnedWith(true);
+        expect(engine.publish('sip_probe', 'complete', {})).toBe(false);
+    });
+
+    test('should summarize stored results with the type summarizer', async () => {
+        const { config } = await engine.launchTest('sip_probe', { registrar: 'sip.example.com' });
+        await dbService.saveTestResult(config.testId, { answered: true });
+        await dbService.saveTestResult(config.testId, { answered: false });
+
+        expect(await engine.summarizeTest(config.testId, 'sip_probe')).toEqual({ calls: 2, answered: 1 });
+        expect(await engine.summarizeTest(config.testId, 'speed')).toBeNull();
+    });
+});
+
+describe('Campaigns', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const CampaignManager = require('../services/campaign-manager');
+    const { TestConfigError } = require('../services/test-registry');
+
+    let dbService;
+    let engine;
+    let manager;
+
+    // Campaigns advance asynchronously after each child transition
+    const waitFor = async predicate => {
+        for (let i = 0; i < 200; i++) {
+            if (await predicate()) return;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error('Timed out waiting for campaign to advance');
+    };
+    const stepStatus = async (campaignId, stepId) => {
+        const campaign = await manager.getCampaign(campaignId);
+        return campaign.steps.find(step => step.id === stepId);
+    };
+    const finishStep = async (campaignId, stepId, status) => {
+        const { testId } = await stepStatus(campaignId, stepId);
+        await engine.processQueue();
+        await engine.completeTest(testId, status);
+    };
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+        ['quality', 'signal', 'roaming'].forEach(type => engine.registerRunner(type, () => {}));
+        manager = new CampaignManager(engine, dbService);
+        await manager.initialize();
+    });
+
+    afterEach(async () => {
+        manager.shutdown();
+        for (const test of engine.getActiveTests()) {
+            engine.releaseActiveTest(test);
+        }
+        await dbService.close();
+    });
+
+    test('should run sequence steps one after another and pass when all complete', async () => {
+        const campaign = await manager.createCampaign({
+            name: 'Release 24.3',
+            tests: [
+                { id: 'quality', type: 'quality', config: { duration: 30 } },
+                { id: 'roaming', type: 'roaming' }
+            ]
+        });
+
+        expect(campaign.steps.map(step => step.status)).toEqual(['queued', 'waiting']);
+
+        await finishStep(campaign.id, 'quality', 'completed');
+        await waitFor(async () => (await stepStatus(campaign.id, 'roaming')).status === 'queued');
+
+        await finishStep(campaign.id, 'roaming', 'completed');
+        await waitFor(async () => (await manager.getCampaign(campaign.id)).status === 'completed');
+
+        const finished = await manager.getCampaign(campaign.id);
+        expect(finished.verdict).toBe('pass');
+        expect(finished.result.statusCounts).toEqual({ completed: 2 });
+        expect((await dbService.getTestStatus(finished.steps[0].testId)).config.campaignId).toBe(campaign.id);
+    });
+
+    test('should skip the rest of a sequence after a required step fails', async () => {
+        const campaign = await manager.createCampaign({
+            name: 'Release 24.3',
+            tests: [{ type: 'quality' }, { type: 'signal' }, { type: 'roaming' }]
+        });
+
+        await finishStep(campaign.id, 'quality-1', 'failed');
+        await waitFor(async () => (await manager.getCampaign(campaign.id)).status === 'completed');
+
+        const finished = await manager.getCampaign(campaign.id);
+        expect(finished.verdict).toBe('fail');
+        expect(finished.result.failedSteps).toEqual(['quality-1', 'signal-2', 'roaming-3']);
+        expect(finished.steps[1]).toEqual(expect.objectContaining({ status: 'skipped', reason: 'Dependency quality-1 failed' }));
+    });
+
+    test('should wait for every dependency in graph mode and ignore optional failures', async () => {
+        const campaign = await manager.createCampaign({
+            name: 'Carrier release',
+            mode: 'graph',
+            tests: [
+                { id: 'quality', type: 'quality' },
+                { id: 'signal', type: 'signal', required: false },
+                { id: 'roaming', type: 'roaming', dependsOn: ['quality', 'signal'] }
+            ]
+        });
+
+        expect(campaign.steps.map(step => step.status)).toEqual(['queued', 'queued', 'waiting']);
+
+        await finishStep(campaign.id, 'signal', 'failed');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect((await stepStatus(campaign.id, 'roaming')).status).toBe('waiting');
+
+        await finishStep(campaign.id, 'quality', 'completed');
+        await waitFor(async () => (await stepStatus(campaign.id, 'roaming')).status === 'queued');
+        await finishStep(campaign.id, 'roaming', 'completed');
+        await waitFor(async () => (await manager.getCampaign(campaign.id)).status === 'completed');
+
+        expect((await manager.getCampaign(campaign.id)).verdict).toBe('pass');
+    });
+
+    test('should reject campaigns that could not run', async () => {
+        const graph = tests => manager.createCampaign({ name: 'Broken', mode: 'graph', tests });
+
+        await expect(graph([{ id: 'a', type: 'quality', dependsOn: ['b'] }, { id: 'b', type: 'signal', dependsOn: ['a'] }]))
+            .rejects.toThrow(/cycle/);
+        await expect(graph([{ id: 'a', type: 'quality', dependsOn: ['missing'] }]))
+            .rejects.toThrow('Step a depends on unknown step: missing');
+        await expect(graph([{ id: 'a', type: 'load_test' }]))
+            .rejects.toThrow(TestConfigError);
+
+        expect(await dbService.getCampaigns()).toHaveLength(0);
+    });
+
+    test('should cancel running children and skip waiting steps', async () => {
+        const campaign = await manager.createCampaign({
+            name: 'Release 24.3',
+            tests: [{ type: 'quality' }, { type: 'signal' }]
+        });
+        await engine.processQueue();
+
+        expect(await manager.cancelCampaign(campaign.id)).toBe(true);
+
+        const cancelled = await manager.getCampaign(campaign.id);
+        expect(cancelled.status).toBe('cancelled');
+        expect(cancelled.verdict).toBeNull();
+        expect(cancelled.steps.map(step => step.status)).toEqual(['cancelled', 'skipped']);
+        expect(engine.getActiveTestCount()).toBe(0);
+        expect(await manager.cancelCampaign(campaign.id)).toBe(false);
+    });
+});
+
+describe('Test Templates', () => {
+    const Joi = require('joi');
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const TemplateManager = require('../services/template-manager');
+    const { TestConfigError } = require('../services/test-registry');
+
+    let dbService;
+    let engine;
+    let manager;
+
+    const createTemplate = (changes = {}) => manager.createTemplate({
+        name: 'EU endpoint check',
+        testType: 'http_probe',
+        config: {
+            endpoints: '{{endpoints}}',
+            headers: { Authorization: 'Bearer {{token}}', Accept: 'application/json' },
+            timeout: 5000
+        },
+        parameters: {
+            endpoints: { default: ['https://eu.example.com/health'] },
+            token: { description: 'API token for the carrier gateway' }
+        },
+        ...changes
+    });
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+        engine.registerTestType({
+            type: 'http_probe',
+            schema: Joi.object({
+                endpoints: Joi.array().items(Joi.string().uri()).min(1).required(),
+                headers: Joi.object().default({}),
+                timeout: Joi.number().integer().max(30000).default(10000)
+            }),
+            run: () => {}
+        });
+        manager = new TemplateManager(engine, dbService);
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('should fill placeholders, apply overrides and link the run to its template', async () => {
+        const template = await createTemplate();
+        expect(template).toEqual(expect.objectContaining({ version: 1, placeholders: ['endpoints', 'token'] }));
+
+        const { job, config } = await manager.launchTemplate(template.id, {
+            parameters: { token: 'abc' },
+            overrides: { headers: { 'X-Trace': '1' }, timeout: 8000 }
+        });
+
+        expect(config).toEqual(expect.objectContaining({
+            endpoints: ['https://eu.example.com/health'],
+            headers: { Authorization: 'Bearer abc', Accept: 'application/json', 'X-Trace': '1' },
+            timeout: 8000,
+            templateId: template.id,
+            templateVersion: 1
+        }));
+        expect((await dbService.getTestStatus(job.testId)).config.templateVersion).toBe(1);
+
+        const runs = await dbService.getTemplateRuns(template.id);
+        expect(runs).toEqual([expect.objectContaining({
+            test_id: job.testId,
+            template_version: 1,
+            parameters: { endpoints: ['https://eu.example.com/health'], token: 'abc' },
+            status: 'queued'
+        })]);
+    });
+
+    test('should create a new version when the config changes and keep older ones launchable', async () => {
+        const template = await createTemplate();
+
+        const renamed = await manager.updateTemplate(template.id, { name: 'EU gateway check' });
+        expect(renamed.version).toBe(1);
+
+        const updated = await manager.updateTemplate(template.id, {
+            config: { ...template.config, timeout: 2000 }
+        });
+        expect(updated).toEqual(expect.objectContaining({ name: 'EU gateway check', version: 2 }));
+        expect(updated.versions.map(v => v.version)).toEqual([1, 2]);
+
+        const latest = await manager.launchTemplate(template.id, { parameters: { token: 'abc' } });
+        const pinned = await manager.launchTemplate(template.id, { parameters: { token: 'abc' }, version: 1 });
+
+        expect(latest.config).toEqual(expect.objectContaining({ timeout: 2000, templateVersion: 2 }));
+        expect(pinned.config).toEqual(expect.objectContaining({ timeout: 5000, templateVersion: 1 }));
+        expect((await manager.getTemplate(template.id, 1)).config.timeout).toBe(5000);
+        expect(await manager.launchTemplate(template.id, { version: 7 })).toBeNull();
+    });
+
+    test('should reject templates and launches that could not run', async () => {
+        await expect(createTemplate({ testType: 'unknown_type' })).rejects.toThrow('Unknown test type: unknown_type');
+        await expect(createTemplate({ parameters: { token: {}, region: { default: 'eu' } } }))
+            .rejects.toThrow('Parameters not used in the template config: region');
+        await expect(createTemplate({ config: { endpoints: ['not a uri'] }, parameters: {} }))
+            .rejects.toThrow(TestConfigError);
+
+        const template = await createTemplate();
+        await expect(manager.launchTemplate(template.id, {})).rejects.toThrow('Missing template parameter: token');
+        await expect(manager.launchTemplate(template.id, { parameters: { token: 'abc', region: 'eu' } }))
+            .rejects.toThrow('Unknown template parameters: region');
+        await expect(manager.launchTemplate(template.id, { parameters: { token: 'abc' }, overrides: { timeout: 90000 } }))
+            .rejects.toThrow(TestConfigError);
+
+        expect(await dbService.countPendingTestJobs()).toBe(0);
+        expect(await dbService.getTemplateRuns(template.id)).toEqual([]);
+    });
+});
+
+describe('Test Plans', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const { TestConfigError } = require('../services/test-registry');
+
+    let dbService;
+    let engine;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+        [require('../routes/api'), require('../routes/network')].forEach(routes => {
+            routes.testTypes.forEach(definition => engine.registerTestType(definition));
+        });
+    });
+
+    afterEach(async () => {
+        for (const test of engine.getActiveTests()) {
+            engine.releaseActiveTest(test);
+        }
+        await dbService.close();
+    });
+
+    test('should estimate a load test without queueing it', async () => {
+        const plan = await engine.planTest('load_test', {
+            endpoint: 'https://api.example.com/orders',
+            concurrency: 10,
+            duration: 60,
+            rampUp: 10
+        });
+
+        // Worker i starts i seconds in and sends about one request a second until the 60s mark
+        expect(plan.estimate).toEqual(expect.objectContaining({
+            requests: 555,
+            maxRequests: 555,
+            durationSeconds: 60,
+            peakConcurrency: 10,
+            bytes: 555 * 2850
+        }));
+        expect(plan.config).toEqual(expect.objectContaining({ type: 'load_test', concurrency: 10 }));
+        expect(plan.config).not.toHaveProperty('testId');
+        expect(plan.admission).toEqual({ startsImmediately: true, reason: null, queuePosition: 1 });
+        expect(plan.conflicts).toEqual([]);
+
+        expect(await dbService.countPendingTestJobs()).toBe(0);
+        expect(await dbService.getRecentTests()).toEqual([]);
+    });
+
+    test('should flag running tests that share a concurrency limit or a target', async () => {
+        engine.registerRunner('speed', () => {});
+        engine.registerTestType({ type: 'http_fixture', run: () => {} });
+
+        const { config: speed } = await engine.launchTest('speed', {});
+        const { config: fixture } = await engine.launchTest('http_fixture', { endpoints: ['https://api.example.com/health'] });
+        await engine.processQueue();
+
+        const plan = await engine.planTest('load_test', { endpoint: 'https://api.example.com/orders' });
+
+        expect(plan.admission).toEqual(expect.objectContaining({
+            startsImmediately: false,
+            reason: 'Concurrency group bandwidth is full (1/1 running)'
+        }));
+        expect(plan.conflicts).toEqual([
+            { testId: speed.testId, type: 'speed', status: 'running', reasons: ['Shares concurrency group bandwidth'] },
+            { testId: fixture.testId, type: 'http_fixture', status: 'running', reasons: ['Also targets api.example.com'] }
+        ]);
+    });
+
+    test('should compare the targets each test type declares', async () => {
+        const networkTypes = require('../routes/network').testTypes;
+        engine.registerTestType({ ...networkTypes.find(definition => definition.type === 'traceroute'), run: () => {} });
+
+        const { config: trace } = await engine.launchTest('traceroute', { target: 'speed.example.net' });
+        await engine.processQueue();
+
+        const conflict = [{ testId: trace.testId, type: 'traceroute', status: 'running', reasons: ['Also targets speed.example.net'] }];
+        expect((await engine.planTest('bufferbloat', { server: 'http://speed.example.net:3000' })).conflicts).toEqual(conflict);
+        expect((await engine.planTest('speed', { servers: ['https://speed.example.net'] })).conflicts).toEqual(conflict);
+        expect((await engine.planTest('traceroute', { target: 'other.example.net' })).conflicts).toEqual([]);
+    });
+
+    test('should count retries and warn when a run would outlast its timeout', async () => {
+        const apiPlan = await engine.planTest('api_test', {
+            endpoints: ['https://a.example.com', 'https://b.example.com'],
+            iterations: 3,
+            retry: { retries: 2 }
+        });
+        expect(apiPlan.estimate).toEqual(expect.objectContaining({ requests: 6, maxRequests: 18 }));
+        expect(apiPlan.warnings).toEqual([]);
+
+        const coveragePlan = await engine.planTest('coverage', {
+            bounds: { north: 41, south: 40, east: -73, west: -74 },
+            density: 'high'
+        });
+        expect(coveragePlan.estimate).toEqual(expect.objectContaining({ requests: 1500, durationSeconds: 175 }));
+        expect(coveragePlan.warnings).toEqual([
+            'Estimated duration of 175s exceeds the 60s run timeout; the watchdog would stop it'
+        ]);
+    });
+
+    test('should validate the config and report types without an estimator', async () => {
+        await expect(engine.planTest('load_test', {})).rejects.toThrow(TestConfigError);
+
+        engine.registerTestType({ type: 'http_fixture', run: () => {} });
+        const plan = await engine.planTest('http_fixture', {});
+
+        expect(plan.estimate).toBeNull();
+        expect(plan.warnings).toEqual(['No estimator is registered for http_fixture tests']);
+    });
+});
+
+describe('Engine Run Statistics', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+
+    let dbService;
+    let engine;
+
+    // Replays a run's transitions at fixed times (ms) so timings are exact
+    const replay = async (testId, type, steps) => {
+        let from = null;
+        for (const [to, at] of steps) {
+            await dbService.recordRunTransition({ testId, type, from, to }, at);
+            from = to;
+        }
+    };
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('should count runs by status and measure run time and queue wait', async () => {
+        await replay('a', 'speed', [['queued', 0], ['running', 100], ['completed', 1100]]);
+        await replay('b', 'speed', [['queued', 0], ['running', 300], ['completed', 3300]]);
+        await replay('c', 'quality', [['queued', 0], ['running', 200], ['failed', 700]]);
+        await replay('d', 'quality', [['queued', 0], ['cancelled', 50]]);
+        await replay('e', 'quality', [['queued', 0], ['running', 10]]);
+
+        const stats = await engine.getRunStats();
+
+        expect(stats.runs).toBe(4);
+        expect(stats.byStatus).toEqual({ completed: 2, failed: 1, cancelled: 1 });
+        expect(stats.successRate).toBe(50);
+        expect(stats.runTimeMs).toEqual({ count: 3, mean: 1500, min: 500, max: 3000, p50: 1000, p90: 3000, p95: 3000, p99: 3000 });
+        expect(stats.queueWaitMs).toEqual(expect.objectContaining({ count: 3, mean: 200, p50: 200 }));
+        expect(stats.byType.speed.runs).toBe(2);
+        expect(stats.byType.quality.byStatus).toEqual({ failed: 1, cancelled: 1 });
+    });
+
+    test('should leave paused time out of the run time', async () => {
+        await replay('p', 'signal', [
+            ['queued', 0], ['running', 0], ['paused', 1000], ['running', 5000], ['paused', 6000], ['cancelled', 9000]
+        ]);
+
+        const stats = await engine.getRunStats();
+
+        expect(stats.runTimeMs.max).toBe(2000);
+    });
+
+    test('should filter by finish time and type', async () => {
+        await replay('old', 'speed', [['queued', 1000], ['running', 1000], ['completed', 2000]]);
+        await replay('new', 'speed', [['queued', 9000], ['running', 9000], ['completed', 10000]]);
+        await replay('other', 'quality', [['queued', 9000], ['running', 9000], ['completed', 10000]]);
+
+        expect((await engine.getRunStats({ from: 5000 })).runs).toBe(2);
+        expect((await engine.getRunStats({ to: 5000 })).runs).toBe(1);
+        expect((await engine.getRunStats({ from: 5000, type: 'speed' })).runs).toBe(1);
+    });
+
+    test('should keep statistics across engine restarts', async () => {
+        engine.registerRunner('signal', config => engine.completeTest(config.testId, 'completed'));
+        const completed = new Promise(resolve => engine.on('transition', t => t.to === 'completed' && resolve()));
+        await engine.enqueueTest({ testId: 't1', type: 'signal' });
+        await engine.processQueue();
+        await completed;
+
+        const restarted = new TestingEngine(dbService);
+        const stats = await restarted.getRunStats();
+
+        expect(stats.byStatus).toEqual({ completed: 1 });
+        expect(stats.runTimeMs.count).toBe(1);
+    });
+});
+
+describe('Testing Engine Throttle', () => {
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const { ResourceMonitor } = require('../services/resource-monitor');
+
+    const calm = { memoryMB: 100, cpuPercent: 10, eventLoopLagMs: 5 };
+
+    let dbService;
+    let engine;
+    let notifications;
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        notifications = [];
+        engine = new TestingEngine(dbService, {
+            sendSystemNotification: async (type, message) => { notifications.push(type); }
+        });
+        engine.registerRunner('quality', () => {});
+    });
+
+    afterEach(async () => {
+        engine.resourceMonitor.stop();
+        await dbService.close();
+    });
+
+    test('should stop dequeuing and notify under event-loop lag', async () => {
+        const state = await engine.checkResourcePressure({ ...calm, eventLoopLagMs: 450 });
+
+        expect(state.active).toBe(true);
+        expect(state.reasons).toEqual(['Event loop lag 450ms (limit 200ms)']);
+        expect(notifications).toEqual(['throttled']);
+
+        const job = await engine.enqueueTest({ testId: 't1', type: 'quality' });
+        await engine.processQueue();
+
+        expect(job.admission.reason).toMatch('Engine throttled');
+        expect(engine.getTestById('t1')).toBeUndefined();
+    });
+
+    test('should run load tests with fewer workers while throttled', async () => {
+        expect(engine.getLoadConcurrency(10)).toBe(10);
+
+        await engine.checkResourcePressure({ ...calm, memoryMB: 800 });
+
+        expect(engine.getLoadConcurrency(10)).toBe(5);
+        expect(engine.getLoadConcurrency(1)).toBe(1);
+    });
+
+    test('should resume once every reading is well under its limit', async () => {
+        await engine.enqueueTest({ testId: 't1', type: 'quality' });
+        await engine.checkResourcePressure({ ...calm, cpuPercent: 95 });
+
+        // Under the limit but above resumeRatio of it: still throttled
+        expect((await engine.checkResourcePressure({ ...calm, cpuPercent: 85 })).active).toBe(true);
+
+        const state = await engine.checkResourcePressure(calm);
+        await engine.processQueue();
+
+        expect(state.active).toBe(false);
+        expect(notifications).toEqual(['throttled', 'throttle-lifted']);
+        expect(engine.getTestById('t1')).toBeDefined();
+    });
+
+    test('should read limits from the throttle setting', async () => {
+        await dbService.saveSetting('throttle', { memoryMB: 50 });
+
+        const state = await engine.checkResourcePressure(calm);
+
+        expect(state.active).toBe(true);
+        expect(state.settings).toEqual(expect.objectContaining({ memoryMB: 50, cpuPercent: 90 }));
+    });
+
+    test('should sample heap, CPU and event-loop lag', () => {
+        const monitor = new ResourceMonitor();
+        monitor.start();
+        const sample = monitor.sample();
+        monitor.stop();
+
+        expect(sample.memoryMB).toBeGreaterThan(0);
+        expect(sample.cpuPercent).toBeGreaterThanOrEqual(0);
+        expect(sample.eventLoopLagMs).toBeGreaterThanOrEqual(0);
+    });
+});
@@ -14,3 +14,178 @@ describe('WebSocket Server', () => {
         expect(true).toBe(true);
     });
 });
+
+describe('Probe Agents', () => {
+    const http = require('http');
+    const Joi = require('joi');
+    const WebSocket = require('ws');
+    const DatabaseService = require('../services/database');
+    const TestingEngine = require('../services/testing-engine');
+    const ProbeAgentHub = require('../services/probe-agents');
+    const ProbeAgent = require('../probe-agent');
+    const { TestConfigError } = require('../services/test-registry');
+
+    let dbService;
+    let engine;
+    let hub;
+    let server;
+    let wss;
+    let agent;
+    let localRun;
+    let handler;
+
+    const waitFor = async predicate => {
+        for (let i = 0; i < 200; i++) {
+            if (await predicate()) return;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error('Timed out waiting for probe agent');
+    };
+
+    beforeEach(async () => {
+        dbService = new DatabaseService();
+        dbService.dbPath = ':memory:';
+        await dbService.initialize();
+        engine = new TestingEngine(dbService);
+        hub = new ProbeAgentHub(engine, dbService, { token: 'agent-secret' });
+        engine.attachProbeAgents(hub);
+
+        localRun = jest.fn();
+        engine.registerTestType({
+            type: 'probe_fixture',
+            schema: Joi.object({ target: Joi.string().default('8.8.8.8') }),
+            events: { update: 'probe_fixture_update' },
+            run: localRun
+        });
+
+        server = http.createServer();
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => hub.accept(ws, req));
+        await new Promise(resolve => server.listen(0, resolve));
+
+        handler = jest.fn(async (config, { emit }) => {
+            emit({ target: config.target, latency: 12 });
+        });
+        agent = new ProbeAgent({
+            server: `ws://localhost:${server.address().port}`,
+            agentId: 'berlin-1',
+            location: { region: 'eu-central' },
+            handlers: { probe_fixture: (...args) => handler(...args) },
+            capabilities: ['probe_fixture'],
+            token: 'agent-secret',
+            reconnect: false
+        });
+        await agent.connect();
+    });
+
+    const connectAgent = (options = {}) => new ProbeAgent({
+        server: `ws://localhost:${server.address().port}`,
+        agentId: 'rogue-1',
+        handlers: { probe_fixture: (...args) => handler(...args) },
+        capabilities: ['probe_fixture'],
+        reconnect: false,
+        ...options
+    }).connect();
+
+    afterEach(async () => {
+        agent.stop();
+        hub.shutdown();
+        for (const test of engine.getActiveTests()) {
+            engine.releaseActiveTest(test);
+        }
+        await new Promise(resolve => wss.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+        await dbService.close();
+    });
+
+    test('should list registered agents with their location and capabilities', () => {
+        expect(hub.getAgents()).toEqual([
+            expect.objectContaining({
+                id: 'berlin-1',
+                location: { region: 'eu-central' },
+                capabilities: ['probe_fixture'],
+                activeTests: []
+            })
+        ]);
+        expect(hub.getAgent('unknown')).toBeNull();
+    });
+
+    test('should run tests with an agent selector on the matching agent', async () => {
+        const { config } = await engine.launchTest('probe_fixture', { agent: { region: 'eu-central' } });
+        await engine.processQueue();
+
+        await waitFor(async () => (await dbService.getTestStatus(config.testId)).status === 'completed');
+
+        expect(localRun).not.toHaveBeenCalled();
+        expect(handler).toHaveBeenCalledWith(
+            expect.objectContaining({ testId: config.testId, target: '8.8.8.8' }),
+            expect.any(Object)
+        );
+
+        const results = await dbService.getTestResults(config.testId);
+        expect(results).toHaveLength(1);
+        expect(results[0].result_data).toEqual(expect.objectContaining({
+            latency: 12,
+            agentId: 'berlin-1',
+            agentLocation: { region: 'eu-central' }
+        }));
+        expect(hub.getAgent('berlin-1').activeTests).toEqual([]);
+    });
+
+    test('should refuse agents without the right token', async () => {
+        await expect(connectAgent()).rejects.toThrow(/Invalid agent token/);
+        await expect(connectAgent({ token: 'agent-secre' })).rejects.toThrow(/Invalid agent token/);
+        await expect(connectAgent({ token: 'agent-secret-but-longer' })).rejects.toThrow(/Invalid agent token/);
+
+        // With no token configured, no agent gets in
+        hub.token = null;
+        await expect(connectAgent({ token: 'agent-secret' })).rejects.toThrow(/disabled/);
+
+        expect(hub.getAgents().map(({ id }) => id)).toEqual(['berlin-1']);
+    });
+
+    test('should ignore messages that are not JSON', async () => {
+        const garbled = new WebSocket.Server({ port: 0 });
+        garbled.on('connection', ws => {
+            ws.send('not json');
+            ws.send(JSON.stringify({ type: 'agent_registered', agentId: 'garbled-1' }));
+        });
+        await new Promise(resolve => garbled.once('listening', resolve));
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const other = new ProbeAgent({ server: `ws://localhost:${garbled.address().port}`, agentId: 'garbled-1', reconnect: false });
+
+        try {
+            await expect(other.connect()).resolves.toBe('garbled-1');
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/not valid JSON/));
+        } finally {
+            other.stop();
+            errorSpy.mockRestore();
+            await new Promise(resolve => garbled.close(resolve));
+        }
+    });
+
+    test('should reject launches no connected agent can serve', async () => {
+        await expect(engine.launchTest('probe_fixture', { agent: { region: 'ap-south' } }))
+            .rejects.toThrow(TestConfigError);
+        await expect(engine.launchTest('probe_fixture', { agent: {} })).rejects.toThrow(/agentId/);
+
+        expect(await dbService.countPendingTestJobs()).toBe(0);
+    });
+
+    test('should fail assigned tests when the agent disconnects', async () => {
+        handler.mockImplementation((config, { signal }) => new Promise(resolve => {
+            signal.addEventListener('abort', resolve);
+        }));
+
+        const { config } = await engine.launchTest('probe_fixture', { agent: { agentId: 'berlin-1' } });
+        await engine.processQueue();
+        await waitFor(() => handler.mock.calls.length > 0);
+
+        agent.stop();
+
+        await waitFor(async () => (await dbService.getTestStatus(config.testId)).status === 'failed');
+        const timeline = await dbService.getTestTimeline(config.testId);
+        expect(timeline[timeline.length - 1].reason).toBe('Probe agent berlin-1 disconnected');
+        expect(hub.getAgents()).toEqual([]);
+    });
+});